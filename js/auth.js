@@ -9,6 +9,9 @@ class AuthenticationManager {
         this.currentUser = null;
         this.tokenExpiryTimer = null;
         
+        // Signed-in platform user with their role and permissions
+        this.platformUser = null;
+        
         this.initialize();
     }
     
@@ -18,6 +21,77 @@ class AuthenticationManager {
     initialize() {
         this.checkAuthenticationStatus();
         this.setupEventListeners();
+        this.loadPlatformSession();
+    }
+    
+    /**
+     * Load the platform user of the session cookie, or ask for a login
+     */
+    async loadPlatformSession() {
+        if (!window.apiClient) return;
+        
+        const result = await window.apiClient.getSession();
+        if (!result.success) {
+            this.showLoginForm();
+            return;
+        }
+        
+        this.platformUser = result.data;
+        this.updatePlatformUserUI();
+        
+        if (window.configManager) {
+            await window.configManager.loadServerConfigurations();
+        }
+    }
+    
+    /**
+     * Sign in from the login form; the page reloads so every tab loads with the session
+     */
+    async loginPlatform() {
+        const email = document.getElementById('loginEmail')?.value.trim();
+        const password = document.getElementById('loginPassword')?.value;
+        const errorElement = document.getElementById('login-error');
+        
+        const result = await window.apiClient.login(email, password);
+        if (!result.success) {
+            if (errorElement) {
+                errorElement.textContent = result.error;
+            }
+            return;
+        }
+        
+        window.location.reload();
+    }
+    
+    async logoutPlatform() {
+        await window.apiClient.logoutPlatform();
+        window.location.reload();
+    }
+    
+    showLoginForm() {
+        const overlay = document.getElementById('login-overlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+    
+    /**
+     * Show the signed-in user and hide controls their role may not use
+     */
+    updatePlatformUserUI() {
+        const overlay = document.getElementById('login-overlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+        
+        const userElement = document.getElementById('platform-user');
+        if (userElement) {
+            userElement.textContent = `${this.platformUser.name || this.platformUser.email} (${this.platformUser.role})`;
+        }
+        
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = this.hasPermission(element.dataset.permission) ? '' : 'none';
+        });
     }
     
     /**
@@ -49,6 +123,12 @@ class AuthenticationManager {
         window.addEventListener('focus', () => {
             this.checkAuthenticationStatus();
         });
+        
+        // Any platform API call answered with 401
+        window.addEventListener('platform-session-required', () => {
+            this.platformUser = null;
+            this.showLoginForm();
+        });
     }
     
     /**
@@ -66,7 +146,9 @@ class AuthenticationManager {
             }
             
             if (!config.pluginUsername || !config.pluginPassword) {
-                throw new Error('Username and password are required');
+                throw new Error(config.hasPluginPassword
+                    ? 'The saved plugin password is not sent to the browser; enter it again to test the login from here'
+                    : 'Username and password are required');
             }
             
             this.updateAuthStatus('pending', 'Authenticating...');
@@ -366,14 +448,13 @@ class AuthenticationManager {
     }
     
     /**
-     * Check if user has required permissions
+     * Check if the platform user's role grants a permission (e.g. "reports:write");
+     * the server enforces the same permissions on every API route
      */
     hasPermission(permission) {
-        if (!this.isAuthenticated) return false;
+        if (!this.platformUser) return false;
         
-        // In a real implementation, this would check user roles/permissions
-        // For now, all authenticated users have all permissions
-        return true;
+        return this.platformUser.permissions.includes(permission);
     }
 }
 
@@ -390,6 +471,18 @@ function testTokenRefresh() {
     }
 }
 
+function loginPlatform() {
+    if (window.authManager) {
+        return window.authManager.loginPlatform();
+    }
+}
+
+function logoutPlatform() {
+    if (window.authManager) {
+        return window.authManager.logoutPlatform();
+    }
+}
+
 // Initialize global authentication manager
 window.authManager = new AuthenticationManager();
 
@@ -0,0 +1,172 @@
+/**
+ * Catalog Diff
+ * Compares two catalog versions keyed on category, item and modifier ids and classifies
+ * every change. Shared by the browser and the server.
+ */
+
+// Fields compared for each entity besides name, price and availability
+const TRACKED_FIELDS = {
+    category: ['description', 'display_order', 'image_url'],
+    item: ['description', 'category_id', 'image_url', 'prep_time', 'allergens'],
+    modifier: ['max_quantity']
+};
+
+class CatalogDiff {
+    /**
+     * Diff two catalogs. Returns { changes, summary } where each change is
+     * { type, entity, id, name, path, before, after } and type is one of
+     * added, removed, price_changed, availability_toggled, renamed or updated.
+     */
+    diff(before, after) {
+        const previous = this.index(before);
+        const current = this.index(after);
+        const changes = [];
+        
+        ['category', 'item', 'modifier'].forEach(entity => {
+            previous[entity].forEach((entry, key) => {
+                if (!current[entity].has(key)) {
+                    changes.push(this.change('removed', entity, entry, entry.data, null));
+                }
+            });
+            
+            current[entity].forEach((entry, key) => {
+                const old = previous[entity].get(key);
+                if (!old) {
+                    changes.push(this.change('added', entity, entry, null, entry.data));
+                } else {
+                    changes.push(...this.compare(entity, old, entry));
+                }
+            });
+        });
+        
+        const summary = changes.reduce((counts, change) => {
+            counts[change.type] = (counts[change.type] || 0) + 1;
+            return counts;
+        }, { added: 0, removed: 0, price_changed: 0, availability_toggled: 0, renamed: 0, updated: 0 });
+        
+        return {
+            changes: changes,
+            summary: summary,
+            identical: changes.length === 0
+        };
+    }
+    
+    /**
+     * Classify the differences between two versions of the same entity
+     */
+    compare(entity, old, entry) {
+        const changes = [];
+        const before = old.data;
+        const after = entry.data;
+        
+        if (before.name !== after.name) {
+            changes.push(this.change('renamed', entity, entry, before.name, after.name));
+        }
+        
+        if (before.price !== after.price && (before.price !== undefined || after.price !== undefined)) {
+            changes.push(this.change('price_changed', entity, entry, before.price, after.price));
+        }
+        
+        if (this.isAvailable(before) !== this.isAvailable(after)) {
+            changes.push(this.change('availability_toggled', entity, entry, this.isAvailable(before), this.isAvailable(after)));
+        }
+        
+        const fields = TRACKED_FIELDS[entity].filter(field =>
+            JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+        if (old.parent !== entry.parent) {
+            fields.push('parent');
+        }
+        if (fields.length > 0) {
+            changes.push({
+                ...this.change('updated', entity, entry,
+                    this.pick(before, fields, old.parent), this.pick(after, fields, entry.parent)),
+                fields: fields
+            });
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Flatten a catalog into maps of categories, items and modifiers keyed by id.
+     * Modifier ids are only unique within their item, so they are keyed as "<item id>/<modifier id>".
+     */
+    index(catalog) {
+        const result = { category: new Map(), item: new Map(), modifier: new Map() };
+        const categories = catalog?.menu?.categories || [];
+        
+        categories.forEach(category => {
+            result.category.set(category.id, {
+                id: category.id,
+                path: [category.name],
+                parent: null,
+                data: category
+            });
+            
+            (category.items || []).forEach(item => {
+                const itemPath = [category.name, item.name];
+                result.item.set(item.id, {
+                    id: item.id,
+                    path: itemPath,
+                    parent: category.id,
+                    data: item
+                });
+                
+                (item.modifiers || []).forEach(modifier => {
+                    result.modifier.set(`${item.id}/${modifier.id}`, {
+                        id: modifier.id,
+                        path: [...itemPath, modifier.name],
+                        parent: item.id,
+                        data: modifier
+                    });
+                });
+                
+                (item.toppings || []).forEach(group => {
+                    (group.options || []).forEach(option => {
+                        result.modifier.set(`${item.id}/${group.id}/${option.id}`, {
+                            id: option.id,
+                            path: [...itemPath, group.name, option.name],
+                            parent: `${item.id}/${group.id}`,
+                            data: option
+                        });
+                    });
+                });
+            });
+        });
+        
+        return result;
+    }
+    
+    change(type, entity, entry, before, after) {
+        return {
+            type: type,
+            entity: entity,
+            id: entry.id,
+            name: entry.data.name,
+            path: entry.path.join(' › '),
+            before: before,
+            after: after
+        };
+    }
+    
+    isAvailable(entity) {
+        return entity.available !== false;
+    }
+    
+    pick(object, fields, parent) {
+        return fields.reduce((picked, field) => {
+            picked[field] = field === 'parent' ? parent : object[field];
+            return picked;
+        }, {});
+    }
+}
+
+// Initialize global catalog diff
+if (typeof window !== 'undefined') {
+    window.catalogDiff = new CatalogDiff();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogDiff;
+}
@@ -0,0 +1,510 @@
+/**
+ * Catalog Validator
+ * JSON Schema for the Talabat catalog and a validator that reports errors as JSON pointer
+ * paths with line/column positions. Shared by the browser and the server.
+ */
+
+const CATALOG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Talabat POS Catalog',
+    type: 'object',
+    required: ['vendor_code', 'remote_id', 'menu'],
+    properties: {
+        vendor_code: { type: 'string', minLength: 1 },
+        remote_id: { type: 'string', minLength: 1 },
+        country: { type: 'string', enum: ['AE', 'SA', 'KW', 'BH', 'OM', 'QA', 'JO', 'EG'] },
+        currency: { $ref: '#/definitions/currency' },
+        menu: {
+            type: 'object',
+            required: ['categories'],
+            properties: {
+                categories: { type: 'array', minItems: 1, items: { $ref: '#/definitions/category' } }
+            }
+        },
+        store_info: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                address: { type: 'string' },
+                phone: { type: 'string', pattern: '^\\+?[0-9 -]{7,20}$', description: 'a phone number' },
+                email: { type: 'string', format: 'email' }
+            }
+        },
+        availability: { $ref: '#/definitions/weeklyAvailability' },
+        delivery_zones: { type: 'array', items: { $ref: '#/definitions/deliveryZone' } }
+    },
+    definitions: {
+        currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'an ISO 4217 currency code' },
+        price: { type: 'number', minimum: 0 },
+        time: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$', description: 'a time in HH:MM format' },
+        imageUrl: {
+            type: 'string',
+            format: 'uri',
+            pattern: '^https://.+\\.(jpe?g|png|webp)(\\?.*)?$',
+            description: 'an HTTPS URL of a JPEG, PNG or WebP image'
+        },
+        category: {
+            type: 'object',
+            required: ['id', 'name', 'items'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                description: { type: 'string', maxLength: 500 },
+                display_order: { type: 'integer', minimum: 0 },
+                available: { type: 'boolean' },
+                image_url: { $ref: '#/definitions/imageUrl' },
+                items: { type: 'array', items: { $ref: '#/definitions/item' } }
+            }
+        },
+        item: {
+            type: 'object',
+            required: ['id', 'name', 'price'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                description: { type: 'string', maxLength: 1000 },
+                price: { type: 'number', exclusiveMinimum: 0 },
+                currency: { $ref: '#/definitions/currency' },
+                available: { type: 'boolean' },
+                category_id: { type: 'string' },
+                image_url: { $ref: '#/definitions/imageUrl' },
+                images: { type: 'array', items: { $ref: '#/definitions/image' } },
+                prep_time: { type: 'integer', minimum: 0 },
+                allergens: { type: 'array', items: { type: 'string' } },
+                availability: { $ref: '#/definitions/weeklyAvailability' },
+                modifiers: { type: 'array', items: { $ref: '#/definitions/modifier' } },
+                toppings: { type: 'array', items: { $ref: '#/definitions/toppingGroup' } }
+            }
+        },
+        modifier: {
+            type: 'object',
+            required: ['id', 'name', 'price'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1 },
+                price: { $ref: '#/definitions/price' },
+                available: { type: 'boolean' },
+                max_quantity: { type: 'integer', minimum: 1 }
+            }
+        },
+        toppingGroup: {
+            type: 'object',
+            required: ['id', 'name', 'options'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1 },
+                min_selection: { type: 'integer', minimum: 0 },
+                max_selection: { type: 'integer', minimum: 1 },
+                options: { type: 'array', minItems: 1, items: { $ref: '#/definitions/modifier' } }
+            }
+        },
+        image: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+                url: { $ref: '#/definitions/imageUrl' },
+                width: { type: 'integer', minimum: 300 },
+                height: { type: 'integer', minimum: 300 },
+                alt: { type: 'string' }
+            }
+        },
+        dayAvailability: {
+            type: 'object',
+            required: ['open', 'close'],
+            properties: {
+                open: { $ref: '#/definitions/time' },
+                close: { $ref: '#/definitions/time' },
+                available: { type: 'boolean' }
+            }
+        },
+        weeklyAvailability: {
+            type: 'object',
+            properties: {
+                monday: { $ref: '#/definitions/dayAvailability' },
+                tuesday: { $ref: '#/definitions/dayAvailability' },
+                wednesday: { $ref: '#/definitions/dayAvailability' },
+                thursday: { $ref: '#/definitions/dayAvailability' },
+                friday: { $ref: '#/definitions/dayAvailability' },
+                saturday: { $ref: '#/definitions/dayAvailability' },
+                sunday: { $ref: '#/definitions/dayAvailability' }
+            },
+            additionalProperties: false
+        },
+        deliveryZone: {
+            type: 'object',
+            required: ['id', 'name', 'delivery_fee'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string', minLength: 1 },
+                delivery_fee: { $ref: '#/definitions/price' },
+                min_order_amount: { $ref: '#/definitions/price' },
+                delivery_time: { type: 'integer', minimum: 1 },
+                polygon: {
+                    type: 'array',
+                    minItems: 3,
+                    items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+                }
+            }
+        }
+    }
+};
+
+class CatalogValidator {
+    constructor(schema = CATALOG_SCHEMA) {
+        this.schema = schema;
+    }
+    
+    static get SCHEMA() {
+        return CATALOG_SCHEMA;
+    }
+    
+    /**
+     * Validate a catalog given as JSON text (errors get line/column) or as an object.
+     * Returns { valid, errors, catalog }.
+     */
+    validate(input) {
+        let catalog = input;
+        let positions = null;
+        
+        if (typeof input === 'string') {
+            try {
+                ({ value: catalog, positions } = this.parseWithPositions(input));
+            } catch (error) {
+                return {
+                    valid: false,
+                    catalog: null,
+                    errors: [{
+                        pointer: '',
+                        keyword: 'syntax',
+                        message: error.message,
+                        line: error.line,
+                        column: error.column
+                    }]
+                };
+            }
+        }
+        
+        const errors = [];
+        this.validateValue(catalog, this.schema, '', errors);
+        if (errors.length === 0) {
+            this.checkRules(catalog, errors);
+        }
+        
+        if (positions) {
+            errors.forEach(error => {
+                const position = positions.get(error.pointer) || { line: null, column: null };
+                error.line = position.line;
+                error.column = position.column;
+            });
+        }
+        
+        return { valid: errors.length === 0, errors, catalog };
+    }
+    
+    /**
+     * Validate one value against a (sub)schema
+     */
+    validateValue(value, schema, pointer, errors) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+        
+        const fail = (keyword, message) => errors.push({ pointer, keyword, message });
+        
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            fail('type', `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+            return;
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('enum', `must be one of ${schema.enum.join(', ')}`);
+        }
+        
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail('maxLength', `must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.format && !this.matchesFormat(value, schema.format)) {
+                fail('format', `must be a valid ${schema.format}`);
+            } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail('pattern', schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}`);
+            }
+        }
+        
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail('minimum', `must be >= ${schema.minimum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail('maximum', `must be <= ${schema.maximum}`);
+            }
+        }
+        
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail('maxItems', `must contain at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${pointer}/${index}`, errors));
+            }
+        }
+        
+        if (this.matchesType(value, 'object')) {
+            (schema.required || []).forEach(property => {
+                if (value[property] === undefined) {
+                    fail('required', `missing required property '${property}'`);
+                }
+            });
+            
+            Object.keys(value).forEach(property => {
+                const childPointer = `${pointer}/${this.escapePointer(property)}`;
+                if (schema.properties && schema.properties[property]) {
+                    this.validateValue(value[property], schema.properties[property], childPointer, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: `unknown property '${property}'` });
+                }
+            });
+        }
+    }
+    
+    /**
+     * Rules JSON Schema cannot express: unique ids and references between sections
+     */
+    checkRules(catalog, errors) {
+        const categoryIds = new Map();
+        const itemIds = new Map();
+        
+        catalog.menu.categories.forEach((category, categoryIndex) => {
+            const categoryPointer = `/menu/categories/${categoryIndex}`;
+            
+            if (categoryIds.has(category.id)) {
+                errors.push({ pointer: `${categoryPointer}/id`, keyword: 'uniqueId', message: `duplicate category id '${category.id}' (first used at ${categoryIds.get(category.id)})` });
+            } else {
+                categoryIds.set(category.id, `${categoryPointer}/id`);
+            }
+            
+            category.items.forEach((item, itemIndex) => {
+                const itemPointer = `${categoryPointer}/items/${itemIndex}`;
+                
+                if (itemIds.has(item.id)) {
+                    errors.push({ pointer: `${itemPointer}/id`, keyword: 'uniqueId', message: `duplicate item id '${item.id}' (first used at ${itemIds.get(item.id)})` });
+                } else {
+                    itemIds.set(item.id, `${itemPointer}/id`);
+                }
+                
+                if (item.category_id !== undefined && item.category_id !== category.id) {
+                    errors.push({ pointer: `${itemPointer}/category_id`, keyword: 'categoryReference', message: `must match the enclosing category id '${category.id}'` });
+                }
+                
+                if (item.currency && catalog.currency && item.currency !== catalog.currency) {
+                    errors.push({ pointer: `${itemPointer}/currency`, keyword: 'currency', message: `must match the catalog currency '${catalog.currency}'` });
+                }
+                
+                (item.toppings || []).forEach((group, groupIndex) => {
+                    if (group.min_selection !== undefined && group.max_selection !== undefined && group.min_selection > group.max_selection) {
+                        errors.push({ pointer: `${itemPointer}/toppings/${groupIndex}/min_selection`, keyword: 'selectionRange', message: 'must not be greater than max_selection' });
+                    }
+                });
+                
+                this.checkAvailability(item.availability, `${itemPointer}/availability`, errors);
+            });
+        });
+        
+        this.checkAvailability(catalog.availability, '/availability', errors);
+    }
+    
+    checkAvailability(availability, pointer, errors) {
+        Object.entries(availability || {}).forEach(([day, hours]) => {
+            // Closing at 00:00 means midnight, anything else must be after opening
+            if (hours.close !== '00:00' && hours.close <= hours.open) {
+                errors.push({ pointer: `${pointer}/${day}/close`, keyword: 'timeRange', message: `must be later than open (${hours.open})` });
+            }
+        });
+    }
+    
+    /**
+     * Schema helpers
+     */
+    resolveRef(ref) {
+        return ref.replace(/^#\//, '').split('/').reduce((schema, token) => schema[token], this.schema);
+    }
+    
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+    
+    matchesFormat(value, format) {
+        switch (format) {
+            case 'uri':
+                try {
+                    new URL(value);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            case 'email':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+            default:
+                return true;
+        }
+    }
+    
+    escapePointer(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+    
+    /**
+     * Parse JSON text and record the line/column where every value starts, keyed by JSON pointer.
+     * Syntax errors are thrown with `line` and `column` set.
+     */
+    parseWithPositions(text) {
+        const positions = new Map();
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+        
+        const locate = offset => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (lineStarts[middle] <= offset) low = middle;
+                else high = middle - 1;
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+        
+        let index = 0;
+        
+        const syntaxError = (message, offset = index) => {
+            const position = locate(Math.min(offset, text.length));
+            const error = new Error(`${message} at line ${position.line}, column ${position.column}`);
+            error.line = position.line;
+            error.column = position.column;
+            return error;
+        };
+        
+        const skipWhitespace = () => {
+            while (index < text.length && /[ \t\n\r]/.test(text[index])) index++;
+        };
+        
+        const parseString = () => {
+            const start = index;
+            index++;
+            while (index < text.length && text[index] !== '"') {
+                if (text[index] === '\\') index++;
+                else if (text[index] < ' ') throw syntaxError('Unescaped control character in string');
+                index++;
+            }
+            if (index >= text.length) throw syntaxError('Unterminated string', start);
+            index++;
+            try {
+                return JSON.parse(text.slice(start, index));
+            } catch (error) {
+                throw syntaxError('Invalid escape sequence in string', start);
+            }
+        };
+        
+        const parseValue = pointer => {
+            skipWhitespace();
+            positions.set(pointer, locate(index));
+            const character = text[index];
+            
+            if (character === '{') {
+                const object = {};
+                index++;
+                skipWhitespace();
+                if (text[index] === '}') {
+                    index++;
+                    return object;
+                }
+                while (true) {
+                    skipWhitespace();
+                    if (text[index] !== '"') throw syntaxError('Expected a property name');
+                    const key = parseString();
+                    skipWhitespace();
+                    if (text[index] !== ':') throw syntaxError(`Expected ':' after property name '${key}'`);
+                    index++;
+                    object[key] = parseValue(`${pointer}/${this.escapePointer(key)}`);
+                    skipWhitespace();
+                    if (text[index] === ',') {
+                        index++;
+                    } else if (text[index] === '}') {
+                        index++;
+                        return object;
+                    } else {
+                        throw syntaxError("Expected ',' or '}' after property value");
+                    }
+                }
+            }
+            
+            if (character === '[') {
+                const array = [];
+                index++;
+                skipWhitespace();
+                if (text[index] === ']') {
+                    index++;
+                    return array;
+                }
+                while (true) {
+                    array.push(parseValue(`${pointer}/${array.length}`));
+                    skipWhitespace();
+                    if (text[index] === ',') {
+                        index++;
+                    } else if (text[index] === ']') {
+                        index++;
+                        return array;
+                    } else {
+                        throw syntaxError("Expected ',' or ']' after array element");
+                    }
+                }
+            }
+            
+            if (character === '"') {
+                return parseString();
+            }
+            
+            const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(index, index + 400));
+            if (!literal) {
+                throw syntaxError(index >= text.length ? 'Unexpected end of JSON' : `Unexpected character '${character}'`);
+            }
+            index += literal[0].length;
+            return JSON.parse(literal[0]);
+        };
+        
+        const value = parseValue('');
+        skipWhitespace();
+        if (index < text.length) {
+            throw syntaxError('Unexpected content after the JSON value');
+        }
+        
+        return { value, positions };
+    }
+}
+
+// Initialize global catalog validator
+if (typeof window !== 'undefined') {
+    window.catalogValidator = new CatalogValidator();
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogValidator;
+}
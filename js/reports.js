@@ -26,6 +26,11 @@ class ReportsManager {
                 description: 'Detailed analysis of errors and issues',
                 fields: ['error_types', 'error_frequencies', 'error_trends', 'resolution_times']
             },
+            tests: {
+                name: 'Test Results Report',
+                description: 'Integration test runs with pass rates per test type',
+                fields: ['test_type', 'test_name', 'status', 'execution_time_ms', 'error_message']
+            },
             all: {
                 name: 'Comprehensive Order Report',
                 description: 'All orders with complete details',
@@ -49,28 +54,96 @@ class ReportsManager {
     }
     
     /**
-     * Load scheduled reports from storage
+     * Load scheduled reports from the platform
      */
-    loadScheduledReports() {
-        try {
-            const stored = localStorage.getItem('talabat_pos_scheduled_reports');
-            if (stored) {
-                this.scheduledReports = JSON.parse(stored);
-            }
-        } catch (error) {
-            console.error('Error loading scheduled reports:', error);
+    async loadScheduledReports() {
+        if (!window.apiClient) return;
+        
+        const result = await window.apiClient.getScheduledReports();
+        if (!result.success) {
+            console.error('Error loading scheduled reports:', result.error);
+            return;
         }
+        
+        this.scheduledReports = result.data;
+        this.renderScheduledReports();
     }
     
     /**
-     * Save scheduled reports to storage
+     * Render the active schedules with the outcome of their last run
      */
-    saveScheduledReports() {
-        try {
-            localStorage.setItem('talabat_pos_scheduled_reports', JSON.stringify(this.scheduledReports));
-        } catch (error) {
-            console.error('Error saving scheduled reports:', error);
+    renderScheduledReports() {
+        const list = document.getElementById('scheduled-reports-list');
+        if (!list) return;
+        
+        if (this.scheduledReports.length === 0) {
+            list.innerHTML = '<div class="webhook-empty">No reports scheduled</div>';
+            return;
+        }
+        
+        const statusIcons = { success: '✅', failed: '❌', skipped: '⏭️' };
+        const deliveryIcons = { sent: '✅', pending: '⏳', retrying: '🔁', failed: '❌' };
+        const rows = this.scheduledReports.map(schedule => `
+            <tr>
+                <td>${this.escapeHtml(this.reportTemplates[schedule.report_type]?.name || schedule.report_type)}</td>
+                <td>${this.escapeHtml(schedule.report_format.toUpperCase())}</td>
+                <td>${this.escapeHtml(schedule.frequency === 'cron' ? schedule.cron_expression : schedule.frequency)}</td>
+                <td>${new Date(schedule.next_run).toLocaleString()}</td>
+                <td>${schedule.last_run_status
+                    ? `${statusIcons[schedule.last_run_status] || ''} ${new Date(schedule.last_run_at).toLocaleString()}`
+                    : 'Not run yet'}</td>
+                <td>${(schedule.deliveries || []).length > 0
+                    ? schedule.deliveries.map(delivery => `
+                        <div title="${this.escapeHtml(delivery.last_error || delivery.last_response || '')}">
+                            ${deliveryIcons[delivery.status] || ''} ${this.escapeHtml(delivery.recipient)}
+                            ${delivery.status === 'retrying' ? `(attempt ${delivery.attempts}, retry ${new Date(delivery.next_attempt_at).toLocaleTimeString()})` : ''}
+                        </div>
+                    `).join('')
+                    : this.escapeHtml(schedule.email_recipients ? schedule.email_recipients.split(',').join(', ') : '-')}</td>
+                <td>
+                    <a href="#" onclick="window.reportsManager.showScheduleRuns(${schedule.id}); return false;">History</a>
+                    · <a href="#" onclick="window.reportsManager.cancelScheduledReport(${schedule.id}); return false;">Cancel</a>
+                </td>
+            </tr>
+        `).join('');
+        
+        list.innerHTML = `
+            <table class="webhook-table">
+                <thead>
+                    <tr><th>Report</th><th>Format</th><th>Frequency</th><th>Next Run</th><th>Last Run</th><th>Email</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    async showScheduleRuns(scheduleId) {
+        const result = await window.apiClient.getScheduledReportRuns(scheduleId);
+        if (!result.success) {
+            this.showResults('Schedule History', ['❌ Failed to load run history: ' + result.error], 'report-results');
+            return;
         }
+        
+        const lines = result.data.map(run => {
+            const icon = run.status === 'success' ? '✅' : run.status === 'skipped' ? '⏭️' : '❌';
+            const detail = run.status === 'success'
+                ? `report #${run.report_id}, ${run.record_count} records, ${this.formatFileSize(run.file_size || 0)}`
+                : run.error_message;
+            return `${icon} ${new Date(run.scheduled_for).toLocaleString()}${run.catch_up ? ' (caught up)' : ''}: ${detail}`;
+        });
+        
+        this.showResults(`Schedule #${scheduleId} History`, lines.length > 0 ? lines : ['No runs yet'], 'report-results');
+    }
+    
+    async cancelScheduledReport(scheduleId) {
+        const result = await window.apiClient.cancelScheduledReport(scheduleId);
+        if (!result.success) {
+            this.showResults('Report Scheduling Results', ['❌ Failed to cancel schedule: ' + result.error], 'report-results');
+            return;
+        }
+        
+        this.logActivity(`Scheduled report #${scheduleId} cancelled`, 'info');
+        await this.loadScheduledReports();
     }
     
     /**
@@ -120,7 +193,7 @@ class ReportsManager {
     }
     
     /**
-     * Generate report based on parameters
+     * Generate a report on the platform and download the stored file
      */
     async generateReport() {
         try {
@@ -132,33 +205,42 @@ class ReportsManager {
             
             this.showLoading('Generating report...');
             
-            // Simulate report generation time
-            await this.simulateApiCall(2000);
-            
-            const reportData = await this.createReportData(params);
-            const formattedReport = await this.formatReport(reportData, params.format);
+            const config = window.configManager?.getCurrentConfig();
+            const result = await window.apiClient.generateReport({
+                integration_code: config?.integrationCode || null,
+                vendor_code: config?.vendorCode || null,
+                report_type: params.type,
+                report_format: params.format,
+                from_date: params.fromDate,
+                to_date: params.toDate
+            });
             
             this.hideLoading();
             
-            // Save to history
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            const { report, content } = result.data;
             const reportRecord = {
-                id: Date.now(),
+                id: report.id,
                 type: params.type,
                 format: params.format,
                 dateRange: { from: params.fromDate, to: params.toDate },
-                generatedAt: new Date().toISOString(),
-                recordCount: reportData.records ? reportData.records.length : 0,
-                fileSize: this.estimateFileSize(formattedReport)
+                generatedAt: content.report_info.generated_at,
+                recordCount: report.record_count,
+                fileSize: report.file_size,
+                checksum: report.checksum
             };
             
             this.reportHistory.push(reportRecord);
             this.saveReportHistory();
             
-            // Download or display report
-            this.deliverReport(formattedReport, params, reportRecord);
+            // Download the file the platform stored
+            this.deliverReport(reportRecord);
             
             // Show success results
-            this.showReportResults(reportRecord);
+            this.showReportResults(reportRecord, content.summary);
             
             this.logActivity(`Report generated successfully: ${this.reportTemplates[params.type].name}`, 'success');
             
@@ -221,398 +303,21 @@ class ReportsManager {
     }
     
     /**
-     * Create report data based on type and parameters
-     */
-    async createReportData(params) {
-        const config = window.configManager?.getCurrentConfig();
-        const template = this.reportTemplates[params.type];
-        
-        let reportData = {
-            reportInfo: {
-                title: template.name,
-                description: template.description,
-                generatedAt: new Date().toISOString(),
-                dateRange: { from: params.fromDate, to: params.toDate },
-                vendor: {
-                    code: config?.vendorCode || 'N/A',
-                    name: config?.integrationName || 'N/A',
-                    environment: config?.environment || 'staging'
-                }
-            },
-            summary: {},
-            records: []
-        };
-        
-        // Generate sample data based on report type
-        switch (params.type) {
-            case 'completed':
-                reportData = await this.generateCompletedOrdersReport(reportData, params);
-                break;
-            case 'cancelled':
-                reportData = await this.generateCancelledOrdersReport(reportData, params);
-                break;
-            case 'performance':
-                reportData = await this.generatePerformanceReport(reportData, params);
-                break;
-            case 'errors':
-                reportData = await this.generateErrorsReport(reportData, params);
-                break;
-            case 'all':
-                reportData = await this.generateAllOrdersReport(reportData, params);
-                break;
-        }
-        
-        return reportData;
-    }
-    
-    /**
-     * Generate completed orders report data
-     */
-    async generateCompletedOrdersReport(reportData, params) {
-        const fromDate = new Date(params.fromDate);
-        const toDate = new Date(params.toDate);
-        const daysDiff = Math.ceil((toDate - fromDate) / (1000 * 60 * 60 * 24));
-        
-        // Generate sample completed orders
-        const sampleOrders = [];
-        const ordersPerDay = Math.floor(Math.random() * 20) + 10;
-        
-        for (let i = 0; i < daysDiff * ordersPerDay; i++) {
-            const orderDate = new Date(fromDate.getTime() + Math.random() * (toDate - fromDate));
-            const completionTime = new Date(orderDate.getTime() + Math.random() * 60 * 60 * 1000); // Add 0-60 minutes
-            
-            sampleOrders.push({
-                order_id: `ORD${Date.now()}_${i}`,
-                vendor_code: reportData.reportInfo.vendor.code,
-                remote_id: window.configManager?.getCurrentConfig()?.remoteId || '123456',
-                order_date: orderDate.toISOString(),
-                completion_time: completionTime.toISOString(),
-                total_amount: (Math.random() * 100 + 20).toFixed(2),
-                currency: window.configManager?.getCountryConfig()?.currency || 'AED',
-                customer_info: {
-                    masked_phone: `+971*****${Math.floor(Math.random() * 9000) + 1000}`,
-                    area: `Area ${Math.floor(Math.random() * 10) + 1}`
-                },
-                delivery_time_minutes: Math.floor(Math.random() * 30) + 20,
-                rating: Math.floor(Math.random() * 2) + 4 // 4-5 stars
-            });
-        }
-        
-        reportData.records = sampleOrders;
-        reportData.summary = {
-            total_orders: sampleOrders.length,
-            total_revenue: sampleOrders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0).toFixed(2),
-            average_order_value: sampleOrders.length > 0 ? 
-                (sampleOrders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0) / sampleOrders.length).toFixed(2) : '0.00',
-            average_delivery_time: sampleOrders.length > 0 ?
-                Math.round(sampleOrders.reduce((sum, order) => sum + order.delivery_time_minutes, 0) / sampleOrders.length) : 0,
-            average_rating: sampleOrders.length > 0 ?
-                (sampleOrders.reduce((sum, order) => sum + order.rating, 0) / sampleOrders.length).toFixed(1) : '0.0'
-        };
-        
-        return reportData;
-    }
-    
-    /**
-     * Generate cancelled orders report data
-     */
-    async generateCancelledOrdersReport(reportData, params) {
-        const fromDate = new Date(params.fromDate);
-        const toDate = new Date(params.toDate);
-        const daysDiff = Math.ceil((toDate - fromDate) / (1000 * 60 * 60 * 24));
-        
-        const cancellationReasons = [
-            'Customer Requested',
-            'Restaurant Unavailable',
-            'Out of Stock',
-            'Delivery Issues',
-            'Payment Failed',
-            'Technical Error'
-        ];
-        
-        const sampleCancelled = [];
-        const cancelledPerDay = Math.floor(Math.random() * 5) + 1;
-        
-        for (let i = 0; i < daysDiff * cancelledPerDay; i++) {
-            const orderDate = new Date(fromDate.getTime() + Math.random() * (toDate - fromDate));
-            const cancelledAt = new Date(orderDate.getTime() + Math.random() * 30 * 60 * 1000); // Cancel within 30 minutes
-            
-            sampleCancelled.push({
-                order_id: `CAN${Date.now()}_${i}`,
-                vendor_code: reportData.reportInfo.vendor.code,
-                order_date: orderDate.toISOString(),
-                cancelled_at: cancelledAt.toISOString(),
-                total_amount: (Math.random() * 100 + 20).toFixed(2),
-                currency: window.configManager?.getCountryConfig()?.currency || 'AED',
-                cancellation_reason: cancellationReasons[Math.floor(Math.random() * cancellationReasons.length)],
-                cancelled_by: Math.random() > 0.5 ? 'customer' : 'restaurant',
-                refund_amount: (Math.random() * 100 + 20).toFixed(2),
-                refund_status: Math.random() > 0.2 ? 'processed' : 'pending'
-            });
-        }
-        
-        reportData.records = sampleCancelled;
-        
-        // Calculate cancellation reasons summary
-        const reasonCounts = {};
-        sampleCancelled.forEach(order => {
-            reasonCounts[order.cancellation_reason] = (reasonCounts[order.cancellation_reason] || 0) + 1;
-        });
-        
-        reportData.summary = {
-            total_cancelled: sampleCancelled.length,
-            total_refunded: sampleCancelled.reduce((sum, order) => sum + parseFloat(order.refund_amount), 0).toFixed(2),
-            cancellation_reasons: reasonCounts,
-            customer_cancelled: sampleCancelled.filter(order => order.cancelled_by === 'customer').length,
-            restaurant_cancelled: sampleCancelled.filter(order => order.cancelled_by === 'restaurant').length,
-            refunds_processed: sampleCancelled.filter(order => order.refund_status === 'processed').length,
-            refunds_pending: sampleCancelled.filter(order => order.refund_status === 'pending').length
-        };
-        
-        return reportData;
-    }
-    
-    /**
-     * Generate performance report data
-     */
-    async generatePerformanceReport(reportData, params) {
-        const metrics = window.monitoringManager?.getMonitoringSummary() || {};
-        
-        reportData.records = [
-            {
-                metric: 'API Response Time',
-                value: metrics.averageResponseTime || 0,
-                unit: 'ms',
-                status: metrics.averageResponseTime < 1000 ? 'good' : 'needs_attention'
-            },
-            {
-                metric: 'Success Rate',
-                value: metrics.successRate || 100,
-                unit: '%',
-                status: metrics.successRate > 95 ? 'excellent' : metrics.successRate > 90 ? 'good' : 'poor'
-            },
-            {
-                metric: 'Total API Calls',
-                value: window.monitoringManager?.performanceData.apiCalls || 0,
-                unit: 'calls',
-                status: 'info'
-            },
-            {
-                metric: 'Error Rate',
-                value: metrics.successRate ? (100 - metrics.successRate) : 0,
-                unit: '%',
-                status: metrics.successRate > 95 ? 'excellent' : 'needs_attention'
-            },
-            {
-                metric: 'System Uptime',
-                value: metrics.uptime || 'Unknown',
-                unit: 'status',
-                status: metrics.uptime === 'Active' ? 'excellent' : 'warning'
-            }
-        ];
-        
-        reportData.summary = {
-            overall_performance: metrics.successRate > 95 && metrics.averageResponseTime < 1000 ? 'Excellent' : 
-                                 metrics.successRate > 90 && metrics.averageResponseTime < 2000 ? 'Good' : 'Needs Improvement',
-            recommendations: this.generatePerformanceRecommendations(metrics)
-        };
-        
-        return reportData;
-    }
-    
-    /**
-     * Generate errors report data
-     */
-    async generateErrorsReport(reportData, params) {
-        const logs = window.monitoringManager?.logs || [];
-        const errorLogs = logs.filter(log => log.level === 'error');
-        
-        // Group errors by type
-        const errorTypes = {};
-        errorLogs.forEach(log => {
-            const errorType = this.categorizeError(log.message);
-            if (!errorTypes[errorType]) {
-                errorTypes[errorType] = [];
-            }
-            errorTypes[errorType].push(log);
-        });
-        
-        const errorSummary = Object.keys(errorTypes).map(type => ({
-            error_type: type,
-            count: errorTypes[type].length,
-            first_occurrence: errorTypes[type][0]?.timestamp,
-            last_occurrence: errorTypes[type][errorTypes[type].length - 1]?.timestamp,
-            sample_message: errorTypes[type][0]?.message
-        }));
-        
-        reportData.records = errorLogs.map(log => ({
-            timestamp: log.timestamp,
-            error_type: this.categorizeError(log.message),
-            message: log.message,
-            module: log.module,
-            details: log.details
-        }));
-        
-        reportData.summary = {
-            total_errors: errorLogs.length,
-            unique_error_types: Object.keys(errorTypes).length,
-            error_types_summary: errorSummary,
-            error_trend: this.calculateErrorTrend(errorLogs),
-            most_common_error: errorSummary.length > 0 ? 
-                errorSummary.reduce((max, current) => current.count > max.count ? current : max) : null
-        };
-        
-        return reportData;
-    }
-    
-    /**
-     * Generate all orders report data
-     */
-    async generateAllOrdersReport(reportData, params) {
-        // Combine completed and cancelled orders
-        const completedData = await this.generateCompletedOrdersReport({ ...reportData }, params);
-        const cancelledData = await this.generateCancelledOrdersReport({ ...reportData }, params);
-        
-        const allOrders = [
-            ...completedData.records.map(order => ({ ...order, status: 'completed' })),
-            ...cancelledData.records.map(order => ({ ...order, status: 'cancelled' }))
-        ];
-        
-        // Sort by order date
-        allOrders.sort((a, b) => new Date(b.order_date) - new Date(a.order_date));
-        
-        reportData.records = allOrders;
-        reportData.summary = {
-            total_orders: allOrders.length,
-            completed_orders: completedData.records.length,
-            cancelled_orders: cancelledData.records.length,
-            completion_rate: allOrders.length > 0 ? 
-                ((completedData.records.length / allOrders.length) * 100).toFixed(1) + '%' : '0%',
-            total_revenue: completedData.summary.total_revenue,
-            total_refunded: cancelledData.summary.total_refunded
-        };
-        
-        return reportData;
-    }
-    
-    /**
-     * Format report based on requested format
+     * Download a report file stored by the platform
      */
-    async formatReport(reportData, format) {
-        switch (format) {
-            case 'json':
-                return JSON.stringify(reportData, null, 2);
-            case 'csv':
-                return this.formatAsCSV(reportData);
-            case 'pdf':
-                return this.formatAsPDF(reportData);
-            default:
-                return JSON.stringify(reportData, null, 2);
-        }
-    }
-    
-    /**
-     * Format report data as CSV
-     */
-    formatAsCSV(reportData) {
-        if (!reportData.records || reportData.records.length === 0) {
-            return 'No data available';
-        }
-        
-        // Get all possible columns
-        const columns = new Set();
-        reportData.records.forEach(record => {
-            Object.keys(record).forEach(key => {
-                if (typeof record[key] !== 'object' || record[key] === null) {
-                    columns.add(key);
-                }
-            });
-        });
-        
-        const columnArray = Array.from(columns).sort();
-        
-        // Create CSV content
-        const csvLines = [columnArray.join(',')];
-        
-        reportData.records.forEach(record => {
-            const row = columnArray.map(column => {
-                const value = record[column];
-                if (value === null || value === undefined) {
-                    return '';
-                }
-                // Escape commas and quotes
-                return `"${String(value).replace(/"/g, '""')}"`;
-            });
-            csvLines.push(row.join(','));
-        });
-        
-        return csvLines.join('\n');
-    }
-    
-    /**
-     * Format report data as PDF (simulated)
-     */
-    formatAsPDF(reportData) {
-        // In a real implementation, this would generate actual PDF content
-        // For now, we'll return a formatted text representation
-        let pdfContent = `${reportData.reportInfo.title}\n`;
-        pdfContent += `Generated: ${reportData.reportInfo.generatedAt}\n`;
-        pdfContent += `Date Range: ${reportData.reportInfo.dateRange.from} to ${reportData.reportInfo.dateRange.to}\n\n`;
-        
-        pdfContent += 'SUMMARY:\n';
-        Object.keys(reportData.summary).forEach(key => {
-            pdfContent += `${key}: ${JSON.stringify(reportData.summary[key])}\n`;
-        });
-        
-        pdfContent += '\nDETAILS:\n';
-        reportData.records.forEach((record, index) => {
-            pdfContent += `Record ${index + 1}:\n`;
-            Object.keys(record).forEach(key => {
-                pdfContent += `  ${key}: ${record[key]}\n`;
-            });
-            pdfContent += '\n';
-        });
-        
-        return pdfContent;
-    }
-    
-    /**
-     * Deliver report to user (download or display)
-     */
-    deliverReport(formattedReport, params, reportRecord) {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `talabat-pos-${params.type}-report-${timestamp}.${params.format}`;
-        
-        let mimeType;
-        switch (params.format) {
-            case 'json':
-                mimeType = 'application/json';
-                break;
-            case 'csv':
-                mimeType = 'text/csv';
-                break;
-            case 'pdf':
-                mimeType = 'text/plain'; // In real implementation, would be 'application/pdf'
-                break;
-            default:
-                mimeType = 'text/plain';
-        }
-        
-        const blob = new Blob([formattedReport], { type: mimeType });
-        const url = URL.createObjectURL(blob);
+    deliverReport(reportRecord) {
         const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
+        a.href = window.apiClient.getReportDownloadUrl(reportRecord.id);
+        a.download = `talabat-pos-${reportRecord.type}-report-${reportRecord.dateRange.from}-${reportRecord.dateRange.to}.${reportRecord.format}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
-        URL.revokeObjectURL(url);
     }
     
     /**
      * Show report generation results
      */
-    showReportResults(reportRecord) {
+    showReportResults(reportRecord, summary = {}) {
         const results = [
             '✅ Report generated successfully',
             `✅ Report type: ${this.reportTemplates[reportRecord.type].name}`,
@@ -620,9 +325,15 @@ class ReportsManager {
             `✅ Format: ${reportRecord.format.toUpperCase()}`,
             `✅ Records: ${reportRecord.recordCount}`,
             `✅ File size: ${this.formatFileSize(reportRecord.fileSize)}`,
+            `✅ Checksum: ${reportRecord.checksum}`,
             '✅ Report downloaded successfully'
         ];
         
+        Object.entries(summary).forEach(([key, value]) => {
+            const label = key.replace(/_/g, ' ');
+            results.push(`${label}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+        });
+        
         this.showResults('Report Generation Results', results, 'report-results');
     }
     
@@ -637,28 +348,41 @@ class ReportsManager {
                 throw new Error('Invalid report parameters');
             }
             
-            // Get scheduling preferences (would show modal in real implementation)
-            const frequency = 'weekly'; // daily, weekly, monthly
-            const scheduledReport = {
-                id: Date.now(),
-                ...params,
-                frequency,
-                nextRun: this.calculateNextRun(frequency),
-                createdAt: new Date().toISOString(),
-                active: true
-            };
+            const frequency = document.getElementById('reportFrequency')?.value || 'weekly';
+            const cronExpression = document.getElementById('reportCron')?.value.trim();
+            if (frequency === 'cron' && !cronExpression) {
+                throw new Error('Please enter a cron expression');
+            }
             
-            this.scheduledReports.push(scheduledReport);
-            this.saveScheduledReports();
+            const config = window.configManager?.getCurrentConfig();
+            const result = await window.apiClient.scheduleReport({
+                integration_code: config?.integrationCode || null,
+                vendor_code: config?.vendorCode || null,
+                report_type: params.type,
+                report_format: params.format,
+                frequency: frequency,
+                cron_expression: frequency === 'cron' ? cronExpression : undefined,
+                email_recipients: document.getElementById('reportRecipients')?.value.trim() || undefined
+            });
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
             
+            const schedule = result.data;
             this.showResults('Report Scheduling Results', [
                 '✅ Report scheduled successfully',
                 `✅ Report type: ${this.reportTemplates[params.type].name}`,
-                `✅ Frequency: ${frequency}`,
-                `✅ Next run: ${scheduledReport.nextRun}`,
-                '✅ You will receive email notifications when reports are generated'
+                `✅ Frequency: ${frequency === 'cron' ? `cron "${schedule.cron_expression}"` : frequency}`,
+                `✅ Next run: ${new Date(schedule.next_run).toLocaleString()}`,
+                '✅ Each run covers the days since the previous run',
+                schedule.email_recipients
+                    ? `✅ Reports will be emailed to ${schedule.email_recipients.split(',').join(', ')}`
+                    : 'ℹ️ No email recipients; reports are kept in the report history'
             ], 'report-results');
             
+            await this.loadScheduledReports();
+            
             this.logActivity(`Report scheduled: ${this.reportTemplates[params.type].name} (${frequency})`, 'success');
             
         } catch (error) {
@@ -673,66 +397,6 @@ class ReportsManager {
     /**
      * Utility methods
      */
-    calculateNextRun(frequency) {
-        const now = new Date();
-        switch (frequency) {
-            case 'daily':
-                return new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString();
-            case 'weekly':
-                return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString();
-            case 'monthly':
-                const nextMonth = new Date(now);
-                nextMonth.setMonth(nextMonth.getMonth() + 1);
-                return nextMonth.toISOString();
-            default:
-                return new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString();
-        }
-    }
-    
-    categorizeError(message) {
-        if (message.includes('Authentication') || message.includes('login')) return 'Authentication';
-        if (message.includes('Network') || message.includes('fetch')) return 'Network';
-        if (message.includes('JSON') || message.includes('parse')) return 'Data Format';
-        if (message.includes('timeout')) return 'Timeout';
-        if (message.includes('Permission') || message.includes('access')) return 'Permission';
-        return 'General';
-    }
-    
-    calculateErrorTrend(errorLogs) {
-        // Simple trend calculation based on recent vs older errors
-        const now = Date.now();
-        const oneHourAgo = now - (60 * 60 * 1000);
-        
-        const recentErrors = errorLogs.filter(log => new Date(log.timestamp).getTime() > oneHourAgo);
-        const olderErrors = errorLogs.filter(log => new Date(log.timestamp).getTime() <= oneHourAgo);
-        
-        if (recentErrors.length > olderErrors.length) return 'increasing';
-        if (recentErrors.length < olderErrors.length) return 'decreasing';
-        return 'stable';
-    }
-    
-    generatePerformanceRecommendations(metrics) {
-        const recommendations = [];
-        
-        if (metrics.averageResponseTime > 1000) {
-            recommendations.push('Consider optimizing API response times');
-        }
-        
-        if (metrics.successRate < 95) {
-            recommendations.push('Investigate and resolve API failures');
-        }
-        
-        if (metrics.errorLogs > 0) {
-            recommendations.push('Review and address system errors');
-        }
-        
-        return recommendations.length > 0 ? recommendations : ['System performance is optimal'];
-    }
-    
-    estimateFileSize(content) {
-        return new Blob([content]).size;
-    }
-    
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -741,8 +405,12 @@ class ReportsManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
     
-    simulateApiCall(duration) {
-        return new Promise(resolve => setTimeout(resolve, duration));
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
     
     showLoading(message) {
@@ -788,6 +456,20 @@ function scheduleReport() {
     }
 }
 
+function loadScheduledReports() {
+    if (window.reportsManager) {
+        return window.reportsManager.loadScheduledReports();
+    }
+}
+
+function toggleReportCron() {
+    const frequency = document.getElementById('reportFrequency')?.value;
+    const cronGroup = document.getElementById('reportCronGroup');
+    if (cronGroup) {
+        cronGroup.style.display = frequency === 'cron' ? 'block' : 'none';
+    }
+}
+
 // Initialize global reports manager
 window.reportsManager = new ReportsManager();
 
@@ -3,6 +3,19 @@
  * Handles all integration testing functionality
  */
 
+// Job states after which the platform no longer changes a test job
+const TEST_JOB_FINISHED = ['passed', 'failed', 'cancelled', 'interrupted'];
+
+// Full suite step -> key of the individual test in testResults
+const TEST_JOB_STEPS = {
+    authentication: 'auth',
+    order_management: 'order',
+    catalog_management: 'catalog',
+    store_management: 'store',
+    webhooks: 'webhook',
+    reporting: 'report'
+};
+
 class IntegrationTester {
     constructor() {
         this.testResults = {
@@ -18,6 +31,11 @@ class IntegrationTester {
         this.testQueue = [];
         this.isRunning = false;
         
+        // A running test job is polled every second while it makes progress; the wait
+        // doubles up to the maximum while it sits in the queue or on a long step
+        this.jobPollInterval = 1000;
+        this.maxJobPollInterval = 10000;
+        
         this.initialize();
     }
     
@@ -81,93 +99,175 @@ class IntegrationTester {
             
             this.updateProgress('order-progress', 0);
             const results = [];
-            let progress = 0;
+            
+            // Orders whose lifecycle is verified at the end, with the transitions we expect
+            const trackedOrders = [];
             
             // Test order reception
+            let receivedOrderId = null;
             if (document.getElementById('test-order-receive')?.checked) {
-                this.updateProgress('order-progress', 20);
-                await this.simulateApiCall(1500);
+                this.updateProgress('order-progress', 10);
                 
-                const orderData = this.generateSampleOrder(config);
-                const receptionResult = await window.apiClient.testOrderReception(orderData);
+                const dispatchResult = await window.apiClient.dispatchTestOrders(['order_reception']);
+                const reception = dispatchResult.data?.results?.order_reception;
                 
-                if (receptionResult.success) {
-                    results.push('✅ Order reception webhook tested successfully');
-                    results.push('✅ Order payload validation passed');
+                if (!dispatchResult.success) {
+                    results.push('❌ Order reception failed: ' + dispatchResult.error);
+                } else if (reception.status === 'passed') {
+                    receivedOrderId = reception.order_id;
+                    results.push(`✅ Order ${reception.order_id} delivered to POS (HTTP ${reception.status_code}, ${reception.response_time_ms}ms)`);
+                    results.push('✅ Order response schema validated');
                 } else {
-                    results.push('❌ Order reception failed: ' + receptionResult.error);
+                    results.push('❌ Order reception failed: ' + reception.details);
+                    (reception.schema_errors || []).forEach(error => results.push('❌ Schema: ' + error));
                 }
-                progress += 20;
             }
             
             // Test order acceptance
+            let acceptedOrderId = null;
             if (document.getElementById('test-order-accept')?.checked) {
-                this.updateProgress('order-progress', 40);
-                await this.simulateApiCall(1500);
+                this.updateProgress('order-progress', 25);
                 
-                const acceptanceData = {
-                    estimated_delivery_time: new Date(Date.now() + 30 * 60000).toISOString(),
-                    preparation_time: 25,
-                    accept_timestamp: new Date().toISOString()
-                };
-                
-                const acceptResult = await window.apiClient.testOrderAcceptance('test-order-123', acceptanceData);
-                
-                if (acceptResult.success) {
-                    results.push('✅ Order acceptance API tested');
-                    results.push('✅ Acceptance timestamp format validated');
-                } else {
-                    results.push('❌ Order acceptance failed: ' + acceptResult.error);
+                const orderId = receivedOrderId || await this.dispatchLifecycleOrder(results);
+                if (orderId) {
+                    const acceptResult = await window.apiClient.testOrderAcceptance(orderId, this.buildAcceptanceData());
+                    
+                    if (acceptResult.success) {
+                        acceptedOrderId = orderId;
+                        results.push(`✅ Order ${orderId} accepted (RECEIVED → ACCEPTED)`);
+                        results.push('✅ Acceptance timestamp format validated');
+                        trackedOrders.push({ orderId, expected: ['RECEIVED', 'ACCEPTED'] });
+                    } else {
+                        results.push('❌ Order acceptance failed: ' + acceptResult.error);
+                    }
                 }
-                progress += 20;
             }
             
             // Test order rejection
             if (document.getElementById('test-order-reject')?.checked) {
-                this.updateProgress('order-progress', 60);
-                await this.simulateApiCall(1500);
-                
-                const rejectionData = {
-                    reason_code: 'OUT_OF_STOCK',
-                    reason_description: 'Some items are out of stock',
-                    reject_timestamp: new Date().toISOString()
-                };
-                
-                const rejectResult = await window.apiClient.testOrderRejection('test-order-124', rejectionData);
+                this.updateProgress('order-progress', 40);
                 
-                if (rejectResult.success) {
-                    results.push('✅ Order rejection API tested');
-                    results.push('✅ Rejection reasons validated');
-                } else {
-                    results.push('❌ Order rejection failed: ' + rejectResult.error);
+                const orderId = await this.dispatchLifecycleOrder(results);
+                if (orderId) {
+                    const rejectionData = {
+                        reason_code: 'OUT_OF_STOCK',
+                        reason_description: 'Some items are out of stock',
+                        reject_timestamp: new Date().toISOString()
+                    };
+                    
+                    const rejectResult = await window.apiClient.testOrderRejection(orderId, rejectionData);
+                    
+                    if (rejectResult.success) {
+                        results.push(`✅ Order ${orderId} rejected (RECEIVED → REJECTED)`);
+                        
+                        // A rejected order is terminal; accepting it must be refused
+                        const illegalResult = await window.apiClient.testOrderAcceptance(orderId, this.buildAcceptanceData());
+                        if (illegalResult.success) {
+                            results.push('❌ Illegal transition REJECTED → ACCEPTED was allowed');
+                        } else {
+                            results.push('✅ Illegal transition REJECTED → ACCEPTED refused');
+                        }
+                        trackedOrders.push({ orderId, expected: ['RECEIVED', 'REJECTED'], allowedViolations: 1 });
+                    } else {
+                        results.push('❌ Order rejection failed: ' + rejectResult.error);
+                    }
                 }
-                progress += 20;
             }
             
             // Test order cancellation
             if (document.getElementById('test-order-cancel')?.checked) {
-                this.updateProgress('order-progress', 80);
-                await this.simulateApiCall(1500);
+                this.updateProgress('order-progress', 55);
                 
-                results.push('✅ Order cancellation webhook tested');
-                results.push('✅ Cancellation handling verified');
-                progress += 20;
+                const orderId = await this.dispatchLifecycleOrder(results);
+                if (orderId) {
+                    const acceptResult = await window.apiClient.testOrderAcceptance(orderId, this.buildAcceptanceData());
+                    const cancelResult = acceptResult.success
+                        ? await window.apiClient.testOrderStatusUpdate(orderId, 'CANCELLED', 'CUSTOMER_REQUESTED')
+                        : acceptResult;
+                    
+                    if (cancelResult.success) {
+                        results.push(`✅ Order ${orderId} cancelled after acceptance (ACCEPTED → CANCELLED)`);
+                        trackedOrders.push({ orderId, expected: ['RECEIVED', 'ACCEPTED', 'CANCELLED'] });
+                    } else {
+                        results.push('❌ Order cancellation failed: ' + cancelResult.error);
+                    }
+                }
             }
             
-            // Test status updates
+            // Test status updates through the full delivery flow
             if (document.getElementById('test-order-status')?.checked) {
-                await this.simulateApiCall(1000);
-                results.push('✅ Order status update API tested');
-                results.push('✅ Status transition validation passed');
-                progress += 10;
+                this.updateProgress('order-progress', 70);
+                
+                const flow = ['PREPARING', 'READY', 'PICKED_UP', 'DELIVERED'];
+                let orderId = acceptedOrderId;
+                if (!orderId) {
+                    orderId = await this.dispatchLifecycleOrder(results);
+                    const acceptResult = orderId
+                        ? await window.apiClient.testOrderAcceptance(orderId, this.buildAcceptanceData())
+                        : null;
+                    if (acceptResult && !acceptResult.success) {
+                        results.push('❌ Order acceptance failed: ' + acceptResult.error);
+                        orderId = null;
+                    }
+                }
+                
+                if (orderId) {
+                    let failed = false;
+                    for (const status of flow) {
+                        const statusResult = await window.apiClient.testOrderStatusUpdate(orderId, status);
+                        if (!statusResult.success) {
+                            results.push(`❌ Status update to ${status} failed: ${statusResult.error}`);
+                            failed = true;
+                            break;
+                        }
+                    }
+                    
+                    if (!failed) {
+                        results.push(`✅ Order ${orderId} moved through ${flow.join(' → ')}`);
+                        const tracked = trackedOrders.find(entry => entry.orderId === orderId);
+                        if (tracked) {
+                            tracked.expected.push(...flow);
+                        } else {
+                            trackedOrders.push({ orderId, expected: ['RECEIVED', 'ACCEPTED', ...flow] });
+                        }
+                    }
+                }
             }
             
-            // Test auto-accept functionality
+            // Test auto-accept: the POS must accept a new order on its own within the window
             if (document.getElementById('test-auto-accept')?.checked) {
-                await this.simulateApiCall(1000);
-                results.push('✅ Auto-accept functionality tested');
-                results.push('✅ Auto-accept timing validated');
-                progress += 10;
+                this.updateProgress('order-progress', 85);
+                
+                const orderId = await this.dispatchLifecycleOrder(results);
+                if (orderId) {
+                    const order = await this.waitForOrderStatus(orderId, status => status !== 'RECEIVED', 10000);
+                    
+                    if (order?.status === 'ACCEPTED') {
+                        results.push(`✅ Order ${orderId} auto-accepted by the POS`);
+                    } else {
+                        results.push(`❌ Order ${orderId} was not auto-accepted within 10s (status: ${order?.status || 'unknown'})`);
+                    }
+                }
+            }
+            
+            // Verify every order only made legal transitions
+            for (const tracked of trackedOrders) {
+                const lifecycle = await window.apiClient.getOrderLifecycle(tracked.orderId);
+                if (!lifecycle.success) {
+                    results.push(`❌ Could not load lifecycle of ${tracked.orderId}: ${lifecycle.error}`);
+                    continue;
+                }
+                
+                const transitions = lifecycle.data.events
+                    .filter(event => event.event_type === 'transition')
+                    .map(event => event.to_status);
+                const violations = lifecycle.data.violations.length - (tracked.allowedViolations || 0);
+                
+                if (transitions.join() === tracked.expected.join() && violations === 0) {
+                    results.push(`✅ Lifecycle of ${tracked.orderId}: ${transitions.join(' → ')}`);
+                } else {
+                    results.push(`❌ Lifecycle of ${tracked.orderId}: ${transitions.join(' → ')} (expected ${tracked.expected.join(' → ')}, ${violations} violation(s))`);
+                }
             }
             
             this.updateProgress('order-progress', 100);
@@ -181,12 +281,16 @@ class IntegrationTester {
                 results.push('✅ Vendor app integration verified');
             }
             
-            this.testResults.order = true;
-            this.updateBadge('order-badge', true);
+            const passed = !results.some(result => result.startsWith('❌'));
+            this.testResults.order = passed;
+            this.updateBadge('order-badge', passed);
             this.saveTestResults();
             
             this.showResults('Order Management Test Results', results, 'order-results');
-            this.logActivity('Order management testing completed successfully', 'success');
+            this.logActivity(
+                passed ? 'Order management testing completed successfully' : 'Order management testing completed with failures',
+                passed ? 'success' : 'error'
+            );
             
         } catch (error) {
             this.updateProgress('order-progress', 0);
@@ -198,33 +302,80 @@ class IntegrationTester {
         }
     }
     
+    /**
+     * Dispatch a fresh order to the POS and return its id, or null after reporting the failure
+     */
+    async dispatchLifecycleOrder(results) {
+        const dispatchResult = await window.apiClient.dispatchTestOrders(['order_reception']);
+        const reception = dispatchResult.data?.results?.order_reception;
+        
+        if (!dispatchResult.success) {
+            results.push('❌ Order dispatch failed: ' + dispatchResult.error);
+            return null;
+        }
+        
+        if (reception.status !== 'passed') {
+            results.push('❌ Order dispatch failed: ' + reception.details);
+            return null;
+        }
+        
+        return reception.order_id;
+    }
+    
+    /**
+     * Poll an order's lifecycle until its status matches or the timeout passes
+     */
+    async waitForOrderStatus(orderId, predicate, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        let lifecycle;
+        
+        do {
+            lifecycle = await window.apiClient.getOrderLifecycle(orderId);
+            if (lifecycle.success && predicate(lifecycle.data.status)) {
+                break;
+            }
+            await this.simulateApiCall(500);
+        } while (Date.now() < deadline);
+        
+        return lifecycle.success ? lifecycle.data : null;
+    }
+    
+    buildAcceptanceData() {
+        return {
+            estimated_delivery_time: new Date(Date.now() + 30 * 60000).toISOString(),
+            preparation_time: 25,
+            accept_timestamp: new Date().toISOString()
+        };
+    }
+    
     /**
      * Simulate various order scenarios
      */
     async simulateOrderScenarios() {
-        const scenarios = [
-            'Normal order flow',
-            'Peak time order handling',
-            'Network interruption recovery',
-            'Duplicate order prevention',
-            'Invalid order data handling',
-            'Timeout scenarios'
-        ];
+        const scenarios = {
+            order_reception: 'Normal order flow',
+            large_order: 'Large order handling',
+            pickup_order: 'Pickup order handling',
+            scheduled_order: 'Scheduled order handling'
+        };
         
         const results = [];
         
-        for (let i = 0; i < scenarios.length; i++) {
-            this.updateProgress('order-progress', (i + 1) * 16.67);
-            await this.simulateApiCall(1000);
-            
-            // Simulate random success/failure for demo
-            const success = Math.random() > 0.1; // 90% success rate
-            
-            if (success) {
-                results.push(`✅ ${scenarios[i]} - PASSED`);
-            } else {
-                results.push(`❌ ${scenarios[i]} - FAILED`);
-            }
+        this.updateProgress('order-progress', 10);
+        const dispatchResult = await window.apiClient.dispatchTestOrders(Object.keys(scenarios));
+        this.updateProgress('order-progress', 100);
+        
+        if (!dispatchResult.success) {
+            results.push('❌ Order dispatch failed: ' + dispatchResult.error);
+        } else {
+            Object.entries(scenarios).forEach(([scenario, label]) => {
+                const result = dispatchResult.data.results[scenario];
+                if (result.status === 'passed') {
+                    results.push(`✅ ${label} - PASSED (HTTP ${result.status_code}, ${result.response_time_ms}ms)`);
+                } else {
+                    results.push(`❌ ${label} - FAILED: ${result.details}`);
+                }
+            });
         }
         
         this.showResults('Order Scenarios Test Results', results, 'order-results');
@@ -249,55 +400,43 @@ class IntegrationTester {
             
             const results = [];
             
-            // Validate JSON structure
-            let catalogData;
-            try {
-                catalogData = JSON.parse(catalogJson);
-                results.push('✅ Catalog JSON structure is valid');
-            } catch (error) {
-                throw new Error('Invalid JSON format: ' + error.message);
+            // Validate against the catalog schema on the server before importing
+            this.showLoading('Validating catalog...');
+            const validation = await window.apiClient.validateCatalog(catalogJson);
+            
+            if (!validation.success) {
+                throw new Error('Catalog validation failed: ' + validation.error);
             }
             
+            if (!validation.data.valid) {
+                this.hideLoading();
+                this.updateBadge('catalog-badge', false);
+                this.showCatalogErrors('Catalog Management Test Results', validation.data.errors);
+                this.logActivity(`Catalog rejected: ${validation.data.errors.length} schema errors`, 'error');
+                return;
+            }
+            
+            const catalogData = JSON.parse(catalogJson);
+            results.push('✅ Catalog matches the catalog schema');
+            results.push(...this.describeCatalogChecks([]));
+            
             this.showLoading('Testing catalog import...');
-            await this.simulateApiCall(2000);
             
             // Test catalog import
             const importResult = await window.apiClient.testCatalogImport(catalogData, callbackUrl);
             
             if (importResult.success) {
-                // Simulate catalog validation checks
-                if (document.getElementById('test-catalog-structure')?.checked) {
-                    results.push('✅ Catalog structure validation passed');
-                    results.push('✅ Required fields present');
-                }
-                
-                if (document.getElementById('test-menu-items')?.checked) {
-                    results.push('✅ Menu items validation passed');
-                    results.push('✅ Item categories correctly structured');
-                }
-                
-                if (document.getElementById('test-pricing')?.checked) {
-                    results.push('✅ Pricing validation passed');
-                    results.push('✅ Currency format correct');
-                }
-                
-                if (document.getElementById('test-images')?.checked) {
-                    results.push('✅ Image requirements validated');
-                    results.push('✅ Image URLs accessible');
-                }
-                
-                if (document.getElementById('test-availability')?.checked) {
-                    results.push('✅ Availability rules validated');
-                    results.push('✅ Time-based availability correct');
-                }
-                
-                if (document.getElementById('test-centralized')?.checked) {
-                    results.push('✅ Centralized kitchen support verified');
+                if (callbackUrl) {
+                    results.push('✅ Callback URL registered for import status');
                 }
                 
-                if (callbackUrl) {
-                    results.push('✅ Callback URL validated');
-                    results.push('✅ Webhook endpoint accessible');
+                // Keep every pushed catalog as a version so re-pushes can be diffed
+                const versionResult = await window.apiClient.saveCatalogVersion(catalogJson, 'import');
+                if (versionResult.success) {
+                    results.push(...this.describeCatalogVersion(versionResult.data));
+                    this.loadCatalogVersions();
+                } else {
+                    results.push('❌ Catalog version not stored: ' + versionResult.error);
                 }
                 
                 results.push('✅ Catalog import initiated successfully');
@@ -444,7 +583,7 @@ class IntegrationTester {
     }
     
     /**
-     * Validate catalog structure
+     * Validate catalog structure against the catalog schema
      */
     async validateCatalogStructure() {
         try {
@@ -454,83 +593,23 @@ class IntegrationTester {
                 throw new Error('Please provide catalog JSON for validation');
             }
             
-            const results = [];
-            let catalog;
+            const validation = window.catalogValidator.validate(catalogJson);
             
-            try {
-                catalog = JSON.parse(catalogJson);
-            } catch (error) {
-                throw new Error('JSON parsing failed: ' + error.message);
+            if (!validation.valid) {
+                this.showCatalogErrors('Catalog Structure Validation', validation.errors);
+                this.logActivity(`Catalog structure validation found ${validation.errors.length} errors`, 'error');
+                return;
             }
             
-            // Validate required fields
-            const requiredFields = ['vendor_code', 'remote_id', 'menu'];
-            requiredFields.forEach(field => {
-                if (catalog[field]) {
-                    results.push(`✅ Required field '${field}' present`);
-                } else {
-                    results.push(`❌ Missing required field '${field}'`);
-                }
-            });
-            
-            // Validate menu structure
-            if (catalog.menu && catalog.menu.categories) {
-                results.push('✅ Menu structure is valid');
-                results.push(`✅ Found ${catalog.menu.categories.length} categories`);
-                
-                let totalItems = 0;
-                catalog.menu.categories.forEach(category => {
-                    if (category.items) totalItems += category.items.length;
-                });
-                results.push(`✅ Found ${totalItems} menu items`);
-                
-                // Validate item structure
-                let validItems = 0;
-                catalog.menu.categories.forEach(category => {
-                    if (category.items) {
-                        category.items.forEach(item => {
-                            if (item.id && item.name && typeof item.price === 'number') {
-                                validItems++;
-                            }
-                        });
-                    }
-                });
-                results.push(`✅ ${validItems} items have valid structure`);
-                
-            } else {
-                results.push('❌ Invalid menu structure');
-            }
+            const catalog = validation.catalog;
+            const totalItems = catalog.menu.categories.reduce((total, category) => total + category.items.length, 0);
             
-            // Validate pricing
-            let pricingValid = true;
-            if (catalog.menu && catalog.menu.categories) {
-                catalog.menu.categories.forEach(category => {
-                    if (category.items) {
-                        category.items.forEach(item => {
-                            if (!item.price || typeof item.price !== 'number' || item.price <= 0) {
-                                pricingValid = false;
-                            }
-                        });
-                    }
-                });
-            }
-            
-            if (pricingValid) {
-                results.push('✅ Pricing validation passed');
-            } else {
-                results.push('❌ Invalid pricing found');
-            }
-            
-            // Validate availability structure
-            if (catalog.availability) {
-                const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-                const validDays = days.filter(day => catalog.availability[day] && 
-                    catalog.availability[day].open && catalog.availability[day].close);
-                
-                results.push(`✅ Availability configured for ${validDays.length} days`);
-            }
-            
-            this.showResults('Catalog Structure Validation', results, 'catalog-results');
+            this.showResults('Catalog Structure Validation', [
+                '✅ Catalog matches the catalog schema',
+                `✅ Found ${catalog.menu.categories.length} categories`,
+                `✅ Found ${totalItems} menu items`,
+                ...this.describeCatalogChecks([])
+            ], 'catalog-results');
             this.logActivity('Catalog structure validation completed', 'info');
             
         } catch (error) {
@@ -542,6 +621,235 @@ class IntegrationTester {
         }
     }
     
+    /**
+     * Summarise schema errors per selected validation check
+     */
+    describeCatalogChecks(errors) {
+        const checks = [
+            { id: 'test-catalog-structure', label: 'JSON structure', matches: error => !error.pointer.startsWith('/menu/') && !error.pointer.startsWith('/availability') && !error.pointer.startsWith('/delivery_zones') },
+            { id: 'test-menu-items', label: 'Menu items', matches: error => error.pointer.startsWith('/menu/') && !/\/(price|currency|image_url|images)(\/|$)/.test(error.pointer) },
+            { id: 'test-pricing', label: 'Pricing', matches: error => /\/(price|currency|delivery_fee|min_order_amount)$/.test(error.pointer) },
+            { id: 'test-images', label: 'Image requirements', matches: error => /\/(image_url|images)(\/|$)/.test(error.pointer) },
+            { id: 'test-availability', label: 'Availability rules', matches: error => /\/availability(\/|$)/.test(error.pointer) }
+        ];
+        
+        return checks
+            .filter(check => document.getElementById(check.id)?.checked)
+            .map(check => {
+                const count = errors.filter(check.matches).length;
+                return count === 0
+                    ? `✅ ${check.label} validation passed`
+                    : `❌ ${check.label} validation failed (${count} error${count === 1 ? '' : 's'})`;
+            });
+    }
+    
+    /**
+     * Show schema errors; each one links to its position in the catalogJson textarea
+     */
+    showCatalogErrors(title, errors) {
+        const container = document.getElementById('catalog-results');
+        if (!container) return;
+        
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        
+        let html = `<h4>${title}</h4>`;
+        html += `<div class="error-highlight">❌ Catalog has ${errors.length} schema error${errors.length === 1 ? '' : 's'}</div>`;
+        this.describeCatalogChecks(errors).forEach(check => {
+            html += `<div class="${check.startsWith('✅') ? 'success-highlight' : 'error-highlight'}">${check}</div>`;
+        });
+        
+        errors.forEach(error => {
+            const location = error.line ? `line ${error.line}, column ${error.column}` : 'unknown position';
+            html += `<div class="diff-line diff-removed">
+                <a href="#" onclick="window.integrationTester.focusCatalogPosition(${error.line || 1}, ${error.column || 1}); return false;">${location}</a>
+                <code>${escape(error.pointer || '/')}</code> ${escape(error.message)}
+            </div>`;
+        });
+        
+        container.style.display = 'block';
+        container.innerHTML = html;
+    }
+    
+    /**
+     * Select the given line/column in the catalogJson textarea
+     */
+    focusCatalogPosition(line, column) {
+        const textarea = document.getElementById('catalogJson');
+        if (!textarea) return;
+        
+        const lines = textarea.value.split('\n');
+        const offset = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0) + column - 1;
+        const lineEnd = offset - column + 1 + (lines[line - 1] || '').length;
+        
+        textarea.focus();
+        textarea.setSelectionRange(offset, Math.max(offset + 1, lineEnd));
+        
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+        textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+    
+    /**
+     * Catalog versions
+     */
+    async saveCatalogVersion() {
+        const catalogJson = document.getElementById('catalogJson')?.value;
+        if (!catalogJson) {
+            this.showResults('Catalog Versions', ['❌ Please provide catalog JSON to save'], 'catalog-results');
+            return;
+        }
+        
+        if (!window.configManager?.getCurrentConfig()?.integrationCode) {
+            this.showResults('Catalog Versions', ['❌ Please configure an Integration Code first'], 'catalog-results');
+            return;
+        }
+        
+        const result = await window.apiClient.saveCatalogVersion(catalogJson);
+        if (!result.success) {
+            const validation = window.catalogValidator.validate(catalogJson);
+            if (!validation.valid) {
+                this.showCatalogErrors('Catalog Versions', validation.errors);
+            } else {
+                this.showResults('Catalog Versions', ['❌ Failed to save catalog version: ' + result.error], 'catalog-results');
+            }
+            return;
+        }
+        
+        this.showResults('Catalog Versions', this.describeCatalogVersion(result.data), 'catalog-results');
+        if (result.data.diff) {
+            this.renderCatalogDiff(`Changes since version ${result.data.previous_version}`, result.data.diff, true);
+        }
+        
+        this.logActivity(`Catalog version ${result.data.version.version} saved`, 'info');
+        await this.loadCatalogVersions();
+    }
+    
+    describeCatalogVersion(data) {
+        if (data.unchanged) {
+            return [`✅ Catalog unchanged since version ${data.version.version}`];
+        }
+        
+        const lines = [`✅ Stored as catalog version ${data.version.version}`];
+        if (data.diff) {
+            const summary = data.diff.summary;
+            lines.push(`Changes since version ${data.previous_version}: ${summary.added} added, ${summary.removed} removed, ` +
+                `${summary.price_changed} price changes, ${summary.availability_toggled} availability toggles, ` +
+                `${summary.renamed} renamed, ${summary.updated} updated`);
+        }
+        return lines;
+    }
+    
+    /**
+     * Fill the version pickers; "Editor" compares against the unsaved catalogJson text
+     */
+    async loadCatalogVersions() {
+        const fromSelect = document.getElementById('catalog-diff-from');
+        const toSelect = document.getElementById('catalog-diff-to');
+        if (!fromSelect || !toSelect || !window.configManager?.getCurrentConfig()?.integrationCode) return;
+        
+        const result = await window.apiClient.getCatalogVersions();
+        if (!result.success) {
+            this.logActivity('Failed to load catalog versions: ' + result.error, 'error');
+            return;
+        }
+        
+        const options = result.data.map(version => {
+            const created = new Date(version.created_at).toLocaleString();
+            return `<option value="${version.id}">v${version.version} · ${version.item_count} items · ${created}</option>`;
+        }).join('');
+        
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = '<option value="editor">Editor (unsaved)</option>' + options;
+        
+        // Default to comparing the editor with the latest version
+        if (result.data.length > 0) {
+            fromSelect.value = result.data[0].id;
+        }
+    }
+    
+    async showCatalogDiff() {
+        const fromId = document.getElementById('catalog-diff-from')?.value;
+        const toId = document.getElementById('catalog-diff-to')?.value;
+        
+        if (!fromId) {
+            this.showResults('Catalog Diff', ['❌ No catalog versions stored yet; save a version first'], 'catalog-results');
+            return;
+        }
+        
+        const from = await window.apiClient.getCatalogVersion(fromId);
+        if (!from.success) {
+            this.showResults('Catalog Diff', ['❌ Failed to load version: ' + from.error], 'catalog-results');
+            return;
+        }
+        
+        let toCatalog;
+        let toLabel;
+        if (toId === 'editor') {
+            const validation = window.catalogValidator.validate(document.getElementById('catalogJson')?.value || '');
+            if (!validation.valid) {
+                this.showCatalogErrors('Catalog Diff', validation.errors);
+                return;
+            }
+            toCatalog = validation.catalog;
+            toLabel = 'editor';
+        } else {
+            const to = await window.apiClient.getCatalogVersion(toId);
+            if (!to.success) {
+                this.showResults('Catalog Diff', ['❌ Failed to load version: ' + to.error], 'catalog-results');
+                return;
+            }
+            toCatalog = to.data.catalog;
+            toLabel = `v${to.data.version}`;
+        }
+        
+        const diff = window.catalogDiff.diff(from.data.catalog, toCatalog);
+        this.renderCatalogDiff(`Catalog Diff v${from.data.version} → ${toLabel}`, diff);
+    }
+    
+    /**
+     * Render a classified catalog diff grouped by change type
+     */
+    renderCatalogDiff(title, diff, append = false) {
+        const container = document.getElementById('catalog-results');
+        if (!container) return;
+        
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const format = value => value === null || value === undefined ? '—' : escape(typeof value === 'object' ? JSON.stringify(value) : value);
+        const groups = [
+            { type: 'added', label: 'Added', css: 'diff-added', sign: '+' },
+            { type: 'removed', label: 'Removed', css: 'diff-removed', sign: '-' },
+            { type: 'price_changed', label: 'Price Changes', css: 'diff-changed', sign: '~' },
+            { type: 'availability_toggled', label: 'Availability Toggles', css: 'diff-changed', sign: '~' },
+            { type: 'renamed', label: 'Renamed', css: 'diff-changed', sign: '~' },
+            { type: 'updated', label: 'Other Updates', css: 'diff-changed', sign: '~' }
+        ];
+        
+        let html = `<h4>${escape(title)}</h4>`;
+        if (diff.identical) {
+            html += '<div class="success-highlight">✅ No changes</div>';
+        }
+        
+        groups.forEach(group => {
+            const changes = diff.changes.filter(change => change.type === group.type);
+            if (changes.length === 0) return;
+            
+            html += `<h4>${group.label} (${changes.length})</h4>`;
+            changes.forEach(change => {
+                let detail = '';
+                if (group.type === 'price_changed' || group.type === 'renamed') {
+                    detail = `: ${format(change.before)} → ${format(change.after)}`;
+                } else if (group.type === 'availability_toggled') {
+                    detail = `: ${change.after ? 'available' : 'unavailable'}`;
+                } else if (group.type === 'updated') {
+                    detail = `: ${change.fields.map(field => `${field} ${format(change.before[field])} → ${format(change.after[field])}`).join(', ')}`;
+                }
+                html += `<div class="diff-line ${group.css}">${group.sign} ${change.entity} <code>${escape(change.id)}</code> ${escape(change.path)}${detail}</div>`;
+            });
+        });
+        
+        container.style.display = 'block';
+        container.innerHTML = append ? container.innerHTML + html : html;
+    }
+    
     /**
      * Generate sample order data
      */
@@ -601,6 +909,157 @@ class IntegrationTester {
         };
     }
     
+    /**
+     * Run the complete suite on the platform as a background job and follow its progress
+     */
+    async runFullTestSuite() {
+        if (this.isRunning) {
+            this.logActivity('The complete test suite is already running', 'warning');
+            return;
+        }
+        
+        const configurationId = window.configManager?.getCurrentConfig()?.id;
+        if (!configurationId) {
+            this.showResults('Complete Test Suite', ['❌ Save the configuration before running the complete suite'], 'full-test-results');
+            return;
+        }
+        
+        this.isRunning = true;
+        this.updateProgress('full-test-progress', 0);
+        
+        const result = await window.apiClient.startFullTestSuite(configurationId);
+        if (!result.success) {
+            this.isRunning = false;
+            this.showResults('Complete Test Suite', ['❌ Failed to start the test suite: ' + result.error], 'full-test-results');
+            return;
+        }
+        
+        let job = result.data;
+        this.currentTest = job.id;
+        this.setSuiteControls(true);
+        this.logActivity(`Complete test suite queued as job ${job.id}`, 'info');
+        
+        try {
+            let interval = this.jobPollInterval;
+            while (!TEST_JOB_FINISHED.includes(job.status)) {
+                this.renderTestJob(job);
+                await new Promise(resolve => setTimeout(resolve, interval));
+                
+                const poll = await window.apiClient.getTestJob(job.id);
+                if (!poll.success) {
+                    throw new Error(poll.error);
+                }
+                
+                const progressed = poll.data.status !== job.status || poll.data.progress !== job.progress
+                    || poll.data.queue_position !== job.queue_position;
+                interval = progressed ? this.jobPollInterval : Math.min(interval * 2, this.maxJobPollInterval);
+                job = poll.data;
+            }
+            
+            this.renderTestJob(job);
+            this.applyTestJob(job);
+            this.showTestJobExports(job);
+        } catch (error) {
+            this.showResults('Complete Test Suite', ['❌ Lost track of the test suite: ' + error.message], 'full-test-results');
+        } finally {
+            this.isRunning = false;
+            this.currentTest = null;
+            this.setSuiteControls(false);
+        }
+    }
+    
+    /**
+     * Ask the platform to stop the running suite after its current step
+     */
+    async cancelFullTestSuite() {
+        if (!this.currentTest) return;
+        
+        const result = await window.apiClient.cancelTestJob(this.currentTest);
+        if (result.success) {
+            this.logActivity('Cancelling the complete test suite after the current step', 'warning');
+        } else {
+            this.logActivity('Failed to cancel the test suite: ' + result.error, 'error');
+        }
+    }
+    
+    renderTestJob(job) {
+        this.updateProgress('full-test-progress', job.progress || 0);
+        
+        const icons = { passed: '✅', failed: '❌', skipped: '⏭️', cancelled: '⏹️', interrupted: '⏹️', running: '⏳', pending: '•' };
+        const lines = job.steps.map(step => {
+            const timing = step.execution_time_ms !== undefined ? ` (${step.execution_time_ms}ms)` : '';
+            return `${icons[step.status] || '•'} ${step.title}${step.details ? ': ' + step.details : ''}${timing}`;
+        });
+        
+        let title = `Complete Test Suite: ${job.status}`;
+        if (job.queue_position) {
+            title += ` (position ${job.queue_position} in queue)`;
+        } else if (job.cancel_requested && !TEST_JOB_FINISHED.includes(job.status)) {
+            title += ' (cancelling)';
+        }
+        this.showResults(title, lines, 'full-test-results');
+    }
+    
+    /**
+     * Carry the outcome of each step over to the badges of the individual tests
+     */
+    applyTestJob(job) {
+        job.steps.forEach(step => {
+            const testType = TEST_JOB_STEPS[step.name];
+            if (testType && (step.status === 'passed' || step.status === 'failed')) {
+                this.testResults[testType] = step.status === 'passed';
+            }
+        });
+        
+        this.saveTestResults();
+        this.updateAllBadges();
+        this.logActivity(
+            `Complete test suite ${job.status}: ${job.tests_passed} passed, ${job.tests_failed} failed, ${job.tests_skipped} skipped`,
+            job.status === 'passed' ? 'info' : 'error'
+        );
+        
+        if (job.status === 'passed' && this.getTestSummary().allPassed) {
+            document.getElementById('booking-section')?.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Links to download the job's results for CI dashboards or to share as a report
+     */
+    showTestJobExports(job) {
+        const container = document.getElementById('full-test-results');
+        if (!container || !window.apiClient) return;
+        
+        const links = document.createElement('div');
+        links.className = 'test-exports';
+        links.textContent = 'Export results: ';
+        
+        [['junit', 'JUnit XML'], ['tap', 'TAP'], ['html', 'HTML report']].forEach(([format, label], index) => {
+            if (index > 0) {
+                links.appendChild(document.createTextNode(' · '));
+            }
+            const a = document.createElement('a');
+            a.href = window.apiClient.getTestResultsExportUrl({ format: format, job_id: job.id });
+            a.download = '';
+            a.textContent = label;
+            links.appendChild(a);
+        });
+        
+        container.appendChild(links);
+    }
+    
+    setSuiteControls(running) {
+        const runButton = document.getElementById('run-full-suite-btn');
+        if (runButton) {
+            runButton.disabled = running;
+        }
+        
+        const cancelButton = document.getElementById('cancel-full-suite-btn');
+        if (cancelButton) {
+            cancelButton.style.display = running ? '' : 'none';
+        }
+    }
+    
     /**
      * Update test badge
      */
@@ -777,12 +1236,36 @@ function validateCatalogStructure() {
     }
 }
 
+function saveCatalogVersion() {
+    if (window.integrationTester) {
+        return window.integrationTester.saveCatalogVersion();
+    }
+}
+
+function loadCatalogVersions() {
+    if (window.integrationTester) {
+        return window.integrationTester.loadCatalogVersions();
+    }
+}
+
+function showCatalogDiff() {
+    if (window.integrationTester) {
+        return window.integrationTester.showCatalogDiff();
+    }
+}
+
 function resetAllTests() {
     if (window.integrationTester) {
         return window.integrationTester.resetAllTests();
     }
 }
 
+function cancelFullTestSuite() {
+    if (window.integrationTester) {
+        return window.integrationTester.cancelFullTestSuite();
+    }
+}
+
 // Initialize global integration tester
 window.integrationTester = new IntegrationTester();
 
@@ -0,0 +1,559 @@
+/**
+ * Access Control
+ * Platform users, login sessions and role-based access to the /api routes. Users
+ * other than admins only reach the configurations assigned to them, and denied
+ * requests, logins and user changes are written to the audit_log table.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const READ = [
+    'config:read', 'tests:read', 'catalog:read', 'orders:read', 'webhooks:read',
+    'monitoring:read', 'reports:read', 'alerts:read', 'system:read'
+];
+const WRITE = [
+    'config:write', 'tests:run', 'catalog:write', 'webhooks:write',
+    'monitoring:write', 'reports:write', 'alerts:write'
+];
+const ADMIN = ['config:create', 'config:delete', 'monitoring:clear', 'users:manage', 'audit:read', 'vault:manage'];
+
+const ROLES = {
+    admin: [...READ, ...WRITE, ...ADMIN],
+    integrator: [...READ, ...WRITE],
+    viewer: [...READ]
+};
+
+const SESSION_COOKIE = 'pos_session';
+
+class AccessControl {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.sessionTTL = options.sessionTTL || (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 3600000;
+        this.secureCookies = options.secureCookies !== undefined ? options.secureCookies : process.env.NODE_ENV === 'production';
+        this.adminPasswordFile = options.adminPasswordFile || process.env.ADMIN_PASSWORD_FILE || './data/admin-password';
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get ROLES() {
+        return Object.keys(ROLES);
+    }
+
+    static get SESSION_COOKIE() {
+        return SESSION_COOKIE;
+    }
+
+    permissions(role) {
+        return ROLES[role] || [];
+    }
+
+    /**
+     * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet.
+     * Without ADMIN_PASSWORD a random password is generated and written to
+     * `adminPasswordFile`, readable by the owner only; it never goes to the console.
+     */
+    async bootstrap() {
+        const existing = await this.db.get('SELECT COUNT(*) AS count FROM users');
+        if (existing.count > 0) return null;
+
+        const email = process.env.ADMIN_EMAIL || 'admin@localhost';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('hex');
+
+        if (!process.env.ADMIN_PASSWORD) {
+            try {
+                await fs.mkdir(path.dirname(path.resolve(this.adminPasswordFile)), { recursive: true });
+                await fs.writeFile(this.adminPasswordFile, `${password}\n`, { mode: 0o600 });
+                // mode only applies when the file is created
+                await fs.chmod(this.adminPasswordFile, 0o600);
+            } catch (error) {
+                throw new Error(`Cannot write the admin password to ${this.adminPasswordFile} (${error.message}); set ADMIN_PASSWORD or ADMIN_PASSWORD_FILE`);
+            }
+        }
+
+        const user = await this.createUser({ email, name: 'Administrator', password, role: 'admin' });
+
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`🔑 Created admin user ${email}; its password is in ${this.adminPasswordFile} (set ADMIN_PASSWORD to choose it)`);
+        }
+        return user;
+    }
+
+    /**
+     * Sessions
+     */
+    async login(email, password, req) {
+        const row = await this.db.get(
+            'SELECT * FROM users WHERE email = ? AND is_active = 1',
+            [String(email || '').trim().toLowerCase()]
+        );
+
+        if (!row || !(await this.verifyPassword(password, row.password_hash))) {
+            await this.audit(req, { action: 'session.login', outcome: 'denied', email, details: { reason: 'Invalid email or password' } });
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + this.sessionTTL).toISOString();
+
+        await this.db.run(`
+            INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, created_at, last_seen_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [row.id, this.hashToken(token), req.ip, req.get('User-Agent') || null, now.toISOString(), now.toISOString(), expiresAt]);
+        await this.db.run('UPDATE users SET last_login_at = ? WHERE id = ?', [now.toISOString(), row.id]);
+
+        const user = await this.getUser(row.id);
+        await this.audit(req, { action: 'session.login', outcome: 'allowed', user });
+        return { token, expires_at: expiresAt, user };
+    }
+
+    async logout(req) {
+        const token = this.sessionToken(req);
+        if (token) {
+            await this.db.run('DELETE FROM user_sessions WHERE token_hash = ?', [this.hashToken(token)]);
+        }
+        if (req.user) {
+            await this.audit(req, { action: 'session.logout', outcome: 'allowed' });
+        }
+    }
+
+    /**
+     * User of the request's session token (Authorization: Bearer or the session cookie)
+     */
+    async resolveSession(req) {
+        const token = this.sessionToken(req);
+        if (!token) return { user: null, presented: false };
+
+        const session = await this.db.get(`
+            SELECT user_sessions.id, user_sessions.user_id FROM user_sessions
+            JOIN users ON users.id = user_sessions.user_id
+            WHERE user_sessions.token_hash = ? AND user_sessions.expires_at > ? AND users.is_active = 1
+        `, [this.hashToken(token), new Date().toISOString()]);
+
+        if (!session) return { user: null, presented: true };
+
+        await this.db.run('UPDATE user_sessions SET last_seen_at = ? WHERE id = ?', [new Date().toISOString(), session.id]);
+        return { user: await this.getUser(session.user_id), presented: true };
+    }
+
+    sessionToken(req) {
+        const header = req.get('Authorization') || '';
+        if (/^Bearer\s+/i.test(header)) {
+            return header.replace(/^Bearer\s+/i, '').trim();
+        }
+
+        const cookies = String(req.get('Cookie') || '').split(';').map(cookie => cookie.trim());
+        const cookie = cookies.find(item => item.startsWith(`${SESSION_COOKIE}=`));
+        return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+    }
+
+    sessionCookie(token, expiresAt) {
+        const attributes = [
+            `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+            'Path=/api',
+            'HttpOnly',
+            'SameSite=Strict',
+            token ? `Expires=${new Date(expiresAt).toUTCString()}` : 'Max-Age=0'
+        ];
+        if (this.secureCookies) {
+            attributes.push('Secure');
+        }
+        return attributes.join('; ');
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Middleware
+     */
+
+    /**
+     * Attach req.user from the session; everything except `publicPaths`
+     * ({ method, pattern } matched against the router path) needs one
+     */
+    authenticate(publicPaths = []) {
+        return async (req, res, next) => {
+            try {
+                const { user, presented } = await this.resolveSession(req);
+                req.user = user;
+
+                const isPublic = publicPaths.some(path => (path.method === '*' || path.method === req.method) && path.pattern.test(req.path));
+                if (user || isPublic) {
+                    return next();
+                }
+
+                if (presented) {
+                    await this.audit(req, { action: 'session.invalid', outcome: 'denied', details: { reason: 'Session expired or revoked' } });
+                }
+                res.status(401).json({
+                    error: 'Authentication required',
+                    message: presented ? 'Your session has expired, please log in again' : 'Log in to use the platform API'
+                });
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Require `permission` and access to every configuration the request refers to.
+     * `resources` look up the configuration of records addressed by id, e.g.
+     * `{ table: 'reports', param: 'id' }`, `{ table: 'catalog_versions', query: 'from' }`
+     * or `{ table: 'webhook_inbox', body: 'inbox_id' }`.
+     * With `scope: 'required'` a non-admin must name one of their configurations; a
+     * user assigned to a single configuration gets it filled in.
+     */
+    authorize(permission, { resources = [], scope = 'optional' } = {}) {
+        return async (req, res, next) => {
+            try {
+                const user = req.user;
+                const action = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+                if (!this.permissions(user.role).includes(permission)) {
+                    return this.deny(req, res, { action, permission, reason: `Role ${user.role} lacks ${permission}` });
+                }
+
+                // Admins are not limited to assigned configurations
+                if (user.role === 'admin') {
+                    return next();
+                }
+
+                const references = await this.references(req, resources);
+                if (references === null) {
+                    // Addressed record does not exist; the handler answers 404
+                    return next();
+                }
+
+                const outside = references.find(reference => !reference.id || !user.configuration_ids.includes(reference.id));
+                if (outside) {
+                    return this.deny(req, res, {
+                        action,
+                        permission,
+                        configurationId: outside.id,
+                        reason: `No access to configuration ${outside.value}`
+                    });
+                }
+
+                if (scope === 'required') {
+                    if (references.length === 0 && user.configuration_ids.length !== 1) {
+                        return res.status(400).json({
+                            error: 'configuration_id is required',
+                            message: 'Choose one of your configurations with configuration_id',
+                            allowed: user.configuration_ids
+                        });
+                    }
+
+                    // Handlers filter by either field, so both must name the checked configuration
+                    const configuration = await this.db.get(
+                        'SELECT id, integration_code FROM configurations WHERE id = ?',
+                        [references.length > 0 ? references[0].id : user.configuration_ids[0]]
+                    );
+                    const target = ['GET', 'DELETE'].includes(req.method) ? req.query : req.body;
+                    if (target.configuration_id === undefined || target.configuration_id === null || target.configuration_id === '') {
+                        target.configuration_id = configuration.id;
+                    }
+                    if (!target.integration_code) {
+                        target.integration_code = configuration.integration_code;
+                    }
+                }
+
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Configurations named by the request (query, body and addressed records) as
+     * { value, id } pairs; null when an addressed record does not exist
+     */
+    async references(req, resources) {
+        const references = [];
+        const sources = [req.query || {}, req.body && typeof req.body === 'object' ? req.body : {}];
+
+        for (const source of sources) {
+            if (source.configuration_id !== undefined && source.configuration_id !== null && source.configuration_id !== '') {
+                references.push({ value: source.configuration_id, id: await this.configurationId({ id: source.configuration_id }) });
+            }
+            if (source.integration_code) {
+                references.push({ value: source.integration_code, id: await this.configurationId({ code: source.integration_code }) });
+            }
+        }
+
+        for (const resource of resources) {
+            const key = resource.param ? req.params[resource.param]
+                : resource.query ? req.query[resource.query]
+                    : req.body && typeof req.body === 'object' ? req.body[resource.body] : undefined;
+            if (key === undefined || key === null || key === '') continue;
+
+            const row = await this.db.get(`SELECT * FROM ${resource.table} WHERE ${resource.key || 'id'} = ?`, [key]);
+            if (!row) return null;
+
+            if (resource.table === 'configurations') {
+                references.push({ value: row.id, id: row.id });
+            } else if (row.configuration_id) {
+                references.push({ value: row.configuration_id, id: row.configuration_id });
+            } else if (row.integration_code) {
+                references.push({ value: row.integration_code, id: await this.configurationId({ code: row.integration_code }) });
+            } else {
+                // Records of no configuration belong to admins
+                references.push({ value: `of ${resource.table} ${key}`, id: null });
+            }
+        }
+
+        return references;
+    }
+
+    async configurationId({ id = null, code = null }) {
+        const row = id !== null
+            ? await this.db.get('SELECT id FROM configurations WHERE id = ? AND is_active = 1', [id])
+            : await this.db.get('SELECT id FROM configurations WHERE integration_code = ? AND is_active = 1', [code]);
+        return row ? row.id : null;
+    }
+
+    /**
+     * Configuration ids a user may see, or null for all of them
+     */
+    configurationScope(user) {
+        return user && user.role !== 'admin' ? user.configuration_ids : null;
+    }
+
+    async deny(req, res, { action, permission, configurationId = null, reason }) {
+        await this.audit(req, {
+            action,
+            outcome: 'denied',
+            configurationId,
+            details: { permission, reason }
+        });
+        res.status(403).json({
+            error: 'Access denied',
+            message: reason
+        });
+    }
+
+    /**
+     * Users
+     */
+    async createUser(input) {
+        const user = this.validateUser(input, { requirePassword: true });
+        const existing = await this.db.get('SELECT id FROM users WHERE email = ?', [user.email]);
+        if (existing) {
+            throw this.validationError(`A user with email ${user.email} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const result = await this.db.run(`
+            INSERT INTO users (email, name, password_hash, role, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [user.email, user.name, await this.hashPassword(user.password), user.role, now, now]);
+
+        await this.assignConfigurations(result.lastID, user.configuration_ids);
+        return this.getUser(result.lastID);
+    }
+
+    async updateUser(id, input) {
+        const existing = await this.getUser(id);
+        if (!existing) return null;
+
+        const user = this.validateUser({ ...existing, ...input }, { requirePassword: false });
+        if (user.email !== existing.email) {
+            const taken = await this.db.get('SELECT id FROM users WHERE email = ? AND id != ?', [user.email, id]);
+            if (taken) {
+                throw this.validationError(`A user with email ${user.email} already exists`);
+            }
+        }
+
+        await this.db.run(
+            'UPDATE users SET email = ?, name = ?, role = ?, updated_at = ? WHERE id = ?',
+            [user.email, user.name, user.role, new Date().toISOString(), id]
+        );
+
+        if (input.password) {
+            await this.db.run('UPDATE users SET password_hash = ? WHERE id = ?', [await this.hashPassword(user.password), id]);
+            // A new password signs the user out everywhere
+            await this.db.run('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+        }
+
+        if (input.configuration_ids !== undefined) {
+            await this.db.run('DELETE FROM user_configurations WHERE user_id = ?', [id]);
+            await this.assignConfigurations(id, user.configuration_ids);
+        }
+
+        return this.getUser(id);
+    }
+
+    /**
+     * Deactivate a user and end their sessions
+     */
+    async deleteUser(id) {
+        const result = await this.db.run(
+            'UPDATE users SET is_active = 0, updated_at = ? WHERE id = ? AND is_active = 1',
+            [new Date().toISOString(), id]
+        );
+        await this.db.run('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    async getUser(id) {
+        const row = await this.db.get(
+            'SELECT id, email, name, role, is_active, last_login_at, created_at, updated_at FROM users WHERE id = ? AND is_active = 1',
+            [id]
+        );
+        if (!row) return null;
+
+        const assignments = await this.db.all(
+            'SELECT configuration_id FROM user_configurations WHERE user_id = ? ORDER BY configuration_id',
+            [id]
+        );
+        return {
+            ...row,
+            configuration_ids: assignments.map(assignment => assignment.configuration_id),
+            permissions: this.permissions(row.role)
+        };
+    }
+
+    async listUsers() {
+        const rows = await this.db.all('SELECT id FROM users WHERE is_active = 1 ORDER BY email');
+        return Promise.all(rows.map(row => this.getUser(row.id)));
+    }
+
+    async countAdmins(excludingId = null) {
+        const row = await this.db.get(
+            "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?",
+            [excludingId || 0]
+        );
+        return row.count;
+    }
+
+    async assignConfigurations(userId, configurationIds) {
+        if (configurationIds.length > 0) {
+            const found = await this.db.all(
+                `SELECT id FROM configurations WHERE is_active = 1 AND id IN (${configurationIds.map(() => '?').join(', ')})`,
+                configurationIds
+            );
+            const missing = configurationIds.filter(id => !found.some(row => row.id === id));
+            if (missing.length > 0) {
+                throw this.validationError(`Unknown configuration ids: ${missing.join(', ')}`);
+            }
+        }
+
+        for (const configurationId of configurationIds) {
+            await this.db.run(
+                'INSERT OR IGNORE INTO user_configurations (user_id, configuration_id) VALUES (?, ?)',
+                [userId, configurationId]
+            );
+        }
+    }
+
+    /**
+     * Normalized copy of a user definition; throws a 400 error describing the first problem
+     */
+    validateUser(input, { requirePassword }) {
+        const user = {
+            email: String(input.email || '').trim().toLowerCase(),
+            name: input.name ? String(input.name).trim() : null,
+            password: input.password,
+            role: input.role || 'viewer',
+            configuration_ids: input.configuration_ids || []
+        };
+
+        if (!/^[^\s@]+@[^\s@]+$/.test(user.email)) {
+            throw this.validationError('A valid email is required');
+        }
+        if ((requirePassword || user.password) && String(user.password || '').length < 8) {
+            throw this.validationError('password must be at least 8 characters');
+        }
+        if (!ROLES[user.role]) {
+            throw this.validationError(`Unknown role "${user.role}"`, { allowed: AccessControl.ROLES });
+        }
+        if (!Array.isArray(user.configuration_ids) || !user.configuration_ids.every(id => Number.isInteger(Number(id)))) {
+            throw this.validationError('configuration_ids must be an array of configuration ids');
+        }
+
+        user.configuration_ids = [...new Set(user.configuration_ids.map(id => parseInt(id)))];
+        return user;
+    }
+
+    /**
+     * scrypt hashes stored as "scrypt$<salt>$<hash>"
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(String(password), salt, 64);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const candidate = await scrypt(String(password || ''), salt, 64);
+        const expected = Buffer.from(hash, 'hex');
+        return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+    }
+
+    /**
+     * Audit log
+     */
+    async audit(req, { action, outcome, user = req.user, email = null, configurationId = null, details = null }) {
+        try {
+            await this.db.run(`
+                INSERT INTO audit_log (user_id, email, action, outcome, method, path, configuration_id, ip_address, details, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                user ? user.id : null,
+                user ? user.email : (email ? String(email).slice(0, 254) : null),
+                action,
+                outcome,
+                req.method,
+                req.originalUrl.split('?')[0],
+                configurationId,
+                req.ip,
+                details ? JSON.stringify(details) : null,
+                new Date().toISOString()
+            ]);
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    }
+
+    async listAudit({ outcome = null, userId = null, limit = 100 } = {}) {
+        let query = 'SELECT * FROM audit_log WHERE 1=1';
+        const params = [];
+
+        if (outcome) {
+            query += ' AND outcome = ?';
+            params.push(outcome);
+        }
+
+        if (userId) {
+            query += ' AND user_id = ?';
+            params.push(userId);
+        }
+
+        query += ' ORDER BY id DESC LIMIT ?';
+        params.push(parseInt(limit));
+
+        const rows = await this.db.all(query, params);
+        return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+    }
+
+    validationError(message, details = {}) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        Object.assign(error, details);
+        return error;
+    }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,572 @@
+/**
+ * Alert Engine
+ * Evaluates alert_rules against api_metrics, logs, test_results and order_events on an
+ * interval. A rule whose condition holds opens one firing alert (repeat evaluations
+ * only update it) and is resolved once the condition clears; both transitions are
+ * sent to the rule's webhook and email channels.
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const Mailer = require('./mailer');
+const WebhookSignature = require('./webhook-signature');
+
+const METRICS = {
+    error_rate: { unit: '%', description: 'Failed API calls as a percentage of all calls' },
+    latency_p50: { unit: 'ms', description: 'Median API response time' },
+    latency_p90: { unit: 'ms', description: '90th percentile API response time' },
+    latency_p95: { unit: 'ms', description: '95th percentile API response time' },
+    latency_p99: { unit: 'ms', description: '99th percentile API response time' },
+    successful_calls: { unit: 'calls', description: 'Successful API calls' },
+    failed_calls: { unit: 'calls', description: 'Failed API calls' },
+    error_logs: { unit: 'logs', description: 'Log entries at error level' },
+    failed_tests: { unit: 'tests', description: 'Failed test results' },
+    order_transitions: { unit: 'orders', description: 'Orders moved to filters.status (default ACCEPTED)' }
+};
+
+const COMPARATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold
+};
+
+const CHANNELS = ['webhook', 'email'];
+
+class AlertEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.db = options.db || null;
+        this.metricsAggregator = options.metricsAggregator;
+        this.mailer = options.mailer || new Mailer();
+        this.signer = options.signer || new WebhookSignature();
+        this.signingSecret = options.signingSecret || process.env.WEBHOOK_SECRET || 'talabat-pos-dev-webhook-secret';
+        this.interval = options.interval || parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS) || 60000;
+        this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT) || 15000;
+
+        this.timer = null;
+        this.running = null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get METRICS() {
+        return METRICS;
+    }
+
+    static get COMPARATORS() {
+        return Object.keys(COMPARATORS);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.evaluate(), this.interval);
+        this.timer.unref();
+        return this.evaluate();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Evaluate every active rule, or only those of `configurationId`. A call that a run
+     * in progress covers waits for it; any other waits its turn, so no rule is evaluated
+     * twice at once.
+     */
+    async evaluate(now = new Date(), { configurationId = null } = {}) {
+        const scope = configurationId === null || configurationId === undefined ? null : Number(configurationId);
+
+        while (this.running) {
+            const running = this.running;
+            if (running.scope === null || running.scope === scope) {
+                const changes = await running.promise;
+                return scope === null ? changes : changes.filter(alert => alert.configuration_id === scope);
+            }
+            await running.promise.catch(() => {});
+        }
+
+        const promise = (async () => {
+            const rules = scope === null
+                ? await this.db.all('SELECT * FROM alert_rules WHERE is_active = 1 ORDER BY id')
+                : await this.db.all('SELECT * FROM alert_rules WHERE is_active = 1 AND configuration_id = ? ORDER BY id', [scope]);
+            const changes = [];
+
+            for (const row of rules) {
+                try {
+                    const change = await this.evaluateRule(this.deserializeRule(row), now);
+                    if (change) changes.push(change);
+                } catch (error) {
+                    console.error(`Alert rule ${row.id} evaluation failed:`, error);
+                }
+            }
+            return changes;
+        })();
+        this.running = { scope, promise };
+
+        try {
+            return await promise;
+        } finally {
+            if (this.running && this.running.promise === promise) {
+                this.running = null;
+            }
+        }
+    }
+
+    /**
+     * Returns the alert when it fired or resolved, otherwise null
+     */
+    async evaluateRule(rule, now) {
+        const windowMs = rule.window_minutes * 60000;
+        const since = new Date(now.getTime() - windowMs);
+
+        // "Fewer than" rules would fire on a window from before the rule existed
+        if (rule.comparator.startsWith('<') && new Date(rule.created_at) > since) {
+            return null;
+        }
+
+        const value = await this.measure(rule, since, now);
+        const breaching = value !== null && COMPARATORS[rule.comparator](value, rule.threshold);
+        const firing = await this.db.get(
+            "SELECT * FROM alerts WHERE rule_id = ? AND status = 'firing'",
+            [rule.id]
+        );
+
+        await this.db.run(
+            'UPDATE alert_rules SET last_evaluated_at = ?, last_value = ? WHERE id = ?',
+            [now.toISOString(), value, rule.id]
+        );
+
+        if (breaching && firing) {
+            await this.db.run(
+                'UPDATE alerts SET value = ?, last_evaluated_at = ? WHERE id = ?',
+                [value, now.toISOString(), firing.id]
+            );
+            return null;
+        }
+
+        if (breaching) {
+            const result = await this.db.run(`
+                INSERT INTO alerts (rule_id, configuration_id, status, value, message, fired_at, last_evaluated_at)
+                VALUES (?, ?, 'firing', ?, ?, ?, ?)
+            `, [rule.id, rule.configuration_id, value, this.describe(rule, value), now.toISOString(), now.toISOString()]);
+            return this.transition(await this.getAlert(result.lastID), rule);
+        }
+
+        if (firing) {
+            await this.db.run(`
+                UPDATE alerts SET status = 'resolved', resolved_at = ?, last_evaluated_at = ?, value = ?
+                WHERE id = ?
+            `, [now.toISOString(), now.toISOString(), value, firing.id]);
+            return this.transition(await this.getAlert(firing.id), rule);
+        }
+
+        return null;
+    }
+
+    async transition(alert, rule) {
+        const notifications = await this.notify(alert, rule);
+        await this.db.run(
+            'UPDATE alerts SET notifications = ? WHERE id = ?',
+            [JSON.stringify([...(alert.notifications || []), ...notifications]), alert.id]
+        );
+
+        const updated = await this.getAlert(alert.id);
+        this.emit('alert', updated);
+        return updated;
+    }
+
+    /**
+     * Current value of a rule's metric over [since, until]; null when there is too little data
+     */
+    async measure(rule, since, until) {
+        const filters = rule.filters || {};
+
+        if (rule.metric === 'error_logs') {
+            const row = await this.count('logs', "level = 'error'", since, until, rule.configuration_id, [
+                ['module = ?', filters.module]
+            ]);
+            return row.count;
+        }
+
+        if (rule.metric === 'failed_tests') {
+            const row = await this.count('test_results', "status = 'failed'", since, until, rule.configuration_id, [
+                ['test_type = ?', filters.test_type]
+            ]);
+            return row.count;
+        }
+
+        if (rule.metric === 'order_transitions') {
+            // order_events timestamps are ISO strings written by the lifecycle
+            const params = [filters.status || 'ACCEPTED', since.toISOString(), until.toISOString()];
+            let query = `
+                SELECT COUNT(*) AS count FROM order_events events
+                LEFT JOIN orders ON orders.order_id = events.order_id
+                WHERE events.event_type = 'transition' AND events.to_status = ?
+                  AND events.created_at >= ? AND events.created_at <= ?
+            `;
+            if (rule.configuration_id) {
+                query += ' AND orders.configuration_id = ?';
+                params.push(rule.configuration_id);
+            }
+            return (await this.db.get(query, params)).count;
+        }
+
+        const { query, params } = this.scope('1=1', since, until, rule.configuration_id, [
+            ["endpoint LIKE ? ESCAPE '\\'", filters.endpoint ? this.likePattern(filters.endpoint) : null]
+        ]);
+        const rows = await this.db.all(`SELECT response_time_ms, success FROM api_metrics WHERE ${query}`, params);
+
+        if (rule.metric === 'successful_calls') {
+            return rows.filter(row => row.success).length;
+        }
+        if (rule.metric === 'failed_calls') {
+            return rows.filter(row => !row.success).length;
+        }
+
+        // Rates and percentiles need a minimum number of calls to mean anything
+        if (rows.length === 0 || rows.length < rule.min_samples) {
+            return null;
+        }
+
+        if (rule.metric === 'error_rate') {
+            return this.metricsAggregator.round((rows.filter(row => !row.success).length / rows.length) * 100);
+        }
+
+        const times = rows.map(row => row.response_time_ms || 0).sort((a, b) => a - b);
+        return this.metricsAggregator.percentile(times, parseInt(rule.metric.replace('latency_p', '')));
+    }
+
+    async count(table, condition, since, until, configurationId, optional) {
+        const { query, params } = this.scope(condition, since, until, configurationId, optional);
+        return this.db.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${query}`, params);
+    }
+
+    /**
+     * WHERE clause for a time window, the rule's configuration and any set filters;
+     * logs, api_metrics and test_results use SQLite's CURRENT_TIMESTAMP format
+     */
+    scope(condition, since, until, configurationId, optional = []) {
+        // Stored times have whole seconds, so the end of the window is inclusive
+        const clauses = [condition, 'created_at >= ?', 'created_at <= ?'];
+        const params = [this.sqlTime(since), this.sqlTime(until)];
+
+        if (configurationId) {
+            clauses.push('configuration_id = ?');
+            params.push(configurationId);
+        }
+
+        optional.forEach(([clause, value]) => {
+            if (value) {
+                clauses.push(clause);
+                params.push(value);
+            }
+        });
+
+        return { query: clauses.join(' AND '), params };
+    }
+
+    /**
+     * Send an alert transition to every channel of its rule; returns one result per channel
+     */
+    async notify(alert, rule) {
+        const event = `alert.${alert.status}`;
+        const results = [];
+
+        for (const channel of rule.channels || []) {
+            const result = { channel: channel.type, target: channel.url || channel.to, event, sent_at: new Date().toISOString() };
+            try {
+                if (channel.type === 'webhook') {
+                    const body = JSON.stringify({ event, alert: this.publicAlert(alert), rule: this.publicRule(rule) });
+                    const response = await axios.post(channel.url, body, {
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...this.signer.sign(channel.secret || this.signingSecret, body)
+                        },
+                        timeout: this.timeout,
+                        validateStatus: () => true
+                    });
+                    result.status_code = response.status;
+                    result.success = response.status >= 200 && response.status < 300;
+                    if (!result.success) {
+                        result.error = `HTTP ${response.status}`;
+                    }
+                } else if (channel.type === 'email') {
+                    const sent = await this.mailer.send({
+                        to: channel.to.split(',').map(address => address.trim()).filter(Boolean),
+                        subject: `[${alert.status.toUpperCase()}] ${rule.name}`,
+                        text: this.emailBody(alert, rule)
+                    });
+                    result.success = sent.rejected.length === 0;
+                    if (!result.success) {
+                        result.error = sent.rejected.map(item => `${item.recipient}: ${item.code} ${item.message}`).join('; ');
+                    }
+                }
+            } catch (error) {
+                result.success = false;
+                result.error = error.message;
+            }
+            results.push(result);
+        }
+
+        return results;
+    }
+
+    emailBody(alert, rule) {
+        return [
+            alert.status === 'firing' ? 'An alert is firing.' : 'An alert has been resolved.',
+            '',
+            alert.message,
+            '',
+            `Rule: ${rule.name} (#${rule.id})`,
+            `Condition: ${this.condition(rule)}`,
+            `Fired: ${alert.fired_at}`,
+            alert.resolved_at ? `Resolved: ${alert.resolved_at}` : null
+        ].filter(line => line !== null).join('\n');
+    }
+
+    describe(rule, value) {
+        const unit = METRICS[rule.metric].unit;
+        return `${rule.name}: ${rule.metric} is ${value}${unit === '%' ? '%' : ` ${unit}`} (${this.condition(rule)})`;
+    }
+
+    condition(rule) {
+        const unit = METRICS[rule.metric].unit;
+        return `${rule.metric} ${rule.comparator} ${rule.threshold}${unit === '%' ? '%' : ` ${unit}`} over ${rule.window_minutes} minutes`;
+    }
+
+    /**
+     * Rules
+     */
+    async createRule(input) {
+        const rule = this.validateRule(input);
+        const now = new Date().toISOString();
+        const result = await this.db.run(`
+            INSERT INTO alert_rules (
+                configuration_id, name, metric, comparator, threshold, window_minutes,
+                min_samples, filters, channels, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            rule.configuration_id, rule.name, rule.metric, rule.comparator, rule.threshold, rule.window_minutes,
+            rule.min_samples, JSON.stringify(rule.filters), JSON.stringify(rule.channels), now, now
+        ]);
+        return this.getRule(result.lastID);
+    }
+
+    async updateRule(id, input) {
+        const existing = await this.getRule(id);
+        if (!existing) return null;
+
+        // Secrets are never returned, so a webhook resubmitted without one keeps its stored secret
+        const channels = Array.isArray(input.channels) ? input.channels.map(channel => {
+            const previous = existing.channels.find(item => item.type === 'webhook' && item.url === channel.url);
+            return channel.type === 'webhook' && !channel.secret && previous && previous.secret
+                ? { ...channel, secret: previous.secret }
+                : channel;
+        }) : input.channels;
+
+        const rule = this.validateRule({ ...existing, ...input, channels: channels || existing.channels });
+        await this.db.run(`
+            UPDATE alert_rules SET
+                configuration_id = ?, name = ?, metric = ?, comparator = ?, threshold = ?, window_minutes = ?,
+                min_samples = ?, filters = ?, channels = ?, updated_at = ?
+            WHERE id = ?
+        `, [
+            rule.configuration_id, rule.name, rule.metric, rule.comparator, rule.threshold, rule.window_minutes,
+            rule.min_samples, JSON.stringify(rule.filters), JSON.stringify(rule.channels), new Date().toISOString(), id
+        ]);
+        return this.getRule(id);
+    }
+
+    /**
+     * Deactivate a rule and resolve its firing alert without notifying
+     */
+    async deleteRule(id) {
+        const result = await this.db.run('UPDATE alert_rules SET is_active = 0 WHERE id = ? AND is_active = 1', [id]);
+        await this.db.run(
+            "UPDATE alerts SET status = 'resolved', resolved_at = ? WHERE rule_id = ? AND status = 'firing'",
+            [new Date().toISOString(), id]
+        );
+        return result.changes > 0;
+    }
+
+    async getRule(id) {
+        const row = await this.db.get('SELECT * FROM alert_rules WHERE id = ? AND is_active = 1', [id]);
+        return row ? this.deserializeRule(row) : null;
+    }
+
+    async listRules(configurationId = null) {
+        const rows = await this.db.all(`
+            SELECT * FROM alert_rules WHERE is_active = 1
+            ${configurationId ? 'AND configuration_id = ?' : ''}
+            ORDER BY id
+        `, configurationId ? [configurationId] : []);
+        return rows.map(row => this.deserializeRule(row));
+    }
+
+    /**
+     * Normalized copy of a rule definition; throws a 400 error describing the first problem
+     */
+    validateRule(input) {
+        const rule = {
+            configuration_id: input.configuration_id ? parseInt(input.configuration_id) : null,
+            name: String(input.name || '').trim(),
+            metric: input.metric,
+            comparator: input.comparator,
+            threshold: Number(input.threshold),
+            window_minutes: parseInt(input.window_minutes),
+            min_samples: input.min_samples !== undefined && input.min_samples !== null ? parseInt(input.min_samples) : 1,
+            filters: input.filters || {},
+            channels: input.channels || []
+        };
+
+        if (!rule.name) {
+            throw this.validationError('name is required');
+        }
+        if (!METRICS[rule.metric]) {
+            throw this.validationError(`Unknown metric "${rule.metric}"`, { allowed: Object.keys(METRICS) });
+        }
+        if (!COMPARATORS[rule.comparator]) {
+            throw this.validationError(`Unknown comparator "${rule.comparator}"`, { allowed: AlertEngine.COMPARATORS });
+        }
+        if (!Number.isFinite(rule.threshold)) {
+            throw this.validationError('threshold must be a number');
+        }
+        if (!(rule.window_minutes >= 1 && rule.window_minutes <= 7 * 24 * 60)) {
+            throw this.validationError('window_minutes must be between 1 and 10080');
+        }
+        if (!(rule.min_samples >= 1)) {
+            throw this.validationError('min_samples must be at least 1');
+        }
+        if (typeof rule.filters !== 'object' || Array.isArray(rule.filters)) {
+            throw this.validationError('filters must be an object');
+        }
+        if (!Array.isArray(rule.channels)) {
+            throw this.validationError('channels must be an array');
+        }
+
+        rule.channels.forEach((channel, index) => {
+            if (!CHANNELS.includes(channel.type)) {
+                throw this.validationError(`channels[${index}].type must be one of ${CHANNELS.join(', ')}`);
+            }
+            if (channel.type === 'webhook' && !/^https?:\/\/\S+$/.test(channel.url || '')) {
+                throw this.validationError(`channels[${index}].url must be an http(s) URL`);
+            }
+            if (channel.type === 'email') {
+                const addresses = String(channel.to || '').split(',').map(address => address.trim()).filter(Boolean);
+                if (addresses.length === 0 || !addresses.every(address => Mailer.isValidAddress(address))) {
+                    throw this.validationError(`channels[${index}].to must be a comma-separated list of email addresses`);
+                }
+            }
+        });
+
+        return rule;
+    }
+
+    /**
+     * Alerts
+     */
+    async getAlert(id) {
+        const row = await this.db.get(`
+            SELECT alerts.*, alert_rules.name AS rule_name, alert_rules.metric
+            FROM alerts JOIN alert_rules ON alert_rules.id = alerts.rule_id
+            WHERE alerts.id = ?
+        `, [id]);
+        return row ? this.deserializeAlert(row) : null;
+    }
+
+    async listAlerts({ status = null, configurationId = null, limit = 50 } = {}) {
+        let query = `
+            SELECT alerts.*, alert_rules.name AS rule_name, alert_rules.metric
+            FROM alerts JOIN alert_rules ON alert_rules.id = alerts.rule_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND alerts.status = ?';
+            params.push(status);
+        }
+
+        if (configurationId) {
+            query += ' AND alerts.configuration_id = ?';
+            params.push(configurationId);
+        }
+
+        query += ' ORDER BY alerts.fired_at DESC, alerts.id DESC LIMIT ?';
+        params.push(parseInt(limit));
+
+        const rows = await this.db.all(query, params);
+        return rows.map(row => this.deserializeAlert(row));
+    }
+
+    /**
+     * Helpers
+     */
+    publicRule(rule) {
+        return {
+            id: rule.id,
+            name: rule.name,
+            configuration_id: rule.configuration_id,
+            metric: rule.metric,
+            comparator: rule.comparator,
+            threshold: rule.threshold,
+            window_minutes: rule.window_minutes,
+            filters: rule.filters
+        };
+    }
+
+    /**
+     * Rule as returned by the API; webhook secrets are write-only
+     */
+    presentRule(rule) {
+        return {
+            ...rule,
+            channels: rule.channels.map(({ secret, ...channel }) => channel.type === 'webhook'
+                ? { ...channel, has_secret: Boolean(secret) }
+                : channel)
+        };
+    }
+
+    publicAlert(alert) {
+        const { notifications, ...rest } = alert;
+        return rest;
+    }
+
+    deserializeRule(row) {
+        return {
+            ...row,
+            filters: row.filters ? JSON.parse(row.filters) : {},
+            channels: row.channels ? JSON.parse(row.channels) : []
+        };
+    }
+
+    deserializeAlert(row) {
+        return {
+            ...row,
+            notifications: row.notifications ? JSON.parse(row.notifications) : []
+        };
+    }
+
+    // "/v1/orders/*" style patterns; other LIKE wildcards are matched literally
+    likePattern(pattern) {
+        return pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+    }
+
+    sqlTime(date) {
+        return date.toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    validationError(message, details = {}) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        Object.assign(error, details);
+        return error;
+    }
+}
+
+module.exports = AlertEngine;
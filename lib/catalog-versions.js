@@ -0,0 +1,87 @@
+/**
+ * Catalog Versions
+ * Stores every distinct catalog pushed for an integration so versions can be diffed
+ */
+
+const crypto = require('crypto');
+
+class CatalogVersions {
+    constructor(options = {}) {
+        this.db = options.db || null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store a catalog as the next version; re-pushing the latest catalog unchanged
+     * returns the existing version instead of creating a new one
+     */
+    async save(catalog, { integrationCode, source = 'manual' }) {
+        const configuration = await this.db.get(
+            'SELECT id FROM configurations WHERE integration_code = ? AND is_active = 1',
+            [integrationCode]
+        );
+
+        const body = JSON.stringify(catalog);
+        const checksum = crypto.createHash('sha256').update(body).digest('hex');
+        const latest = await this.latest(integrationCode);
+
+        if (latest && latest.checksum === checksum) {
+            return { version: latest, previous: null, unchanged: true };
+        }
+
+        const categories = catalog.menu?.categories || [];
+        const itemCount = categories.reduce((total, category) => total + (category.items || []).length, 0);
+        const createdAt = new Date().toISOString();
+
+        const result = await this.db.run(`
+            INSERT INTO catalog_versions (
+                configuration_id, integration_code, version, catalog, checksum,
+                category_count, item_count, source, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            configuration ? configuration.id : null, integrationCode, latest ? latest.version + 1 : 1,
+            body, checksum, categories.length, itemCount, source, createdAt
+        ]);
+
+        return {
+            version: await this.get(result.lastID),
+            previous: latest,
+            unchanged: false
+        };
+    }
+
+    async list(integrationCode, limit = 50) {
+        return this.db.all(`
+            SELECT id, configuration_id, integration_code, version, checksum,
+                   category_count, item_count, source, created_at
+            FROM catalog_versions
+            WHERE integration_code = ?
+            ORDER BY version DESC LIMIT ?
+        `, [integrationCode, parseInt(limit)]);
+    }
+
+    async get(id) {
+        const row = await this.db.get('SELECT * FROM catalog_versions WHERE id = ?', [id]);
+        return row ? this.deserialize(row) : null;
+    }
+
+    async latest(integrationCode) {
+        const row = await this.db.get(
+            'SELECT * FROM catalog_versions WHERE integration_code = ? ORDER BY version DESC LIMIT 1',
+            [integrationCode]
+        );
+        return row ? this.deserialize(row) : null;
+    }
+
+    deserialize(row) {
+        return {
+            ...row,
+            catalog: JSON.parse(row.catalog)
+        };
+    }
+}
+
+module.exports = CatalogVersions;
@@ -0,0 +1,161 @@
+/**
+ * Configuration History
+ * Every change to a configuration is appended as a numbered, immutable revision with
+ * the user who made it, a field-level diff and a snapshot of the editable fields.
+ * Secrets are never copied into history: a changed plugin password or webhook secret
+ * shows up in the diff as redacted, and restoring a revision leaves them as they are.
+ */
+
+// Fields that are versioned and can be restored
+const FIELDS = [
+    'integration_name', 'integration_code', 'base_url', 'plugin_username', 'environment',
+    'country', 'region', 'vendor_code', 'remote_id', 'callback_url'
+];
+
+const SECRETS = ['plugin_password', 'webhook_secret'];
+
+const REDACTED = '[redacted]';
+
+class ConfigurationHistory {
+    constructor(options = {}) {
+        this.db = options.db || null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get FIELDS() {
+        return FIELDS.slice();
+    }
+
+    /**
+     * Append a revision. `before` and `after` are configuration rows (before is null on
+     * create); `secrets` names the secrets that changed. Returns null when nothing changed.
+     */
+    async record(configurationId, { action, before = null, after = null, secrets = [], user = null, restoredFrom = null }) {
+        const changes = this.diff(before, after);
+        secrets.filter(name => SECRETS.includes(name)).forEach(name => {
+            changes[name] = { from: before ? REDACTED : null, to: REDACTED };
+        });
+
+        if (Object.keys(changes).length === 0 && action === 'update') {
+            return null;
+        }
+
+        // The next number is taken in the same statement so concurrent saves cannot share one
+        const result = await this.db.run(`
+            INSERT INTO configuration_revisions (
+                configuration_id, revision, action, user_id, email, changes, snapshot, restored_from
+            )
+            SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?, ?
+            FROM configuration_revisions WHERE configuration_id = ?
+        `, [
+            configurationId, action,
+            user ? user.id : null, user ? user.email : null,
+            JSON.stringify(changes), JSON.stringify(this.snapshot(after || before)), restoredFrom,
+            configurationId
+        ]);
+
+        const row = await this.db.get('SELECT * FROM configuration_revisions WHERE id = ?', [result.lastID]);
+        return this.deserialize(row, true);
+    }
+
+    /**
+     * Give configurations saved before history was kept a first revision to restore to
+     */
+    async recordBaselines() {
+        const configurations = await this.db.all(`
+            SELECT * FROM configurations c
+            WHERE NOT EXISTS (SELECT 1 FROM configuration_revisions r WHERE r.configuration_id = c.id)
+        `);
+        for (const configuration of configurations) {
+            await this.record(configuration.id, { action: 'baseline', after: configuration });
+        }
+        return configurations.length;
+    }
+
+    /**
+     * Revisions of a configuration, newest first, with the number of tests run on each
+     */
+    async listRevisions(configurationId, { limit = 50 } = {}) {
+        const rows = await this.db.all(`
+            SELECT r.*,
+                (SELECT COUNT(*) FROM test_results t
+                    WHERE t.configuration_id = r.configuration_id AND t.configuration_revision = r.revision AND t.status = 'passed') AS tests_passed,
+                (SELECT COUNT(*) FROM test_results t
+                    WHERE t.configuration_id = r.configuration_id AND t.configuration_revision = r.revision AND t.status NOT IN ('passed', 'skipped')) AS tests_failed
+            FROM configuration_revisions r
+            WHERE r.configuration_id = ?
+            ORDER BY r.revision DESC
+            LIMIT ?
+        `, [configurationId, Math.min(parseInt(limit) || 50, 500)]);
+
+        return rows.map(row => this.deserialize(row, false));
+    }
+
+    async getRevision(configurationId, revision) {
+        const row = await this.db.get(
+            'SELECT * FROM configuration_revisions WHERE configuration_id = ? AND revision = ?',
+            [configurationId, revision]
+        );
+        return row ? this.deserialize(row, true) : null;
+    }
+
+    /**
+     * Number of the revision currently in effect, or null for unknown/unsaved configurations
+     */
+    async latestRevision(configurationId) {
+        if (!configurationId) return null;
+
+        const row = await this.db.get(
+            'SELECT MAX(revision) AS revision FROM configuration_revisions WHERE configuration_id = ?',
+            [configurationId]
+        );
+        return row ? row.revision : null;
+    }
+
+    /**
+     * Changed versioned fields as { field: { from, to } }
+     */
+    diff(before, after) {
+        const changes = {};
+        FIELDS.forEach(field => {
+            const from = before ? this.normalize(before[field]) : null;
+            const to = after ? this.normalize(after[field]) : null;
+            if (from !== to) {
+                changes[field] = { from, to };
+            }
+        });
+        return changes;
+    }
+
+    snapshot(configuration) {
+        const snapshot = {};
+        FIELDS.forEach(field => {
+            snapshot[field] = configuration ? this.normalize(configuration[field]) : null;
+        });
+        return snapshot;
+    }
+
+    // Empty strings and nulls are the same "not set" in the form and the API
+    normalize(value) {
+        return value === undefined || value === '' ? null : value;
+    }
+
+    deserialize(row, withSnapshot) {
+        const data = {
+            ...row,
+            changes: JSON.parse(row.changes),
+            changed_fields: Object.keys(JSON.parse(row.changes))
+        };
+        if (withSnapshot) {
+            data.snapshot = JSON.parse(row.snapshot);
+        } else {
+            delete data.snapshot;
+        }
+        return data;
+    }
+}
+
+module.exports = ConfigurationHistory;
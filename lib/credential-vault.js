@@ -0,0 +1,165 @@
+/**
+ * Credential Vault
+ * Keeps integration secrets (such as the POS plugin password) encrypted at rest with
+ * AES-256-GCM under a master key from ENCRYPTION_KEY. Each ciphertext records the
+ * id of the key that sealed it and is bound to its configuration and name, so a
+ * value copied to another row does not decrypt. Older keys listed in
+ * ENCRYPTION_KEY_PREVIOUS still decrypt until rotate() re-encrypts their values.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT = 'v1';
+
+// Only for local development; production refuses to start without ENCRYPTION_KEY
+const DEVELOPMENT_KEY = 'talabat-pos-dev-encryption-key';
+
+class CredentialVault {
+    constructor(options = {}) {
+        this.db = options.db || null;
+
+        let masterKey = options.masterKey || process.env.ENCRYPTION_KEY;
+        if (!masterKey) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('ENCRYPTION_KEY must be set to store integration credentials');
+            }
+            console.warn('⚠️  ENCRYPTION_KEY is not set; credentials are encrypted with a development key');
+            masterKey = DEVELOPMENT_KEY;
+        }
+
+        const previousKeys = options.previousKeys ||
+            String(process.env.ENCRYPTION_KEY_PREVIOUS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+        this.currentKey = this.deriveKey(masterKey);
+        this.keys = new Map([this.currentKey, ...previousKeys.map(key => this.deriveKey(key))]
+            .map(key => [key.id, key.key]));
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * 256-bit key and a short public id derived from a master key of any length
+     */
+    deriveKey(secret) {
+        const key = Buffer.from(crypto.hkdfSync('sha256', secret, 'talabat-pos-vault', 'credential-encryption', 32));
+        const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+        return { id, key };
+    }
+
+    /**
+     * Encrypt and store a secret of a configuration, replacing any previous value
+     */
+    async store(configurationId, name, plaintext) {
+        const sealed = this.encrypt(plaintext, this.context(configurationId, name));
+
+        await this.db.run(`
+            INSERT INTO credentials (configuration_id, name, ciphertext, key_id)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (configuration_id, name) DO UPDATE SET
+                ciphertext = excluded.ciphertext, key_id = excluded.key_id, updated_at = CURRENT_TIMESTAMP
+        `, [configurationId, name, sealed, this.currentKey.id]);
+    }
+
+    /**
+     * Decrypted secret, or null when none is stored. Only server-side test runners call
+     * this; API responses expose has() instead.
+     */
+    async reveal(configurationId, name) {
+        const row = await this.db.get(
+            'SELECT ciphertext FROM credentials WHERE configuration_id = ? AND name = ?',
+            [configurationId, name]
+        );
+        return row ? this.decrypt(row.ciphertext, this.context(configurationId, name)) : null;
+    }
+
+    async has(configurationId, name) {
+        const row = await this.db.get(
+            'SELECT 1 AS found FROM credentials WHERE configuration_id = ? AND name = ?',
+            [configurationId, name]
+        );
+        return Boolean(row);
+    }
+
+    async remove(configurationId) {
+        await this.db.run('DELETE FROM credentials WHERE configuration_id = ?', [configurationId]);
+    }
+
+    /**
+     * Re-encrypt every credential sealed with a previous key under the current key.
+     * Values whose key is no longer configured are reported and left untouched.
+     */
+    async rotate() {
+        const rows = await this.db.all('SELECT * FROM credentials WHERE key_id != ?', [this.currentKey.id]);
+        const result = { rotated: 0, failed: [] };
+
+        for (const row of rows) {
+            const context = this.context(row.configuration_id, row.name);
+            try {
+                const plaintext = this.decrypt(row.ciphertext, context);
+                await this.db.run(
+                    'UPDATE credentials SET ciphertext = ?, key_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [this.encrypt(plaintext, context), this.currentKey.id, row.id]
+                );
+                result.rotated++;
+            } catch (error) {
+                result.failed.push({ configuration_id: row.configuration_id, name: row.name, key_id: row.key_id, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Number of credentials per key id, marking the current key
+     */
+    async status() {
+        const rows = await this.db.all('SELECT key_id, COUNT(*) AS count FROM credentials GROUP BY key_id');
+        return {
+            current_key_id: this.currentKey.id,
+            keys: rows.map(row => ({
+                key_id: row.key_id,
+                credentials: row.count,
+                current: row.key_id === this.currentKey.id,
+                available: this.keys.has(row.key_id)
+            }))
+        };
+    }
+
+    /**
+     * "v1:<key id>:<iv>:<auth tag>:<ciphertext>", base64 parts
+     */
+    encrypt(plaintext, context) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.currentKey.key, iv);
+        cipher.setAAD(Buffer.from(context));
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return [FORMAT, this.currentKey.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    decrypt(sealed, context) {
+        const [format, keyId, iv, tag, ciphertext] = String(sealed).split(':');
+        if (format !== FORMAT || !ciphertext) {
+            throw new Error('Unrecognized credential format');
+        }
+
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Credential was encrypted with key ${keyId}, which is not configured (add it to ENCRYPTION_KEY_PREVIOUS)`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+        decipher.setAAD(Buffer.from(context));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    context(configurationId, name) {
+        return `configuration:${configurationId}:${name}`;
+    }
+}
+
+module.exports = CredentialVault;
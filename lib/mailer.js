@@ -0,0 +1,134 @@
+/**
+ * Mailer
+ * Builds MIME messages with attachments and hands them to a pluggable transport.
+ * A transport is any object with `send({ from, to, raw })` resolving to
+ * `{ accepted, rejected, response }`; SMTP and file transports are built in.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const SMTPTransport = require('./smtp-transport');
+
+/**
+ * Writes each message to an .eml file instead of sending it (used when no SMTP server is configured)
+ */
+class FileTransport {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.EMAIL_FILE_PATH || './data/mail';
+    }
+
+    get name() {
+        return `file://${path.resolve(this.directory)}`;
+    }
+
+    async send({ to, raw }) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const fileName = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.writeFile(path.join(this.directory, fileName), raw);
+
+        return { accepted: [...to], rejected: [], response: `Saved as ${fileName}` };
+    }
+}
+
+const TRANSPORTS = {
+    smtp: options => new SMTPTransport(options),
+    file: options => new FileTransport(options)
+};
+
+class Mailer {
+    constructor(options = {}) {
+        this.from = options.from || process.env.EMAIL_FROM || 'noreply@talabat-pos-platform.com';
+
+        const service = options.service || process.env.EMAIL_SERVICE || (process.env.EMAIL_HOST ? 'smtp' : 'file');
+        this.transport = options.transport || Mailer.createTransport(service, options);
+    }
+
+    static createTransport(service, options = {}) {
+        if (!TRANSPORTS[service]) {
+            throw new Error(`Unknown email transport "${service}" (expected one of ${Object.keys(TRANSPORTS).join(', ')})`);
+        }
+        return TRANSPORTS[service](options);
+    }
+
+    static isValidAddress(address) {
+        return /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/.test(address);
+    }
+
+    /**
+     * Send a plain-text message to `to` (one address or a list) with optional
+     * attachments given as `{ filename, contentType, content }`
+     */
+    async send({ to, subject, text, attachments = [] }) {
+        const recipients = [].concat(to);
+        const raw = this.buildMessage({ to: recipients, subject, text, attachments });
+
+        return this.transport.send({
+            from: this.envelopeAddress(this.from),
+            to: recipients,
+            raw
+        });
+    }
+
+    buildMessage({ to, subject, text, attachments }) {
+        const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+        const domain = this.envelopeAddress(this.from).split('@')[1] || 'localhost';
+
+        const headers = [
+            `From: ${this.from}`,
+            `To: ${to.join(', ')}`,
+            `Subject: ${this.encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/mixed; boundary="${boundary}"`
+        ];
+
+        const parts = [
+            [
+                'Content-Type: text/plain; charset=utf-8',
+                'Content-Transfer-Encoding: base64',
+                '',
+                this.base64(Buffer.from(text || '', 'utf8'))
+            ].join('\r\n'),
+            ...attachments.map(attachment => {
+                const filename = this.encodeHeader(attachment.filename).replace(/"/g, '');
+                return [
+                    `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+                    'Content-Transfer-Encoding: base64',
+                    `Content-Disposition: attachment; filename="${filename}"`,
+                    '',
+                    this.base64(Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(String(attachment.content), 'utf8'))
+                ].join('\r\n');
+            })
+        ];
+
+        return [
+            headers.join('\r\n'),
+            '',
+            ...parts.map(part => `--${boundary}\r\n${part}`),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    }
+
+    /**
+     * Helpers
+     */
+    envelopeAddress(address) {
+        const match = /<([^>]+)>/.exec(address);
+        return (match ? match[1] : address).trim();
+    }
+
+    // RFC 2047 encoded-word for non-ASCII header values
+    encodeHeader(value) {
+        const text = String(value || '').replace(/[\r\n]+/g, ' ');
+        return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+    }
+
+    base64(buffer) {
+        return buffer.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+    }
+}
+
+module.exports = Mailer;
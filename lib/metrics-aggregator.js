@@ -0,0 +1,259 @@
+/**
+ * Metrics Aggregator
+ * Latency percentiles, error rate and throughput of api_metrics, overall and per
+ * endpoint, in fixed time buckets. Series are shaped as { timestamp, value } points
+ * for the dashboard's SimpleChart.
+ */
+
+const BUCKETS = {
+    '1m': 60,
+    '5m': 300,
+    '1h': 3600,
+    '1d': 86400
+};
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Upper bound on buckets per request so a wide range with a small bucket stays cheap
+const MAX_BUCKETS = 1500;
+
+class MetricsAggregator {
+    constructor(options = {}) {
+        this.db = options.db || null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get BUCKETS() {
+        return Object.keys(BUCKETS);
+    }
+
+    /**
+     * Bucketed history of the calls between `from` and `to` (default: the last 60 buckets).
+     * `percentile` picks the latency series used for the response time chart.
+     */
+    async history({ configurationId = null, endpoint = null, bucket = '5m', from = null, to = null, percentile = 95 }) {
+        const size = BUCKETS[bucket];
+        if (!size) {
+            throw this.validationError(`Unknown bucket "${bucket}"`, { allowed: MetricsAggregator.BUCKETS });
+        }
+        if (!PERCENTILES.includes(parseInt(percentile))) {
+            throw this.validationError(`Unsupported percentile "${percentile}"`, { allowed: PERCENTILES });
+        }
+
+        const range = this.range(from, to, size);
+        const bucketCount = Math.ceil((range.end - range.start) / (size * 1000));
+        if (bucketCount > MAX_BUCKETS) {
+            throw this.validationError(`Range covers ${bucketCount} buckets of ${bucket}; use a larger bucket or a shorter range (at most ${MAX_BUCKETS})`);
+        }
+
+        const rows = await this.load({ configurationId, endpoint, from: range.start, to: range.end });
+        const starts = Array.from({ length: bucketCount }, (_, index) => range.start + index * size * 1000);
+        const bucketOf = row => Math.floor((this.parseTime(row.created_at) - range.start) / (size * 1000));
+
+        const overall = this.series(rows, starts, bucketOf, size);
+        const key = `p${parseInt(percentile)}`;
+
+        return {
+            bucket,
+            bucket_seconds: size,
+            from: new Date(range.start).toISOString(),
+            to: new Date(range.end).toISOString(),
+            summary: this.summarize(rows, range.end - range.start),
+            series: overall,
+            endpoints: this.groupByEndpoint(rows).map(group => ({
+                endpoint: group.endpoint,
+                method: group.method,
+                summary: this.summarize(group.rows, range.end - range.start),
+                series: this.series(group.rows, starts, bucketOf, size)
+            })),
+
+            // Buckets without calls are left out so the charts only connect real samples
+            charts: {
+                percentile: key,
+                response_time: overall.filter(point => point.count > 0).map(point => ({ timestamp: point.timestamp, value: point[key] })),
+                success_rate: overall.filter(point => point.count > 0).map(point => ({ timestamp: point.timestamp, value: this.round(100 - point.error_rate) }))
+            }
+        };
+    }
+
+    /**
+     * Totals and percentiles per endpoint for an optional date range (no buckets)
+     */
+    async endpointSummary({ configurationId = null, from = null, to = null }) {
+        const start = from ? this.parseDate(from, 'from', false) : null;
+        const end = to ? this.parseDate(to, 'to', true) : null;
+        const rows = await this.load({ configurationId, from: start, to: end });
+
+        const first = rows.length > 0 ? this.parseTime(rows[0].created_at) : 0;
+        const duration = (end || Date.now()) - (start || first);
+
+        return {
+            summary: this.summarize(rows, duration),
+            endpoints: this.groupByEndpoint(rows).map(group => ({
+                endpoint: group.endpoint,
+                method: group.method,
+                ...this.summarize(group.rows, duration)
+            }))
+        };
+    }
+
+    /**
+     * Calls grouped by method and endpoint, busiest first
+     */
+    groupByEndpoint(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = `${row.method} ${row.endpoint}`;
+            if (!groups.has(key)) {
+                groups.set(key, { endpoint: row.endpoint, method: row.method, rows: [] });
+            }
+            groups.get(key).rows.push(row);
+        });
+        return Array.from(groups.values()).sort((a, b) => b.rows.length - a.rows.length);
+    }
+
+    /**
+     * Percentiles, error rate and throughput of a set of calls over `durationMs`
+     */
+    summarize(rows, durationMs) {
+        const times = rows.map(row => row.response_time_ms || 0).sort((a, b) => a - b);
+        const failed = rows.filter(row => !row.success).length;
+        const summary = {
+            total_calls: rows.length,
+            successful_calls: rows.length - failed,
+            failed_calls: failed,
+            error_rate: rows.length > 0 ? this.round((failed / rows.length) * 100) : 0,
+            throughput_per_minute: durationMs > 0 ? this.round(rows.length / (durationMs / 60000)) : 0,
+            avg_response_time: times.length > 0 ? this.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null,
+            max_response_time: times.length > 0 ? times[times.length - 1] : null
+        };
+
+        PERCENTILES.forEach(percentile => {
+            summary[`p${percentile}`] = this.percentile(times, percentile);
+        });
+        return summary;
+    }
+
+    series(rows, starts, bucketOf, size) {
+        const buckets = starts.map(() => []);
+        rows.forEach(row => {
+            const index = bucketOf(row);
+            if (index >= 0 && index < buckets.length) {
+                buckets[index].push(row);
+            }
+        });
+
+        return buckets.map((bucketRows, index) => {
+            const summary = this.summarize(bucketRows, size * 1000);
+            return {
+                timestamp: starts[index],
+                count: summary.total_calls,
+                error_rate: summary.error_rate,
+                throughput_per_minute: summary.throughput_per_minute,
+                avg: summary.avg_response_time,
+                p50: summary.p50,
+                p90: summary.p90,
+                p95: summary.p95,
+                p99: summary.p99
+            };
+        });
+    }
+
+    /**
+     * Linear interpolation between the closest ranks of an ascending list
+     */
+    percentile(sorted, percentile) {
+        if (sorted.length === 0) return null;
+
+        const rank = (percentile / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return this.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+    }
+
+    async load({ configurationId = null, endpoint = null, from = null, to = null }) {
+        let query = `
+            SELECT endpoint, method, response_time_ms, success, created_at
+            FROM api_metrics
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (from !== null) {
+            query += ' AND created_at >= ?';
+            params.push(this.sqlTime(from));
+        }
+
+        if (to !== null) {
+            query += ' AND created_at < ?';
+            params.push(this.sqlTime(to));
+        }
+
+        if (configurationId) {
+            query += ' AND configuration_id = ?';
+            params.push(configurationId);
+        }
+
+        if (endpoint) {
+            query += ' AND endpoint = ?';
+            params.push(endpoint);
+        }
+
+        return this.db.all(query + ' ORDER BY created_at, id', params);
+    }
+
+    /**
+     * Bucket-aligned [start, end) range in epoch milliseconds
+     */
+    range(from, to, size) {
+        const step = size * 1000;
+        const end = to ? this.parseDate(to, 'to', true) : Date.now();
+        const start = from ? this.parseDate(from, 'from', false) : end - step * 60;
+
+        if (start >= end) {
+            throw this.validationError('from must be before to');
+        }
+
+        return {
+            start: Math.floor(start / step) * step,
+            end: Math.ceil(end / step) * step
+        };
+    }
+
+    /**
+     * ISO timestamps or YYYY-MM-DD dates; a date as `to` includes the whole day
+     */
+    parseDate(value, name, endOfDay) {
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const time = new Date(dateOnly ? `${value}T00:00:00Z` : value).getTime();
+        if (isNaN(time)) {
+            throw this.validationError(`${name} must be an ISO 8601 date`);
+        }
+        return dateOnly && endOfDay ? time + 86400000 : time;
+    }
+
+    // api_metrics.created_at is SQLite's CURRENT_TIMESTAMP: UTC "YYYY-MM-DD HH:MM:SS"
+    sqlTime(time) {
+        return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    parseTime(value) {
+        return new Date(String(value).replace(' ', 'T') + (String(value).endsWith('Z') ? '' : 'Z')).getTime();
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    validationError(message, details = {}) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        Object.assign(error, details);
+        return error;
+    }
+}
+
+module.exports = MetricsAggregator;
@@ -0,0 +1,159 @@
+/**
+ * Migrator
+ * Versioned schema changes. Each file in migrations/ is named "<version>_<name>.js" and
+ * exports `up(db)` and `down(db)`; the versions applied to a database are recorded in
+ * schema_migrations. Every migration runs in its own transaction, so a failing one leaves
+ * the database at the previous version. A database carrying versions this code does not
+ * know about was migrated by a newer release and is refused rather than guessed at.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^(\d+)_(.+)\.js$/;
+
+class Migrator {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.directory = options.directory || path.join(__dirname, '..', 'migrations');
+        this.migrations = null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * Migration files, oldest first
+     */
+    load() {
+        if (this.migrations) return this.migrations;
+
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const migration = require(path.join(this.directory, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up(db) and down(db)`);
+                }
+                return { version: parseInt(match[1]), name: match[2], file, up: migration.up, down: migration.down };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw new Error(`Migrations ${migrations[index - 1].file} and ${migration.file} share version ${migration.version}`);
+            }
+        });
+
+        this.migrations = migrations;
+        return migrations;
+    }
+
+    latestVersion() {
+        const migrations = this.load();
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    async ensureTable() {
+        await this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    async applied() {
+        await this.ensureTable();
+        return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    /**
+     * Current and latest version with every migration marked applied or pending
+     */
+    async status() {
+        const applied = await this.applied();
+        const appliedVersions = new Map(applied.map(row => [row.version, row]));
+        const known = new Set(this.load().map(migration => migration.version));
+
+        return {
+            current_version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest_version: this.latestVersion(),
+            migrations: this.load().map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                applied: appliedVersions.has(migration.version),
+                applied_at: appliedVersions.has(migration.version) ? appliedVersions.get(migration.version).applied_at : null
+            })),
+            unknown: applied.filter(row => !known.has(row.version))
+        };
+    }
+
+    /**
+     * Refuse a database that was migrated past the migrations this code ships
+     */
+    async check() {
+        const status = await this.status();
+        if (status.unknown.length > 0) {
+            const error = new Error(
+                `Database schema is at version ${status.current_version}, newer than this code (latest ${status.latest_version}). ` +
+                `Upgrade the application, or roll the database back with the newer release: node migrate.js down ${status.latest_version}`
+            );
+            error.code = 'SCHEMA_TOO_NEW';
+            throw error;
+        }
+        return status;
+    }
+
+    /**
+     * Apply pending migrations up to `to` (default: latest), or revert applied ones above it
+     */
+    async migrate({ to = this.latestVersion() } = {}) {
+        const target = parseInt(to);
+        if (!Number.isInteger(target) || target < 0) {
+            throw new Error(`Invalid target version "${to}"`);
+        }
+        if (target > 0 && !this.load().some(migration => migration.version === target)) {
+            throw new Error(`No migration has version ${target}`);
+        }
+
+        const status = await this.check();
+        const result = { from: status.current_version, to: target, applied: [], reverted: [] };
+
+        const pending = this.load().filter(migration => migration.version <= target &&
+            !status.migrations.find(row => row.version === migration.version).applied);
+        for (const migration of pending) {
+            await this.run(migration, 'up');
+            result.applied.push(migration.file);
+        }
+
+        const reverting = this.load().filter(migration => migration.version > target &&
+            status.migrations.find(row => row.version === migration.version).applied).reverse();
+        for (const migration of reverting) {
+            await this.run(migration, 'down');
+            result.reverted.push(migration.file);
+        }
+
+        return result;
+    }
+
+    async run(migration, direction) {
+        await this.db.exec('BEGIN');
+        try {
+            await migration[direction](this.db);
+            if (direction === 'up') {
+                await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            } else {
+                await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+            await this.db.exec('COMMIT');
+        } catch (error) {
+            await this.db.exec('ROLLBACK');
+            error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+module.exports = Migrator;
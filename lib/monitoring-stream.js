@@ -0,0 +1,228 @@
+/**
+ * Monitoring Stream
+ * Server-Sent Events feed of new logs, api_metrics samples and test results.
+ * Event ids are cursors over the three tables ("<log id>-<metric id>-<test id>"),
+ * so a client reconnecting with Last-Event-ID resumes right after the last event
+ * it received, including across server restarts. `?configuration_id=` limits a
+ * stream to one configuration's rows.
+ */
+
+const SOURCES = [
+    { event: 'log', table: 'logs', json: ['details'] },
+    { event: 'metric', table: 'api_metrics', json: [] },
+    { event: 'test', table: 'test_results', json: ['results'] }
+];
+
+class MonitoringStream {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.orderLifecycle = options.orderLifecycle || null;
+        this.heartbeatInterval = options.heartbeatInterval || 15000;
+
+        // Reconnection delay suggested to EventSource clients
+        this.retry = options.retry || 3000;
+
+        // Rows read per table at a time; larger backlogs are sent in several passes
+        this.batchSize = options.batchSize || 500;
+
+        this.clients = new Set();
+        this.heartbeat = null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * Handle GET /api/monitoring/stream. `Last-Event-ID` (or ?lastEventId=) resumes after
+     * that event; otherwise the stream starts with the latest `?backlog=` logs and metrics.
+     */
+    async subscribe(req, res) {
+        const resumeFrom = this.parseCursor(req.get('Last-Event-ID') || req.query.lastEventId);
+        const backlog = Math.min(parseInt(req.query.backlog) || 0, this.batchSize);
+
+        // A cursor from before the database was reset would skip every new row
+        const latest = await this.latestCursor(0);
+        const client = {
+            res,
+            configurationId: req.query.configuration_id ? parseInt(req.query.configuration_id) : null,
+            cursor: resumeFrom ? resumeFrom.map((id, index) => Math.min(id, latest[index])) : await this.latestCursor(backlog),
+            busy: false,
+            dirty: false,
+            activeOrders: null
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retry}\n\n`);
+        this.flush(res);
+
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+
+        await this.pump(client);
+    }
+
+    /**
+     * Called after rows are written; pushes them to every connected client
+     */
+    notify() {
+        this.clients.forEach(client => {
+            this.pump(client).catch(error => {
+                console.error('Monitoring stream error:', error);
+            });
+        });
+    }
+
+    /**
+     * Push an event that is not stored in the streamed tables (e.g. alert state changes);
+     * such events carry no id and are not replayed on reconnect
+     */
+    broadcast(event, data) {
+        this.clients.forEach(client => {
+            if (client.configurationId && data.configuration_id !== client.configurationId) return;
+            this.write(client.res, event, data);
+        });
+    }
+
+    /**
+     * Send everything after the client's cursor; notifications during a send trigger another pass
+     */
+    async pump(client) {
+        if (client.busy) {
+            client.dirty = true;
+            return;
+        }
+
+        client.busy = true;
+        try {
+            do {
+                client.dirty = false;
+                await this.send(client);
+            } while (client.dirty && this.clients.has(client));
+        } finally {
+            client.busy = false;
+        }
+    }
+
+    async send(client) {
+        const pending = [];
+        for (const [index, source] of SOURCES.entries()) {
+            const rows = await this.db.all(
+                `SELECT * FROM ${source.table} WHERE id > ? ${client.configurationId ? 'AND configuration_id = ?' : ''} ORDER BY id LIMIT ?`,
+                client.configurationId
+                    ? [client.cursor[index], client.configurationId, this.batchSize]
+                    : [client.cursor[index], this.batchSize]
+            );
+            if (rows.length === this.batchSize) {
+                client.dirty = true;
+            }
+            rows.forEach(row => pending.push({ index, source, row }));
+        }
+
+        // Interleave the tables by time; each table stays in id order, so the cursor only moves forward
+        pending.sort((a, b) => String(a.row.created_at).localeCompare(String(b.row.created_at)) || a.index - b.index || a.row.id - b.row.id);
+
+        for (const { index, source, row } of pending) {
+            if (!this.clients.has(client)) return;
+            client.cursor[index] = row.id;
+            this.write(client.res, source.event, this.deserialize(row, source.json), client.cursor.join('-'));
+        }
+
+        if (this.orderLifecycle && this.clients.has(client)) {
+            const activeOrders = await this.orderLifecycle.countActive(client.configurationId);
+            if (activeOrders !== client.activeOrders) {
+                client.activeOrders = activeOrders;
+                this.write(client.res, 'summary', { active_orders: activeOrders });
+            }
+        }
+    }
+
+    write(res, event, data, id = null) {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        this.flush(res);
+    }
+
+    // The compression middleware buffers responses unless flushed
+    flush(res) {
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    }
+
+    /**
+     * Cursor that skips everything except the latest `backlog` logs and metrics
+     */
+    async latestCursor(backlog) {
+        return Promise.all(SOURCES.map(async ({ table }) => {
+            const row = await this.db.get(
+                `SELECT id FROM ${table} ORDER BY id DESC LIMIT 1 OFFSET ?`,
+                [table === 'test_results' ? 0 : backlog]
+            );
+            return row ? row.id : 0;
+        }));
+    }
+
+    parseCursor(value) {
+        const parts = String(value || '').split('-');
+        if (parts.length !== SOURCES.length || !parts.every(part => /^\d+$/.test(part))) {
+            return null;
+        }
+        return parts.map(part => parseInt(part));
+    }
+
+    deserialize(row, jsonColumns) {
+        const data = { ...row };
+        jsonColumns.forEach(column => {
+            if (typeof data[column] === 'string') {
+                try {
+                    data[column] = JSON.parse(data[column]);
+                } catch (error) {
+                    // Keep non-JSON values as stored
+                }
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Comment lines keep idle connections open through proxies
+     */
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(client => {
+                client.res.write(': heartbeat\n\n');
+                this.flush(client.res);
+            });
+        }, this.heartbeatInterval);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    /**
+     * End every open stream (on shutdown)
+     */
+    close() {
+        this.stopHeartbeat();
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = MonitoringStream;
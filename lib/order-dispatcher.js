@@ -0,0 +1,296 @@
+/**
+ * Order Dispatch Engine
+ * Builds test orders and pushes them to the partner POS base_url over signed HTTP requests
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSignature = require('./webhook-signature');
+
+class OrderDispatcher {
+    constructor(options = {}) {
+        // Fallback for configurations without their own webhook secret (e.g. unsaved ones)
+        this.signingSecret = options.signingSecret || process.env.WEBHOOK_SECRET || 'talabat-pos-dev-webhook-secret';
+        this.signer = options.signer || new WebhookSignature();
+        this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT) || 15000;
+        this.orderPath = options.orderPath || '/v1/orders/receive';
+        this.maxStoredBodyLength = 64 * 1024;
+        this.userAgent = 'Talabat-POS-Integration-Tester/1.0';
+
+        this.currencies = {
+            AE: 'AED', SA: 'SAR', KW: 'KWD', BH: 'BHD',
+            OM: 'OMR', QA: 'QAR', JO: 'JOD', EG: 'EGP'
+        };
+
+        // Order variations exercised by the dispatch scenarios
+        this.scenarios = {
+            order_reception: order => order,
+            large_order: order => {
+                order.items = Array.from({ length: 25 }, (_, i) => ({
+                    id: `item${i + 1}`,
+                    name: `Test Item ${i + 1}`,
+                    quantity: (i % 3) + 1,
+                    unit_price: 10.00,
+                    total_price: 10.00 * ((i % 3) + 1),
+                    modifiers: []
+                }));
+                return this.recalculateTotals(order);
+            },
+            pickup_order: order => {
+                order.order_type = 'pickup';
+                delete order.delivery_address;
+                delete order.delivery_instructions;
+                order.totals.delivery_fee = 0;
+                return this.recalculateTotals(order);
+            },
+            scheduled_order: order => {
+                order.scheduled_for = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+                return order;
+            }
+        };
+    }
+
+    /**
+     * Generate sample order data (mirrors IntegrationTester.generateSampleOrder)
+     */
+    generateSampleOrder(configuration) {
+        const country = configuration.country || 'AE';
+
+        return {
+            order_id: 'TEST_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+            vendor_code: configuration.vendor_code,
+            remote_id: configuration.remote_id,
+            country: country,
+            currency: this.currencies[country] || 'AED',
+            order_type: 'delivery',
+            order_date: new Date().toISOString(),
+            customer: {
+                name: 'Test Customer',
+                phone: '+971501234567',
+                email: 'test@example.com'
+            },
+            delivery_address: {
+                street: 'Test Street 123',
+                building: 'Test Building',
+                area: 'Test Area',
+                city: 'Test City',
+                country: country
+            },
+            items: [
+                {
+                    id: 'item1',
+                    name: 'Test Burger',
+                    quantity: 1,
+                    unit_price: 25.50,
+                    total_price: 25.50,
+                    modifiers: [
+                        {
+                            id: 'mod1',
+                            name: 'Extra Cheese',
+                            quantity: 1,
+                            unit_price: 5.00,
+                            total_price: 5.00
+                        }
+                    ]
+                }
+            ],
+            totals: {
+                subtotal: 30.50,
+                delivery_fee: 5.00,
+                service_fee: 2.00,
+                tax: 1.88,
+                total: 39.38
+            },
+            payment: {
+                method: 'card',
+                status: 'paid'
+            },
+            delivery_instructions: 'Test delivery instructions'
+        };
+    }
+
+    /**
+     * Build the order for a named scenario
+     */
+    buildOrder(configuration, scenario = 'order_reception') {
+        const variation = this.scenarios[scenario];
+        if (!variation) {
+            throw new Error(`Unknown order scenario: ${scenario}`);
+        }
+        return variation(this.generateSampleOrder(configuration));
+    }
+
+    /**
+     * Dispatch one order to the partner POS and report what happened. `accessToken` (from
+     * the authentication step) is sent as a Bearer token, which the emulator requires.
+     */
+    async dispatch(configuration, order, { accessToken = null } = {}) {
+        const url = configuration.base_url.replace(/\/$/, '') + this.orderPath;
+        const body = JSON.stringify(order);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent,
+            ...this.signRequest(body, configuration.webhook_secret)
+        };
+        if (accessToken) {
+            headers.Authorization = `Bearer ${accessToken}`;
+        }
+
+        const result = {
+            order_id: order.order_id,
+            url: url,
+            method: 'POST',
+            request_size: Buffer.byteLength(body),
+            status_code: null,
+            response_time_ms: 0,
+            response_size: 0,
+            response_body: null,
+            schema_errors: this.validateOrder(order),
+            passed: false,
+            error: null
+        };
+
+        if (result.schema_errors.length > 0) {
+            result.error = 'Order payload violates the order schema';
+            return result;
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const response = await axios.post(url, body, {
+                headers: headers,
+                timeout: this.timeout,
+                validateStatus: () => true,
+                transformResponse: [data => data],
+                maxRedirects: 0
+            });
+
+            result.response_time_ms = Date.now() - startTime;
+            result.status_code = response.status;
+            result.response_size = response.data ? Buffer.byteLength(response.data) : 0;
+            result.response_body = this.parseBody(response.data);
+
+            if (response.status < 200 || response.status >= 300) {
+                result.error = `Partner POS responded with HTTP ${response.status}`;
+                return result;
+            }
+
+            result.schema_errors = this.validateResponse(order, result.response_body);
+            if (result.schema_errors.length > 0) {
+                result.error = 'Partner POS response violates the order response schema';
+                return result;
+            }
+
+            result.passed = true;
+        } catch (error) {
+            result.response_time_ms = Date.now() - startTime;
+            result.error = error.code ? `${error.code}: ${error.message}` : error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Sign a request body with the configuration's secret; the signature covers "<timestamp>.<body>"
+     */
+    signRequest(body, secret = null) {
+        return this.signer.sign(secret || this.signingSecret, body);
+    }
+
+    /**
+     * Validate an outbound order against the order schema
+     */
+    validateOrder(order) {
+        const errors = [];
+        const requireType = (path, value, type) => {
+            if (value === undefined || value === null) {
+                errors.push(`${path} is required`);
+            } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type) {
+                errors.push(`${path} must be ${type === 'array' ? 'an array' : 'a ' + type}`);
+            }
+        };
+
+        requireType('order_id', order.order_id, 'string');
+        requireType('vendor_code', order.vendor_code, 'string');
+        requireType('remote_id', order.remote_id, 'string');
+        requireType('currency', order.currency, 'string');
+        requireType('order_type', order.order_type, 'string');
+        requireType('items', order.items, 'array');
+        requireType('totals', order.totals, 'object');
+
+        if (order.order_type === 'delivery') {
+            requireType('delivery_address', order.delivery_address, 'object');
+        }
+
+        (Array.isArray(order.items) ? order.items : []).forEach((item, index) => {
+            requireType(`items[${index}].id`, item.id, 'string');
+            requireType(`items[${index}].quantity`, item.quantity, 'number');
+            requireType(`items[${index}].unit_price`, item.unit_price, 'number');
+        });
+
+        if (order.totals && typeof order.totals.total !== 'number') {
+            errors.push('totals.total must be a number');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the partner POS response: a JSON object that echoes the
+     * order_id or returns its own remote_order_id
+     */
+    validateResponse(order, responseBody) {
+        const errors = [];
+
+        if (!responseBody || typeof responseBody !== 'object' || Array.isArray(responseBody)) {
+            errors.push('response body must be a JSON object');
+            return errors;
+        }
+
+        const { order_id, remote_order_id } = responseBody;
+
+        if (order_id === undefined && remote_order_id === undefined) {
+            errors.push('response must contain order_id or remote_order_id');
+        }
+
+        if (order_id !== undefined && order_id !== order.order_id) {
+            errors.push(`order_id "${order_id}" does not match dispatched order "${order.order_id}"`);
+        }
+
+        if (remote_order_id !== undefined && !['string', 'number'].includes(typeof remote_order_id)) {
+            errors.push('remote_order_id must be a string or number');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Utility methods
+     */
+    recalculateTotals(order) {
+        const subtotal = order.items.reduce((sum, item) => {
+            const modifiers = (item.modifiers || []).reduce((total, mod) => total + mod.total_price, 0);
+            return sum + item.total_price + modifiers;
+        }, 0);
+
+        order.totals.subtotal = Math.round(subtotal * 100) / 100;
+        order.totals.total = Math.round((order.totals.subtotal + order.totals.delivery_fee +
+            order.totals.service_fee + order.totals.tax) * 100) / 100;
+        return order;
+    }
+
+    parseBody(data) {
+        if (!data) return null;
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            // Keep non-JSON bodies for inspection, but not unbounded
+            return data.length > this.maxStoredBodyLength
+                ? data.substring(0, this.maxStoredBodyLength) + '…'
+                : data;
+        }
+    }
+}
+
+module.exports = OrderDispatcher;
@@ -0,0 +1,415 @@
+/**
+ * Order Lifecycle State Machine
+ * Tracks test orders through their legal states, enforces SLA timers and
+ * records every transition (and every illegal attempt) as an order event
+ */
+
+const EventEmitter = require('events');
+
+// Legal transitions; states without outgoing transitions are terminal
+const TRANSITIONS = {
+    RECEIVED: ['ACCEPTED', 'REJECTED', 'CANCELLED'],
+    ACCEPTED: ['PREPARING', 'CANCELLED'],
+    PREPARING: ['READY', 'CANCELLED'],
+    READY: ['PICKED_UP', 'CANCELLED'],
+    PICKED_UP: ['DELIVERED', 'CANCELLED'],
+    REJECTED: [],
+    DELIVERED: [],
+    CANCELLED: []
+};
+
+class OrderLifecycle extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.db = options.db || null;
+
+        // Used only when no database is attached
+        this.orders = new Map();
+        this.events = new Map();
+
+        this.timers = new Map();
+
+        // An SLA rule fires when an order stays in `state` for `seconds`.
+        // With `transitionTo` the order is moved automatically, otherwise only a breach is recorded.
+        this.slaRules = options.slaRules || [
+            {
+                name: 'accept_timeout',
+                state: 'RECEIVED',
+                seconds: parseInt(process.env.ORDER_ACCEPT_TIMEOUT_SECONDS) || 120,
+                transitionTo: 'REJECTED',
+                reason: 'ACCEPT_TIMEOUT'
+            },
+            {
+                name: 'preparation_timeout',
+                state: 'PREPARING',
+                seconds: parseInt(process.env.ORDER_PREPARATION_TIMEOUT_SECONDS) || 3600,
+                transitionTo: null,
+                reason: 'PREPARATION_TIMEOUT'
+            }
+        ];
+    }
+
+    static get TRANSITIONS() {
+        return TRANSITIONS;
+    }
+
+    /**
+     * Attach a database; orders and events are persisted from then on
+     */
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    canTransition(fromStatus, toStatus) {
+        return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    isTerminal(status) {
+        return TRANSITIONS[status] !== undefined && TRANSITIONS[status].length === 0;
+    }
+
+    /**
+     * Register a new order in the RECEIVED state; returns null on duplicates
+     */
+    async createOrder(payload, { configurationId = null, actor = 'talabat' } = {}) {
+        if (await this.getOrder(payload.order_id)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const order = {
+            order_id: payload.order_id,
+            configuration_id: configurationId,
+            status: 'RECEIVED',
+            total_amount: payload.totals?.total ?? null,
+            currency: payload.currency || null,
+            payload: payload,
+            state_entered_at: now,
+            sla_deadline: this.nextDeadline('RECEIVED', now),
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.saveOrder(order, true);
+        const event = await this.recordEvent(order.order_id, {
+            event_type: 'transition',
+            from_status: null,
+            to_status: 'RECEIVED',
+            actor: actor
+        });
+
+        this.armTimers(order);
+        this.emit('transition', { order, event });
+
+        return order;
+    }
+
+    /**
+     * Move an order to a new state. Illegal transitions leave the order
+     * unchanged and are recorded as violations. The update only applies while the
+     * order is still in the state it was read in; when another transition (say an SLA
+     * auto-reject racing a POS accept) got there first, the result has `conflict: true`.
+     */
+    async transition(orderId, toStatus, { actor = 'pos', reason = null, details = null } = {}) {
+        const order = await this.getOrder(orderId);
+        if (!order) {
+            return null;
+        }
+
+        if (!this.canTransition(order.status, toStatus)) {
+            const event = await this.recordEvent(orderId, {
+                event_type: 'violation',
+                from_status: order.status,
+                to_status: toStatus,
+                actor: actor,
+                reason: `Illegal transition ${order.status} → ${toStatus}`,
+                details: details
+            });
+            this.emit('violation', { order, event });
+            return { legal: false, order, event };
+        }
+
+        const fromStatus = order.status;
+        const now = new Date().toISOString();
+
+        order.status = toStatus;
+        order.state_entered_at = now;
+        order.sla_deadline = this.nextDeadline(toStatus, now);
+        order.updated_at = now;
+
+        if (!await this.saveOrder(order, false, fromStatus)) {
+            const current = await this.getOrder(orderId);
+            const event = await this.recordEvent(orderId, {
+                event_type: 'violation',
+                from_status: current ? current.status : null,
+                to_status: toStatus,
+                actor: actor,
+                reason: `Concurrent transition: order left ${fromStatus} before ${toStatus} was applied`,
+                details: details
+            });
+            this.emit('violation', { order: current, event });
+            return { legal: false, conflict: true, order: current, event };
+        }
+        this.clearTimers(orderId);
+
+        const event = await this.recordEvent(orderId, {
+            event_type: 'transition',
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor: actor,
+            reason: reason,
+            details: details
+        });
+
+        this.armTimers(order);
+        this.emit('transition', { order, event });
+
+        return { legal: true, order, event };
+    }
+
+    /**
+     * Resolve once the order satisfies `predicate` or `timeoutMs` has passed
+     */
+    async waitForStatus(orderId, predicate, timeoutMs, pollIntervalMs = 250) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            const order = await this.getOrder(orderId);
+            if (!order || predicate(order) || Date.now() >= deadline) {
+                return order;
+            }
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+    }
+
+    /**
+     * SLA timers
+     */
+    nextDeadline(status, enteredAt) {
+        const rules = this.slaRules.filter(rule => rule.state === status);
+        if (rules.length === 0) return null;
+
+        const seconds = Math.min(...rules.map(rule => rule.seconds));
+        return new Date(new Date(enteredAt).getTime() + seconds * 1000).toISOString();
+    }
+
+    armTimers(order) {
+        const enteredAt = new Date(order.state_entered_at).getTime();
+        const timers = this.slaRules
+            .filter(rule => rule.state === order.status)
+            .map(rule => {
+                const delay = Math.max(0, enteredAt + rule.seconds * 1000 - Date.now());
+                const timer = setTimeout(() => {
+                    this.handleSLATimeout(order.order_id, rule).catch(error => {
+                        console.error('SLA timer error:', error);
+                    });
+                }, delay);
+                // Do not keep the process alive just for SLA timers
+                if (timer.unref) timer.unref();
+                return timer;
+            });
+
+        if (timers.length > 0) {
+            this.timers.set(order.order_id, timers);
+        }
+    }
+
+    clearTimers(orderId) {
+        (this.timers.get(orderId) || []).forEach(timer => clearTimeout(timer));
+        this.timers.delete(orderId);
+    }
+
+    async handleSLATimeout(orderId, rule) {
+        const order = await this.getOrder(orderId);
+        if (!order || order.status !== rule.state) {
+            return;
+        }
+
+        const event = await this.recordEvent(orderId, {
+            event_type: 'sla_breach',
+            from_status: order.status,
+            to_status: rule.transitionTo,
+            actor: 'system',
+            reason: rule.reason,
+            details: { rule: rule.name, seconds: rule.seconds }
+        });
+        this.emit('sla_breach', { order, event, rule });
+
+        if (rule.transitionTo) {
+            await this.transition(orderId, rule.transitionTo, {
+                actor: 'system',
+                reason: rule.reason
+            });
+        }
+    }
+
+    /**
+     * Re-arm timers for open orders after a restart; overdue timers fire immediately
+     */
+    async restoreTimers() {
+        if (!this.db) return;
+
+        const terminal = Object.keys(TRANSITIONS).filter(status => this.isTerminal(status));
+        const rows = await this.db.all(
+            `SELECT * FROM orders WHERE status NOT IN (${terminal.map(() => '?').join(', ')})`,
+            terminal
+        );
+
+        rows.map(row => this.deserializeOrder(row)).forEach(order => this.armTimers(order));
+    }
+
+    /**
+     * Number of orders that have not reached a terminal state
+     */
+    async countActive(configurationId = null) {
+        if (!this.db) return 0;
+
+        const terminal = Object.keys(TRANSITIONS).filter(status => this.isTerminal(status));
+        const row = await this.db.get(
+            `SELECT COUNT(*) AS count FROM orders WHERE status NOT IN (${terminal.map(() => '?').join(', ')})` +
+                (configurationId ? ' AND configuration_id = ?' : ''),
+            configurationId ? [...terminal, configurationId] : terminal
+        );
+        return row.count;
+    }
+
+    stop() {
+        Array.from(this.timers.keys()).forEach(orderId => this.clearTimers(orderId));
+    }
+
+    /**
+     * Storage
+     */
+    async getOrder(orderId) {
+        if (!this.db) {
+            const order = this.orders.get(orderId);
+            return order ? { ...order } : null;
+        }
+
+        const row = await this.db.get('SELECT * FROM orders WHERE order_id = ?', [orderId]);
+        return row ? this.deserializeOrder(row) : null;
+    }
+
+    async listOrders({ configurationId = null, status = null, limit = 50 } = {}) {
+        if (!this.db) {
+            return Array.from(this.orders.values())
+                .filter(order => !configurationId || order.configuration_id == configurationId)
+                .filter(order => !status || order.status === status)
+                .sort((a, b) => b.created_at.localeCompare(a.created_at))
+                .slice(0, limit);
+        }
+
+        let query = 'SELECT * FROM orders WHERE 1=1';
+        const params = [];
+
+        if (configurationId) {
+            query += ' AND configuration_id = ?';
+            params.push(configurationId);
+        }
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += ' ORDER BY created_at DESC LIMIT ?';
+        params.push(parseInt(limit));
+
+        const rows = await this.db.all(query, params);
+        return rows.map(row => this.deserializeOrder(row));
+    }
+
+    async getEvents(orderId) {
+        if (!this.db) {
+            return [...(this.events.get(orderId) || [])];
+        }
+
+        const rows = await this.db.all(
+            'SELECT * FROM order_events WHERE order_id = ? ORDER BY id ASC',
+            [orderId]
+        );
+        return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+    }
+
+    /**
+     * Insert a new order, or update one that is still in `expectedStatus`.
+     * Returns false when the order has moved on in the meantime.
+     */
+    async saveOrder(order, isNew = false, expectedStatus = null) {
+        if (!this.db) {
+            const stored = this.orders.get(order.order_id);
+            if (!isNew && expectedStatus && (!stored || stored.status !== expectedStatus)) {
+                return false;
+            }
+            this.orders.set(order.order_id, { ...order });
+            return true;
+        }
+
+        if (isNew) {
+            await this.db.run(`
+                INSERT INTO orders (
+                    order_id, configuration_id, status, total_amount, currency, payload,
+                    state_entered_at, sla_deadline, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                order.order_id, order.configuration_id, order.status, order.total_amount,
+                order.currency, JSON.stringify(order.payload), order.state_entered_at,
+                order.sla_deadline, order.created_at, order.updated_at
+            ]);
+            return true;
+        }
+
+        const result = await this.db.run(`
+            UPDATE orders SET status = ?, state_entered_at = ?, sla_deadline = ?, updated_at = ?
+            WHERE order_id = ?${expectedStatus ? ' AND status = ?' : ''}
+        `, [
+            order.status, order.state_entered_at, order.sla_deadline, order.updated_at, order.order_id,
+            ...(expectedStatus ? [expectedStatus] : [])
+        ]);
+        return result.changes > 0;
+    }
+
+    async recordEvent(orderId, event) {
+        const record = {
+            order_id: orderId,
+            event_type: event.event_type,
+            from_status: event.from_status || null,
+            to_status: event.to_status || null,
+            actor: event.actor || null,
+            reason: event.reason || null,
+            details: event.details || null,
+            created_at: new Date().toISOString()
+        };
+
+        if (!this.db) {
+            const events = this.events.get(orderId) || [];
+            record.id = events.length + 1;
+            events.push(record);
+            this.events.set(orderId, events);
+            return record;
+        }
+
+        const result = await this.db.run(`
+            INSERT INTO order_events (
+                order_id, event_type, from_status, to_status, actor, reason, details, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            record.order_id, record.event_type, record.from_status, record.to_status,
+            record.actor, record.reason, record.details ? JSON.stringify(record.details) : null,
+            record.created_at
+        ]);
+
+        record.id = result.lastID;
+        return record;
+    }
+
+    deserializeOrder(row) {
+        return {
+            ...row,
+            payload: row.payload ? JSON.parse(row.payload) : null
+        };
+    }
+}
+
+module.exports = OrderLifecycle;
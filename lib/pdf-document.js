@@ -0,0 +1,200 @@
+/**
+ * PDF Document
+ * Minimal PDF 1.4 writer for server-side reports: text in the standard Helvetica fonts,
+ * lines, rectangles and polylines on A4 pages. Coordinates are in points from the top-left.
+ */
+
+// Advance widths (1/1000 em) of the printable ASCII characters 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const A4 = { width: 595.28, height: 841.89 };
+
+class PDFDocument {
+    constructor(options = {}) {
+        this.width = options.width || A4.width;
+        this.height = options.height || A4.height;
+        this.margin = options.margin || 40;
+        this.pages = [];
+        this.addPage();
+    }
+
+    get page() {
+        return this.pages[this.pageIndex];
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.pageIndex = this.pages.length - 1;
+        return this;
+    }
+
+    /**
+     * Draw on an earlier page, e.g. to add "Page x of y" footers once the page count is known
+     */
+    switchToPage(index) {
+        if (index < 0 || index >= this.pages.length) {
+            throw new Error(`Page ${index} does not exist`);
+        }
+        this.pageIndex = index;
+        return this;
+    }
+
+    /**
+     * Width of `text` in points
+     */
+    measure(text, size = 10, bold = false) {
+        const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let total = 0;
+        for (const char of this.sanitize(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return (total * size) / 1000;
+    }
+
+    /**
+     * Shorten `text` with an ellipsis so it fits in `maxWidth`
+     */
+    truncate(text, maxWidth, size = 10, bold = false) {
+        let value = this.sanitize(text);
+        if (this.measure(value, size, bold) <= maxWidth) {
+            return value;
+        }
+        while (value.length > 0 && this.measure(value + '...', size, bold) > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return value + '...';
+    }
+
+    /**
+     * Draw text with its top-left corner at (x, y)
+     */
+    text(x, y, text, { size = 10, bold = false, color = [0, 0, 0], align = 'left', width = 0 } = {}) {
+        const value = this.sanitize(text);
+        let left = x;
+        if (align === 'right') {
+            left = x + width - this.measure(value, size, bold);
+        } else if (align === 'center') {
+            left = x + (width - this.measure(value, size, bold)) / 2;
+        }
+
+        this.page.push(
+            `BT ${this.color(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+            `${this.number(left)} ${this.number(this.height - y - size * 0.8)} Td (${this.escape(value)}) Tj ET`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { color = [0, 0, 0], width = 0.5 } = {}) {
+        this.page.push(
+            `${this.color(color)} RG ${width} w ${this.number(x1)} ${this.number(this.height - y1)} m ` +
+            `${this.number(x2)} ${this.number(this.height - y2)} l S`
+        );
+        return this;
+    }
+
+    rect(x, y, w, h, { fill = null, stroke = null, width = 0.5 } = {}) {
+        const path = `${this.number(x)} ${this.number(this.height - y - h)} ${this.number(w)} ${this.number(h)} re`;
+        if (fill && stroke) {
+            this.page.push(`${this.color(fill)} rg ${this.color(stroke)} RG ${width} w ${path} B`);
+        } else if (fill) {
+            this.page.push(`${this.color(fill)} rg ${path} f`);
+        } else {
+            this.page.push(`${this.color(stroke || [0, 0, 0])} RG ${width} w ${path} S`);
+        }
+        return this;
+    }
+
+    polyline(points, { color = [0, 0, 0], width = 1 } = {}) {
+        if (points.length < 2) return this;
+
+        const [first, ...rest] = points;
+        this.page.push(
+            `${this.color(color)} RG ${width} w ${this.number(first[0])} ${this.number(this.height - first[1])} m ` +
+            rest.map(([x, y]) => `${this.number(x)} ${this.number(this.height - y)} l`).join(' ') + ' S'
+        );
+        return this;
+    }
+
+    /**
+     * Serialize the document
+     */
+    toBuffer() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const pageIds = this.pages.map(operations => {
+            const stream = operations.join('\n');
+            const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+            return add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.number(this.width)} ${this.number(this.height)}] ` +
+                `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(Buffer.byteLength(output, 'latin1'));
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+
+    /**
+     * Helpers
+     */
+    sanitize(text) {
+        // The standard fonts only cover Latin-1 here; replace anything else
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/[\r\n\t]+/g, ' ')
+            .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    }
+
+    escape(text) {
+        return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+    }
+
+    color([r, g, b]) {
+        return `${this.number(r)} ${this.number(g)} ${this.number(b)}`;
+    }
+
+    number(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
+
+module.exports = PDFDocument;
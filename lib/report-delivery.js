@@ -0,0 +1,236 @@
+/**
+ * Report Delivery
+ * Emails every report produced by a schedule to its email_recipients. Each recipient
+ * gets a report_deliveries row; temporary failures are retried with exponential
+ * backoff until REPORT_EMAIL_MAX_ATTEMPTS, permanent ones (5xx) fail immediately.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Mailer = require('./mailer');
+
+class ReportDelivery {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.mailer = options.mailer || new Mailer();
+        this.reportGenerator = options.reportGenerator;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.REPORT_EMAIL_MAX_ATTEMPTS) || 5;
+
+        // Delay before the first retry; doubled for every further attempt
+        this.retryDelay = options.retryDelay || parseInt(process.env.REPORT_EMAIL_RETRY_DELAY_MS) || 60000;
+        this.interval = options.interval || 30000;
+
+        this.timer = null;
+        this.running = null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * Split a stored email_recipients value ("a@x.com, b@y.com") into addresses
+     */
+    static parseRecipients(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+        return [...new Set(list.map(address => String(address).trim()).filter(Boolean))];
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.process(), this.interval);
+        this.timer.unref();
+
+        // Deliveries still pending from before a restart are resumed right away
+        return this.process();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue a scheduled run's report for its recipients and try to send it
+     */
+    async enqueue({ schedule, run, report }) {
+        const recipients = ReportDelivery.parseRecipients(schedule.email_recipients);
+        if (recipients.length === 0) {
+            return 0;
+        }
+
+        const now = new Date().toISOString();
+        for (const recipient of recipients) {
+            await this.db.run(`
+                INSERT INTO report_deliveries (
+                    scheduled_report_id, run_id, report_id, recipient, status, next_attempt_at, created_at
+                ) VALUES (?, ?, ?, ?, 'pending', ?, ?)
+            `, [schedule.id, run.id, report.id, recipient, now, now]);
+        }
+
+        // A pass already in progress selected its rows before these were inserted
+        while (this.running) {
+            await this.running;
+        }
+        return this.process();
+    }
+
+    /**
+     * Attempt every delivery that is due, one message per report
+     */
+    async process(now = new Date()) {
+        if (this.running) {
+            return this.running;
+        }
+
+        this.running = (async () => {
+            const due = await this.db.all(`
+                SELECT * FROM report_deliveries
+                WHERE status IN ('pending', 'retrying') AND next_attempt_at <= ?
+                ORDER BY id
+            `, [now.toISOString()]);
+
+            const byReport = new Map();
+            due.forEach(delivery => {
+                if (!byReport.has(delivery.report_id)) {
+                    byReport.set(delivery.report_id, []);
+                }
+                byReport.get(delivery.report_id).push(delivery);
+            });
+
+            for (const deliveries of byReport.values()) {
+                try {
+                    await this.deliver(deliveries);
+                } catch (error) {
+                    console.error(`Report ${deliveries[0].report_id} delivery failed:`, error);
+                }
+            }
+            return due.length;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    async deliver(deliveries) {
+        const report = await this.db.get(`
+            SELECT reports.*, configurations.integration_name
+            FROM reports
+            LEFT JOIN configurations ON configurations.id = reports.configuration_id
+            WHERE reports.id = ?
+        `, [deliveries[0].report_id]);
+
+        if (!report) {
+            return Promise.all(deliveries.map(delivery => this.markFailed(delivery, 'Report no longer exists')));
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(report.file_path);
+        } catch (error) {
+            const message = `Report file is no longer available: ${error.message}`;
+            return Promise.all(deliveries.map(delivery => this.markFailed(delivery, message)));
+        }
+
+        let result;
+        try {
+            result = await this.mailer.send({
+                to: deliveries.map(delivery => delivery.recipient),
+                subject: this.subject(report),
+                text: this.body(report),
+                attachments: [{
+                    filename: path.basename(report.file_path),
+                    contentType: this.reportGenerator.contentType(report.report_format),
+                    content
+                }]
+            });
+        } catch (error) {
+            return Promise.all(deliveries.map(delivery => error.permanent
+                ? this.markFailed(delivery, error.message)
+                : this.retry(delivery, error.message)));
+        }
+
+        return Promise.all(deliveries.map(delivery => {
+            if (result.accepted.includes(delivery.recipient)) {
+                return this.markSent(delivery, result.response);
+            }
+
+            const rejection = result.rejected.find(item => item.recipient === delivery.recipient);
+            const message = rejection ? `${rejection.code} ${rejection.message}` : 'Recipient was not accepted';
+            return rejection && rejection.permanent ? this.markFailed(delivery, message) : this.retry(delivery, message);
+        }));
+    }
+
+    subject(report) {
+        const type = report.report_type.charAt(0).toUpperCase() + report.report_type.slice(1);
+        return `${type} report ${report.date_range_from} to ${report.date_range_to}` +
+            (report.integration_name ? ` - ${report.integration_name}` : '');
+    }
+
+    body(report) {
+        return [
+            'Your scheduled Talabat POS report is attached.',
+            '',
+            `Report type: ${report.report_type}`,
+            `Format: ${report.report_format.toUpperCase()}`,
+            `Period: ${report.date_range_from} to ${report.date_range_to}`,
+            `Records: ${report.record_count}`,
+            `Checksum (SHA-256): ${report.checksum}`,
+            `Generated: ${report.generated_at} UTC`
+        ].join('\n');
+    }
+
+    async markSent(delivery, response) {
+        await this.db.run(`
+            UPDATE report_deliveries
+            SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_response = ?, last_error = NULL, next_attempt_at = NULL
+            WHERE id = ?
+        `, [new Date().toISOString(), response, delivery.id]);
+    }
+
+    async markFailed(delivery, message) {
+        await this.db.run(`
+            UPDATE report_deliveries
+            SET status = 'failed', attempts = attempts + 1, last_error = ?, next_attempt_at = NULL
+            WHERE id = ?
+        `, [message, delivery.id]);
+    }
+
+    async retry(delivery, message) {
+        const attempts = delivery.attempts + 1;
+        if (attempts >= this.maxAttempts) {
+            return this.markFailed(delivery, `${message} (gave up after ${attempts} attempts)`);
+        }
+
+        const nextAttempt = new Date(Date.now() + this.retryDelay * Math.pow(2, attempts - 1));
+        await this.db.run(`
+            UPDATE report_deliveries
+            SET status = 'retrying', attempts = ?, last_error = ?, next_attempt_at = ?
+            WHERE id = ?
+        `, [attempts, message, nextAttempt.toISOString(), delivery.id]);
+    }
+
+    /**
+     * Latest delivery of each recipient of the given schedules
+     */
+    async getLatest(scheduleIds) {
+        if (scheduleIds.length === 0) {
+            return [];
+        }
+
+        return this.db.all(`
+            SELECT deliveries.* FROM report_deliveries deliveries
+            WHERE deliveries.scheduled_report_id IN (${scheduleIds.map(() => '?').join(', ')})
+              AND deliveries.id = (
+                  SELECT MAX(id) FROM report_deliveries
+                  WHERE scheduled_report_id = deliveries.scheduled_report_id AND recipient = deliveries.recipient
+              )
+            ORDER BY deliveries.recipient
+        `, scheduleIds);
+    }
+}
+
+module.exports = ReportDelivery;
@@ -0,0 +1,400 @@
+/**
+ * Report Generator
+ * Builds reports from persisted orders, API metrics, logs and test results, renders them
+ * to a file under REPORT_STORAGE_PATH and records them in the reports table.
+ *
+ * Reports only read persisted rows in a fixed order, so re-running a report over the same
+ * data produces the same summary and sections; `report_info.checksum` covers both.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ReportPDF = require('./report-pdf');
+
+// Report type -> title and the sections it contains
+const REPORT_TYPES = {
+    completed: { title: 'Completed Orders Report', sections: ['orders'], statuses: ['DELIVERED'] },
+    cancelled: { title: 'Cancelled Orders Report', sections: ['orders'], statuses: ['CANCELLED', 'REJECTED'] },
+    performance: { title: 'Performance Analysis Report', sections: ['endpoints', 'api_metrics'] },
+    errors: { title: 'Error Analysis Report', sections: ['error_logs', 'failed_calls'] },
+    tests: { title: 'Test Results Report', sections: ['test_results'] },
+    all: { title: 'Comprehensive Order Report', sections: ['orders'] }
+};
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Error categories, checked in order against the lower-cased message
+const ERROR_CATEGORIES = [
+    ['Authentication', /auth|login|token|credential|401/],
+    ['Timeout', /timeout|timed out|etimedout/],
+    ['Network', /network|econnrefused|enotfound|econnreset|socket|fetch/],
+    ['Data Format', /json|parse|schema|invalid|validation/],
+    ['Permission', /permission|forbidden|access|403/],
+    ['Order Lifecycle', /transition|sla|order/]
+];
+
+class ReportGenerator {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.storagePath = options.storagePath || process.env.REPORT_STORAGE_PATH || './data/reports';
+        this.pdf = new ReportPDF();
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get TYPES() {
+        return Object.keys(REPORT_TYPES);
+    }
+
+    static get FORMATS() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Build, render and store a report. Returns the reports row and the report data.
+     */
+    async generate({ configurationId = null, vendorCode = null, type, format, from, to }) {
+        const report = await this.build({ configurationId, vendorCode, type, from, to });
+        const record = await this.save(report, format);
+        return { record, report };
+    }
+
+    /**
+     * Collect the sections of `type` between the `from` and `to` dates, both inclusive.
+     * Orders are matched on configuration and vendor code; other sections on configuration.
+     */
+    async build({ configurationId = null, vendorCode = null, type, from, to }) {
+        const definition = REPORT_TYPES[type];
+        const filters = { configurationId, vendorCode, from, to, statuses: definition.statuses };
+
+        const sections = {};
+        for (const section of definition.sections) {
+            sections[section] = await this.loadSection(section, filters);
+        }
+
+        const summary = this.summarize(type, sections);
+
+        return {
+            report_info: {
+                type: type,
+                title: definition.title,
+                configuration_id: configurationId,
+                vendor_code: vendorCode,
+                date_range: { from, to },
+                generated_at: new Date().toISOString(),
+                checksum: crypto.createHash('sha256').update(JSON.stringify({ summary, sections })).digest('hex')
+            },
+            summary: summary,
+            sections: sections
+        };
+    }
+
+    async loadSection(section, { configurationId, vendorCode, from, to, statuses }) {
+        let clause = ' AND date(created_at) BETWEEN date(?) AND date(?)';
+        const params = [from, to];
+        if (configurationId) {
+            clause += ' AND configuration_id = ?';
+            params.push(configurationId);
+        }
+
+        switch (section) {
+            case 'orders':
+                return this.loadOrders({ configurationId, vendorCode, from, to, statuses });
+            case 'endpoints':
+                return this.db.all(`
+                    SELECT endpoint, method,
+                           COUNT(*) AS total_calls,
+                           SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) AS successful_calls,
+                           SUM(CASE WHEN success = 1 THEN 0 ELSE 1 END) AS failed_calls,
+                           ROUND(AVG(response_time_ms)) AS avg_response_time_ms,
+                           MAX(response_time_ms) AS max_response_time_ms
+                    FROM api_metrics WHERE 1=1${clause}
+                    GROUP BY endpoint, method
+                    ORDER BY total_calls DESC, endpoint, method
+                `, params);
+            case 'api_metrics':
+                return this.db.all(`
+                    SELECT id, configuration_id, endpoint, method, status_code, response_time_ms,
+                           request_size, response_size, success, error_message, created_at
+                    FROM api_metrics WHERE 1=1${clause}
+                    ORDER BY created_at, id
+                `, params);
+            case 'failed_calls':
+                return (await this.db.all(`
+                    SELECT id, configuration_id, endpoint, method, status_code, response_time_ms,
+                           error_message, created_at
+                    FROM api_metrics WHERE success = 0${clause}
+                    ORDER BY created_at, id
+                `, params)).map(call => ({
+                    ...call,
+                    error_type: this.categorizeError(call.error_message || `HTTP ${call.status_code}`)
+                }));
+            case 'error_logs':
+                return (await this.db.all(`
+                    SELECT id, configuration_id, level, module, message, details, created_at
+                    FROM logs WHERE level IN ('error', 'warning', 'warn')${clause}
+                    ORDER BY created_at, id
+                `, params)).map(log => ({ ...log, error_type: this.categorizeError(log.message) }));
+            case 'test_results':
+                return this.db.all(`
+                    SELECT id, configuration_id, test_type, test_name, status, error_message,
+                           execution_time_ms, created_at
+                    FROM test_results WHERE 1=1${clause}
+                    ORDER BY created_at, id
+                `, params);
+            default:
+                throw new Error(`Unknown report section "${section}"`);
+        }
+    }
+
+    /**
+     * One row per order with the timestamps of its lifecycle transitions
+     */
+    async loadOrders({ configurationId, vendorCode, from, to, statuses }) {
+        let query = `
+            SELECT order_id, configuration_id, status, total_amount, currency, payload, created_at
+            FROM orders WHERE date(created_at) BETWEEN date(?) AND date(?)
+        `;
+        const params = [from, to];
+
+        // Both filters narrow the result; a vendor code never widens it past the configuration
+        if (configurationId) {
+            query += ' AND configuration_id = ?';
+            params.push(configurationId);
+        }
+        if (vendorCode) {
+            query += ` AND json_extract(payload, '$.vendor_code') = ?`;
+            params.push(vendorCode);
+        }
+
+        if (statuses) {
+            query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
+        }
+
+        query += ' ORDER BY created_at, order_id';
+        const orders = await this.db.all(query, params);
+        if (orders.length === 0) {
+            return [];
+        }
+
+        const events = await this.db.all(`
+            SELECT order_id, to_status, actor, reason, created_at
+            FROM order_events
+            WHERE event_type = 'transition' AND order_id IN (${orders.map(() => '?').join(', ')})
+            ORDER BY id
+        `, orders.map(order => order.order_id));
+
+        const transitions = new Map();
+        events.forEach(event => {
+            if (!transitions.has(event.order_id)) {
+                transitions.set(event.order_id, {});
+            }
+            transitions.get(event.order_id)[event.to_status] = event;
+        });
+
+        return orders.map(order => {
+            const payload = JSON.parse(order.payload || '{}');
+            const steps = transitions.get(order.order_id) || {};
+            const closed = steps.CANCELLED || steps.REJECTED || null;
+            const delivered = steps.DELIVERED || null;
+
+            return {
+                order_id: order.order_id,
+                vendor_code: payload.vendor_code || null,
+                remote_id: payload.remote_id || null,
+                status: order.status,
+                total_amount: order.total_amount,
+                currency: order.currency,
+                received_at: order.created_at,
+                accepted_at: steps.ACCEPTED ? steps.ACCEPTED.created_at : null,
+                delivered_at: delivered ? delivered.created_at : null,
+                fulfilment_minutes: delivered ? this.minutesBetween(order.created_at, delivered.created_at) : null,
+                cancelled_at: closed ? closed.created_at : null,
+                cancellation_reason: closed ? closed.reason : null,
+                cancelled_by: closed ? closed.actor : null
+            };
+        });
+    }
+
+    summarize(type, sections) {
+        const orders = sections.orders || [];
+        const sum = values => Math.round(values.reduce((total, value) => total + (value || 0), 0) * 100) / 100;
+        const average = values => values.length > 0 ? Math.round((sum(values) / values.length) * 100) / 100 : 0;
+        const count = (rows, key) => rows.reduce((counts, row) => {
+            const value = row[key] || 'unknown';
+            counts[value] = (counts[value] || 0) + 1;
+            return counts;
+        }, {});
+
+        switch (type) {
+            case 'completed':
+                return {
+                    total_orders: orders.length,
+                    total_revenue: sum(orders.map(order => order.total_amount)),
+                    average_order_value: average(orders.map(order => order.total_amount)),
+                    average_fulfilment_minutes: average(orders.map(order => order.fulfilment_minutes))
+                };
+
+            case 'cancelled':
+                return {
+                    total_cancelled: orders.length,
+                    rejected_by_pos: orders.filter(order => order.status === 'REJECTED').length,
+                    cancelled_after_acceptance: orders.filter(order => order.status === 'CANCELLED').length,
+                    total_value: sum(orders.map(order => order.total_amount)),
+                    cancellation_reasons: count(orders, 'cancellation_reason'),
+                    cancelled_by: count(orders, 'cancelled_by')
+                };
+
+            case 'all': {
+                const completed = orders.filter(order => order.status === 'DELIVERED');
+                const cancelled = orders.filter(order => ['CANCELLED', 'REJECTED'].includes(order.status));
+                return {
+                    total_orders: orders.length,
+                    completed_orders: completed.length,
+                    cancelled_orders: cancelled.length,
+                    open_orders: orders.length - completed.length - cancelled.length,
+                    completion_rate: orders.length > 0 ? Math.round((completed.length / orders.length) * 10000) / 100 : 0,
+                    total_revenue: sum(completed.map(order => order.total_amount)),
+                    orders_by_status: count(orders, 'status')
+                };
+            }
+
+            case 'performance': {
+                const calls = sections.api_metrics;
+                const successful = calls.filter(call => call.success).length;
+                return {
+                    total_api_calls: calls.length,
+                    successful_calls: successful,
+                    failed_calls: calls.length - successful,
+                    success_rate: calls.length > 0 ? Math.round((successful / calls.length) * 10000) / 100 : 100,
+                    average_response_time_ms: Math.round(average(calls.map(call => call.response_time_ms))),
+                    max_response_time_ms: calls.reduce((max, call) => Math.max(max, call.response_time_ms || 0), 0)
+                };
+            }
+
+            case 'errors': {
+                const errors = [...sections.error_logs, ...sections.failed_calls];
+                const types = count(errors, 'error_type');
+                const mostCommon = Object.entries(types).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+                return {
+                    error_logs: sections.error_logs.filter(log => log.level === 'error').length,
+                    warning_logs: sections.error_logs.filter(log => log.level !== 'error').length,
+                    failed_calls: sections.failed_calls.length,
+                    error_types: types,
+                    most_common_error: mostCommon ? mostCommon[0] : null
+                };
+            }
+
+            case 'tests': {
+                const tests = sections.test_results;
+                const passed = tests.filter(test => test.status === 'passed').length;
+                const skipped = tests.filter(test => test.status === 'skipped').length;
+                return {
+                    tests_run: tests.length,
+                    tests_passed: passed,
+                    tests_failed: tests.length - passed - skipped,
+                    tests_skipped: skipped,
+                    pass_rate: tests.length > 0 ? Math.round((passed / tests.length) * 10000) / 100 : 100,
+                    tests_by_type: count(tests, 'test_type')
+                };
+            }
+
+            default:
+                return {};
+        }
+    }
+
+    categorizeError(message) {
+        const text = String(message || '').toLowerCase();
+        const match = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(text));
+        return match ? match[0] : 'General';
+    }
+
+    minutesBetween(from, to) {
+        return Math.round((new Date(to).getTime() - new Date(from).getTime()) / 600) / 100;
+    }
+
+    /**
+     * Render a report to file content; PDF is returned as a Buffer
+     */
+    render(report, format) {
+        if (format === 'csv') {
+            return this.renderCSV(report);
+        }
+        if (format === 'pdf') {
+            return this.pdf.render(report);
+        }
+        return JSON.stringify(report, null, 2);
+    }
+
+    renderCSV(report) {
+        const lines = [
+            `# ${report.report_info.title}`,
+            `# Date range: ${report.report_info.date_range.from} to ${report.report_info.date_range.to}`,
+            `# Generated at: ${report.report_info.generated_at}`,
+            `# Checksum: ${report.report_info.checksum}`,
+            '',
+            'metric,value',
+            ...Object.entries(report.summary).map(([key, value]) => `${key},${this.csvValue(value)}`)
+        ];
+
+        Object.entries(report.sections).forEach(([name, rows]) => {
+            lines.push('', `# ${name} (${rows.length})`);
+            if (rows.length === 0) return;
+
+            const columns = Object.keys(rows[0]);
+            lines.push(columns.join(','));
+            rows.forEach(row => {
+                lines.push(columns.map(column => this.csvValue(row[column])).join(','));
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    csvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Write the rendered report and insert its reports row
+     */
+    async save(report, format) {
+        const content = this.render(report, format);
+        const info = report.report_info;
+        const fileName = `${info.type}_${info.date_range.from}_${info.date_range.to}_${Date.now()}.${FORMATS[format].extension}`;
+        const filePath = path.join(this.storagePath, fileName);
+
+        await fs.mkdir(this.storagePath, { recursive: true });
+        await fs.writeFile(filePath, content);
+
+        const recordCount = Object.values(report.sections).reduce((total, rows) => total + rows.length, 0);
+        const result = await this.db.run(`
+            INSERT INTO reports (
+                configuration_id, report_type, report_format, date_range_from, date_range_to,
+                record_count, file_path, file_size, checksum
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            info.configuration_id, info.type, format, info.date_range.from, info.date_range.to,
+            recordCount, filePath, Buffer.byteLength(content), info.checksum
+        ]);
+
+        return this.db.get('SELECT * FROM reports WHERE id = ?', [result.lastID]);
+    }
+
+    contentType(format) {
+        return FORMATS[format]?.contentType || 'application/octet-stream';
+    }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,329 @@
+/**
+ * Report PDF
+ * Lays out a generated report as a PDF: header with vendor and date range, summary table,
+ * paginated record tables and, for performance reports, response time charts
+ */
+
+const PDFDocument = require('./pdf-document');
+
+const COLORS = {
+    brand: [1, 0.35, 0],
+    text: [0.13, 0.13, 0.13],
+    muted: [0.45, 0.45, 0.45],
+    grid: [0.8, 0.8, 0.8],
+    header: [0.93, 0.93, 0.93],
+    stripe: [0.98, 0.98, 0.98],
+    white: [1, 1, 1],
+    good: [0.16, 0.65, 0.27],
+    bad: [0.86, 0.21, 0.27]
+};
+
+// Columns shown per section as [field, label, relative width, alignment]
+const ORDER_COLUMNS = {
+    completed: [
+        ['order_id', 'Order', 2.2], ['vendor_code', 'Vendor', 1.2], ['total_amount', 'Total', 1, 'right'],
+        ['currency', 'Cur.', 0.6], ['received_at', 'Received', 1.8], ['delivered_at', 'Delivered', 1.8],
+        ['fulfilment_minutes', 'Minutes', 0.9, 'right']
+    ],
+    cancelled: [
+        ['order_id', 'Order', 2.2], ['status', 'Status', 1.1], ['total_amount', 'Total', 1, 'right'],
+        ['currency', 'Cur.', 0.6], ['received_at', 'Received', 1.8], ['cancelled_at', 'Closed', 1.8],
+        ['cancellation_reason', 'Reason', 1.4], ['cancelled_by', 'By', 0.8]
+    ],
+    all: [
+        ['order_id', 'Order', 2.2], ['status', 'Status', 1.1], ['total_amount', 'Total', 1, 'right'],
+        ['currency', 'Cur.', 0.6], ['received_at', 'Received', 1.8], ['accepted_at', 'Accepted', 1.8],
+        ['delivered_at', 'Delivered', 1.8], ['cancelled_at', 'Closed', 1.8]
+    ]
+};
+
+const SECTION_COLUMNS = {
+    endpoints: [
+        ['endpoint', 'Endpoint', 4], ['method', 'Method', 0.9], ['total_calls', 'Calls', 0.8, 'right'],
+        ['successful_calls', 'OK', 0.8, 'right'], ['failed_calls', 'Failed', 0.8, 'right'],
+        ['avg_response_time_ms', 'Avg ms', 0.9, 'right'], ['max_response_time_ms', 'Max ms', 0.9, 'right']
+    ],
+    api_metrics: [
+        ['created_at', 'Time', 1.8], ['endpoint', 'Endpoint', 3.5], ['method', 'Method', 0.8],
+        ['status_code', 'Status', 0.7, 'right'], ['response_time_ms', 'ms', 0.7, 'right'], ['success', 'OK', 0.5]
+    ],
+    failed_calls: [
+        ['created_at', 'Time', 1.8], ['endpoint', 'Endpoint', 2.8], ['status_code', 'Status', 0.7, 'right'],
+        ['error_type', 'Type', 1.3], ['error_message', 'Error', 3]
+    ],
+    error_logs: [
+        ['created_at', 'Time', 1.8], ['level', 'Level', 0.8], ['module', 'Module', 1.2],
+        ['error_type', 'Type', 1.3], ['message', 'Message', 4]
+    ],
+    test_results: [
+        ['created_at', 'Time', 1.8], ['test_type', 'Type', 1.6], ['test_name', 'Test', 2.4],
+        ['status', 'Status', 0.9], ['execution_time_ms', 'ms', 0.8, 'right'], ['error_message', 'Error', 2.5]
+    ]
+};
+
+const SECTION_TITLES = {
+    orders: 'Orders',
+    endpoints: 'Endpoints',
+    api_metrics: 'API Calls',
+    failed_calls: 'Failed API Calls',
+    error_logs: 'Error and Warning Logs',
+    test_results: 'Test Results'
+};
+
+const ROW_HEIGHT = 14;
+const FOOTER_HEIGHT = 24;
+
+class ReportPDF {
+    /**
+     * Render a report built by ReportGenerator to a PDF buffer
+     */
+    render(report) {
+        const doc = new PDFDocument();
+        this.doc = doc;
+        this.contentWidth = doc.width - doc.margin * 2;
+        this.y = doc.margin;
+
+        this.drawHeader(report.report_info);
+        this.drawSummary(report.summary);
+
+        if (report.report_info.type === 'performance') {
+            this.drawEndpointChart(report.sections.endpoints);
+            this.drawResponseTimeChart(report.sections.api_metrics);
+        }
+
+        Object.entries(report.sections).forEach(([name, rows]) => {
+            const columns = name === 'orders' ? ORDER_COLUMNS[report.report_info.type] : SECTION_COLUMNS[name];
+            this.drawTable(`${SECTION_TITLES[name] || name} (${rows.length})`, columns, rows);
+        });
+
+        this.drawFooters(report.report_info.title);
+        return doc.toBuffer();
+    }
+
+    drawHeader(info) {
+        const doc = this.doc;
+        const margin = doc.margin;
+
+        doc.rect(0, 0, doc.width, 70, { fill: COLORS.brand });
+        doc.text(margin, 18, info.title, { size: 18, bold: true, color: COLORS.white });
+        doc.text(margin, 44, 'Talabat POS Integration Platform', { size: 9, color: COLORS.white });
+
+        this.y = 86;
+        const details = [
+            ['Vendor', info.vendor_code || 'All vendors'],
+            ['Configuration', info.configuration_id ? `#${info.configuration_id}` : 'All configurations'],
+            ['Date range', `${info.date_range.from} to ${info.date_range.to}`],
+            ['Generated', this.formatTimestamp(info.generated_at)]
+        ];
+        details.forEach(([label, value]) => {
+            doc.text(margin, this.y, label, { size: 9, bold: true, color: COLORS.text });
+            doc.text(margin + 90, this.y, value, { size: 9, color: COLORS.text });
+            this.y += 13;
+        });
+
+        doc.text(margin, this.y, `Checksum ${info.checksum}`, { size: 7, color: COLORS.muted });
+        this.y += 20;
+    }
+
+    drawSummary(summary) {
+        const rows = Object.entries(summary).map(([key, value]) => ({
+            metric: key.replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase()),
+            value: value
+        }));
+
+        this.drawTable('Summary', [['metric', 'Metric', 1.2], ['value', 'Value', 2]], rows, { size: 9 });
+    }
+
+    /**
+     * Paginated table; the header row is repeated on every page
+     */
+    drawTable(title, columns, rows, { size = 7 } = {}) {
+        const doc = this.doc;
+        const totalWeight = columns.reduce((sum, column) => sum + column[2], 0);
+        const widths = columns.map(column => (column[2] / totalWeight) * this.contentWidth);
+
+        this.ensureSpace(ROW_HEIGHT * 3 + 20);
+        doc.text(doc.margin, this.y, title, { size: 12, bold: true, color: COLORS.text });
+        this.y += 20;
+
+        const drawHeaderRow = () => {
+            doc.rect(doc.margin, this.y, this.contentWidth, ROW_HEIGHT, { fill: COLORS.header });
+            this.drawRow(columns, widths, column => column[1], { size, bold: true });
+        };
+
+        drawHeaderRow();
+
+        if (rows.length === 0) {
+            doc.text(doc.margin + 4, this.y + 3, 'No records in this date range', { size, color: COLORS.muted });
+            this.y += ROW_HEIGHT;
+        }
+
+        rows.forEach((row, index) => {
+            if (this.ensureSpace(ROW_HEIGHT)) {
+                drawHeaderRow();
+            }
+            if (index % 2 === 1) {
+                doc.rect(doc.margin, this.y, this.contentWidth, ROW_HEIGHT, { fill: COLORS.stripe });
+            }
+            this.drawRow(columns, widths, column => this.formatValue(row[column[0]]), { size });
+        });
+
+        doc.line(doc.margin, this.y, doc.margin + this.contentWidth, this.y, { color: COLORS.grid });
+        this.y += 18;
+    }
+
+    drawRow(columns, widths, valueOf, { size, bold = false }) {
+        const doc = this.doc;
+        let x = doc.margin;
+
+        columns.forEach((column, index) => {
+            const width = widths[index] - 6;
+            doc.text(x + 3, this.y + (ROW_HEIGHT - size) / 2, doc.truncate(valueOf(column), width, size, bold), {
+                size, bold, color: COLORS.text, align: column[3] || 'left', width
+            });
+            x += widths[index];
+        });
+
+        this.y += ROW_HEIGHT;
+        doc.line(doc.margin, this.y, doc.margin + this.contentWidth, this.y, { color: COLORS.grid, width: 0.25 });
+    }
+
+    /**
+     * Horizontal bars of the average response time of the slowest endpoints
+     */
+    drawEndpointChart(endpoints) {
+        const doc = this.doc;
+        const bars = [...endpoints]
+            .sort((a, b) => (b.avg_response_time_ms || 0) - (a.avg_response_time_ms || 0) || a.endpoint.localeCompare(b.endpoint))
+            .slice(0, 10);
+        const height = 30 + Math.max(bars.length, 1) * 16;
+
+        this.ensureSpace(height + 20);
+        doc.text(doc.margin, this.y, 'Average Response Time by Endpoint', { size: 12, bold: true, color: COLORS.text });
+        this.y += 22;
+
+        if (bars.length === 0) {
+            doc.text(doc.margin, this.y, 'No API calls in this date range', { size: 8, color: COLORS.muted });
+            this.y += 24;
+            return;
+        }
+
+        const labelWidth = 190;
+        const chartWidth = this.contentWidth - labelWidth - 50;
+        const max = Math.max(...bars.map(bar => bar.avg_response_time_ms || 0), 1);
+
+        bars.forEach(bar => {
+            const value = bar.avg_response_time_ms || 0;
+            const failed = bar.failed_calls > 0;
+            doc.text(doc.margin, this.y + 2, doc.truncate(`${bar.method} ${bar.endpoint}`, labelWidth - 8, 7), {
+                size: 7, color: COLORS.text
+            });
+            doc.rect(doc.margin + labelWidth, this.y, Math.max((value / max) * chartWidth, 1), 10, {
+                fill: failed ? COLORS.bad : COLORS.brand
+            });
+            doc.text(doc.margin + labelWidth + (value / max) * chartWidth + 4, this.y + 2, `${value} ms`, {
+                size: 7, color: COLORS.muted
+            });
+            this.y += 16;
+        });
+
+        doc.text(doc.margin + labelWidth, this.y, 'Red bars had failed calls', { size: 7, color: COLORS.muted });
+        this.y += 22;
+    }
+
+    /**
+     * Line chart of the response time of every call in order
+     */
+    drawResponseTimeChart(calls) {
+        const doc = this.doc;
+        const height = 140;
+
+        this.ensureSpace(height + 50);
+        doc.text(doc.margin, this.y, 'Response Time per Call', { size: 12, bold: true, color: COLORS.text });
+        this.y += 22;
+
+        if (calls.length === 0) {
+            doc.text(doc.margin, this.y, 'No API calls in this date range', { size: 8, color: COLORS.muted });
+            this.y += 24;
+            return;
+        }
+
+        const left = doc.margin + 40;
+        const width = this.contentWidth - 40;
+        const top = this.y;
+        const max = Math.max(...calls.map(call => call.response_time_ms || 0), 1);
+
+        // Axes and gridlines at 0, 50% and 100% of the slowest call
+        [0, 0.5, 1].forEach(fraction => {
+            const y = top + height - fraction * height;
+            doc.line(left, y, left + width, y, { color: COLORS.grid, width: 0.25 });
+            doc.text(doc.margin, y - 4, `${Math.round(max * fraction)} ms`, { size: 7, color: COLORS.muted, align: 'right', width: 36 });
+        });
+        doc.line(left, top, left, top + height, { color: COLORS.muted });
+
+        const step = calls.length > 1 ? width / (calls.length - 1) : 0;
+        const points = calls.map((call, index) => [
+            left + index * step,
+            top + height - ((call.response_time_ms || 0) / max) * height
+        ]);
+        doc.polyline(points.length === 1 ? [points[0], [left + width, points[0][1]]] : points, { color: COLORS.brand });
+
+        // Mark failed calls
+        calls.forEach((call, index) => {
+            if (!call.success) {
+                doc.rect(points[index][0] - 1.5, points[index][1] - 1.5, 3, 3, { fill: COLORS.bad });
+            }
+        });
+
+        this.y = top + height + 6;
+        doc.text(left, this.y, this.formatTimestamp(calls[0].created_at), { size: 7, color: COLORS.muted });
+        doc.text(left, this.y, this.formatTimestamp(calls[calls.length - 1].created_at), {
+            size: 7, color: COLORS.muted, align: 'right', width: width
+        });
+        this.y += 24;
+    }
+
+    drawFooters(title) {
+        const doc = this.doc;
+        const total = doc.pages.length;
+
+        for (let index = 0; index < total; index++) {
+            doc.switchToPage(index);
+            const y = doc.height - doc.margin + 8;
+            doc.line(doc.margin, y - 6, doc.margin + this.contentWidth, y - 6, { color: COLORS.grid });
+            doc.text(doc.margin, y, title, { size: 7, color: COLORS.muted });
+            doc.text(doc.margin, y, `Page ${index + 1} of ${total}`, {
+                size: 7, color: COLORS.muted, align: 'right', width: this.contentWidth
+            });
+        }
+    }
+
+    /**
+     * Start a new page unless `height` more points fit above the footer
+     */
+    ensureSpace(height) {
+        if (this.y + height <= this.doc.height - this.doc.margin - FOOTER_HEIGHT) {
+            return false;
+        }
+        this.doc.addPage();
+        this.y = this.doc.margin;
+        return true;
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([key, count]) => `${key}: ${count}`).join(', ');
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value)) {
+            return this.formatTimestamp(value);
+        }
+        return String(value);
+    }
+
+    formatTimestamp(value) {
+        return String(value).replace('T', ' ').replace(/\.\d+Z?$|Z$/, '').substring(0, 19);
+    }
+}
+
+module.exports = ReportPDF;
@@ -0,0 +1,321 @@
+/**
+ * Report Scheduler
+ * Runs due scheduled_reports in-process: generates the report, records the run in
+ * scheduled_report_runs and advances next_run by the schedule's frequency.
+ * Runs missed while the server was down are caught up on start.
+ */
+
+const EventEmitter = require('events');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+// Cron fields as [name, min, max]
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day of month', 1, 31],
+    ['month', 1, 12],
+    ['day of week', 0, 6]
+];
+
+class ReportScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.db = options.db || null;
+        this.reportGenerator = options.reportGenerator;
+        this.interval = options.interval || parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS) || 60000;
+
+        // At most this many missed runs are caught up per schedule; older ones are skipped
+        this.catchUpLimit = options.catchUpLimit || parseInt(process.env.REPORT_CATCH_UP_LIMIT) || 30;
+
+        this.timer = null;
+        this.running = null;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get FREQUENCIES() {
+        return FREQUENCIES;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.interval);
+        this.timer.unref();
+        return this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every due schedule; overlapping ticks wait for the one in progress
+     */
+    async tick(now = new Date()) {
+        if (this.running) {
+            return this.running;
+        }
+
+        this.running = (async () => {
+            const due = await this.db.all(
+                'SELECT * FROM scheduled_reports WHERE is_active = 1 AND next_run <= ? ORDER BY next_run, id',
+                [now.toISOString()]
+            );
+
+            for (const schedule of due) {
+                try {
+                    await this.runSchedule(schedule, now);
+                } catch (error) {
+                    console.error(`Scheduled report ${schedule.id} failed:`, error);
+                }
+            }
+            return due.length;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Execute every occurrence of `schedule` that is due at `now`, oldest first
+     */
+    async runSchedule(schedule, now = new Date()) {
+        const occurrences = [];
+        let nextRun = new Date(schedule.next_run);
+
+        while (nextRun <= now) {
+            occurrences.push(nextRun);
+            nextRun = this.nextRun(schedule, nextRun);
+        }
+
+        const skipped = occurrences.splice(0, Math.max(occurrences.length - this.catchUpLimit, 0));
+        if (skipped.length > 0) {
+            await this.recordRun(schedule.id, {
+                scheduled_for: skipped[skipped.length - 1].toISOString(),
+                status: 'skipped',
+                catch_up: true,
+                error_message: `${skipped.length} missed runs from ${skipped[0].toISOString()} exceeded the catch-up limit of ${this.catchUpLimit}`
+            });
+        }
+
+        let lastRun = skipped.length > 0 ? skipped[skipped.length - 1] : null;
+        for (const [index, scheduledFor] of occurrences.entries()) {
+            await this.execute(schedule, scheduledFor, {
+                previousRun: lastRun || (schedule.last_run_at ? new Date(schedule.last_run_at) : new Date(schedule.created_at)),
+                catchUp: index < occurrences.length - 1 || skipped.length > 0
+            });
+            lastRun = scheduledFor;
+
+            await this.db.run(
+                'UPDATE scheduled_reports SET last_run_at = ?, next_run = ? WHERE id = ?',
+                [scheduledFor.toISOString(), this.nextRun(schedule, scheduledFor).toISOString(), schedule.id]
+            );
+        }
+
+        if (occurrences.length === 0) {
+            await this.db.run(
+                'UPDATE scheduled_reports SET next_run = ? WHERE id = ?',
+                [nextRun.toISOString(), schedule.id]
+            );
+        }
+    }
+
+    /**
+     * Generate the report covering the days since the previous run
+     */
+    async execute(schedule, scheduledFor, { previousRun, catchUp = false }) {
+        const startedAt = new Date();
+        const window = this.reportWindow(previousRun, scheduledFor);
+
+        try {
+            const { record } = await this.reportGenerator.generate({
+                configurationId: schedule.configuration_id,
+                vendorCode: schedule.vendor_code,
+                type: schedule.report_type,
+                format: schedule.report_format,
+                from: window.from,
+                to: window.to
+            });
+
+            const run = await this.recordRun(schedule.id, {
+                scheduled_for: scheduledFor.toISOString(),
+                started_at: startedAt.toISOString(),
+                status: 'success',
+                report_id: record.id,
+                catch_up: catchUp
+            });
+
+            this.emit('report', { schedule, run, report: record });
+            return run;
+        } catch (error) {
+            return this.recordRun(schedule.id, {
+                scheduled_for: scheduledFor.toISOString(),
+                started_at: startedAt.toISOString(),
+                status: 'failed',
+                catch_up: catchUp,
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Whole days from the previous run up to the day before this one (UTC)
+     */
+    reportWindow(previousRun, scheduledFor) {
+        const to = new Date(scheduledFor.getTime() - 1).toISOString().split('T')[0];
+        const from = previousRun.toISOString().split('T')[0];
+        return { from: from < to ? from : to, to };
+    }
+
+    async recordRun(scheduleId, run) {
+        const result = await this.db.run(`
+            INSERT INTO scheduled_report_runs (
+                scheduled_report_id, scheduled_for, started_at, finished_at, status,
+                report_id, catch_up, error_message
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            scheduleId, run.scheduled_for, run.started_at || null, new Date().toISOString(), run.status,
+            run.report_id || null, run.catch_up ? 1 : 0, run.error_message || null
+        ]);
+
+        return this.db.get('SELECT * FROM scheduled_report_runs WHERE id = ?', [result.lastID]);
+    }
+
+    async getRuns(scheduleId, limit = 50) {
+        return this.db.all(`
+            SELECT runs.*, reports.file_size, reports.record_count
+            FROM scheduled_report_runs runs
+            LEFT JOIN reports ON reports.id = runs.report_id
+            WHERE runs.scheduled_report_id = ?
+            ORDER BY runs.scheduled_for DESC, runs.id DESC LIMIT ?
+        `, [scheduleId, parseInt(limit)]);
+    }
+
+    /**
+     * Next occurrence of a schedule strictly after `after` (UTC)
+     */
+    nextRun(schedule, after) {
+        const next = new Date(after);
+
+        switch (schedule.frequency) {
+            case 'daily':
+                next.setUTCDate(next.getUTCDate() + 1);
+                return next;
+            case 'weekly':
+                next.setUTCDate(next.getUTCDate() + 7);
+                return next;
+            case 'monthly': {
+                // Keep the day of the first run where the month has it, e.g. 31st -> 30th -> 31st
+                const anchor = new Date(schedule.first_run_at || schedule.next_run).getUTCDate();
+                next.setUTCDate(1);
+                next.setUTCMonth(next.getUTCMonth() + 1);
+                const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+                next.setUTCDate(Math.min(anchor, daysInMonth));
+                return next;
+            }
+            case 'cron':
+                return this.nextCronTime(schedule.cron_expression, after);
+            default:
+                throw new Error(`Unknown frequency "${schedule.frequency}"`);
+        }
+    }
+
+    /**
+     * Parse a five-field cron expression ("minute hour day-of-month month day-of-week")
+     * supporting *, lists, ranges and steps. Throws with a readable message when invalid.
+     */
+    parseCron(expression) {
+        const parts = String(expression || '').trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+        }
+
+        const fields = parts.map((part, index) => {
+            const [name, min, max] = CRON_FIELDS[index];
+            const values = new Set();
+
+            part.split(',').forEach(item => {
+                const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+                if (!match) {
+                    throw new Error(`Invalid ${name} "${item}"`);
+                }
+
+                const start = match[1] === '*' ? min : parseInt(match[2]);
+                const end = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start));
+                const step = match[4] ? parseInt(match[4]) : 1;
+
+                // 7 is an alias for Sunday
+                const upper = index === 4 ? 7 : max;
+                if (start < min || end > upper || start > end || step < 1) {
+                    throw new Error(`${name} "${item}" is outside ${min}-${max}`);
+                }
+
+                for (let value = start; value <= end; value += step) {
+                    values.add(index === 4 && value === 7 ? 0 : value);
+                }
+            });
+
+            return values;
+        });
+
+        return {
+            minutes: fields[0],
+            hours: fields[1],
+            days: fields[2],
+            months: fields[3],
+            weekdays: fields[4],
+            // Like cron, a restricted day-of-month and day-of-week match either one
+            anyDay: parts[2] === '*' || parts[4] === '*'
+        };
+    }
+
+    nextCronTime(expression, after) {
+        const cron = this.parseCron(expression);
+        const next = new Date(after);
+        next.setUTCSeconds(0, 0);
+        next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+        // Searching four years covers every valid expression, including Feb 29
+        const limit = new Date(next);
+        limit.setUTCFullYear(limit.getUTCFullYear() + 4);
+
+        while (next <= limit) {
+            if (!cron.months.has(next.getUTCMonth() + 1)) {
+                next.setUTCMonth(next.getUTCMonth() + 1, 1);
+                next.setUTCHours(0, 0);
+                continue;
+            }
+
+            const dayMatches = cron.days.has(next.getUTCDate());
+            const weekdayMatches = cron.weekdays.has(next.getUTCDay());
+            if (cron.anyDay ? !(dayMatches && weekdayMatches) : !(dayMatches || weekdayMatches)) {
+                next.setUTCDate(next.getUTCDate() + 1);
+                next.setUTCHours(0, 0);
+                continue;
+            }
+
+            if (!cron.hours.has(next.getUTCHours())) {
+                next.setUTCHours(next.getUTCHours() + 1, 0);
+                continue;
+            }
+
+            if (!cron.minutes.has(next.getUTCMinutes())) {
+                next.setUTCMinutes(next.getUTCMinutes() + 1);
+                continue;
+            }
+
+            return next;
+        }
+
+        throw new Error(`Cron expression "${expression}" never matches`);
+    }
+}
+
+module.exports = ReportScheduler;
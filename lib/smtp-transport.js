@@ -0,0 +1,260 @@
+/**
+ * SMTP Transport
+ * Sends a prepared MIME message over SMTP (RFC 5321) without external dependencies:
+ * implicit TLS or STARTTLS, AUTH PLAIN/LOGIN and a per-recipient RCPT result.
+ * Works against any server, including a local SMTP sink for testing.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SMTPError extends Error {
+    constructor(response, command) {
+        super(`${command ? command.split(' ')[0] + ' failed: ' : ''}${response.code} ${response.message}`);
+        this.name = 'SMTPError';
+        this.code = response.code;
+
+        // 5xx replies will fail the same way on every retry
+        this.permanent = response.code >= 500;
+    }
+}
+
+/**
+ * One SMTP session: reads replies (including multi-line ones) and writes commands
+ */
+class SMTPConnection {
+    constructor({ host, port, secure, rejectUnauthorized, timeout }) {
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.rejectUnauthorized = rejectUnauthorized;
+        this.timeout = timeout;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized };
+            const socket = this.secure ? tls.connect(options) : net.connect(options);
+            socket.once(this.secure ? 'secureConnect' : 'connect', resolve);
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+
+    /**
+     * Switch the session to TLS after a 220 reply to STARTTLS
+     */
+    upgrade() {
+        const plain = this.socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('close');
+        plain.setTimeout(0);
+
+        return new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: plain, servername: this.host, rejectUnauthorized: this.rejectUnauthorized });
+            socket.once('secureConnect', resolve);
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.timeout, () => {
+            socket.destroy(new Error(`SMTP server did not respond within ${this.timeout}ms`));
+        });
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+    }
+
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = {
+                    code: parseInt(line.slice(0, 3)),
+                    message: this.lines.map(item => item.slice(4)).join('\n'),
+                    lines: this.lines
+                };
+                this.lines = [];
+
+                if (this.waiting) {
+                    const { resolve } = this.waiting;
+                    this.waiting = null;
+                    resolve(reply);
+                } else {
+                    this.replies.push(reply);
+                }
+            }
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        if (this.replies.length > 0) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    /**
+     * Send a command and wait for its reply; throws an SMTPError unless the code is expected
+     */
+    async command(line, expected = null) {
+        this.socket.write(line + '\r\n');
+        const reply = await this.read();
+
+        if (expected && !expected.includes(reply.code)) {
+            // Never echo credentials into error messages
+            throw new SMTPError(reply, line.startsWith('AUTH') ? 'AUTH' : line);
+        }
+        return reply;
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.destroy();
+        }
+    }
+}
+
+class SMTPTransport {
+    constructor(options = {}) {
+        this.host = options.host || process.env.EMAIL_HOST || 'localhost';
+        this.port = parseInt(options.port || process.env.EMAIL_PORT) || 25;
+
+        // Implicit TLS (usually port 465); otherwise STARTTLS is used when the server offers it
+        this.secure = options.secure !== undefined ? options.secure : (process.env.EMAIL_SECURE === 'true' || this.port === 465);
+        this.user = options.user !== undefined ? options.user : process.env.EMAIL_USER;
+        this.pass = options.pass !== undefined ? options.pass : process.env.EMAIL_PASS;
+        this.rejectUnauthorized = options.rejectUnauthorized !== undefined ? options.rejectUnauthorized : process.env.SSL_VERIFY !== 'false';
+        this.timeout = options.timeout || parseInt(process.env.API_TIMEOUT) || 30000;
+        this.clientName = options.clientName || os.hostname();
+    }
+
+    get name() {
+        return `smtp://${this.host}:${this.port}`;
+    }
+
+    /**
+     * Deliver `raw` to every address in `to`. Recipients the server refuses are returned
+     * in `rejected` with the server's reply; connection and protocol errors throw.
+     */
+    async send({ from, to, raw }) {
+        const connection = new SMTPConnection(this);
+
+        try {
+            await connection.connect();
+
+            const greeting = await connection.read();
+            if (greeting.code !== 220) {
+                throw new SMTPError(greeting, 'CONNECT');
+            }
+
+            let capabilities = await this.hello(connection);
+
+            if (!this.secure && /^STARTTLS$/mi.test(capabilities)) {
+                await connection.command('STARTTLS', [220]);
+                await connection.upgrade();
+                capabilities = await this.hello(connection);
+            }
+
+            if (this.user) {
+                await this.authenticate(connection, capabilities);
+            }
+
+            await connection.command(`MAIL FROM:<${from}>`, [250]);
+
+            const accepted = [];
+            const rejected = [];
+            for (const recipient of to) {
+                const reply = await connection.command(`RCPT TO:<${recipient}>`);
+                if (reply.code === 250 || reply.code === 251) {
+                    accepted.push(recipient);
+                } else {
+                    rejected.push({ recipient, code: reply.code, message: reply.message, permanent: reply.code >= 500 });
+                }
+            }
+
+            if (accepted.length === 0) {
+                await connection.command('RSET').catch(() => {});
+                return { accepted, rejected, response: null };
+            }
+
+            await connection.command('DATA', [354]);
+            const reply = await connection.command(this.dotStuff(raw) + '\r\n.', [250]);
+            await connection.command('QUIT').catch(() => {});
+
+            return { accepted, rejected, response: `${reply.code} ${reply.message}` };
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * EHLO, falling back to HELO for servers without ESMTP; returns the capability lines
+     */
+    async hello(connection) {
+        const reply = await connection.command(`EHLO ${this.clientName}`);
+        if (reply.code === 250) {
+            return reply.message;
+        }
+
+        await connection.command(`HELO ${this.clientName}`, [250]);
+        return '';
+    }
+
+    async authenticate(connection, capabilities) {
+        const mechanisms = (/^AUTH[ =](.*)$/mi.exec(capabilities) || [])[1] || '';
+
+        if (/\bLOGIN\b/i.test(mechanisms) && !/\bPLAIN\b/i.test(mechanisms)) {
+            await connection.command('AUTH LOGIN', [334]);
+            await connection.command(Buffer.from(this.user).toString('base64'), [334]);
+            await connection.command(Buffer.from(this.pass || '').toString('base64'), [235]);
+            return;
+        }
+
+        const token = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    /**
+     * Normalize line endings and escape lines starting with "." (RFC 5321 section 4.5.2)
+     */
+    dotStuff(raw) {
+        return raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    }
+}
+
+SMTPTransport.SMTPError = SMTPError;
+
+module.exports = SMTPTransport;
@@ -0,0 +1,226 @@
+/**
+ * Storage
+ * The database handle every module receives through setDatabase(). Adapters share the
+ * query interface of the `sqlite` package (run, get, all, exec, close), so the routes and
+ * services are the same whichever one a deployment picks with STORAGE_DRIVER:
+ *
+ * - sqlite: a database file (STORAGE_PATH, default ./data/talabat_pos.db)
+ * - memory: nothing is written to disk; data lasts as long as the process (serverless, demos)
+ * - json: an in-memory database snapshotted to a readable JSON file (STORAGE_PATH,
+ *   default ./data/talabat_pos.json). Each snapshot rewrites the whole file, so writes
+ *   are batched into one snapshot every few seconds; anything written after the last
+ *   snapshot is lost if the process dies. Meant for demos and small datasets, not as
+ *   a replacement for the sqlite driver.
+ *
+ * Storage files live in data/, which the server never serves.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { open } = require('sqlite');
+
+const DRIVERS = ['sqlite', 'memory', 'json'];
+
+class SQLiteStorage {
+    constructor(options = {}) {
+        this.driver = 'sqlite';
+        this.filename = options.filename || './data/talabat_pos.db';
+        this.db = null;
+    }
+
+    async open() {
+        // SQLite creates the file but not its directory
+        await fs.mkdir(path.dirname(this.filename), { recursive: true });
+        this.db = await open({ filename: this.filename, driver: sqlite3.Database });
+        return this;
+    }
+
+    run(sql, params) {
+        return this.db.run(sql, params);
+    }
+
+    get(sql, params) {
+        return this.db.get(sql, params);
+    }
+
+    all(sql, params) {
+        return this.db.all(sql, params);
+    }
+
+    exec(sql) {
+        return this.db.exec(sql);
+    }
+
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
+
+    describe() {
+        return `SQLite (${this.filename})`;
+    }
+}
+
+class MemoryStorage extends SQLiteStorage {
+    constructor(options = {}) {
+        super(options);
+        this.driver = 'memory';
+        this.filename = ':memory:';
+    }
+
+    async open() {
+        this.db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        return this;
+    }
+
+    describe() {
+        return 'In-memory (not persisted)';
+    }
+}
+
+class JsonFileStorage extends MemoryStorage {
+    constructor(options = {}) {
+        super(options);
+        this.driver = 'json';
+        this.path = options.filename || './data/talabat_pos.json';
+
+        // Snapshot at most this often; writes in between are saved together
+        this.saveDelay = options.saveDelay || 5000;
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Rebuild the schema and rows from the file, if there is one
+     */
+    async open() {
+        await super.open();
+
+        let contents = null;
+        try {
+            contents = JSON.parse(await fs.readFile(this.path, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot read storage file ${this.path}: ${error.message}`);
+            }
+        }
+
+        if (contents) {
+            for (const statement of contents.schema) {
+                await this.db.exec(statement);
+            }
+            for (const [table, rows] of Object.entries(contents.tables)) {
+                for (const row of rows) {
+                    const columns = Object.keys(row);
+                    await this.db.run(
+                        `INSERT INTO "${table}" (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        Object.values(row)
+                    );
+                }
+            }
+            // Keep AUTOINCREMENT from reusing ids of rows deleted before the last save
+            for (const { name, seq } of contents.sequences || []) {
+                await this.db.run('UPDATE sqlite_sequence SET seq = ? WHERE name = ?', [seq, name]);
+            }
+        }
+
+        return this;
+    }
+
+    async run(sql, params) {
+        const result = await super.run(sql, params);
+        // Updates and deletes that matched nothing leave the snapshot as it is
+        if (result.changes > 0 || !/^\s*(UPDATE|DELETE)\b/i.test(sql)) {
+            this.scheduleSave();
+        }
+        return result;
+    }
+
+    async exec(sql) {
+        const result = await super.exec(sql);
+        this.scheduleSave();
+        return result;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => {
+                console.error('Failed to save storage file:', error);
+            });
+        }, this.saveDelay);
+    }
+
+    /**
+     * Snapshot every table to the file; a temporary file is renamed over it so a crash
+     * mid-write never leaves a truncated file behind
+     */
+    save() {
+        this.saving = this.saving.then(async () => {
+            if (!this.db) return;
+
+            const objects = await this.db.all(
+                "SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%' ORDER BY type = 'index', rowid"
+            );
+            const contents = { saved_at: new Date().toISOString(), schema: [], tables: {}, sequences: [] };
+
+            for (const object of objects) {
+                contents.schema.push(object.sql);
+                if (object.type === 'table') {
+                    contents.tables[object.name] = await this.db.all(`SELECT * FROM "${object.name}"`);
+                }
+            }
+
+            const sequence = await this.db.get("SELECT 1 AS found FROM sqlite_master WHERE name = 'sqlite_sequence'");
+            if (sequence) {
+                contents.sequences = await this.db.all('SELECT name, seq FROM sqlite_sequence');
+            }
+
+            await fs.mkdir(path.dirname(this.path), { recursive: true });
+            await fs.writeFile(`${this.path}.tmp`, JSON.stringify(contents));
+            await fs.rename(`${this.path}.tmp`, this.path);
+        });
+        return this.saving;
+    }
+
+    async close() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+        await super.close();
+    }
+
+    describe() {
+        return `In-memory with JSON snapshots (${this.path})`;
+    }
+}
+
+/**
+ * Adapter for `driver` (default STORAGE_DRIVER, then sqlite) at `filename` (default STORAGE_PATH)
+ */
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'sqlite', filename = process.env.STORAGE_PATH } = {}) {
+    switch (driver) {
+        case 'sqlite':
+            return new SQLiteStorage({ filename });
+        case 'memory':
+            return new MemoryStorage();
+        case 'json':
+            return new JsonFileStorage({ filename });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    SQLiteStorage,
+    MemoryStorage,
+    JsonFileStorage,
+    DRIVERS
+};
@@ -0,0 +1,536 @@
+/**
+ * Talabat POS API Emulator
+ * Local implementation of the Talabat POS API used by the "emulator" environment,
+ * so integrations can do real HTTP round-trips without network access
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const OrderLifecycle = require('./order-lifecycle');
+
+/**
+ * Drop the oldest entries of `map` (insertion order) until one more fits under `max`
+ */
+function makeRoom(map, max) {
+    for (const key of map.keys()) {
+        if (map.size < max) break;
+        map.delete(key);
+    }
+}
+
+class TalabatAPIEmulator {
+    constructor(options = {}) {
+        this.accessTokenTTL = options.accessTokenTTL || 3600; // seconds
+        this.refreshTokenTTL = options.refreshTokenTTL || 24 * 3600; // seconds
+
+        // Cap on each of the token, catalog import and store status maps
+        this.maxEntries = options.maxEntries || 1000;
+
+        // Logins are refused unless they match an account: { username: { password, vendorCode } }
+        // from the options or the environment, or one `authenticate(username, password)`
+        // resolves to { username, vendorCode, configurationId }
+        this.credentials = options.credentials || this.loadCredentialsFromEnv();
+        this.authenticateAccount = options.authenticate || null;
+
+        // Orders share the platform's lifecycle so transitions made here are persisted
+        this.lifecycle = options.lifecycle || new OrderLifecycle();
+
+        this.accessTokens = new Map();
+        this.refreshTokens = new Map();
+        this.catalogImports = new Map();
+        this.storeStatus = new Map();
+
+        this.rejectionReasons = [
+            'OUT_OF_STOCK',
+            'CLOSED',
+            'TOO_BUSY',
+            'ADDRESS_NOT_SERVED',
+            'ITEM_UNAVAILABLE',
+            'TECHNICAL_PROBLEM',
+            'OTHER'
+        ];
+
+        this.storeStatuses = ['OPEN', 'CLOSED', 'BUSY'];
+
+        // Statuses a POS may push through /v1/orders/:id/status
+        this.statusUpdates = ['PREPARING', 'READY', 'PICKED_UP', 'DELIVERED', 'CANCELLED'];
+
+        this.router = this.createRouter();
+    }
+
+    /**
+     * Read the emulator account from the environment; its tokens act for EMULATOR_VENDOR_CODE
+     */
+    loadCredentialsFromEnv() {
+        if (process.env.EMULATOR_USERNAME && process.env.EMULATOR_PASSWORD) {
+            return {
+                [process.env.EMULATOR_USERNAME]: {
+                    password: process.env.EMULATOR_PASSWORD,
+                    vendorCode: process.env.EMULATOR_VENDOR_CODE || null
+                }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Build the Express router exposing the emulated endpoints
+     */
+    createRouter() {
+        const router = express.Router();
+
+        router.use(express.json({ limit: '10mb' }));
+
+        router.post('/v1/login', this.handle(this.login));
+        router.post('/v1/refresh', this.refresh.bind(this));
+
+        router.post('/v1/orders/receive', this.authenticate.bind(this), this.handle(this.receiveOrder));
+        router.get('/v1/orders/:id', this.authenticate.bind(this), this.handle(this.getOrder));
+        router.post('/v1/orders/:id/accept', this.authenticate.bind(this), this.handle(this.acceptOrder));
+        router.post('/v1/orders/:id/reject', this.authenticate.bind(this), this.handle(this.rejectOrder));
+        router.post('/v1/orders/:id/status', this.authenticate.bind(this), this.handle(this.updateOrderStatus));
+
+        router.post('/v1/catalog', this.authenticate.bind(this), this.importCatalog.bind(this));
+
+        router.get('/v1/store/status', this.authenticate.bind(this), this.getStoreStatus.bind(this));
+        router.put('/v1/store/status', this.authenticate.bind(this), this.updateStoreStatus.bind(this));
+
+        router.use((req, res) => {
+            this.sendError(res, 404, 'NOT_FOUND', `No emulated endpoint for ${req.method} ${req.path}`);
+        });
+
+        router.use((error, req, res, next) => {
+            if (error.type === 'entity.parse.failed') {
+                return this.sendError(res, 400, 'MALFORMED_JSON', 'Request body is not valid JSON');
+            }
+            console.error('Emulator error:', error);
+            this.sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        });
+
+        return router;
+    }
+
+    /**
+     * Authentication endpoints
+     */
+    async login(req, res) {
+        const { username, password, grant_type } = req.body || {};
+
+        if (!username || !password) {
+            return this.sendError(res, 400, 'MISSING_CREDENTIALS', 'username and password are required');
+        }
+
+        if (grant_type && grant_type !== 'password') {
+            return this.sendError(res, 400, 'UNSUPPORTED_GRANT_TYPE', `grant_type must be "password", got "${grant_type}"`);
+        }
+
+        const account = await this.findAccount(String(username), String(password));
+        if (!account) {
+            return this.sendError(res, 401, 'INVALID_CREDENTIALS', 'Username or password is incorrect');
+        }
+
+        res.json(this.issueTokens(account));
+    }
+
+    /**
+     * The configured account these credentials belong to, or null
+     */
+    async findAccount(username, password) {
+        const configured = this.credentials && Object.prototype.hasOwnProperty.call(this.credentials, username)
+            ? this.credentials[username]
+            : null;
+        if (configured && this.safeEqual(configured.password, password)) {
+            return { username: username, vendorCode: configured.vendorCode || null, configurationId: null };
+        }
+
+        return this.authenticateAccount ? this.authenticateAccount(username, password) : null;
+    }
+
+    refresh(req, res) {
+        const { refresh_token, grant_type } = req.body || {};
+
+        if (!refresh_token) {
+            return this.sendError(res, 400, 'MISSING_REFRESH_TOKEN', 'refresh_token is required');
+        }
+
+        if (grant_type && grant_type !== 'refresh_token') {
+            return this.sendError(res, 400, 'UNSUPPORTED_GRANT_TYPE', `grant_type must be "refresh_token", got "${grant_type}"`);
+        }
+
+        const session = this.refreshTokens.get(refresh_token);
+        if (!session) {
+            return this.sendError(res, 401, 'INVALID_REFRESH_TOKEN', 'Refresh token is unknown or has already been used');
+        }
+
+        // Refresh tokens are single use; the old access token is revoked with it
+        this.refreshTokens.delete(refresh_token);
+        this.accessTokens.delete(session.accessToken);
+
+        if (session.expiresAt < Date.now()) {
+            return this.sendError(res, 401, 'REFRESH_TOKEN_EXPIRED', 'Refresh token has expired, please log in again');
+        }
+
+        res.json(this.issueTokens(session.account));
+    }
+
+    /**
+     * Bearer token middleware
+     */
+    authenticate(req, res, next) {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return this.sendError(res, 401, 'MISSING_TOKEN', 'Authorization header must be "Bearer <access_token>"');
+        }
+
+        const session = this.accessTokens.get(token);
+        if (!session) {
+            return this.sendError(res, 401, 'INVALID_TOKEN', 'Access token is not recognised');
+        }
+
+        if (session.expiresAt < Date.now()) {
+            this.accessTokens.delete(token);
+            return this.sendError(res, 401, 'TOKEN_EXPIRED', 'Access token has expired, use /v1/refresh');
+        }
+
+        req.emulatorSession = session;
+        next();
+    }
+
+    /**
+     * Order endpoints
+     */
+    async receiveOrder(req, res) {
+        const order = req.body || {};
+        const errors = [];
+
+        if (!order.order_id) errors.push({ field: 'order_id', message: 'is required' });
+        if (!order.vendor_code) errors.push({ field: 'vendor_code', message: 'is required' });
+        if (!order.remote_id) errors.push({ field: 'remote_id', message: 'is required' });
+        if (!Array.isArray(order.items) || order.items.length === 0) {
+            errors.push({ field: 'items', message: 'must be a non-empty array' });
+        }
+
+        if (errors.length > 0) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Order payload is invalid', errors);
+        }
+
+        const { account } = req.emulatorSession;
+        if (order.vendor_code !== account.vendorCode) {
+            return this.sendError(res, 403, 'VENDOR_MISMATCH', `This access token cannot act for vendor ${order.vendor_code}`);
+        }
+
+        const record = await this.lifecycle.createOrder(order, {
+            configurationId: account.configurationId,
+            actor: 'talabat'
+        });
+        if (!record) {
+            return this.sendError(res, 409, 'DUPLICATE_ORDER', `Order ${order.order_id} has already been received`);
+        }
+
+        res.status(201).json(this.presentOrder(record));
+    }
+
+    async getOrder(req, res) {
+        const order = await this.findOrder(req, res);
+        if (!order) return;
+
+        res.json(this.presentOrder(order));
+    }
+
+    async acceptOrder(req, res) {
+        const order = await this.findOrder(req, res);
+        if (!order) return;
+
+        const { preparation_time, estimated_delivery_time } = req.body || {};
+        const errors = [];
+
+        if (preparation_time === undefined && estimated_delivery_time === undefined) {
+            errors.push({ field: 'preparation_time', message: 'preparation_time or estimated_delivery_time is required' });
+        }
+
+        if (preparation_time !== undefined &&
+            (!Number.isInteger(preparation_time) || preparation_time <= 0 || preparation_time > 180)) {
+            errors.push({ field: 'preparation_time', message: 'must be an integer number of minutes between 1 and 180' });
+        }
+
+        if (estimated_delivery_time !== undefined) {
+            const eta = new Date(estimated_delivery_time);
+            if (isNaN(eta.getTime())) {
+                errors.push({ field: 'estimated_delivery_time', message: 'must be an ISO 8601 timestamp' });
+            } else if (eta.getTime() < Date.now()) {
+                errors.push({ field: 'estimated_delivery_time', message: 'must be in the future' });
+            }
+        }
+
+        if (errors.length > 0) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Acceptance payload is invalid', errors);
+        }
+
+        await this.applyTransition(res, order, 'ACCEPTED', {
+            details: { preparation_time, estimated_delivery_time }
+        });
+    }
+
+    async rejectOrder(req, res) {
+        const order = await this.findOrder(req, res);
+        if (!order) return;
+
+        const { reason_code, reason_description } = req.body || {};
+
+        if (!reason_code) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Rejection payload is invalid', [
+                { field: 'reason_code', message: 'is required' }
+            ]);
+        }
+
+        if (!this.rejectionReasons.includes(reason_code)) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Rejection payload is invalid', [
+                { field: 'reason_code', message: `must be one of ${this.rejectionReasons.join(', ')}` }
+            ]);
+        }
+
+        await this.applyTransition(res, order, 'REJECTED', {
+            reason: reason_code,
+            details: { reason_description: reason_description || null }
+        });
+    }
+
+    async updateOrderStatus(req, res) {
+        const order = await this.findOrder(req, res);
+        if (!order) return;
+
+        const { status, reason } = req.body || {};
+        const normalizedStatus = typeof status === 'string' ? status.toUpperCase() : null;
+
+        if (!this.statusUpdates.includes(normalizedStatus)) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Status update payload is invalid', [
+                { field: 'status', message: `must be one of ${this.statusUpdates.join(', ')}` }
+            ]);
+        }
+
+        await this.applyTransition(res, order, normalizedStatus, { reason: reason || null });
+    }
+
+    /**
+     * Run a transition through the lifecycle; illegal ones are answered with 409
+     */
+    async applyTransition(res, order, toStatus, { reason = null, details = null } = {}) {
+        const result = await this.lifecycle.transition(order.order_id, toStatus, {
+            actor: 'pos',
+            reason: reason,
+            details: details
+        });
+
+        if (!result.legal) {
+            // On a conflict the order moved on while this request was handled
+            const status = result.order ? result.order.status : order.status;
+            return this.sendError(res, 409, 'INVALID_ORDER_STATE',
+                `Order ${order.order_id} is ${status} and cannot move to ${toStatus}`, [
+                    { field: 'status', message: `allowed transitions: ${(OrderLifecycle.TRANSITIONS[status] || []).join(', ') || 'none'}` }
+                ]);
+        }
+
+        res.json(this.presentOrder(result.order));
+    }
+
+    /**
+     * The order addressed by the request; orders of other vendors are reported as missing
+     */
+    async findOrder(req, res) {
+        const order = await this.lifecycle.getOrder(req.params.id);
+        if (!order || order.payload?.vendor_code !== req.emulatorSession.account.vendorCode) {
+            this.sendError(res, 404, 'ORDER_NOT_FOUND', `Order ${req.params.id} does not exist`);
+            return null;
+        }
+        return order;
+    }
+
+    /**
+     * Catalog endpoint
+     */
+    importCatalog(req, res) {
+        const { catalog, callback_url } = req.body || {};
+        const vendorCode = req.body?.vendor_code || catalog?.vendor_code;
+        const remoteId = req.body?.remote_id || catalog?.remote_id;
+        const errors = [];
+
+        if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+            errors.push({ field: 'catalog', message: 'must be an object' });
+        } else if (!catalog.menu || !Array.isArray(catalog.menu.categories)) {
+            errors.push({ field: 'catalog.menu.categories', message: 'must be an array' });
+        }
+
+        if (!vendorCode) errors.push({ field: 'vendor_code', message: 'is required' });
+        if (!remoteId) errors.push({ field: 'remote_id', message: 'is required' });
+
+        if (vendorCode && vendorCode !== req.emulatorSession.account.vendorCode) {
+            return this.sendError(res, 403, 'VENDOR_MISMATCH', `This access token cannot act for vendor ${vendorCode}`);
+        }
+
+        if (callback_url) {
+            try {
+                if (new URL(callback_url).protocol !== 'https:') {
+                    errors.push({ field: 'callback_url', message: 'must use HTTPS' });
+                }
+            } catch (error) {
+                errors.push({ field: 'callback_url', message: 'is not a valid URL' });
+            }
+        }
+
+        if (errors.length > 0) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Catalog payload is invalid', errors);
+        }
+
+        const importJob = {
+            import_id: 'IMP_' + crypto.randomBytes(8).toString('hex'),
+            vendor_code: vendorCode,
+            remote_id: remoteId,
+            status: 'QUEUED',
+            category_count: catalog.menu.categories.length,
+            callback_url: callback_url || null,
+            queued_at: new Date().toISOString()
+        };
+        makeRoom(this.catalogImports, this.maxEntries);
+        this.catalogImports.set(importJob.import_id, importJob);
+
+        res.status(202).json(importJob);
+    }
+
+    /**
+     * Store status endpoints
+     */
+    getStoreStatus(req, res) {
+        const remoteId = req.query.remote_id;
+        if (!remoteId) {
+            return this.sendError(res, 400, 'MISSING_REMOTE_ID', 'remote_id query parameter is required');
+        }
+
+        res.json(this.storeStatus.get(this.storeKey(req, remoteId)) || { remote_id: remoteId, status: 'OPEN', updated_at: null });
+    }
+
+    updateStoreStatus(req, res) {
+        const { remote_id, status, closed_until } = req.body || {};
+        const errors = [];
+
+        if (!remote_id) errors.push({ field: 'remote_id', message: 'is required' });
+
+        const normalizedStatus = typeof status === 'string' ? status.toUpperCase() : null;
+        if (!this.storeStatuses.includes(normalizedStatus)) {
+            errors.push({ field: 'status', message: `must be one of ${this.storeStatuses.join(', ')}` });
+        }
+
+        if (closed_until !== undefined) {
+            if (normalizedStatus !== 'CLOSED') {
+                errors.push({ field: 'closed_until', message: 'is only allowed when status is CLOSED' });
+            } else if (isNaN(new Date(closed_until).getTime())) {
+                errors.push({ field: 'closed_until', message: 'must be an ISO 8601 timestamp' });
+            }
+        }
+
+        if (errors.length > 0) {
+            return this.sendError(res, 422, 'VALIDATION_ERROR', 'Store status payload is invalid', errors);
+        }
+
+        const record = {
+            remote_id: remote_id,
+            status: normalizedStatus,
+            closed_until: closed_until || null,
+            updated_at: new Date().toISOString()
+        };
+        const key = this.storeKey(req, remote_id);
+        this.storeStatus.delete(key);
+        makeRoom(this.storeStatus, this.maxEntries);
+        this.storeStatus.set(key, record);
+
+        res.json(record);
+    }
+
+    /**
+     * Utility methods
+     */
+    storeKey(req, remoteId) {
+        // Each vendor sees only the store statuses it set
+        return `${req.emulatorSession.account.vendorCode}:${remoteId}`;
+    }
+
+    safeEqual(expected, actual) {
+        const a = crypto.createHash('sha256').update(String(expected)).digest();
+        const b = crypto.createHash('sha256').update(String(actual)).digest();
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    handle(fn) {
+        return (req, res, next) => Promise.resolve(fn.call(this, req, res)).catch(next);
+    }
+
+    presentOrder(order) {
+        return {
+            order_id: order.order_id,
+            status: order.status,
+            sla_deadline: order.sla_deadline,
+            created_at: order.created_at,
+            updated_at: order.updated_at
+        };
+    }
+
+    issueTokens(account) {
+        const accessToken = crypto.randomBytes(24).toString('hex');
+        const refreshToken = crypto.randomBytes(24).toString('hex');
+        const now = Date.now();
+
+        this.pruneTokens(now);
+        this.accessTokens.set(accessToken, {
+            account: account,
+            expiresAt: now + this.accessTokenTTL * 1000
+        });
+        this.refreshTokens.set(refreshToken, {
+            account: account,
+            accessToken: accessToken,
+            expiresAt: now + this.refreshTokenTTL * 1000
+        });
+
+        return {
+            access_token: accessToken,
+            refresh_token: refreshToken,
+            token_type: 'Bearer',
+            expires_in: this.accessTokenTTL,
+            scope: 'pos_integration'
+        };
+    }
+
+    /**
+     * Forget expired tokens and, past the cap, the oldest ones
+     */
+    pruneTokens(now = Date.now()) {
+        for (const tokens of [this.accessTokens, this.refreshTokens]) {
+            for (const [token, session] of tokens) {
+                if (session.expiresAt < now) {
+                    tokens.delete(token);
+                }
+            }
+            makeRoom(tokens, this.maxEntries);
+        }
+    }
+
+    sendError(res, status, code, message, details = null) {
+        const body = { code: code, message: message };
+        if (details) {
+            body.details = details;
+        }
+        res.status(status).json(body);
+    }
+
+    /**
+     * Drop all emulator state
+     */
+    reset() {
+        this.accessTokens.clear();
+        this.refreshTokens.clear();
+        this.catalogImports.clear();
+        this.storeStatus.clear();
+    }
+}
+
+module.exports = TalabatAPIEmulator;
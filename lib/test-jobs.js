@@ -0,0 +1,287 @@
+/**
+ * Test Jobs
+ * Runs test suites in the background. A suite is an ordered list of named steps; a job
+ * runs them one after another against one configuration, writes every finished step to
+ * test_results under the job id and keeps its status and progress in test_jobs, so
+ * clients poll the job instead of holding a request open. Cancelling stops a job before
+ * its next step (the running step is allowed to finish). Jobs run `concurrency` at a
+ * time in the order they were queued.
+ *
+ * Emits 'step' ({ job, index, total, step }) when a step starts and when it finishes,
+ * and 'finished' with the job once it has stopped.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const FINISHED = ['passed', 'failed', 'cancelled', 'interrupted'];
+
+class TestJobs extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.db = options.db || null;
+        this.configurationHistory = options.configurationHistory || null;
+        this.monitoringStream = options.monitoringStream || null;
+        this.concurrency = options.concurrency || parseInt(process.env.TEST_JOB_CONCURRENCY) || 1;
+
+        // suite name -> [{ name, title, run(context) }]
+        this.suites = {};
+
+        this.queue = [];
+        this.running = new Map();
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    static get FINISHED() {
+        return FINISHED.slice();
+    }
+
+    /**
+     * Register a suite. Each step's run(context) resolves to
+     * { status: 'passed' | 'failed' | 'skipped', details, results }; a thrown error fails the step.
+     */
+    define(suite, steps) {
+        this.suites[suite] = steps;
+    }
+
+    steps(suite) {
+        if (!this.suites[suite]) {
+            const error = new Error(`Unknown test suite "${suite}"`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return this.suites[suite];
+    }
+
+    /**
+     * Queue a job for `configuration`. `only` limits the suite to the named steps.
+     * Returns the queued job; `options` are passed to every step.
+     */
+    async enqueue(suite, configuration, { only = null, options = {}, user = null } = {}) {
+        let steps = this.steps(suite);
+        if (only && only.length > 0) {
+            const unknown = only.filter(name => !steps.some(step => step.name === name));
+            if (unknown.length > 0) {
+                const error = new Error(`Unknown steps: ${unknown.join(', ')} (allowed: ${steps.map(step => step.name).join(', ')})`);
+                error.statusCode = 400;
+                throw error;
+            }
+            steps = steps.filter(step => only.includes(step.name));
+        }
+
+        const id = crypto.randomUUID();
+        await this.db.run(`
+            INSERT INTO test_jobs (id, configuration_id, suite, steps, options, user_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            id, configuration.id, suite,
+            JSON.stringify(steps.map(step => ({ name: step.name, title: step.title, status: 'pending' }))),
+            JSON.stringify(options),
+            user ? user.id : null
+        ]);
+
+        this.queue.push({ id, configuration, steps, options, cancelled: false });
+        this.drain();
+
+        return this.get(id);
+    }
+
+    drain() {
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running.set(job.id, job);
+            this.execute(job)
+                .catch(error => {
+                    console.error('Test job error:', error);
+                    return this.db.run(
+                        "UPDATE test_jobs SET status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+                        [error.message, job.id]
+                    ).catch(() => {});
+                })
+                .finally(() => {
+                    this.running.delete(job.id);
+                    this.drain();
+                });
+        }
+    }
+
+    async execute(job) {
+        const results = job.steps.map(step => ({ name: step.name, title: step.title, status: 'pending' }));
+        await this.db.run(
+            "UPDATE test_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [job.id]
+        );
+
+        // Steps share state through the context, e.g. the access token from authentication
+        const context = { job: job.id, configuration: job.configuration, options: job.options, state: {} };
+
+        for (const [index, step] of job.steps.entries()) {
+            if (job.cancelled) {
+                results.slice(index).forEach(result => { result.status = 'cancelled'; });
+                break;
+            }
+
+            results[index].status = 'running';
+            await this.update(job.id, { steps: results, current_step: step.name });
+            this.emit('step', { job: job.id, index, total: job.steps.length, step: results[index] });
+
+            const startTime = Date.now();
+            let outcome;
+            try {
+                outcome = await step.run(context);
+            } catch (error) {
+                outcome = { status: 'failed', details: error.message, results: { error: error.message } };
+            }
+            const executionTime = Date.now() - startTime;
+
+            results[index] = {
+                name: step.name,
+                title: step.title,
+                status: outcome.status,
+                details: outcome.details || null,
+                execution_time_ms: executionTime
+            };
+            results[index].test_result_id = await this.saveStep(job, step, outcome, executionTime);
+
+            await this.update(job.id, {
+                steps: results,
+                progress: Math.round(((index + 1) / job.steps.length) * 100)
+            });
+            this.emit('step', { job: job.id, index, total: job.steps.length, step: results[index] });
+        }
+
+        const status = job.cancelled
+            ? 'cancelled'
+            : (results.some(result => result.status === 'failed') ? 'failed' : 'passed');
+        await this.db.run(
+            'UPDATE test_jobs SET status = ?, steps = ?, current_step = NULL, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [status, JSON.stringify(results), job.id]
+        );
+        this.emit('finished', await this.get(job.id));
+    }
+
+    async saveStep(job, step, outcome, executionTime) {
+        const configurationId = job.configuration.id;
+        const result = await this.db.run(`
+            INSERT INTO test_results (
+                configuration_id, configuration_revision, job_id, test_type, test_name, status, results,
+                error_message, execution_time_ms
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            configurationId,
+            this.configurationHistory ? await this.configurationHistory.latestRevision(configurationId) : null,
+            job.id,
+            step.name,
+            step.title,
+            outcome.status,
+            JSON.stringify(outcome.results || {}),
+            outcome.status !== 'passed' ? outcome.details || null : null,
+            executionTime
+        ]);
+
+        if (this.monitoringStream) {
+            this.monitoringStream.notify();
+        }
+        return result.lastID;
+    }
+
+    async update(id, { steps, progress, current_step }) {
+        const sets = [];
+        const params = [];
+        if (steps !== undefined) { sets.push('steps = ?'); params.push(JSON.stringify(steps)); }
+        if (progress !== undefined) { sets.push('progress = ?'); params.push(progress); }
+        if (current_step !== undefined) { sets.push('current_step = ?'); params.push(current_step); }
+
+        await this.db.run(`UPDATE test_jobs SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    }
+
+    /**
+     * Stop a job: queued jobs never start, a running job stops before its next step.
+     * Returns the job, or null when it does not exist.
+     */
+    async cancel(id) {
+        const job = await this.get(id);
+        if (!job) return null;
+        if (FINISHED.includes(job.status)) return job;
+
+        const queued = this.queue.findIndex(entry => entry.id === id);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.steps.forEach(step => { step.status = 'cancelled'; });
+            await this.db.run(
+                "UPDATE test_jobs SET status = 'cancelled', steps = ?, cancel_requested = 1, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [JSON.stringify(job.steps), id]
+            );
+        } else {
+            const running = this.running.get(id);
+            if (running) {
+                running.cancelled = true;
+            }
+            await this.db.run('UPDATE test_jobs SET cancel_requested = 1 WHERE id = ?', [id]);
+        }
+
+        return this.get(id);
+    }
+
+    async get(id) {
+        const row = await this.db.get('SELECT * FROM test_jobs WHERE id = ?', [id]);
+        return row ? this.deserialize(row) : null;
+    }
+
+    async list({ configurationId = null, limit = 20 } = {}) {
+        const rows = await this.db.all(`
+            SELECT * FROM test_jobs
+            ${configurationId ? 'WHERE configuration_id = ?' : ''}
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT ?
+        `, configurationId ? [configurationId, Math.min(parseInt(limit) || 20, 200)] : [Math.min(parseInt(limit) || 20, 200)]);
+        return rows.map(row => this.deserialize(row));
+    }
+
+    /**
+     * Wait until a job has finished; resolves to the job
+     */
+    async wait(id, { interval = 250 } = {}) {
+        for (;;) {
+            const job = await this.get(id);
+            if (!job || FINISHED.includes(job.status)) return job;
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+
+    /**
+     * Jobs that were queued or running when the process stopped cannot resume
+     */
+    async recover() {
+        const rows = await this.db.all("SELECT id, steps FROM test_jobs WHERE status IN ('queued', 'running')");
+        for (const row of rows) {
+            const steps = JSON.parse(row.steps).map(step => (
+                step.status === 'pending' || step.status === 'running' ? { ...step, status: 'interrupted' } : step
+            ));
+            await this.db.run(`
+                UPDATE test_jobs SET status = 'interrupted', steps = ?, current_step = NULL, finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [JSON.stringify(steps), row.id]);
+        }
+        return rows.length;
+    }
+
+    deserialize(row) {
+        const steps = JSON.parse(row.steps);
+        return {
+            ...row,
+            steps: steps,
+            options: row.options ? JSON.parse(row.options) : {},
+            cancel_requested: Boolean(row.cancel_requested),
+            queue_position: row.status === 'queued' ? this.queue.findIndex(entry => entry.id === row.id) + 1 || null : null,
+            tests_passed: steps.filter(step => step.status === 'passed').length,
+            tests_failed: steps.filter(step => step.status === 'failed').length,
+            tests_skipped: steps.filter(step => step.status === 'skipped').length
+        };
+    }
+}
+
+module.exports = TestJobs;
@@ -0,0 +1,282 @@
+/**
+ * Test Result Export
+ * Renders test_results rows for CI tools and people. Rows are grouped into runs: the
+ * steps of one test job form a run, and a test started on its own is a run by itself.
+ * In JUnit XML each run is a <testsuite> and each row a <testcase> with its timing and,
+ * when it did not pass, the failure message and the stored results. TAP numbers every
+ * row across runs with a YAML block for failures; the HTML report is a single page with
+ * no external assets, so it can be mailed or archived as it is.
+ */
+
+const FORMATS = {
+    junit: { extension: 'xml', contentType: 'application/xml; charset=utf-8' },
+    tap: { extension: 'tap', contentType: 'text/plain; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const DEFAULT_NAME = 'Talabat POS Integration Tests';
+
+class TestResultExport {
+    static get FORMATS() {
+        return Object.keys(FORMATS);
+    }
+
+    contentType(format) {
+        return FORMATS[format].contentType;
+    }
+
+    extension(format) {
+        return FORMATS[format].extension;
+    }
+
+    render(format, rows, options = {}) {
+        if (!FORMATS[format]) {
+            const error = new Error(`Unknown export format "${format}" (allowed: ${Object.keys(FORMATS).join(', ')})`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return this[format](rows, options);
+    }
+
+    /**
+     * Runs as { id, name, job_id, configuration_id, timestamp, results }, in row order
+     */
+    groupRuns(rows) {
+        const runs = [];
+        const byJob = new Map();
+
+        rows.forEach(row => {
+            if (row.job_id && byJob.has(row.job_id)) {
+                byJob.get(row.job_id).results.push(row);
+                return;
+            }
+
+            const run = {
+                id: row.job_id || `test-${row.id}`,
+                name: row.job_id ? `Full suite ${row.job_id}` : row.test_name,
+                job_id: row.job_id || null,
+                configuration_id: row.configuration_id,
+                configuration_revision: row.configuration_revision,
+                timestamp: this.timestamp(row.created_at),
+                results: [row]
+            };
+            runs.push(run);
+            if (row.job_id) {
+                byJob.set(row.job_id, run);
+            }
+        });
+
+        return runs;
+    }
+
+    junit(rows, { name = DEFAULT_NAME } = {}) {
+        const runs = this.groupRuns(rows);
+        const totals = this.count(rows);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${this.xml(name)}" tests="${totals.tests}" failures="${totals.failures}" skipped="${totals.skipped}" time="${this.seconds(totals.time)}">`
+        ];
+
+        runs.forEach(run => {
+            const counts = this.count(run.results);
+            lines.push(`  <testsuite name="${this.xml(run.name)}" id="${this.xml(run.id)}" tests="${counts.tests}" failures="${counts.failures}" skipped="${counts.skipped}" time="${this.seconds(counts.time)}" timestamp="${this.xml(run.timestamp)}">`);
+            lines.push('    <properties>');
+            lines.push(`      <property name="configuration_id" value="${this.xml(run.configuration_id ?? '')}"/>`);
+            lines.push(`      <property name="configuration_revision" value="${this.xml(run.configuration_revision ?? '')}"/>`);
+            lines.push('    </properties>');
+
+            run.results.forEach(row => {
+                const open = `    <testcase classname="talabat_pos.${this.xml(row.test_type)}" name="${this.xml(row.test_name)}" time="${this.seconds(row.execution_time_ms)}"`;
+                if (row.status === 'passed') {
+                    lines.push(`${open}/>`);
+                } else if (row.status === 'skipped') {
+                    lines.push(`${open}>`);
+                    lines.push(`      <skipped message="${this.xml(this.message(row))}"/>`);
+                    lines.push('    </testcase>');
+                } else {
+                    lines.push(`${open}>`);
+                    lines.push(`      <failure message="${this.xml(this.message(row))}" type="${this.xml(row.status)}">${this.xml(this.details(row))}</failure>`);
+                    lines.push('    </testcase>');
+                }
+            });
+
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * TAP version 13: one test point per row, runs introduced by a comment line
+     */
+    tap(rows, { name = DEFAULT_NAME } = {}) {
+        const lines = ['TAP version 13', `1..${rows.length}`, `# ${this.line(name)}`];
+        let number = 0;
+
+        this.groupRuns(rows).forEach(run => {
+            lines.push(`# ${this.line(run.name)} (configuration ${run.configuration_id ?? '-'}${run.timestamp ? `, ${run.timestamp}` : ''})`);
+
+            run.results.forEach(row => {
+                number++;
+                const description = `${this.line(row.test_name).replace(/#/g, '\\#')} [${this.line(row.test_type)}]`;
+                if (row.status === 'passed') {
+                    lines.push(`ok ${number} - ${description}`);
+                } else if (row.status === 'skipped') {
+                    lines.push(`ok ${number} - ${description} # SKIP ${this.line(this.message(row))}`);
+                } else {
+                    lines.push(`not ok ${number} - ${description}`);
+                }
+
+                // Timings for every row, the failure and its results for the rest
+                lines.push('  ---');
+                lines.push(`  duration_ms: ${row.execution_time_ms || 0}`);
+                if (row.status !== 'passed' && row.status !== 'skipped') {
+                    lines.push(`  status: ${JSON.stringify(row.status)}`);
+                    lines.push(`  message: ${JSON.stringify(this.message(row))}`);
+                    const results = this.results(row);
+                    if (results) {
+                        lines.push('  results:');
+                        JSON.stringify(results, null, 2).split('\n').forEach(line => lines.push(`    ${line}`));
+                    }
+                }
+                lines.push('  ...');
+            });
+        });
+
+        const totals = this.count(rows);
+        lines.push(`# tests ${totals.tests}`);
+        lines.push(`# pass ${totals.tests - totals.failures - totals.skipped}`);
+        lines.push(`# fail ${totals.failures}`);
+        lines.push(`# skip ${totals.skipped}`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Self-contained HTML report: totals, then a table of steps per run with the
+     * failure message and a collapsible copy of the stored results
+     */
+    html(rows, { name = DEFAULT_NAME, generatedAt = new Date() } = {}) {
+        const totals = this.count(rows);
+        const passed = totals.tests - totals.failures - totals.skipped;
+        const e = value => this.xml(value ?? '');
+
+        const runs = this.groupRuns(rows).map(run => {
+            const counts = this.count(run.results);
+            const steps = run.results.map(row => {
+                const failed = row.status !== 'passed';
+                const details = failed && row.status !== 'skipped' ? this.details(row) : '';
+                return `
+        <tr class="${e(row.status)}">
+          <td><span class="status">${e(row.status)}</span></td>
+          <td>${e(row.test_name)}<div class="muted">${e(row.test_type)}</div></td>
+          <td class="time">${e(row.execution_time_ms || 0)} ms</td>
+          <td>${failed ? e(this.message(row)) : ''}${details ? `<details><summary>Results</summary><pre>${e(details)}</pre></details>` : ''}</td>
+        </tr>`;
+            }).join('');
+
+            return `
+  <section>
+    <h2>${e(run.name)}</h2>
+    <p class="muted">Configuration ${e(run.configuration_id ?? '-')}${run.configuration_revision ? `, revision ${e(run.configuration_revision)}` : ''} &middot; ${e(run.timestamp)} &middot; ${counts.tests} tests, ${counts.failures} failed, ${counts.skipped} skipped &middot; ${this.seconds(counts.time)} s</p>
+    <table>
+      <thead><tr><th>Status</th><th>Step</th><th>Time</th><th>Message</th></tr></thead>
+      <tbody>${steps}
+      </tbody>
+    </table>
+  </section>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${e(name)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #1f2933; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin: 2rem 0 0.25rem; }
+    .muted { color: #6b7280; font-size: 0.85rem; }
+    .totals span { display: inline-block; margin-right: 1.5rem; font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f9fafb; font-size: 0.85rem; }
+    td.time { white-space: nowrap; text-align: right; }
+    .status { font-weight: 600; text-transform: uppercase; font-size: 0.75rem; }
+    tr.passed .status { color: #15803d; }
+    tr.skipped .status { color: #6b7280; }
+    tr.failed .status, tr.cancelled .status, tr.interrupted .status, tr.error .status { color: #b91c1c; }
+    pre { background: #f3f4f6; padding: 0.5rem; overflow-x: auto; font-size: 0.8rem; }
+  </style>
+</head>
+<body>
+  <h1>${e(name)}</h1>
+  <p class="muted">Generated ${e(generatedAt.toISOString())}</p>
+  <p class="totals"><span>${totals.tests} tests</span><span>${passed} passed</span><span>${totals.failures} failed</span><span>${totals.skipped} skipped</span><span>${this.seconds(totals.time)} s</span></p>${runs || '\n  <p>No test results match this export.</p>'}
+</body>
+</html>
+`;
+    }
+
+    count(rows) {
+        return {
+            tests: rows.length,
+            failures: rows.filter(row => row.status !== 'passed' && row.status !== 'skipped').length,
+            skipped: rows.filter(row => row.status === 'skipped').length,
+            time: rows.reduce((sum, row) => sum + (row.execution_time_ms || 0), 0)
+        };
+    }
+
+    /**
+     * Why a test did not pass: the stored error message, else the error in its results
+     */
+    message(row) {
+        if (row.error_message) return row.error_message;
+
+        const results = this.results(row);
+        return (results && typeof results.error === 'string' && results.error) || `Test ${row.status}`;
+    }
+
+    details(row) {
+        const results = this.results(row);
+        return results ? JSON.stringify(results, null, 2) : '';
+    }
+
+    results(row) {
+        if (row.results && typeof row.results === 'object') return row.results;
+        try {
+            return row.results ? JSON.parse(row.results) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // TAP descriptions and comments end at the line
+    line(value) {
+        return String(value ?? '').replace(/\s+/g, ' ').trim();
+    }
+
+    seconds(milliseconds) {
+        return ((milliseconds || 0) / 1000).toFixed(3);
+    }
+
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone
+    timestamp(value) {
+        if (!value) return '';
+        return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') : String(value);
+    }
+
+    xml(value) {
+        return String(value)
+            // Characters XML 1.0 does not allow, even escaped
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = TestResultExport;
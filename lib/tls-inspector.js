@@ -0,0 +1,275 @@
+/**
+ * TLS Inspector
+ * Opens a TLS connection to a partner endpoint and grades its certificate and handshake
+ * against Talabat's onboarding requirements
+ */
+
+const tls = require('tls');
+const net = require('net');
+
+// Protocols Talabat accepts for partner endpoints
+const ACCEPTED_PROTOCOLS = ['TLSv1.2', 'TLSv1.3'];
+
+class TLSInspector {
+    constructor(options = {}) {
+        this.timeout = options.timeout || parseInt(process.env.API_TIMEOUT) || 10000;
+        this.expiryWarningDays = options.expiryWarningDays || 30;
+        this.minimumKeyBits = { RSA: 2048, EC: 256 };
+    }
+
+    /**
+     * Inspect the endpoint behind `url` and return the probe details with a graded verdict
+     */
+    async inspect(url) {
+        const findings = [];
+        const result = {
+            url: url,
+            host: null,
+            port: null,
+            connected: false,
+            authorized: false,
+            authorization_error: null,
+            protocol: null,
+            cipher: null,
+            certificate: null,
+            chain: [],
+            hostname_match: false,
+            days_to_expiry: null,
+            ocsp_stapled: false,
+            handshake_time_ms: 0,
+            findings: findings
+        };
+
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            findings.push(this.finding('critical', 'INVALID_URL', `"${url}" is not a valid URL`));
+            return this.grade(result);
+        }
+
+        result.host = target.hostname.replace(/^\[|\]$/g, '');
+        result.port = parseInt(target.port) || 443;
+
+        if (target.protocol !== 'https:') {
+            findings.push(this.finding('critical', 'NOT_HTTPS', 'Talabat only delivers to HTTPS endpoints'));
+            return this.grade(result);
+        }
+
+        let probe;
+        try {
+            probe = await this.handshake(result.host, result.port);
+        } catch (error) {
+            findings.push(this.finding('critical', 'HANDSHAKE_FAILED',
+                `TLS handshake with ${result.host}:${result.port} failed: ${error.code ? error.code + ': ' : ''}${error.message}`));
+            return this.grade(result);
+        }
+
+        const { socket, certificate, ocspResponse, handshakeTime } = probe;
+
+        result.connected = true;
+        result.handshake_time_ms = handshakeTime;
+        result.authorized = socket.authorized;
+        result.authorization_error = socket.authorizationError ? String(socket.authorizationError) : null;
+        result.protocol = socket.getProtocol();
+        result.ocsp_stapled = Boolean(ocspResponse && ocspResponse.length > 0);
+
+        const cipher = socket.getCipher();
+        result.cipher = cipher ? { name: cipher.name, standard_name: cipher.standardName, version: cipher.version } : null;
+
+        socket.destroy();
+
+        if (!certificate || Object.keys(certificate).length === 0) {
+            findings.push(this.finding('critical', 'NO_CERTIFICATE', 'The server did not present a certificate'));
+            return this.grade(result);
+        }
+
+        result.certificate = this.describeCertificate(certificate);
+        result.chain = this.describeChain(certificate);
+        result.days_to_expiry = Math.floor((new Date(certificate.valid_to).getTime() - Date.now()) / 86400000);
+
+        const identityError = tls.checkServerIdentity(result.host, certificate);
+        result.hostname_match = !identityError;
+
+        this.evaluate(result, certificate, identityError);
+        return this.grade(result);
+    }
+
+    /**
+     * Connect without rejecting bad certificates so they can be reported instead
+     */
+    handshake(host, port) {
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+            let ocspResponse = null;
+
+            const socket = tls.connect({
+                host: host,
+                port: port,
+                servername: net.isIP(host) ? undefined : host,
+                rejectUnauthorized: false,
+                requestOCSP: true,
+                // Allow legacy protocols so they can be reported rather than failing the handshake;
+                // OpenSSL 3 refuses TLS 1.0/1.1 above security level 0 even when minVersion allows them
+                minVersion: 'TLSv1',
+                ciphers: 'DEFAULT:@SECLEVEL=0'
+            });
+
+            socket.setTimeout(this.timeout, () => {
+                socket.destroy(Object.assign(new Error(`no response within ${this.timeout}ms`), { code: 'ETIMEDOUT' }));
+            });
+
+            socket.once('OCSPResponse', response => {
+                ocspResponse = response;
+            });
+
+            socket.once('secureConnect', () => {
+                socket.setTimeout(0);
+                resolve({
+                    socket: socket,
+                    certificate: socket.getPeerCertificate(true),
+                    ocspResponse: ocspResponse,
+                    handshakeTime: Date.now() - startTime
+                });
+            });
+
+            socket.once('error', error => {
+                socket.destroy();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Turn probe details into findings
+     */
+    evaluate(result, certificate, identityError) {
+        const findings = result.findings;
+        const now = Date.now();
+
+        if (new Date(certificate.valid_from).getTime() > now) {
+            findings.push(this.finding('critical', 'NOT_YET_VALID', `Certificate is not valid before ${certificate.valid_from}`));
+        }
+
+        if (result.days_to_expiry < 0) {
+            findings.push(this.finding('critical', 'EXPIRED', `Certificate expired on ${certificate.valid_to}`));
+        } else if (result.days_to_expiry < this.expiryWarningDays) {
+            findings.push(this.finding('warning', 'EXPIRING_SOON', `Certificate expires in ${result.days_to_expiry} days`));
+        }
+
+        if (identityError) {
+            findings.push(this.finding('critical', 'HOSTNAME_MISMATCH', identityError.message));
+        }
+
+        // Expiry and hostname problems are reported above; this covers trust (self-signed, incomplete chain, ...)
+        const trustError = result.authorization_error;
+        if (trustError && !['CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID'].includes(trustError)) {
+            findings.push(this.finding('critical', 'UNTRUSTED_CHAIN', this.describeTrustError(trustError)));
+        }
+
+        if (!ACCEPTED_PROTOCOLS.includes(result.protocol)) {
+            findings.push(this.finding('critical', 'WEAK_PROTOCOL', `${result.protocol} is not accepted; enable TLS 1.2 or 1.3`));
+        } else if (result.protocol !== 'TLSv1.3') {
+            findings.push(this.finding('info', 'NO_TLS13', 'TLS 1.3 is not negotiated'));
+        }
+
+        if (result.cipher && result.protocol !== 'TLSv1.3' && !/^(ECDHE|DHE)-/.test(result.cipher.name)) {
+            findings.push(this.finding('warning', 'NO_FORWARD_SECRECY', `Cipher ${result.cipher.name} does not provide forward secrecy`));
+        }
+
+        const keyType = certificate.asn1Curve || certificate.nistCurve ? 'EC' : 'RSA';
+        const minimumBits = this.minimumKeyBits[keyType];
+        if (certificate.bits && certificate.bits < minimumBits) {
+            findings.push(this.finding('warning', 'WEAK_KEY', `${keyType} key of ${certificate.bits} bits is below ${minimumBits} bits`));
+        }
+
+        if (!result.ocsp_stapled) {
+            findings.push(this.finding('info', 'NO_OCSP_STAPLING', 'The server does not staple an OCSP response'));
+        }
+    }
+
+    /**
+     * A+: no findings; A: only informational findings;
+     * B: one warning; C: several warnings; F: any critical finding
+     */
+    grade(result) {
+        const critical = result.findings.filter(finding => finding.severity === 'critical').length;
+        const warnings = result.findings.filter(finding => finding.severity === 'warning').length;
+        const info = result.findings.filter(finding => finding.severity === 'info').length;
+
+        if (critical > 0) {
+            result.grade = 'F';
+        } else if (warnings > 1) {
+            result.grade = 'C';
+        } else if (warnings === 1) {
+            result.grade = 'B';
+        } else {
+            result.grade = info === 0 ? 'A+' : 'A';
+        }
+
+        result.onboarding_ready = critical === 0;
+        result.verdict = critical > 0
+            ? 'This endpoint will fail Talabat onboarding'
+            : warnings > 0
+                ? 'This endpoint will pass Talabat onboarding, but the warnings should be fixed'
+                : 'This endpoint will pass Talabat onboarding';
+
+        return result;
+    }
+
+    /**
+     * Helpers
+     */
+    describeCertificate(certificate) {
+        return {
+            subject: certificate.subject || null,
+            issuer: certificate.issuer || null,
+            subject_alt_names: certificate.subjectaltname
+                ? certificate.subjectaltname.split(', ').map(name => name.replace(/^(DNS|IP Address):/, ''))
+                : [],
+            valid_from: new Date(certificate.valid_from).toISOString(),
+            valid_to: new Date(certificate.valid_to).toISOString(),
+            serial_number: certificate.serialNumber,
+            fingerprint256: certificate.fingerprint256,
+            key_bits: certificate.bits || null
+        };
+    }
+
+    describeChain(certificate) {
+        const chain = [];
+        const seen = new Set();
+        let current = certificate;
+
+        // The root's issuerCertificate points at itself
+        while (current && !seen.has(current.fingerprint256)) {
+            seen.add(current.fingerprint256);
+            chain.push({
+                subject: current.subject?.CN || current.subject?.O || null,
+                issuer: current.issuer?.CN || current.issuer?.O || null,
+                valid_to: new Date(current.valid_to).toISOString(),
+                self_signed: current.issuerCertificate === current
+                    || current.fingerprint256 === current.issuerCertificate?.fingerprint256
+            });
+            current = current.issuerCertificate;
+        }
+
+        return chain;
+    }
+
+    describeTrustError(code) {
+        const messages = {
+            DEPTH_ZERO_SELF_SIGNED_CERT: 'Certificate is self-signed',
+            SELF_SIGNED_CERT_IN_CHAIN: 'Certificate chain ends in an untrusted self-signed root',
+            UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'Intermediate certificates are missing; serve the full chain',
+            UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'Issuer certificate is not trusted; serve the full chain from a public CA',
+            CERT_REVOKED: 'Certificate has been revoked'
+        };
+        return messages[code] || `Certificate chain is not trusted (${code})`;
+    }
+
+    finding(severity, code, message) {
+        return { severity, code, message };
+    }
+}
+
+module.exports = TLSInspector;
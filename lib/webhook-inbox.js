@@ -0,0 +1,144 @@
+/**
+ * Webhook Inbox
+ * Captures partner callbacks sent to /api/hooks/:integration_code/* so they can be inspected and diffed
+ */
+
+class WebhookInbox {
+    constructor(options = {}) {
+        this.db = options.db || null;
+        this.maxBodyLength = options.maxBodyLength || 1024 * 1024;
+        this.maxEntriesPerIntegration = options.maxEntriesPerIntegration || 500;
+    }
+
+    setDatabase(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store one received request; `path` is the part after the integration code.
+     * Returns null without storing anything when no active configuration has the code.
+     */
+    async capture(req, { integrationCode, path, receivedAt, rawBody }) {
+        const configuration = await this.db.get(
+            'SELECT id FROM configurations WHERE integration_code = ? AND is_active = 1',
+            [integrationCode]
+        );
+        if (!configuration) {
+            return null;
+        }
+
+        const body = rawBody ? rawBody.toString('utf8') : '';
+        const truncated = body.length > this.maxBodyLength;
+
+        const entry = {
+            configuration_id: configuration.id,
+            integration_code: integrationCode,
+            method: req.method,
+            path: '/' + (path || ''),
+            query: req.query || {},
+            headers: req.headers,
+            body: truncated ? body.substring(0, this.maxBodyLength) : body,
+            body_size: rawBody ? rawBody.length : 0,
+            body_truncated: truncated,
+            content_type: req.get('Content-Type') || null,
+            source_ip: req.ip || req.socket?.remoteAddress || null,
+            received_at: new Date(receivedAt).toISOString(),
+            processing_time_ms: Date.now() - receivedAt
+        };
+
+        const result = await this.db.run(`
+            INSERT INTO webhook_inbox (
+                configuration_id, integration_code, method, path, query, headers, body,
+                body_size, body_truncated, content_type, source_ip, received_at, processing_time_ms
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            entry.configuration_id, entry.integration_code, entry.method, entry.path,
+            JSON.stringify(entry.query), JSON.stringify(entry.headers), entry.body,
+            entry.body_size, entry.body_truncated ? 1 : 0, entry.content_type,
+            entry.source_ip, entry.received_at, entry.processing_time_ms
+        ]);
+
+        entry.id = result.lastID;
+        await this.prune(integrationCode);
+
+        return entry;
+    }
+
+    /**
+     * Keep only the newest captures per integration
+     */
+    async prune(integrationCode) {
+        await this.db.run(`
+            DELETE FROM webhook_inbox
+            WHERE integration_code = ? AND id NOT IN (
+                SELECT id FROM webhook_inbox WHERE integration_code = ?
+                ORDER BY id DESC LIMIT ?
+            )
+        `, [integrationCode, integrationCode, this.maxEntriesPerIntegration]);
+    }
+
+    async list({ integrationCode = null, since = null, limit = 50 } = {}) {
+        let query = 'SELECT * FROM webhook_inbox WHERE 1=1';
+        const params = [];
+
+        if (integrationCode) {
+            query += ' AND integration_code = ?';
+            params.push(integrationCode);
+        }
+
+        if (since) {
+            query += ' AND received_at >= ?';
+            params.push(since);
+        }
+
+        query += ' ORDER BY id DESC LIMIT ?';
+        params.push(parseInt(limit));
+
+        const rows = await this.db.all(query, params);
+        return rows.map(row => this.deserialize(row));
+    }
+
+    async get(id) {
+        const row = await this.db.get('SELECT * FROM webhook_inbox WHERE id = ?', [id]);
+        return row ? this.deserialize(row) : null;
+    }
+
+    /**
+     * An earlier capture of the same integration that carried `signature`, or null
+     */
+    async earlierCapture(entry, signature) {
+        const row = await this.db.get(
+            'SELECT id, received_at FROM webhook_inbox WHERE integration_code = ? AND id < ? AND instr(headers, ?) > 0 ORDER BY id LIMIT 1',
+            [entry.integration_code, entry.id, JSON.stringify(String(signature))]
+        );
+        return row || null;
+    }
+
+    async clear(integrationCode = null) {
+        const result = integrationCode
+            ? await this.db.run('DELETE FROM webhook_inbox WHERE integration_code = ?', [integrationCode])
+            : await this.db.run('DELETE FROM webhook_inbox');
+        return result.changes;
+    }
+
+    deserialize(row) {
+        return {
+            ...row,
+            query: row.query ? JSON.parse(row.query) : {},
+            headers: row.headers ? JSON.parse(row.headers) : {},
+            body_truncated: Boolean(row.body_truncated),
+            json: this.parseJSON(row.body)
+        };
+    }
+
+    parseJSON(body) {
+        if (!body) return null;
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = WebhookInbox;
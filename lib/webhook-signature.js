@@ -0,0 +1,197 @@
+/**
+ * Webhook Signature
+ * HMAC-SHA256 signing of webhook bodies and a verifier that explains why a signature was rejected.
+ *
+ * Signed content is "<timestamp>.<raw body>", sent as:
+ *   X-Talabat-Timestamp: <unix seconds>
+ *   X-Talabat-Signature: sha256=<hex digest>
+ */
+
+const crypto = require('crypto');
+
+const TIMESTAMP_HEADER = 'X-Talabat-Timestamp';
+const SIGNATURE_HEADER = 'X-Talabat-Signature';
+const DELIVERY_HEADER = 'X-Talabat-Delivery-Id';
+
+class WebhookSignature {
+    constructor(options = {}) {
+        // Signatures older (or further in the future) than this are rejected as replays
+        this.toleranceSeconds = options.toleranceSeconds
+            || parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+        // Signatures already accepted inside the replay window, at most maxSeen of them
+        this.seenSignatures = new Map();
+        this.maxSeen = options.maxSeen || 10000;
+    }
+
+    static get HEADERS() {
+        return {
+            timestamp: TIMESTAMP_HEADER,
+            signature: SIGNATURE_HEADER,
+            delivery: DELIVERY_HEADER
+        };
+    }
+
+    generateSecret() {
+        return 'whsec_' + crypto.randomBytes(32).toString('hex');
+    }
+
+    computeSignature(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Headers for an outbound webhook; `body` must be the exact string that is sent
+     */
+    sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+        return {
+            [TIMESTAMP_HEADER]: timestamp.toString(),
+            [SIGNATURE_HEADER]: `sha256=${this.computeSignature(secret, timestamp, body)}`,
+            [DELIVERY_HEADER]: crypto.randomUUID()
+        };
+    }
+
+    /**
+     * Verify a received webhook. Returns { valid, code, reason, hints } where
+     * `code` is null on success and `hints` suggest the most likely cause of a mismatch.
+     */
+    verify({ secret, body, timestamp, signature, now = Date.now(), checkReplay = false }) {
+        const fail = (code, reason, hints = [], extra = {}) => ({ valid: false, code, reason, hints, ...extra });
+        const rawBody = Buffer.isBuffer(body) ? body.toString('utf8') : (body || '');
+
+        if (!secret) {
+            return fail('MISSING_SECRET', 'No webhook secret is configured to verify against');
+        }
+
+        if (!signature) {
+            return fail('MISSING_SIGNATURE', `The ${SIGNATURE_HEADER} header is missing`);
+        }
+
+        if (timestamp === undefined || timestamp === null || timestamp === '') {
+            return fail('MISSING_TIMESTAMP', `The ${TIMESTAMP_HEADER} header is missing`);
+        }
+
+        if (!/^\d+$/.test(String(timestamp))) {
+            return fail('INVALID_TIMESTAMP', `${TIMESTAMP_HEADER} must be a Unix timestamp in seconds, got "${timestamp}"`,
+                isNaN(Date.parse(timestamp)) ? [] : ['The timestamp looks like a date string; send Unix seconds']);
+        }
+
+        const ageSeconds = Math.floor(now / 1000) - parseInt(timestamp);
+        if (Math.abs(ageSeconds) > this.toleranceSeconds) {
+            const hints = [];
+            if (String(timestamp).length >= 13) {
+                hints.push('The timestamp looks like milliseconds; divide by 1000');
+            } else {
+                hints.push('Check that the sender and receiver clocks are synchronised (NTP)');
+            }
+            return fail('TIMESTAMP_OUTSIDE_TOLERANCE',
+                ageSeconds > 0
+                    ? `Timestamp is ${ageSeconds}s old; the replay window is ${this.toleranceSeconds}s`
+                    : `Timestamp is ${-ageSeconds}s in the future; the replay window is ${this.toleranceSeconds}s`,
+                hints, { age_seconds: ageSeconds });
+        }
+
+        const match = /^(\w+)=(.*)$/.exec(String(signature).trim());
+        if (!match) {
+            return fail('MALFORMED_SIGNATURE', `${SIGNATURE_HEADER} must look like "sha256=<hex digest>"`,
+                /^[a-f0-9]{64}$/i.test(signature) ? ['Prefix the digest with "sha256="'] : []);
+        }
+
+        const [, algorithm, digest] = match;
+        if (algorithm.toLowerCase() !== 'sha256') {
+            return fail('UNSUPPORTED_ALGORITHM', `Signature algorithm "${algorithm}" is not supported; use sha256`);
+        }
+
+        if (!/^[a-f0-9]{64}$/i.test(digest)) {
+            const hints = /^[A-Za-z0-9+/]{43}=$/.test(digest)
+                ? ['The digest looks base64 encoded; encode it as lowercase hex']
+                : [];
+            return fail('MALFORMED_SIGNATURE', 'The sha256 digest must be 64 hexadecimal characters', hints);
+        }
+
+        const expected = this.computeSignature(secret, timestamp, rawBody);
+        if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(digest.toLowerCase(), 'hex'))) {
+            return fail('SIGNATURE_MISMATCH', 'The signature does not match the body and timestamp',
+                this.diagnoseMismatch(secret, timestamp, rawBody, digest.toLowerCase()));
+        }
+
+        if (checkReplay) {
+            this.pruneSeen(now);
+            if (this.seenSignatures.has(digest.toLowerCase())) {
+                return fail('REPLAYED', 'This signature was already accepted inside the replay window');
+            }
+            for (const oldest of this.seenSignatures.keys()) {
+                if (this.seenSignatures.size < this.maxSeen) break;
+                this.seenSignatures.delete(oldest);
+            }
+            this.seenSignatures.set(digest.toLowerCase(), parseInt(timestamp) + this.toleranceSeconds);
+        }
+
+        return { valid: true, code: null, reason: 'Signature is valid', hints: [], age_seconds: ageSeconds };
+    }
+
+    /**
+     * Recompute the signature the ways partners commonly get it wrong
+     */
+    diagnoseMismatch(secret, timestamp, body, digest) {
+        const hmac = content => crypto.createHmac('sha256', secret).update(content).digest('hex');
+        const hints = [];
+
+        if (hmac(body) === digest) {
+            hints.push(`The body was signed without the timestamp; sign "<timestamp>.<body>"`);
+        }
+
+        if (hmac(`${timestamp}:${body}`) === digest || hmac(`${timestamp}${body}`) === digest) {
+            hints.push('Use a "." between the timestamp and the body');
+        }
+
+        if (hmac(`${timestamp}.${body.trim()}`) === digest) {
+            hints.push('The body was trimmed before signing; sign the raw bytes exactly as received');
+        }
+
+        try {
+            const parsed = JSON.parse(body);
+            const reserialized = [JSON.stringify(parsed), JSON.stringify(parsed, null, 2)];
+            if (reserialized.some(candidate => candidate !== body && hmac(`${timestamp}.${candidate}`) === digest)) {
+                hints.push('The JSON body was re-serialized before signing; sign the raw request body, not a parsed copy');
+            }
+        } catch (error) {
+            // Not JSON, nothing to re-serialize
+        }
+
+        if (hints.length === 0) {
+            hints.push('Check that the secret matches the one configured for this integration and that the body is not modified by a proxy');
+        }
+
+        return hints;
+    }
+
+    pruneSeen(now = Date.now()) {
+        const nowSeconds = Math.floor(now / 1000);
+        for (const [digest, expiresAt] of this.seenSignatures) {
+            if (expiresAt < nowSeconds) {
+                this.seenSignatures.delete(digest);
+            }
+        }
+    }
+
+    /**
+     * Pull the signature headers out of an Express request or a plain header object
+     */
+    extractHeaders(headers) {
+        const lookup = name => {
+            const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+            return key ? headers[key] : undefined;
+        };
+
+        return {
+            timestamp: lookup(TIMESTAMP_HEADER),
+            signature: lookup(SIGNATURE_HEADER),
+            delivery_id: lookup(DELIVERY_HEADER)
+        };
+    }
+}
+
+module.exports = WebhookSignature;
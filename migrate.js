@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations from the command line, against the storage selected by
+ * STORAGE_DRIVER / STORAGE_PATH (the same database the server would open).
+ *
+ *   node migrate.js status           list migrations and which are applied
+ *   node migrate.js up [version]     apply pending migrations (up to version)
+ *   node migrate.js down [version]   revert to version (default: the previous one)
+ */
+
+const { createStorage } = require('./lib/storage');
+const Migrator = require('./lib/migrator');
+
+const USAGE = 'Usage: node migrate.js status | up [version] | down [version]';
+
+async function main([command = 'status', version]) {
+    const storage = createStorage();
+    const migrator = new Migrator();
+
+    if (!['status', 'up', 'down'].includes(command)) {
+        throw new Error(USAGE);
+    }
+
+    const db = await storage.open();
+    migrator.setDatabase(db);
+
+    try {
+        console.log(`Storage: ${storage.describe()}`);
+
+        if (command === 'up' || command === 'down') {
+            let to = version;
+            if (to === undefined && command === 'down') {
+                // One step back from the current version
+                const { migrations } = await migrator.status();
+                const applied = migrations.filter(migration => migration.applied);
+                to = applied.length > 1 ? applied[applied.length - 2].version : 0;
+            }
+
+            const current = (await migrator.status()).current_version;
+            if (to !== undefined && (command === 'up' ? parseInt(to) < current : parseInt(to) > current)) {
+                throw new Error(`Schema is at version ${current}; use "${command === 'up' ? 'down' : 'up'}" to reach ${to}`);
+            }
+
+            const result = await migrator.migrate(to === undefined ? {} : { to });
+            result.applied.forEach(file => console.log(`  ↑ ${file}`));
+            result.reverted.forEach(file => console.log(`  ↓ ${file}`));
+            console.log(`Schema version ${result.from} → ${result.to}`);
+        }
+
+        const status = await migrator.status();
+        console.log(`Current version: ${status.current_version} (latest ${status.latest_version})`);
+        status.migrations.forEach(migration => {
+            console.log(`  ${migration.applied ? '[x]' : '[ ]'} ${String(migration.version).padStart(3, '0')} ${migration.name}${migration.applied_at ? `  (${migration.applied_at})` : ''}`);
+        });
+        status.unknown.forEach(migration => {
+            console.log(`  [?] ${String(migration.version).padStart(3, '0')} ${migration.name}  (not in this release)`);
+        });
+    } finally {
+        await storage.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,375 @@
+/**
+ * Initial schema: every table, column and index the platform had when versioned
+ * migrations were introduced. Databases created before then already have part of it,
+ * so this migration only adds what is missing.
+ */
+
+const TABLES = [
+    // Configurations table
+    `CREATE TABLE IF NOT EXISTS configurations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        integration_name TEXT NOT NULL,
+        integration_code TEXT UNIQUE NOT NULL,
+        base_url TEXT NOT NULL,
+        plugin_username TEXT NOT NULL,
+        plugin_password_hash TEXT NOT NULL,
+        environment TEXT DEFAULT 'staging',
+        country TEXT DEFAULT 'AE',
+        region TEXT DEFAULT 'me',
+        vendor_code TEXT,
+        remote_id TEXT,
+        callback_url TEXT,
+        webhook_secret TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_active BOOLEAN DEFAULT 1
+    )`,
+
+    // Test results table
+    `CREATE TABLE IF NOT EXISTS test_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        test_type TEXT NOT NULL,
+        test_name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        results JSON,
+        error_message TEXT,
+        execution_time_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Logs table
+    `CREATE TABLE IF NOT EXISTS logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        level TEXT NOT NULL,
+        message TEXT NOT NULL,
+        module TEXT,
+        details JSON,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // API metrics table
+    `CREATE TABLE IF NOT EXISTS api_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        endpoint TEXT NOT NULL,
+        method TEXT NOT NULL,
+        status_code INTEGER,
+        response_time_ms INTEGER,
+        request_size INTEGER,
+        response_size INTEGER,
+        success BOOLEAN,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Reports table
+    `CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        report_type TEXT NOT NULL,
+        report_format TEXT NOT NULL,
+        date_range_from DATE,
+        date_range_to DATE,
+        record_count INTEGER,
+        file_path TEXT,
+        file_size INTEGER,
+        checksum TEXT,
+        generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Scheduled reports table
+    `CREATE TABLE IF NOT EXISTS scheduled_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        report_type TEXT NOT NULL,
+        report_format TEXT NOT NULL,
+        frequency TEXT NOT NULL,
+        cron_expression TEXT,
+        vendor_code TEXT,
+        next_run DATETIME NOT NULL,
+        first_run_at DATETIME,
+        last_run_at DATETIME,
+        email_recipients TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Scheduled report runs table (execution history of each schedule)
+    `CREATE TABLE IF NOT EXISTS scheduled_report_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scheduled_report_id INTEGER NOT NULL,
+        scheduled_for DATETIME NOT NULL,
+        started_at DATETIME,
+        finished_at DATETIME,
+        status TEXT NOT NULL,
+        report_id INTEGER,
+        catch_up BOOLEAN DEFAULT 0,
+        error_message TEXT,
+        FOREIGN KEY (scheduled_report_id) REFERENCES scheduled_reports (id),
+        FOREIGN KEY (report_id) REFERENCES reports (id)
+    )`,
+
+    // Report deliveries table (email status of each scheduled report per recipient)
+    `CREATE TABLE IF NOT EXISTS report_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scheduled_report_id INTEGER NOT NULL,
+        run_id INTEGER,
+        report_id INTEGER NOT NULL,
+        recipient TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        last_response TEXT,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (scheduled_report_id) REFERENCES scheduled_reports (id),
+        FOREIGN KEY (run_id) REFERENCES scheduled_report_runs (id),
+        FOREIGN KEY (report_id) REFERENCES reports (id)
+    )`,
+
+    // Alert rules table (conditions on integration health and where to notify)
+    `CREATE TABLE IF NOT EXISTS alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        name TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        comparator TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        window_minutes INTEGER NOT NULL,
+        min_samples INTEGER DEFAULT 1,
+        filters JSON,
+        channels JSON,
+        is_active BOOLEAN DEFAULT 1,
+        last_evaluated_at DATETIME,
+        last_value REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Alerts table (one row per firing period of a rule)
+    `CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        configuration_id INTEGER,
+        status TEXT NOT NULL,
+        value REAL,
+        message TEXT,
+        fired_at DATETIME NOT NULL,
+        resolved_at DATETIME,
+        last_evaluated_at DATETIME,
+        notifications JSON,
+        FOREIGN KEY (rule_id) REFERENCES alert_rules (id),
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Configuration revisions (see lib/configuration-history.js)
+    `CREATE TABLE IF NOT EXISTS configuration_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        user_id INTEGER,
+        email TEXT,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        restored_from INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (configuration_id, revision),
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Encrypted integration secrets (see lib/credential-vault.js)
+    `CREATE TABLE IF NOT EXISTS credentials (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        ciphertext TEXT NOT NULL,
+        key_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (configuration_id, name),
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Platform users table (people using this platform, not POS plugin users)
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        is_active BOOLEAN DEFAULT 1,
+        last_login_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Configurations each non-admin user may access
+    `CREATE TABLE IF NOT EXISTS user_configurations (
+        user_id INTEGER NOT NULL,
+        configuration_id INTEGER NOT NULL,
+        PRIMARY KEY (user_id, configuration_id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Login sessions; only a hash of each token is stored
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at DATETIME NOT NULL,
+        last_seen_at DATETIME,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+
+    // Audit log of logins, user changes and denied requests
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        email TEXT,
+        action TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        method TEXT,
+        path TEXT,
+        configuration_id INTEGER,
+        ip_address TEXT,
+        details JSON,
+        created_at DATETIME NOT NULL
+    )`,
+
+    // Orders table (current lifecycle state of each test order)
+    `CREATE TABLE IF NOT EXISTS orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        order_id TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL,
+        total_amount REAL,
+        currency TEXT,
+        payload JSON,
+        state_entered_at DATETIME NOT NULL,
+        sla_deadline DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Order events table (every transition, violation and SLA breach)
+    `CREATE TABLE IF NOT EXISTS order_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        actor TEXT,
+        reason TEXT,
+        details JSON,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (order_id)
+    )`,
+
+    // Webhook inbox table (callbacks captured by /api/hooks/:integration_code/*)
+    `CREATE TABLE IF NOT EXISTS webhook_inbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        integration_code TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        query JSON,
+        headers JSON,
+        body TEXT,
+        body_size INTEGER DEFAULT 0,
+        body_truncated BOOLEAN DEFAULT 0,
+        content_type TEXT,
+        source_ip TEXT,
+        received_at DATETIME NOT NULL,
+        processing_time_ms INTEGER,
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`,
+
+    // Catalog versions table (every distinct catalog pushed per integration)
+    `CREATE TABLE IF NOT EXISTS catalog_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configuration_id INTEGER,
+        integration_code TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        catalog JSON NOT NULL,
+        checksum TEXT NOT NULL,
+        category_count INTEGER DEFAULT 0,
+        item_count INTEGER DEFAULT 0,
+        source TEXT DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (integration_code, version),
+        FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+    )`
+];
+
+// Columns added to existing tables before migrations were versioned
+const COLUMNS = [
+    ['configurations', 'webhook_secret', 'TEXT'],
+    ['reports', 'checksum', 'TEXT'],
+    ['scheduled_reports', 'cron_expression', 'TEXT'],
+    ['scheduled_reports', 'vendor_code', 'TEXT'],
+    ['scheduled_reports', 'first_run_at', 'DATETIME'],
+    ['scheduled_reports', 'last_run_at', 'DATETIME'],
+    ['test_results', 'configuration_revision', 'INTEGER']
+];
+
+const INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_test_results_config ON test_results(configuration_id)',
+    'CREATE INDEX IF NOT EXISTS idx_logs_config ON logs(configuration_id)',
+    'CREATE INDEX IF NOT EXISTS idx_logs_created ON logs(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_api_metrics_config ON api_metrics(configuration_id)',
+    'CREATE INDEX IF NOT EXISTS idx_api_metrics_created ON api_metrics(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_orders_config ON orders(configuration_id)',
+    'CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)',
+    'CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id)',
+    'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_code ON webhook_inbox(integration_code)',
+    'CREATE INDEX IF NOT EXISTS idx_catalog_versions_code ON catalog_versions(integration_code)',
+    'CREATE INDEX IF NOT EXISTS idx_scheduled_reports_next_run ON scheduled_reports(next_run)',
+    'CREATE INDEX IF NOT EXISTS idx_scheduled_report_runs_schedule ON scheduled_report_runs(scheduled_report_id)',
+    'CREATE INDEX IF NOT EXISTS idx_report_deliveries_due ON report_deliveries(status, next_attempt_at)',
+    'CREATE INDEX IF NOT EXISTS idx_report_deliveries_schedule ON report_deliveries(scheduled_report_id, recipient)',
+    'CREATE INDEX IF NOT EXISTS idx_alerts_rule_status ON alerts(rule_id, status)',
+    'CREATE INDEX IF NOT EXISTS idx_alerts_fired ON alerts(fired_at)',
+    'CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_test_results_revision ON test_results(configuration_id, configuration_revision)'
+];
+
+module.exports = {
+    async up(db) {
+        for (const table of TABLES) {
+            await db.exec(table);
+        }
+
+        for (const [table, column, definition] of COLUMNS) {
+            const existing = await db.all(`PRAGMA table_info(${table})`);
+            if (!existing.some(info => info.name === column)) {
+                await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+
+        for (const index of INDEXES) {
+            await db.exec(index);
+        }
+    },
+
+    // The baseline adopts tables that held data before migrations existed, and up()
+    // cannot tell those from the ones it created, so reverting it keeps the schema
+    async down() {}
+};
@@ -0,0 +1,21 @@
+/**
+ * Give configurations created before per-configuration webhook secrets their own secret
+ */
+
+const WebhookSignature = require('../lib/webhook-signature');
+
+module.exports = {
+    async up(db) {
+        const webhookSignature = new WebhookSignature();
+        const unsigned = await db.all('SELECT id FROM configurations WHERE webhook_secret IS NULL');
+        for (const { id } of unsigned) {
+            await db.run(
+                'UPDATE configurations SET webhook_secret = ? WHERE id = ?',
+                [webhookSignature.generateSecret(), id]
+            );
+        }
+    },
+
+    // Partners may already sign with the generated secrets, so they are kept
+    async down() {}
+};
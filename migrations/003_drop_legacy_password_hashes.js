@@ -0,0 +1,16 @@
+/**
+ * Unsalted SHA-256 password hashes from before the credential vault; they cannot be used
+ * to log in and are easy to crack, so they are dropped and the password must be re-entered
+ */
+
+module.exports = {
+    async up(db) {
+        const hashed = await db.run("UPDATE configurations SET plugin_password_hash = '' WHERE plugin_password_hash != ''");
+        if (hashed.changes > 0) {
+            console.warn(`⚠️  Removed ${hashed.changes} legacy plugin password hashes; re-enter those passwords to store them in the vault`);
+        }
+    },
+
+    // The hashes are gone; passwords live in the vault either way
+    async down() {}
+};
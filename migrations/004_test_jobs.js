@@ -0,0 +1,35 @@
+/**
+ * Background test suite jobs; each step of a job is a test_results row carrying its job id
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`CREATE TABLE test_jobs (
+            id TEXT PRIMARY KEY,
+            configuration_id INTEGER,
+            suite TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',
+            steps JSON NOT NULL,
+            options JSON,
+            progress INTEGER DEFAULT 0,
+            current_step TEXT,
+            cancel_requested BOOLEAN DEFAULT 0,
+            user_id INTEGER,
+            error_message TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            FOREIGN KEY (configuration_id) REFERENCES configurations (id)
+        )`);
+        await db.exec('CREATE INDEX idx_test_jobs_config ON test_jobs(configuration_id, created_at)');
+
+        await db.exec('ALTER TABLE test_results ADD COLUMN job_id TEXT');
+        await db.exec('CREATE INDEX idx_test_results_job ON test_results(job_id)');
+    },
+
+    async down(db) {
+        await db.exec('DROP INDEX IF EXISTS idx_test_results_job');
+        await db.exec('ALTER TABLE test_results DROP COLUMN job_id');
+        await db.exec('DROP TABLE IF EXISTS test_jobs');
+    }
+};
@@ -38,7 +38,7 @@ class TalabatAPIClient {
         if (window.configManager) {
             this.config = window.configManager.getCurrentConfig();
             if (this.config) {
-                this.baseUrl = this.config.baseUrl;
+                this.baseUrl = this.resolveBaseUrl(this.config);
                 this.environment = this.config.environment;
             }
         }
@@ -52,10 +52,20 @@ class TalabatAPIClient {
      */
     updateConfig(config) {
         this.config = config;
-        this.baseUrl = config.baseUrl;
+        this.baseUrl = this.resolveBaseUrl(config);
         this.environment = config.environment;
     }
     
+    /**
+     * Resolve the API base URL; the emulator environment targets the local emulator
+     */
+    resolveBaseUrl(config) {
+        if (config.environment === 'emulator' && window.configManager) {
+            return window.configManager.config.talabatAPI.emulator.baseUrl;
+        }
+        return config.baseUrl;
+    }
+    
     /**
      * Load authentication data from storage
      */
@@ -166,6 +176,191 @@ class TalabatAPIClient {
         }
     }
     
+    /**
+     * Make a request to the platform's own backend API
+     */
+    async callPlatformAPI(endpoint, method = 'GET', data = null) {
+        const options = {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin'
+        };
+        
+        if (data) {
+            options.body = JSON.stringify(data);
+        }
+        
+        const response = await fetch('/api' + endpoint, options);
+        const responseData = await response.json();
+        
+        // The platform session is missing or has expired
+        if (response.status === 401 && endpoint !== '/session') {
+            window.dispatchEvent(new CustomEvent('platform-session-required'));
+        }
+        
+        if (!response.ok) {
+            const error = new Error(responseData.message || responseData.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            error.data = responseData;
+            throw error;
+        }
+        
+        return responseData;
+    }
+    
+    /**
+     * Platform session (the user of this platform, not the POS plugin credentials)
+     */
+    async getSession() {
+        try {
+            const response = await this.callPlatformAPI('/session');
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async login(email, password) {
+        try {
+            const response = await this.callPlatformAPI('/session', 'POST', { email, password });
+            return {
+                success: true,
+                data: response.data.user
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async logoutPlatform() {
+        try {
+            await this.callPlatformAPI('/session', 'DELETE');
+            return {
+                success: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Saved configurations (server snake_case shape; the password is write-only)
+     */
+    async listConfigurations() {
+        try {
+            const response = await this.callPlatformAPI('/configs');
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getConfiguration(id) {
+        try {
+            const response = await this.callPlatformAPI(`/config/${encodeURIComponent(id)}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Create a configuration, or update it when `id` is given. Updates send the
+     * `updated_at` they were based on; a conflict returns `conflict` with the server's version.
+     */
+    async saveConfiguration(configuration, id = null) {
+        try {
+            const response = id
+                ? await this.callPlatformAPI(`/config/${encodeURIComponent(id)}`, 'PUT', configuration)
+                : await this.callPlatformAPI('/config', 'POST', configuration);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                conflict: error.status === 409 ? error.data.current || null : null
+            };
+        }
+    }
+    
+    async getConfigurationRevisions(id) {
+        try {
+            const response = await this.callPlatformAPI(`/config/${encodeURIComponent(id)}/revisions`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Restore a revision over the version `updatedAt`; a conflict returns `conflict` with the server's version
+     */
+    async restoreConfigurationRevision(id, revision, updatedAt) {
+        try {
+            const response = await this.callPlatformAPI(
+                `/config/${encodeURIComponent(id)}/revisions/${encodeURIComponent(revision)}/restore`, 'POST',
+                { updated_at: updatedAt }
+            );
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                conflict: error.status === 409 ? error.data.current || null : null
+            };
+        }
+    }
+    
+    async deleteConfiguration(id) {
+        try {
+            await this.callPlatformAPI(`/config/${encodeURIComponent(id)}`, 'DELETE');
+            return {
+                success: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * Authenticate with Talabat POS API
      */
@@ -260,6 +455,28 @@ class TalabatAPIClient {
         }
     }
     
+    /**
+     * Dispatch signed test orders to the partner POS through the platform backend
+     */
+    async dispatchTestOrders(scenarios) {
+        try {
+            const response = await this.callPlatformAPI('/test/orders', 'POST', {
+                configuration: window.configManager?.getServerConfiguration(),
+                test_scenarios: scenarios,
+                access_token: this.accessToken || undefined
+            });
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * Test order acceptance
      */
@@ -298,6 +515,84 @@ class TalabatAPIClient {
         }
     }
     
+    /**
+     * Test order status update
+     */
+    async testOrderStatusUpdate(orderId, status, reason = null) {
+        try {
+            const endpoint = `${this.endpoints.orders}/${orderId}/status`;
+            const response = await this.makeRequest(endpoint, 'POST', { status, reason });
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Get an order's lifecycle state and event history from the platform
+     */
+    async getOrderLifecycle(orderId) {
+        try {
+            const response = await this.callPlatformAPI(`/orders/${encodeURIComponent(orderId)}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * List callbacks captured by the platform's webhook receiver
+     */
+    async getWebhookInbox(integrationCode, limit = 50) {
+        try {
+            const params = new URLSearchParams({ limit: limit });
+            if (integrationCode) {
+                params.set('integration_code', integrationCode);
+            }
+            const response = await this.callPlatformAPI(`/webhooks/inbox?${params}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Delete captured callbacks
+     */
+    async clearWebhookInbox(integrationCode) {
+        try {
+            const query = integrationCode ? `?integration_code=${encodeURIComponent(integrationCode)}` : '';
+            const response = await this.callPlatformAPI(`/webhooks/inbox${query}`, 'DELETE');
+            return {
+                success: true,
+                message: response.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * Test catalog import
      */
@@ -323,6 +618,85 @@ class TalabatAPIClient {
         }
     }
     
+    /**
+     * Validate catalog JSON text against the catalog schema on the platform
+     */
+    async validateCatalog(catalogJson) {
+        try {
+            const response = await this.callPlatformAPI('/catalog/validate', 'POST', {
+                catalog_json: catalogJson
+            });
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Store catalog JSON text as the next catalog version of the current integration
+     */
+    async saveCatalogVersion(catalogJson, source = 'manual') {
+        try {
+            const response = await this.callPlatformAPI('/catalog/versions', 'POST', {
+                integration_code: this.config?.integrationCode,
+                catalog_json: catalogJson,
+                source: source
+            });
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * List stored catalog versions of the current integration
+     */
+    async getCatalogVersions() {
+        try {
+            const integrationCode = encodeURIComponent(this.config?.integrationCode || '');
+            const response = await this.callPlatformAPI(`/catalog/versions?integration_code=${integrationCode}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Get one stored catalog version including its catalog
+     */
+    async getCatalogVersion(id) {
+        try {
+            const response = await this.callPlatformAPI(`/catalog/versions/${encodeURIComponent(id)}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     /**
      * Test store status update
      */
@@ -343,24 +717,21 @@ class TalabatAPIClient {
     }
     
     /**
-     * Test webhook endpoint
+     * Test webhook endpoint; the platform signs and sends the webhook so the
+     * configuration's secret never reaches the browser
      */
     async testWebhookEndpoint(webhookUrl, testData) {
         try {
-            // This will actually test the partner's webhook endpoint
-            const response = await fetch(webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Talabat-Signature': this.generateWebhookSignature(testData)
-                },
-                body: JSON.stringify(testData)
+            const response = await this.callPlatformAPI('/test/webhooks', 'POST', {
+                webhook_url: webhookUrl,
+                payload: testData,
+                configuration: window.configManager?.getServerConfiguration()
             });
             
             return {
-                success: response.ok,
-                status: response.status,
-                data: await response.text()
+                success: response.data.passed,
+                status: response.data.status_code,
+                data: response.data
             };
         } catch (error) {
             return {
@@ -371,12 +742,62 @@ class TalabatAPIClient {
     }
     
     /**
-     * Generate reports
+     * Queue the full integration suite for a saved configuration; returns the job to poll
+     */
+    async startFullTestSuite(configurationId, options = {}) {
+        try {
+            const response = await this.callPlatformAPI('/test/full-suite', 'POST', {
+                configuration_id: configurationId,
+                ...options
+            });
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getTestJob(jobId) {
+        try {
+            const response = await this.callPlatformAPI(`/test/jobs/${encodeURIComponent(jobId)}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async cancelTestJob(jobId) {
+        try {
+            const response = await this.callPlatformAPI(`/test/jobs/${encodeURIComponent(jobId)}/cancel`, 'POST');
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Generate a report on the platform from persisted orders, metrics and logs
      */
     async generateReport(reportParams) {
         try {
-            const endpoint = `${this.endpoints.reports}/generate`;
-            const response = await this.makeRequest(endpoint, 'POST', reportParams);
+            const response = await this.callPlatformAPI('/reports/generate', 'POST', reportParams);
             return {
                 success: true,
                 data: response.data
@@ -390,29 +811,201 @@ class TalabatAPIClient {
     }
     
     /**
-     * Generate webhook signature for testing
+     * Scheduled reports
      */
-    generateWebhookSignature(data) {
-        // Mock signature generation
-        // In real implementation, this would use the actual webhook secret
-        const payload = JSON.stringify(data);
-        return btoa(payload).substring(0, 32);
+    async scheduleReport(scheduleParams) {
+        try {
+            const response = await this.callPlatformAPI('/reports/schedule', 'POST', scheduleParams);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getScheduledReports() {
+        try {
+            const response = await this.callPlatformAPI('/reports/scheduled');
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getScheduledReportRuns(scheduleId) {
+        try {
+            const response = await this.callPlatformAPI(`/reports/scheduled/${encodeURIComponent(scheduleId)}/runs`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async cancelScheduledReport(scheduleId) {
+        try {
+            await this.callPlatformAPI(`/reports/scheduled/${encodeURIComponent(scheduleId)}`, 'DELETE');
+            return {
+                success: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Latency percentiles, error rate and throughput per time bucket
+     */
+    async getMetricsHistory(params = {}) {
+        try {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            );
+            const response = await this.callPlatformAPI(`/monitoring/metrics/history?${query}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Alert rules with the metrics and comparators the engine supports
+     */
+    async getAlertRules() {
+        try {
+            const response = await this.callPlatformAPI('/alerts/rules');
+            return {
+                success: true,
+                data: response.data,
+                metrics: response.metrics,
+                comparators: response.comparators
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async createAlertRule(rule) {
+        try {
+            const response = await this.callPlatformAPI('/alerts/rules', 'POST', rule);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async deleteAlertRule(ruleId) {
+        try {
+            await this.callPlatformAPI(`/alerts/rules/${encodeURIComponent(ruleId)}`, 'DELETE');
+            return {
+                success: true
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getAlerts(params = {}) {
+        try {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            );
+            const response = await this.callPlatformAPI(`/alerts?${query}`);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * URL the platform serves a generated report file from
+     */
+    getReportDownloadUrl(reportId) {
+        return `/api/reports/${encodeURIComponent(reportId)}/download`;
+    }
+    
+    /**
+     * URL of stored test results as JUnit XML, TAP or HTML ({ format, job_id, configuration_id, ... })
+     */
+    getTestResultsExportUrl(params = {}) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        return `/api/test/results/export?${query}`;
+    }
+    
+    /**
+     * Verify a webhook signature on the platform; the result explains why a check failed
+     */
+    async verifyWebhookSignature(params) {
+        try {
+            const response = await this.callPlatformAPI('/webhooks/verify', 'POST', params);
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
     
     /**
-     * Validate SSL certificate
+     * Validate SSL certificate; the platform inspects the TLS handshake and grades it
      */
     async validateSSL(url) {
         try {
-            // Test HTTPS connection
-            const response = await fetch(url, {
-                method: 'HEAD',
-                mode: 'no-cors'
-            });
+            const response = await this.callPlatformAPI('/test/ssl', 'POST', { url });
             
             return {
-                success: true,
-                message: 'SSL certificate is valid'
+                success: response.data.onboarding_ready,
+                message: response.data.verdict,
+                data: response.data
             };
         } catch (error) {
             return {
@@ -1,6 +1,8 @@
 /**
  * Configuration Management Module
- * Handles application configuration, settings, and environment management
+ * Handles application configuration, settings, and environment management.
+ * Integrations are saved on the server (/api/config); localStorage only caches the
+ * selected one so the form fills in before the server answers.
  */
 
 class ConfigurationManager {
@@ -23,6 +25,15 @@ class ConfigurationManager {
                     catalogEndpoint: '/v1/catalog',
                     webhookEndpoint: '/v1/webhooks',
                     reportEndpoint: '/v1/reports'
+                },
+                // Served by the platform itself, see lib/talabat-emulator.js
+                emulator: {
+                    baseUrl: `${window.location.origin}/emulator/pos`,
+                    loginEndpoint: '/v1/login',
+                    orderEndpoint: '/v1/orders',
+                    catalogEndpoint: '/v1/catalog',
+                    webhookEndpoint: '/v1/webhooks',
+                    reportEndpoint: '/v1/reports'
                 }
             },
             
@@ -67,9 +78,105 @@ class ConfigurationManager {
         };
         
         this.currentConfig = null;
+        
+        // Saved integrations the platform user can access (id, name, code, environment)
+        this.configurations = [];
+        
+        // Revision history of the selected integration, newest first
+        this.revisions = [];
+        
         this.loadConfiguration();
     }
     
+    /**
+     * List the saved integrations and load the selected one from the server;
+     * called once the platform session is known
+     */
+    async loadServerConfigurations() {
+        if (!window.apiClient) return;
+        
+        const result = await window.apiClient.listConfigurations();
+        if (!result.success) {
+            this.logActivity('Failed to load saved configurations: ' + result.error, 'error');
+            return;
+        }
+        
+        this.configurations = result.data;
+        
+        // Keep the cached selection if it still exists, otherwise open the most recent integration
+        const cachedId = this.currentConfig?.id;
+        if (cachedId && this.configurations.some(configuration => configuration.id === cachedId)) {
+            await this.selectConfiguration(cachedId);
+        } else if (cachedId || (!this.currentConfig?.integrationCode && this.configurations.length > 0)) {
+            await this.selectConfiguration(this.configurations[0]?.id || null);
+        } else {
+            this.renderConfigurationPicker();
+        }
+    }
+    
+    /**
+     * Switch the form to a saved integration, or to a new one when `id` is empty
+     */
+    async selectConfiguration(id) {
+        if (!id) {
+            this.setDefaults();
+        } else {
+            const result = await window.apiClient.getConfiguration(id);
+            if (!result.success) {
+                this.logActivity('Failed to load configuration: ' + result.error, 'error');
+                this.renderConfigurationPicker();
+                return false;
+            }
+            this.applyServerConfiguration(result.data);
+        }
+        
+        this.cacheConfiguration();
+        this.populateForm();
+        this.renderConfigurationPicker();
+        await this.loadRevisions();
+        return true;
+    }
+    
+    /**
+     * Make a configuration returned by the API the current one; a password typed in
+     * this session is kept in memory for the browser login test
+     */
+    applyServerConfiguration(data, pluginPassword = '') {
+        const defaults = this.setDefaults();
+        this.currentConfig = {
+            ...defaults,
+            id: data.id,
+            integrationName: data.integration_name,
+            integrationCode: data.integration_code,
+            baseUrl: data.base_url,
+            pluginUsername: data.plugin_username,
+            pluginPassword: pluginPassword,
+            hasPluginPassword: Boolean(data.has_plugin_password),
+            environment: data.environment || defaults.environment,
+            country: data.country || defaults.country,
+            region: data.region || defaults.region,
+            vendorCode: data.vendor_code || '',
+            remoteId: data.remote_id || '',
+            callbackUrl: data.callback_url || '',
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        };
+        return this.currentConfig;
+    }
+    
+    renderConfigurationPicker() {
+        const picker = document.getElementById('configurationPicker');
+        if (!picker) return;
+        
+        picker.innerHTML = '';
+        picker.appendChild(new Option('New integration…', ''));
+        this.configurations.forEach(configuration => {
+            const label = `${configuration.integration_name} (${configuration.integration_code} · ${configuration.environment})`;
+            picker.appendChild(new Option(label, configuration.id));
+        });
+        picker.value = this.currentConfig?.id || '';
+    }
+    
     /**
      * Load configuration from localStorage or set defaults
      */
@@ -78,6 +185,12 @@ class ConfigurationManager {
             const saved = localStorage.getItem(this.config.storageKeys.config);
             if (saved) {
                 this.currentConfig = JSON.parse(saved);
+                
+                // Older versions stored the plugin password in the browser; drop it
+                if (this.currentConfig.pluginPassword) {
+                    this.currentConfig.pluginPassword = '';
+                    this.cacheConfiguration();
+                }
                 this.populateForm();
             } else {
                 this.setDefaults();
@@ -93,47 +206,195 @@ class ConfigurationManager {
      */
     setDefaults() {
         this.currentConfig = {
+            id: null,
             integrationName: '',
             integrationCode: '',
             baseUrl: '',
             pluginUsername: '',
             pluginPassword: '',
+            hasPluginPassword: false,
             environment: 'staging',
             country: 'AE',
             region: 'me',
             vendorCode: '',
             remoteId: '',
             callbackUrl: '',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            createdAt: null,
+            updatedAt: null
         };
+        return this.currentConfig;
     }
     
     /**
-     * Save current configuration
+     * Save the current configuration on the server: new integrations are created, saved ones
+     * updated only if nobody changed them since they were loaded. A conflict returns the
+     * server's version as `conflict`; pass its updated_at as `baseVersion` to overwrite it.
      */
-    saveConfiguration(formData = null) {
+    async saveConfiguration(formData = null, { baseVersion = null } = {}) {
         try {
             if (formData) {
                 this.currentConfig = { ...this.currentConfig, ...formData };
             }
             
-            this.currentConfig.updatedAt = new Date().toISOString();
-            localStorage.setItem(this.config.storageKeys.config, JSON.stringify(this.currentConfig));
+            const payload = this.getServerConfiguration();
+            if (this.currentConfig.pluginPassword) {
+                payload.plugin_password = this.currentConfig.pluginPassword;
+            }
+            if (this.currentConfig.id) {
+                payload.updated_at = baseVersion || this.currentConfig.updatedAt;
+            }
+            
+            const result = await window.apiClient.saveConfiguration(payload, this.currentConfig.id);
+            if (!result.success) {
+                this.logActivity('Error saving configuration: ' + result.error, 'error');
+                return result;
+            }
+            
+            this.applyServerConfiguration(result.data, this.currentConfig.pluginPassword);
+            this.cacheConfiguration();
+            await this.refreshConfigurationList();
+            await this.loadRevisions();
             
             this.logActivity('Configuration saved successfully');
-            return true;
+            return { success: true, data: this.currentConfig };
         } catch (error) {
             console.error('Error saving configuration:', error);
-            this.logActivity('Error saving configuration: ' + error.message);
-            return false;
+            this.logActivity('Error saving configuration: ' + error.message, 'error');
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Delete the selected integration on the server and switch to the next one
+     */
+    async deleteConfiguration() {
+        if (!this.currentConfig?.id) {
+            return { success: false, error: 'This integration has not been saved' };
+        }
+        
+        const result = await window.apiClient.deleteConfiguration(this.currentConfig.id);
+        if (!result.success) {
+            this.logActivity('Error deleting configuration: ' + result.error, 'error');
+            return result;
+        }
+        
+        this.logActivity(`Configuration ${this.currentConfig.integrationCode} deleted`);
+        this.currentConfig = null;
+        await this.loadServerConfigurations();
+        return result;
+    }
+    
+    /**
+     * Revision history of the selected integration
+     */
+    async loadRevisions() {
+        this.revisions = [];
+        if (this.currentConfig?.id) {
+            const result = await window.apiClient.getConfigurationRevisions(this.currentConfig.id);
+            if (result.success) {
+                this.revisions = result.data;
+            }
+        }
+        this.renderRevisions();
+    }
+    
+    renderRevisions() {
+        const list = document.getElementById('config-revisions');
+        if (!list) return;
+        
+        if (!this.revisions || this.revisions.length === 0) {
+            list.innerHTML = '<div class="webhook-empty">No revisions yet; save the integration to start its history</div>';
+            return;
+        }
+        
+        const canRestore = window.authManager?.hasPermission('config:write');
+        const escape = value => String(value === null ? '∅' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        
+        const rows = this.revisions.map((revision, index) => {
+            const changes = Object.entries(revision.changes)
+                .map(([field, change]) => `<code>${escape(field)}</code>: ${escape(change.from)} → ${escape(change.to)}`)
+                .join('<br>');
+            const action = revision.restored_from ? `restore of #${revision.restored_from}` : revision.action;
+            return `
+                <tr>
+                    <td>#${revision.revision}</td>
+                    <td>${escape(action)}</td>
+                    <td>${escape(revision.email || 'system')}<br><small>${new Date(revision.created_at.replace(' ', 'T') + 'Z').toLocaleString()}</small></td>
+                    <td>${changes || '-'}</td>
+                    <td>${revision.tests_passed} ✅ / ${revision.tests_failed} ❌</td>
+                    <td>${canRestore && index > 0 && revision.action !== 'delete'
+                        ? `<a href="#" onclick="restoreConfigurationRevision(${revision.revision}); return false;">Restore</a>`
+                        : ''}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        list.innerHTML = `
+            <table class="webhook-table">
+                <thead>
+                    <tr><th>Revision</th><th>Change</th><th>By</th><th>Fields</th><th>Tests</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Put an earlier revision's fields back (as a new revision) and reload the form. When
+     * someone saved the integration since it was loaded nothing is restored and their
+     * version is loaded instead.
+     */
+    async restoreRevision(revision) {
+        const result = await window.apiClient.restoreConfigurationRevision(this.currentConfig.id, revision, this.currentConfig.updatedAt);
+        if (!result.success) {
+            this.logActivity('Error restoring revision: ' + result.error, 'error');
+            if (result.conflict) {
+                this.applyServerConfiguration(result.conflict, this.currentConfig.pluginPassword);
+                this.cacheConfiguration();
+                this.populateForm();
+                await this.loadRevisions();
+            }
+            return result;
+        }
+        
+        this.applyServerConfiguration(result.data, this.currentConfig.pluginPassword);
+        this.cacheConfiguration();
+        this.populateForm();
+        await this.refreshConfigurationList();
+        await this.loadRevisions();
+        
+        this.logActivity(`Configuration restored to revision ${revision}`);
+        return result;
+    }
+    
+    async refreshConfigurationList() {
+        const result = await window.apiClient.listConfigurations();
+        if (result.success) {
+            this.configurations = result.data;
         }
+        this.renderConfigurationPicker();
+    }
+    
+    /**
+     * Remember the selected integration, without its password, for the next page load
+     */
+    cacheConfiguration() {
+        localStorage.setItem(this.config.storageKeys.config, JSON.stringify(this.withoutSecrets(this.currentConfig)));
     }
     
     /**
-     * Validate configuration data
+     * Copy of a configuration without the plugin password, for storage and export
      */
-    validateConfiguration(config = null) {
+    withoutSecrets(config) {
+        const { pluginPassword, ...rest } = config;
+        return rest;
+    }
+    
+    /**
+     * Validate configuration data; exported files carry no password, so imports skip that check
+     */
+    validateConfiguration(config = null, { requirePassword = true } = {}) {
         const data = config || this.currentConfig;
         const errors = [];
         
@@ -162,7 +423,9 @@ class ConfigurationManager {
             errors.push('Plugin Username is required');
         }
         
-        if (!data.pluginPassword) {
+        // Saved integrations keep their password on the server unless a new one is typed
+        const storedPassword = data.hasPluginPassword ?? (this.currentConfig?.id && this.currentConfig.hasPluginPassword);
+        if (requirePassword && !data.pluginPassword && !storedPassword) {
             errors.push('Plugin Password is required');
         }
         
@@ -196,12 +459,33 @@ class ConfigurationManager {
         return this.config.countries[country];
     }
     
+    /**
+     * Get the current configuration in the server's snake_case shape (without secrets)
+     */
+    getServerConfiguration(config = null) {
+        const data = config || this.currentConfig || {};
+        return {
+            integration_name: data.integrationName,
+            integration_code: data.integrationCode,
+            base_url: data.baseUrl,
+            plugin_username: data.pluginUsername,
+            environment: data.environment,
+            country: data.country,
+            region: data.region,
+            vendor_code: data.vendorCode,
+            remote_id: data.remoteId,
+            callback_url: data.callbackUrl
+        };
+    }
+    
     /**
      * Export configuration as JSON
      */
     exportConfiguration() {
+        // Exports describe the integration, not the server record it was saved as
+        const { id, hasPluginPassword, ...portable } = this.withoutSecrets(this.currentConfig);
         const exportData = {
-            ...this.currentConfig,
+            ...portable,
             exportedAt: new Date().toISOString(),
             version: '1.0'
         };
@@ -220,7 +504,7 @@ class ConfigurationManager {
     }
     
     /**
-     * Import configuration from JSON file
+     * Import configuration from a JSON file into the form as a new, unsaved integration
      */
     importConfiguration(file) {
         return new Promise((resolve, reject) => {
@@ -231,13 +515,14 @@ class ConfigurationManager {
                     const importedConfig = JSON.parse(e.target.result);
                     
                     // Validate imported configuration
-                    const validation = this.validateConfiguration(importedConfig);
+                    const validation = this.validateConfiguration(importedConfig, { requirePassword: false });
                     
                     if (validation.isValid) {
-                        this.currentConfig = importedConfig;
-                        this.saveConfiguration();
+                        const { id, hasPluginPassword, ...portable } = this.withoutSecrets(importedConfig);
+                        this.currentConfig = { ...this.setDefaults(), ...portable };
                         this.populateForm();
-                        this.logActivity('Configuration imported successfully');
+                        this.renderConfigurationPicker();
+                        this.logActivity('Configuration imported; enter the plugin password and save it');
                         resolve(importedConfig);
                     } else {
                         reject(new Error('Invalid configuration: ' + validation.errors.join(', ')));
@@ -265,11 +550,20 @@ class ConfigurationManager {
         
         fields.forEach(field => {
             const element = document.getElementById(field);
-            if (element && this.currentConfig[field]) {
+            if (element && this.currentConfig[field] !== undefined && this.currentConfig[field] !== null) {
                 element.value = this.currentConfig[field];
             }
         });
         
+        // The stored password is never sent back, so the field only says whether there is one
+        const passwordInput = document.getElementById('pluginPassword');
+        if (passwordInput) {
+            passwordInput.value = this.currentConfig.pluginPassword || '';
+            passwordInput.placeholder = this.currentConfig.hasPluginPassword
+                ? 'Saved on the server; leave empty to keep it'
+                : 'Your plugin password';
+        }
+        
         // Update region select based on country
         const regionSelect = document.getElementById('regionSelect');
         if (regionSelect && this.currentConfig.country) {
@@ -350,7 +644,6 @@ class ConfigurationManager {
     updateConfig(key, value) {
         if (this.currentConfig) {
             this.currentConfig[key] = value;
-            this.currentConfig.updatedAt = new Date().toISOString();
         }
     }
 }
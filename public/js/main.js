@@ -258,7 +258,7 @@ class TalabatPOSApp {
         // Ctrl/Cmd + R to run full test suite (when not in input field)
         if ((e.ctrlKey || e.metaKey) && e.key === 'r' && !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
             e.preventDefault();
-            this.runFullTestSuite();
+            runFullTestSuite();
         }
         
         // Tab numbers for quick navigation
@@ -569,18 +569,38 @@ function validateConfiguration() {
     }
 }
 
-function saveConfiguration() {
+async function saveConfiguration() {
     if (window.configManager) {
         const formData = window.configManager.getFormData();
         const validation = window.configManager.validateConfiguration(formData);
         
         if (validation.isValid) {
-            const success = window.configManager.saveConfiguration(formData);
-            if (success) {
+            let result = await window.configManager.saveConfiguration(formData);
+            
+            // Someone else saved this integration since it was loaded
+            if (!result.success && result.conflict) {
+                const overwrite = confirm(
+                    `${result.conflict.integration_name} was changed by someone else at ${result.conflict.updated_at}.\n\n` +
+                    'OK: save your changes over theirs\nCancel: discard your changes and load their version'
+                );
+                
+                if (overwrite) {
+                    result = await window.configManager.saveConfiguration(formData, { baseVersion: result.conflict.updated_at });
+                } else {
+                    window.configManager.applyServerConfiguration(result.conflict);
+                    window.configManager.cacheConfiguration();
+                    window.configManager.populateForm();
+                    window.talabatPOSApp?.markUnsavedChanges(false);
+                    window.talabatPOSApp?.showToast('Loaded the latest saved version');
+                    return;
+                }
+            }
+            
+            if (result.success) {
                 window.talabatPOSApp?.showSuccessMessage('Configuration saved successfully!');
                 window.talabatPOSApp?.markUnsavedChanges(false);
             } else {
-                window.talabatPOSApp?.showErrorMessage('Failed to save configuration');
+                window.talabatPOSApp?.showErrorMessage('Failed to save configuration: ' + result.error);
             }
         } else {
             window.talabatPOSApp?.showErrorMessage('Please fix validation errors before saving');
@@ -589,6 +609,55 @@ function saveConfiguration() {
     }
 }
 
+/**
+ * Switch to another saved integration from the picker
+ */
+async function selectConfiguration(id) {
+    if (!window.configManager) return;
+    
+    if (window.talabatPOSApp?.hasUnsavedChanges() && !confirm('Discard unsaved changes to this integration?')) {
+        window.configManager.renderConfigurationPicker();
+        return;
+    }
+    
+    if (await window.configManager.selectConfiguration(id ? parseInt(id) : null)) {
+        window.talabatPOSApp?.markUnsavedChanges(false);
+    } else {
+        window.talabatPOSApp?.showErrorMessage('Failed to load configuration');
+    }
+}
+
+async function restoreConfigurationRevision(revision) {
+    if (!window.configManager || !confirm(`Restore the integration to revision #${revision}? The saved password and webhook secret are kept.`)) return;
+    
+    const result = await window.configManager.restoreRevision(revision);
+    if (result.success) {
+        window.talabatPOSApp?.showSuccessMessage(`Restored revision #${revision}`);
+        window.talabatPOSApp?.markUnsavedChanges(false);
+    } else if (result.conflict) {
+        window.talabatPOSApp?.markUnsavedChanges(false);
+        window.talabatPOSApp?.showErrorMessage(
+            `${result.conflict.integration_name} was changed by someone else at ${result.conflict.updated_at}. ` +
+            `Their version is loaded; restore revision #${revision} again to replace it.`
+        );
+    } else {
+        window.talabatPOSApp?.showErrorMessage('Failed to restore revision: ' + result.error);
+    }
+}
+
+async function deleteConfiguration() {
+    const config = window.configManager?.getCurrentConfig();
+    if (!config?.id || !confirm(`Delete the ${config.integrationName} integration?`)) return;
+    
+    const result = await window.configManager.deleteConfiguration();
+    if (result.success) {
+        window.talabatPOSApp?.showSuccessMessage('Configuration deleted');
+        window.talabatPOSApp?.markUnsavedChanges(false);
+    } else {
+        window.talabatPOSApp?.showErrorMessage('Failed to delete configuration: ' + result.error);
+    }
+}
+
 function exportConfiguration() {
     if (window.configManager) {
         window.configManager.exportConfiguration();
@@ -606,19 +675,14 @@ function runFullTestSuite() {
         // Ensure we're on the testing tab
         showTab('testing');
         
-        // Check prerequisites
+        // The suite runs on the platform against the saved configuration
         const config = window.configManager?.getCurrentConfig();
-        if (!config || !config.integrationName) {
-            window.talabatPOSApp?.showErrorMessage('Please configure the integration first');
+        if (!config || !config.id) {
+            window.talabatPOSApp?.showErrorMessage('Please save the configuration first');
             showTab('configuration');
             return;
         }
         
-        if (!window.authManager?.isAuthenticated) {
-            window.talabatPOSApp?.showErrorMessage('Please authenticate first');
-            return;
-        }
-        
         // Run the full test suite
         window.integrationTester.runFullTestSuite();
     }
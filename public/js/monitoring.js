@@ -19,6 +19,26 @@ class MonitoringManager {
         this.monitoringInterval = null;
         this.isMonitoring = false;
         
+        // Server-Sent Events stream of server logs, API metrics and test results
+        this.eventSource = null;
+        this.lastEventId = null;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        
+        // Chart history loaded from /api/monitoring/metrics/history, per bucket size
+        this.historyRanges = {
+            '1m': 60 * 60 * 1000,
+            '5m': 6 * 60 * 60 * 1000,
+            '1h': 2 * 24 * 60 * 60 * 1000,
+            '1d': 30 * 24 * 60 * 60 * 1000
+        };
+        this.historySummary = null;
+        this.historyRefreshTimer = null;
+        
+        // Alerts firing on the server and the rules that raise them
+        this.alerts = [];
+        this.alertRules = [];
+        
         // Performance tracking
         this.performanceData = {
             apiCalls: 0,
@@ -39,6 +59,8 @@ class MonitoringManager {
         this.setupEventListeners();
         this.startMonitoring();
         this.initializeCharts();
+        this.loadMetricsHistory();
+        this.loadAlerts();
     }
     
     /**
@@ -55,6 +77,9 @@ class MonitoringManager {
             if (storedMetrics) {
                 this.metrics = { ...this.metrics, ...JSON.parse(storedMetrics) };
             }
+            
+            // Resume the stream where the stored logs end
+            this.lastEventId = localStorage.getItem('talabat_pos_stream_cursor');
         } catch (error) {
             console.error('Error loading monitoring data:', error);
         }
@@ -67,6 +92,9 @@ class MonitoringManager {
         try {
             localStorage.setItem('talabat_pos_logs', JSON.stringify(this.logs.slice(-this.maxLogEntries)));
             localStorage.setItem('talabat_pos_metrics', JSON.stringify(this.metrics));
+            if (this.lastEventId) {
+                localStorage.setItem('talabat_pos_stream_cursor', this.lastEventId);
+            }
         } catch (error) {
             console.error('Error saving monitoring data:', error);
         }
@@ -138,6 +166,7 @@ class MonitoringManager {
         if (this.isMonitoring) return;
         
         this.isMonitoring = true;
+        this.connectStream();
         this.monitoringInterval = setInterval(() => {
             this.collectMetrics();
             this.updateDashboard();
@@ -163,6 +192,7 @@ class MonitoringManager {
             clearInterval(this.monitoringInterval);
             this.monitoringInterval = null;
         }
+        this.disconnectStream();
         
         this.addLog({
             timestamp: new Date().toISOString(),
@@ -172,6 +202,290 @@ class MonitoringManager {
         });
     }
     
+    /**
+     * Subscribe to /api/monitoring/stream, resuming after the last event received
+     */
+    connectStream() {
+        if (typeof EventSource === 'undefined' || this.eventSource) return;
+        
+        const params = new URLSearchParams();
+        if (this.lastEventId) {
+            params.set('lastEventId', this.lastEventId);
+        } else {
+            params.set('backlog', 20);
+        }
+        
+        const source = new EventSource(`/api/monitoring/stream?${params}`);
+        this.eventSource = source;
+        
+        source.addEventListener('log', (e) => this.handleStreamEvent(e, (log) => this.addLog({
+            timestamp: this.parseServerTime(log.created_at),
+            level: log.level,
+            message: log.message,
+            module: log.module ? `Server:${log.module}` : 'Server',
+            details: log.details
+        })));
+        
+        source.addEventListener('metric', (e) => this.handleStreamEvent(e, (metric) => this.trackServerMetric(metric)));
+        
+        source.addEventListener('test', (e) => this.handleStreamEvent(e, (test) => this.addLog({
+            timestamp: this.parseServerTime(test.created_at),
+            level: test.status === 'passed' ? 'success' : 'error',
+            message: `Test ${test.status}: ${test.test_name}${test.execution_time_ms ? ` (${test.execution_time_ms}ms)` : ''}`,
+            module: 'TestRunner',
+            details: { test_type: test.test_type, error: test.error_message }
+        })));
+        
+        source.addEventListener('alert', (e) => this.handleStreamEvent(e, (alert) => this.handleAlert(alert)));
+        
+        source.addEventListener('summary', (e) => this.handleStreamEvent(e, (summary) => {
+            this.metrics.activeOrders = summary.active_orders;
+            this.updateDashboard();
+        }));
+        
+        source.onopen = () => {
+            this.reconnectDelay = 1000;
+        };
+        
+        source.onerror = () => {
+            // EventSource reconnects by itself (sending Last-Event-ID) unless the server refused the stream
+            if (source.readyState !== EventSource.CLOSED) return;
+            
+            this.eventSource = null;
+            if (!this.isMonitoring) return;
+            
+            this.addLog({
+                timestamp: new Date().toISOString(),
+                level: 'warning',
+                message: `Monitoring stream unavailable, reconnecting in ${this.reconnectDelay / 1000}s`,
+                module: 'MonitoringManager'
+            });
+            this.reconnectTimer = setTimeout(() => this.connectStream(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, 60000);
+        };
+    }
+    
+    disconnectStream() {
+        clearTimeout(this.reconnectTimer);
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+    
+    handleStreamEvent(event, handler) {
+        if (event.lastEventId) {
+            this.lastEventId = event.lastEventId;
+        }
+        
+        try {
+            handler(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Invalid monitoring stream event:', error);
+        }
+    }
+    
+    /**
+     * Record an api_metrics sample pushed by the server
+     */
+    trackServerMetric(metric) {
+        this.performanceData.apiCalls++;
+        if (metric.success) {
+            this.performanceData.successfulCalls++;
+        } else {
+            this.performanceData.failedCalls++;
+        }
+        
+        this.performanceData.totalResponseTime += metric.response_time_ms || 0;
+        this.performanceData.averageResponseTime = 
+            this.performanceData.totalResponseTime / this.performanceData.apiCalls;
+        
+        // The charts show bucketed history; reload it once a burst of samples has arrived
+        clearTimeout(this.historyRefreshTimer);
+        this.historyRefreshTimer = setTimeout(() => this.loadMetricsHistory(), 5000);
+        
+        this.updateDashboard();
+    }
+    
+    /**
+     * Load response time percentiles and success rate per bucket for the charts
+     */
+    async loadMetricsHistory() {
+        if (!window.apiClient) return;
+        
+        const bucket = document.getElementById('metrics-bucket')?.value || '5m';
+        const result = await window.apiClient.getMetricsHistory({
+            bucket: bucket,
+            from: new Date(Date.now() - this.historyRanges[bucket]).toISOString(),
+            percentile: 95
+        });
+        
+        if (!result.success) {
+            console.error('Error loading metrics history:', result.error);
+            return;
+        }
+        
+        const history = result.data;
+        this.historySummary = history.summary;
+        this.metrics.responseTime = history.charts.response_time;
+        this.metrics.successRate = history.charts.success_rate;
+        this.updateDashboard();
+    }
+    
+    /**
+     * Load the firing alerts and the alert rules
+     */
+    async loadAlerts() {
+        if (!window.apiClient) return;
+        
+        const [alerts, rules] = await Promise.all([
+            window.apiClient.getAlerts({ status: 'firing' }),
+            window.apiClient.getAlertRules()
+        ]);
+        
+        if (alerts.success) {
+            this.alerts = alerts.data;
+        } else {
+            console.error('Error loading alerts:', alerts.error);
+        }
+        
+        if (rules.success) {
+            this.alertRules = rules.data;
+        } else {
+            console.error('Error loading alert rules:', rules.error);
+        }
+        
+        this.renderAlerts();
+        this.renderAlertRules();
+    }
+    
+    /**
+     * Apply an alert that fired or resolved on the server
+     */
+    handleAlert(alert) {
+        this.alerts = this.alerts.filter(item => item.id !== alert.id);
+        if (alert.status === 'firing') {
+            this.alerts.unshift(alert);
+        }
+        
+        this.addLog({
+            timestamp: new Date().toISOString(),
+            level: alert.status === 'firing' ? 'error' : 'success',
+            message: `Alert ${alert.status}: ${alert.message}`,
+            module: 'Alerts'
+        });
+        this.renderAlerts();
+    }
+    
+    renderAlerts() {
+        const countElement = document.getElementById('active-alerts');
+        if (countElement) {
+            countElement.textContent = this.alerts.length;
+        }
+        
+        const list = document.getElementById('alerts-list');
+        if (!list) return;
+        
+        list.innerHTML = this.alerts.map(alert => `
+            <div class="log-entry log-error">
+                🔔 ${this.escapeHtml(alert.message)} · since ${new Date(alert.fired_at).toLocaleString()}
+            </div>
+        `).join('');
+    }
+    
+    renderAlertRules() {
+        const list = document.getElementById('alert-rules-list');
+        if (!list) return;
+        
+        if (this.alertRules.length === 0) {
+            list.innerHTML = '<div class="webhook-empty">No alert rules</div>';
+            return;
+        }
+        
+        const rows = this.alertRules.map(rule => `
+            <tr>
+                <td>${this.escapeHtml(rule.name)}</td>
+                <td>${this.escapeHtml(`${rule.metric} ${rule.comparator} ${rule.threshold} over ${rule.window_minutes}m`)}
+                    ${rule.filters.endpoint ? `<br><small>${this.escapeHtml(rule.filters.endpoint)}</small>` : ''}</td>
+                <td>${rule.last_value !== null ? this.escapeHtml(rule.last_value) : '-'}</td>
+                <td>${rule.channels.length > 0
+                    ? rule.channels.map(channel => this.escapeHtml(channel.type === 'webhook' ? channel.url : channel.to)).join('<br>')
+                    : '-'}</td>
+                <td><a href="#" onclick="window.monitoringManager.deleteAlertRule(${rule.id}); return false;">Delete</a></td>
+            </tr>
+        `).join('');
+        
+        list.innerHTML = `
+            <table class="webhook-table">
+                <thead>
+                    <tr><th>Rule</th><th>Condition</th><th>Last Value</th><th>Notify</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Create a rule from the alert rule form
+     */
+    async createAlertRule() {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        const channels = [];
+        if (value('alertRuleWebhook')) {
+            channels.push({ type: 'webhook', url: value('alertRuleWebhook') });
+        }
+        if (value('alertRuleEmail')) {
+            channels.push({ type: 'email', to: value('alertRuleEmail') });
+        }
+        
+        const result = await window.apiClient.createAlertRule({
+            name: value('alertRuleName'),
+            metric: value('alertRuleMetric'),
+            comparator: value('alertRuleComparator'),
+            threshold: value('alertRuleThreshold'),
+            window_minutes: value('alertRuleWindow'),
+            filters: value('alertRuleEndpoint') ? { endpoint: value('alertRuleEndpoint') } : {},
+            channels: channels
+        });
+        
+        if (!result.success) {
+            this.addLog({
+                timestamp: new Date().toISOString(),
+                level: 'error',
+                message: `Failed to create alert rule: ${result.error}`,
+                module: 'Alerts'
+            });
+            return;
+        }
+        
+        this.alertRules.push(result.data);
+        this.renderAlertRules();
+    }
+    
+    async deleteAlertRule(ruleId) {
+        const result = await window.apiClient.deleteAlertRule(ruleId);
+        if (!result.success) {
+            this.addLog({
+                timestamp: new Date().toISOString(),
+                level: 'error',
+                message: `Failed to delete alert rule: ${result.error}`,
+                module: 'Alerts'
+            });
+            return;
+        }
+        
+        // Deleting a rule resolves its firing alert
+        await this.loadAlerts();
+    }
+    
+    /**
+     * SQLite CURRENT_TIMESTAMP values are UTC without a zone ("2024-01-01 12:00:00")
+     */
+    parseServerTime(value) {
+        if (!value) return new Date().toISOString();
+        return new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z').toISOString();
+    }
+    
     /**
      * Add log entry
      */
@@ -284,32 +598,14 @@ class MonitoringManager {
     }
     
     /**
-     * Collect system metrics
+     * Collect system metrics; server metrics and active orders arrive over the stream
      */
     collectMetrics() {
-        // Simulate system metrics collection
-        const timestamp = Date.now();
-        
-        // System status
         if (window.authManager?.isAuthenticated) {
             this.metrics.systemStatus = 'operational';
         } else {
             this.metrics.systemStatus = 'authentication_required';
         }
-        
-        // Active orders (simulated)
-        this.metrics.activeOrders = Math.floor(Math.random() * 10) + 
-            (window.integrationTester?.testResults.order ? 5 : 0);
-        
-        // Memory usage (if available)
-        if (performance.memory) {
-            this.addLog({
-                timestamp: new Date().toISOString(),
-                level: 'debug',
-                message: `Memory Usage: ${Math.round(performance.memory.usedJSHeapSize / 1024 / 1024)}MB`,
-                module: 'SystemMonitor'
-            });
-        }
     }
     
     /**
@@ -357,6 +653,15 @@ class MonitoringManager {
             responseTimeElement.textContent = avgResponseTime + 'ms';
         }
         
+        // Latency percentiles over the charted range
+        const percentilesElement = document.getElementById('latency-percentiles');
+        if (percentilesElement && this.historySummary) {
+            const { p50, p95, p99, total_calls } = this.historySummary;
+            percentilesElement.textContent = total_calls > 0
+                ? `p50 ${Math.round(p50)}ms · p95 ${Math.round(p95)}ms · p99 ${Math.round(p99)}ms`
+                : 'No calls in range';
+        }
+        
         // Update success rate
         const currentSuccessRate = this.metrics.successRate.length > 0 ? 
             this.metrics.successRate[this.metrics.successRate.length - 1].value : 100;
@@ -394,13 +699,20 @@ class MonitoringManager {
         logsContent.innerHTML = recentLogs.map(log => {
             const time = new Date(log.timestamp).toLocaleTimeString();
             const levelClass = `log-${log.level}`;
-            return `<div class="log-entry ${levelClass}">[${time}] [${log.level.toUpperCase()}] [${log.module}] ${log.message}</div>`;
+            return `<div class="log-entry ${levelClass}">[${time}] [${log.level.toUpperCase()}] [${this.escapeHtml(log.module)}] ${this.escapeHtml(log.message)}</div>`;
         }).join('');
         
         // Auto-scroll to bottom
         logsContent.scrollTop = logsContent.scrollHeight;
     }
     
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+    
     /**
      * Initialize monitoring charts
      */
@@ -555,7 +867,7 @@ class SimpleChart {
         this.ctx = canvas.getContext('2d');
         this.title = title;
         this.data = [];
-        this.maxPoints = 20;
+        this.maxPoints = 60;
         
         this.setupCanvas();
     }
@@ -614,6 +926,24 @@ class SimpleChart {
     }
 }
 
+function loadMetricsHistory() {
+    if (window.monitoringManager) {
+        return window.monitoringManager.loadMetricsHistory();
+    }
+}
+
+function loadAlerts() {
+    if (window.monitoringManager) {
+        return window.monitoringManager.loadAlerts();
+    }
+}
+
+function createAlertRule() {
+    if (window.monitoringManager) {
+        return window.monitoringManager.createAlertRule();
+    }
+}
+
 // Initialize global monitoring manager
 window.monitoringManager = new MonitoringManager();
 
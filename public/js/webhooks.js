@@ -0,0 +1,399 @@
+/**
+ * Webhook Inbox Module
+ * Lists partner callbacks captured by the platform's webhook receiver and diffs them
+ */
+
+class WebhookInspector {
+    constructor() {
+        this.entries = [];
+        this.selected = [];
+        this.maxEntries = 50;
+        
+        this.initialize();
+    }
+    
+    /**
+     * Initialize the webhook inbox panel
+     */
+    initialize() {
+        this.updateReceiverUrl();
+        
+        const integrationCode = document.getElementById('integrationCode');
+        if (integrationCode) {
+            integrationCode.addEventListener('input', () => this.updateReceiverUrl());
+        }
+    }
+    
+    getIntegrationCode() {
+        return document.getElementById('integrationCode')?.value.trim()
+            || window.configManager?.getCurrentConfig()?.integrationCode
+            || '';
+    }
+    
+    /**
+     * URL partners should send callbacks to for the current integration
+     */
+    getReceiverUrl() {
+        const integrationCode = this.getIntegrationCode();
+        return integrationCode ? `${window.location.origin}/api/hooks/${integrationCode}/` : '';
+    }
+    
+    updateReceiverUrl() {
+        const receiverUrl = document.getElementById('webhook-receiver-url');
+        if (receiverUrl) {
+            receiverUrl.value = this.getReceiverUrl() || 'Set an Integration Code to get a receiver URL';
+        }
+    }
+    
+    /**
+     * Point the catalog callback URL at the receiver
+     */
+    useAsCallbackUrl() {
+        const receiverUrl = this.getReceiverUrl();
+        if (!receiverUrl) {
+            this.showMessage('❌ Please configure an Integration Code first');
+            return;
+        }
+        
+        const callbackInput = document.getElementById('callbackUrl');
+        if (callbackInput) {
+            callbackInput.value = receiverUrl + 'catalog';
+        }
+        
+        this.logActivity('Callback URL set to the webhook receiver', 'info');
+    }
+    
+    /**
+     * Load captured callbacks for the current integration
+     */
+    async refresh() {
+        const integrationCode = this.getIntegrationCode();
+        if (!integrationCode) {
+            this.showMessage('❌ Please configure an Integration Code first');
+            return;
+        }
+        
+        const result = await window.apiClient.getWebhookInbox(integrationCode, this.maxEntries);
+        if (!result.success) {
+            this.showMessage('❌ Failed to load captured webhooks: ' + result.error);
+            return;
+        }
+        
+        this.entries = result.data;
+        this.selected = this.selected.filter(id => this.entries.some(entry => entry.id === id));
+        this.renderList();
+    }
+    
+    async clear() {
+        const integrationCode = this.getIntegrationCode();
+        if (!integrationCode) {
+            this.showMessage('❌ Please configure an Integration Code first');
+            return;
+        }
+        
+        if (!confirm('Delete all captured webhooks for this integration?')) {
+            return;
+        }
+        
+        const result = await window.apiClient.clearWebhookInbox(integrationCode);
+        if (!result.success) {
+            this.showMessage('❌ Failed to clear captured webhooks: ' + result.error);
+            return;
+        }
+        
+        this.entries = [];
+        this.selected = [];
+        this.renderList();
+        this.logActivity(result.message, 'info');
+    }
+    
+    toggleSelection(id) {
+        if (this.selected.includes(id)) {
+            this.selected = this.selected.filter(selectedId => selectedId !== id);
+        } else {
+            // Keep the two most recent picks
+            this.selected = [...this.selected, id].slice(-2);
+        }
+        this.renderList();
+    }
+    
+    /**
+     * Rendering
+     */
+    renderList() {
+        const list = document.getElementById('webhook-inbox-list');
+        if (!list) return;
+        
+        if (this.entries.length === 0) {
+            list.innerHTML = '<div class="webhook-empty">No callbacks captured yet</div>';
+            return;
+        }
+        
+        const rows = this.entries.map(entry => `
+            <tr class="${this.selected.includes(entry.id) ? 'selected' : ''}">
+                <td><input type="checkbox" ${this.selected.includes(entry.id) ? 'checked' : ''}
+                    onchange="window.webhookInspector.toggleSelection(${entry.id})"></td>
+                <td>${new Date(entry.received_at).toLocaleString()}</td>
+                <td>${this.escapeHtml(entry.method)}</td>
+                <td><a href="#" onclick="window.webhookInspector.showEntry(${entry.id}); return false;">${this.escapeHtml(entry.path)}</a></td>
+                <td>${this.escapeHtml(entry.content_type || '-')}</td>
+                <td>${this.formatBytes(entry.body_size)}</td>
+                <td>${this.escapeHtml(entry.source_ip || '-')}</td>
+            </tr>
+        `).join('');
+        
+        list.innerHTML = `
+            <table class="webhook-table">
+                <thead>
+                    <tr><th></th><th>Received</th><th>Method</th><th>Path</th><th>Content Type</th><th>Size</th><th>Source IP</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    showEntry(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return;
+        
+        const body = entry.json ? JSON.stringify(entry.json, null, 2) : entry.body;
+        const headers = Object.entries(entry.headers)
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+        
+        this.showDetail(`
+            <h4>${this.escapeHtml(entry.method)} ${this.escapeHtml(entry.path)}</h4>
+            <div>Received ${new Date(entry.received_at).toLocaleString()} from ${this.escapeHtml(entry.source_ip || 'unknown')}
+                (${entry.processing_time_ms}ms, ${this.formatBytes(entry.body_size)}${entry.body_truncated ? ', truncated' : ''})</div>
+            <h4>Headers</h4>
+            <pre class="webhook-pre">${this.escapeHtml(headers)}</pre>
+            <h4>Body</h4>
+            <pre class="webhook-pre">${this.escapeHtml(body || '(empty)')}</pre>
+            <div class="button-group">
+                <button class="btn" onclick="window.webhookInspector.verifyEntry(${entry.id})">
+                    <i class="fas fa-signature"></i> Verify Signature
+                </button>
+            </div>
+            <div id="webhook-verify-result"></div>
+        `);
+    }
+    
+    /**
+     * Check a capture's signature against the integration's webhook secret
+     */
+    async verifyEntry(id) {
+        const container = document.getElementById('webhook-verify-result');
+        const result = await window.apiClient.verifyWebhookSignature({ inbox_id: id });
+        
+        if (!result.success) {
+            container.innerHTML = `<div class="error-highlight">❌ Verification failed: ${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+        
+        const verification = result.data;
+        if (verification.valid) {
+            container.innerHTML = `<div class="success-highlight">✅ ${this.escapeHtml(verification.reason)}</div>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="error-highlight">❌ ${this.escapeHtml(verification.code)}: ${this.escapeHtml(verification.reason)}</div>
+            ${verification.hints.map(hint => `<div class="diff-line">${this.escapeHtml(hint)}</div>`).join('')}
+        `;
+    }
+    
+    /**
+     * Diff the two selected captures
+     */
+    diffSelected() {
+        if (this.selected.length !== 2) {
+            this.showMessage('❌ Select exactly two captured webhooks to compare');
+            return;
+        }
+        
+        // Oldest first so the diff reads as "what changed since"
+        const [before, after] = this.selected
+            .map(id => this.entries.find(entry => entry.id === id))
+            .sort((a, b) => a.id - b.id);
+        
+        const sections = [
+            ['Request', this.diffValues(
+                { method: before.method, path: before.path, ...this.prefixKeys('query.', before.query) },
+                { method: after.method, path: after.path, ...this.prefixKeys('query.', after.query) }
+            )],
+            ['Headers', this.diffValues(before.headers, after.headers)],
+            ['Body', before.json !== null && after.json !== null
+                ? this.diffValues(this.flatten(before.json), this.flatten(after.json))
+                : this.diffLines(before.body || '', after.body || '')]
+        ];
+        
+        const html = sections.map(([title, changes]) => `
+            <h4>${title}</h4>
+            ${changes.length === 0
+                ? '<div class="diff-line">No differences</div>'
+                : changes.map(change => this.renderChange(change)).join('')}
+        `).join('');
+        
+        this.showDetail(`<h4>Diff #${before.id} → #${after.id}</h4>${html}`);
+    }
+    
+    /**
+     * Compare two flat key/value maps
+     */
+    diffValues(before, after) {
+        const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+        
+        return keys.reduce((changes, key) => {
+            const oldValue = JSON.stringify(before[key]);
+            const newValue = JSON.stringify(after[key]);
+            
+            if (!(key in before)) {
+                changes.push({ type: 'added', key, value: newValue });
+            } else if (!(key in after)) {
+                changes.push({ type: 'removed', key, value: oldValue });
+            } else if (oldValue !== newValue) {
+                changes.push({ type: 'changed', key, from: oldValue, to: newValue });
+            }
+            return changes;
+        }, []);
+    }
+    
+    /**
+     * Line diff for non-JSON bodies (longest common subsequence)
+     */
+    diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        const changes = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                i++;
+                j++;
+            } else if (j < b.length && (i >= a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                changes.push({ type: 'added', key: `line ${j + 1}`, value: b[j++] });
+            } else {
+                changes.push({ type: 'removed', key: `line ${i + 1}`, value: a[i++] });
+            }
+        }
+        return changes;
+    }
+    
+    /**
+     * Flatten a JSON value into JSON-pointer-like paths
+     */
+    flatten(value, path = '', result = {}) {
+        if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value);
+            if (keys.length === 0) {
+                result[path || '/'] = value;
+            }
+            keys.forEach(key => this.flatten(value[key], `${path}/${key}`, result));
+        } else {
+            result[path || '/'] = value;
+        }
+        return result;
+    }
+    
+    prefixKeys(prefix, object) {
+        return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [prefix + key, value]));
+    }
+    
+    renderChange(change) {
+        const key = this.escapeHtml(change.key);
+        if (change.type === 'changed') {
+            return `<div class="diff-line diff-changed">~ ${key}: ${this.escapeHtml(change.from)} → ${this.escapeHtml(change.to)}</div>`;
+        }
+        const sign = change.type === 'added' ? '+' : '-';
+        return `<div class="diff-line diff-${change.type}">${sign} ${key}: ${this.escapeHtml(change.value)}</div>`;
+    }
+    
+    showDetail(html) {
+        const detail = document.getElementById('webhook-inbox-detail');
+        if (!detail) return;
+        
+        detail.style.display = 'block';
+        detail.innerHTML = html;
+    }
+    
+    showMessage(message) {
+        if (window.authManager) {
+            window.authManager.showResults('Webhook Inbox', [message], 'webhook-inbox-detail');
+        }
+    }
+    
+    /**
+     * Utility methods
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    
+    logActivity(message, level = 'info') {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: message,
+            module: 'WebhookInspector'
+        };
+        
+        if (window.monitoringManager) {
+            window.monitoringManager.addLog(logEntry);
+        }
+        
+        console.log(`[${logEntry.timestamp}] [${logEntry.level.toUpperCase()}] ${logEntry.message}`);
+    }
+}
+
+// Global functions for backward compatibility
+function refreshWebhookInbox() {
+    if (window.webhookInspector) {
+        return window.webhookInspector.refresh();
+    }
+}
+
+function clearWebhookInbox() {
+    if (window.webhookInspector) {
+        return window.webhookInspector.clear();
+    }
+}
+
+function diffSelectedWebhooks() {
+    if (window.webhookInspector) {
+        return window.webhookInspector.diffSelected();
+    }
+}
+
+function useWebhookReceiverAsCallback() {
+    if (window.webhookInspector) {
+        return window.webhookInspector.useAsCallbackUrl();
+    }
+}
+
+// Initialize global webhook inspector
+window.webhookInspector = new WebhookInspector();
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebhookInspector;
+}
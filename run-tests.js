@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Headless integration test runner for CI pipelines. Runs steps of the full suite
+ * against a configuration saved in the database (STORAGE_DRIVER / STORAGE_PATH) or
+ * exported from the UI with Export Configuration, prints progress and exits non-zero
+ * when a step fails.
+ *
+ *   node run-tests.js --config-id 3 --junit reports/junit.xml
+ *   node run-tests.js --config-file talabat-pos-config-acme.json --environment emulator --json summary.json
+ *
+ * Exported files carry no password: pass --password or set PLUGIN_PASSWORD. They are
+ * run against in-memory storage, so nothing is written to the platform database.
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const TalabatPOSServer = require('./server');
+const { createStorage, MemoryStorage } = require('./lib/storage');
+const TestResultExport = require('./lib/test-result-export');
+
+const USAGE = `Usage: node run-tests.js (--config-id <id> | --integration-code <code> | --config-file <path>) [options]
+
+Configuration:
+  --config-id <id>           Saved configuration
+  --integration-code <code>  Saved configuration, by integration code
+  --config-file <path>       Configuration exported from the UI
+  --password <password>      Plugin password for --config-file (default: PLUGIN_PASSWORD)
+
+Run:
+  --suites <a,b,...>         Steps to run (default: all; see --list)
+  --environment <env>        staging, production or emulator (default: the configuration's)
+  --scenarios <a,b,...>      Order scenarios (default: order_reception)
+  --lifecycle-timeout <ms>   Wait for the POS to accept or reject each order
+  --catalog <path>           Catalog JSON to push (default: latest stored version)
+  --webhook-url <url>        Webhook target (default: the configuration's callback URL)
+
+Output:
+  --junit <path>             Write JUnit XML
+  --json <path>              Write a JSON summary
+  --list                     List the suite's steps and exit`;
+
+const FLAGS = {
+    '--config-id': 'configId',
+    '--integration-code': 'integrationCode',
+    '--config-file': 'configFile',
+    '--password': 'password',
+    '--suites': 'suites',
+    '--environment': 'environment',
+    '--scenarios': 'scenarios',
+    '--lifecycle-timeout': 'lifecycleTimeout',
+    '--catalog': 'catalog',
+    '--webhook-url': 'webhookUrl',
+    '--junit': 'junit',
+    '--json': 'json'
+};
+
+const ICONS = { passed: '✔', failed: '✘', skipped: '-', cancelled: '■' };
+
+// Exit codes: 0 all steps passed, 1 a step failed, 2 the run could not start
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--list') {
+            args.list = true;
+        } else if (FLAGS[arg]) {
+            const value = argv[++index];
+            if (value === undefined || value.startsWith('--')) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            args[FLAGS[arg]] = value;
+        } else {
+            throw new UsageError(`Unknown option ${arg}`);
+        }
+    }
+    return args;
+}
+
+function list(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+/**
+ * A free port for the platform (and its emulator) to listen on during the run
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Saved configuration row, or an exported file inserted into the in-memory database
+ * with its password in the credential vault
+ */
+async function loadConfiguration(server, args) {
+    if (args.configId || args.integrationCode) {
+        const configuration = await server.db.get(
+            `SELECT * FROM configurations WHERE ${args.configId ? 'id' : 'integration_code'} = ? AND is_active = 1`,
+            [args.configId || args.integrationCode]
+        );
+        if (!configuration) {
+            throw new UsageError(`Configuration ${args.configId || args.integrationCode} not found in ${server.storage.describe()}`);
+        }
+        return configuration;
+    }
+
+    const exported = JSON.parse(await fs.readFile(args.configFile, 'utf8'));
+    const password = args.password || process.env.PLUGIN_PASSWORD;
+    const missing = ['integrationName', 'integrationCode', 'baseUrl', 'pluginUsername'].filter(field => !exported[field]);
+    if (missing.length > 0) {
+        throw new UsageError(`${args.configFile} is not an exported configuration (missing ${missing.join(', ')})`);
+    }
+    if (!password) {
+        throw new UsageError('Exported configurations carry no password; pass --password or set PLUGIN_PASSWORD');
+    }
+
+    const result = await server.db.run(`
+        INSERT INTO configurations (
+            integration_name, integration_code, base_url, plugin_username, plugin_password_hash,
+            environment, country, region, vendor_code, remote_id, callback_url, webhook_secret
+        ) VALUES (?, ?, ?, ?, '', ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        exported.integrationName, exported.integrationCode, exported.baseUrl, exported.pluginUsername,
+        exported.environment || 'staging', exported.country || 'AE', exported.region || 'me',
+        exported.vendorCode || null, exported.remoteId || null, exported.callbackUrl || null,
+        server.webhookSignature.generateSecret()
+    ]);
+    await server.credentialVault.store(result.lastID, 'plugin_password', password);
+
+    return server.db.get('SELECT * FROM configurations WHERE id = ?', [result.lastID]);
+}
+
+async function writeFile(file, contents) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, contents);
+}
+
+async function run(args) {
+    if (!args.configId && !args.integrationCode && !args.configFile) {
+        throw new UsageError('Name a configuration with --config-id, --integration-code or --config-file');
+    }
+
+    const port = await freePort();
+    const server = new TalabatPOSServer({
+        storage: args.configFile ? new MemoryStorage() : createStorage(),
+        listen: false,
+        port: port,
+        background: false,
+        logRequests: false,
+        // The run needs no platform users; never create an admin in the CI database
+        bootstrap: false
+    });
+    await server.ready;
+
+    // The emulator and the webhook receiver are served by the platform itself
+    const httpServer = http.createServer(server.app);
+    await new Promise(resolve => httpServer.listen(port, '127.0.0.1', resolve));
+
+    try {
+        if (args.environment && !server.talabatAPI[args.environment]) {
+            throw new UsageError(`Unknown environment ${args.environment} (allowed: ${Object.keys(server.talabatAPI).join(', ')})`);
+        }
+        const scenarios = list(args.scenarios);
+        const unknownScenarios = (scenarios || []).filter(scenario => !server.orderDispatcher.scenarios[scenario]);
+        if (unknownScenarios.length > 0) {
+            throw new UsageError(`Unknown scenarios ${unknownScenarios.join(', ')} (allowed: ${Object.keys(server.orderDispatcher.scenarios).join(', ')})`);
+        }
+
+        const configuration = await loadConfiguration(server, args);
+        const catalog = args.catalog ? await fs.readFile(args.catalog, 'utf8') : undefined;
+
+        const environment = args.environment || configuration.environment;
+        console.log(`\n${configuration.integration_name} (${configuration.integration_code}) on ${environment}\n`);
+
+        server.testJobs.on('step', ({ index, total, step }) => {
+            if (step.status === 'running') return;
+            const counter = `[${index + 1}/${total}]`;
+            console.log(`${counter} ${ICONS[step.status] || '?'} ${step.title} (${step.execution_time_ms}ms)${step.details ? `\n      ${step.details}` : ''}`);
+        });
+
+        let job;
+        try {
+            job = await server.testJobs.enqueue('full', configuration, {
+                only: list(args.suites),
+                options: {
+                    environment: args.environment,
+                    test_scenarios: scenarios,
+                    lifecycle_timeout_ms: parseInt(args.lifecycleTimeout) || 0,
+                    catalog: catalog,
+                    webhook_url: args.webhookUrl
+                }
+            });
+        } catch (error) {
+            throw error.statusCode === 400 ? new UsageError(error.message) : error;
+        }
+        job = await server.testJobs.wait(job.id);
+
+        const rows = await server.db.all('SELECT * FROM test_results WHERE job_id = ? ORDER BY id', [job.id]);
+        const exporter = new TestResultExport();
+
+        if (args.junit) {
+            await writeFile(args.junit, exporter.junit(rows, { name: `${configuration.integration_code} integration tests` }));
+            console.log(`\nJUnit report: ${args.junit}`);
+        }
+        if (args.json) {
+            await writeFile(args.json, JSON.stringify({
+                job_id: job.id,
+                status: job.status,
+                configuration: {
+                    id: args.configFile ? null : configuration.id,
+                    integration_name: configuration.integration_name,
+                    integration_code: configuration.integration_code,
+                    environment: environment
+                },
+                started_at: job.started_at,
+                finished_at: job.finished_at,
+                tests: job.steps.length,
+                passed: job.tests_passed,
+                failed: job.tests_failed,
+                skipped: job.tests_skipped,
+                execution_time_ms: rows.reduce((sum, row) => sum + (row.execution_time_ms || 0), 0),
+                steps: rows.map(row => ({
+                    name: row.test_type,
+                    title: row.test_name,
+                    status: row.status,
+                    execution_time_ms: row.execution_time_ms,
+                    error: row.error_message,
+                    results: exporter.results(row)
+                }))
+            }, null, 2) + '\n');
+            console.log(`JSON summary: ${args.json}`);
+        }
+
+        console.log(`\n${job.status.toUpperCase()}: ${job.tests_passed} passed, ${job.tests_failed} failed, ${job.tests_skipped} skipped`);
+        return job.status === 'passed' ? 0 : 1;
+    } finally {
+        await new Promise(resolve => httpServer.close(resolve));
+        await server.close();
+    }
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (args.list) {
+        const server = new TalabatPOSServer({ storage: new MemoryStorage(), listen: false, background: false, bootstrap: false });
+        await server.ready;
+        console.log('');
+        server.testJobs.steps('full').forEach(step => console.log(`${step.name.padEnd(20)} ${step.title}`));
+        await server.close();
+        return 0;
+    }
+
+    return run(args);
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error instanceof UsageError ? `${error.message}\nRun with --help for usage.` : error.message);
+        process.exit(2);
+    });
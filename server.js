@@ -10,16 +10,66 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const compression = require('compression');
 const path = require('path');
-const fs = require('fs').promises;
 const crypto = require('crypto');
 const axios = require('axios');
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
+const { createStorage } = require('./lib/storage');
+const TalabatAPIEmulator = require('./lib/talabat-emulator');
+const OrderDispatcher = require('./lib/order-dispatcher');
+const OrderLifecycle = require('./lib/order-lifecycle');
+const WebhookInbox = require('./lib/webhook-inbox');
+const WebhookSignature = require('./lib/webhook-signature');
+const TLSInspector = require('./lib/tls-inspector');
+const CatalogValidator = require('./js/catalog-validator');
+const CatalogDiff = require('./js/catalog-diff');
+const CatalogVersions = require('./lib/catalog-versions');
+const ReportGenerator = require('./lib/report-generator');
+const ReportScheduler = require('./lib/report-scheduler');
+const ReportDelivery = require('./lib/report-delivery');
+const MonitoringStream = require('./lib/monitoring-stream');
+const MetricsAggregator = require('./lib/metrics-aggregator');
+const AlertEngine = require('./lib/alert-engine');
+const Mailer = require('./lib/mailer');
+const AccessControl = require('./lib/access-control');
+const CredentialVault = require('./lib/credential-vault');
+const ConfigurationHistory = require('./lib/configuration-history');
+const Migrator = require('./lib/migrator');
+const TestJobs = require('./lib/test-jobs');
+const TestResultExport = require('./lib/test-result-export');
+
+// Longest a test may wait for the POS to act on its orders
+const MAX_LIFECYCLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Origin the platform calls itself on (e.g. its emulator): PUBLIC_URL, the deployment
+ * URL Vercel sets, or localhost
+ */
+function publicOrigin(port) {
+    if (process.env.PUBLIC_URL) {
+        return process.env.PUBLIC_URL.replace(/\/+$/, '');
+    }
+    if (process.env.VERCEL_URL) {
+        return `https://${process.env.VERCEL_URL}`;
+    }
+    return `http://localhost:${port}`;
+}
 
 class TalabatPOSServer {
-    constructor() {
+    /**
+     * `storage` is a lib/storage.js adapter (default: STORAGE_DRIVER); with `listen: false`
+     * the app is only built, for entrypoints that hand it to a serverless platform.
+     * One-off runs such as run-tests.js pass `background: false` to skip the report
+     * scheduler, report delivery and alert engine, `logRequests: false` to keep the
+     * access log out of their output, and `bootstrap: false` so no admin user is
+     * created in a database that has none.
+     */
+    constructor(options = {}) {
         this.app = express();
-        this.port = process.env.PORT || 3000;
+        this.port = options.port || process.env.PORT || 3000;
+        this.storage = options.storage || createStorage();
+        this.listen = options.listen !== false;
+        this.background = options.background !== false;
+        this.logRequests = options.logRequests !== false;
+        this.bootstrap = options.bootstrap !== false;
         this.db = null;
         
         // Talabat API configuration
@@ -39,9 +89,104 @@ class TalabatPOSServer {
                 catalogEndpoint: '/v1/catalog',
                 webhookEndpoint: '/v1/webhooks',
                 reportEndpoint: '/v1/reports'
+            },
+            emulator: {
+                baseUrl: `${publicOrigin(this.port)}/emulator/pos`,
+                loginEndpoint: '/v1/login',
+                refreshEndpoint: '/v1/refresh',
+                orderEndpoint: '/v1/orders',
+                catalogEndpoint: '/v1/catalog',
+                storeEndpoint: '/v1/store',
+                webhookEndpoint: '/v1/webhooks',
+                reportEndpoint: '/v1/reports'
             }
         };
         
+        // Platform users, sessions and role-based access to the API
+        this.accessControl = new AccessControl();
+        
+        // Integration credentials encrypted at rest with ENCRYPTION_KEY
+        this.credentialVault = new CredentialVault();
+        
+        // Immutable revisions of every configuration change
+        this.configurationHistory = new ConfigurationHistory();
+        
+        // Versioned schema changes from migrations/, applied at startup
+        this.migrator = new Migrator();
+        
+        // Order state machine shared by the order tests and the emulator
+        this.orderLifecycle = new OrderLifecycle();
+        
+        // Pushes new logs, API metrics and test results to /api/monitoring/stream
+        this.monitoringStream = new MonitoringStream({ orderLifecycle: this.orderLifecycle });
+        this.orderLifecycle.on('transition', () => this.monitoringStream.notify());
+        
+        // Latency percentiles and bucketed history of api_metrics
+        this.metricsAggregator = new MetricsAggregator();
+        
+        // Local Talabat POS API emulator served under /emulator/pos; saved configurations
+        // log in to it with their plugin credentials and act for their vendor
+        this.emulator = new TalabatAPIEmulator({
+            lifecycle: this.orderLifecycle,
+            authenticate: this.emulatorAccount.bind(this)
+        });
+        
+        // HMAC-SHA256 signing and verification of webhooks
+        this.webhookSignature = new WebhookSignature();
+        
+        // Certificate and handshake checks for partner endpoints
+        this.tlsInspector = new TLSInspector();
+        
+        // Catalog JSON Schema validation, shared with the frontend
+        this.catalogValidator = new CatalogValidator();
+        
+        // Catalog versions per integration and the diff engine comparing them
+        this.catalogVersions = new CatalogVersions();
+        this.catalogDiff = new CatalogDiff();
+        
+        // Reports built from persisted metrics, logs and test results
+        this.reportGenerator = new ReportGenerator();
+        
+        // Executes scheduled_reports when they are due
+        this.reportScheduler = new ReportScheduler({ reportGenerator: this.reportGenerator });
+        
+        // Outgoing email for scheduled reports and alerts
+        this.mailer = new Mailer();
+        
+        // Emails each scheduled report to its recipients, retrying failed deliveries
+        this.reportDelivery = new ReportDelivery({ mailer: this.mailer, reportGenerator: this.reportGenerator });
+        this.reportScheduler.on('report', event => {
+            this.reportDelivery.enqueue(event).catch(error => {
+                console.error('Report delivery error:', error);
+            });
+        });
+        
+        // Alert rules on integration health, evaluated on an interval
+        this.alertEngine = new AlertEngine({
+            metricsAggregator: this.metricsAggregator,
+            mailer: this.mailer,
+            signer: this.webhookSignature
+        });
+        this.alertEngine.on('alert', alert => {
+            this.monitoringStream.broadcast('alert', alert);
+            this.addLogEntry(alert.configuration_id, alert.status === 'firing' ? 'warning' : 'info',
+                `Alert ${alert.status}: ${alert.message}`, 'alerts', { alert_id: alert.id, rule_id: alert.rule_id });
+        });
+        
+        // Pushes signed test orders to the partner POS
+        this.orderDispatcher = new OrderDispatcher({ signer: this.webhookSignature });
+        
+        // Captures partner callbacks received on /api/hooks/:integration_code/*
+        this.webhookInbox = new WebhookInbox();
+        
+        // Background runs of the full integration suite
+        this.testJobs = new TestJobs({
+            configurationHistory: this.configurationHistory,
+            monitoringStream: this.monitoringStream
+        });
+        this.testJobs.define('full', this.fullSuiteSteps());
+        this.testResultExport = new TestResultExport();
+        
         // Regional IP addresses for whitelisting
         this.ipAddresses = {
             me: ['63.32.225.161', '18.202.96.85', '52.208.41.152'],
@@ -51,7 +196,8 @@ class TalabatPOSServer {
             staging: ['34.246.34.27', '18.202.142.208', '54.72.10.41']
         };
         
-        this.initialize();
+        // Resolves once storage is open and the routes are mounted
+        this.ready = this.initialize();
     }
     
     /**
@@ -64,24 +210,63 @@ class TalabatPOSServer {
             this.setupRoutes();
             this.setupErrorHandling();
             await this.startServer();
+            return this.app;
         } catch (error) {
             console.error('Failed to initialize server:', error);
-            process.exit(1);
+            if (this.listen) {
+                process.exit(1);
+            }
+            throw error;
         }
     }
     
     /**
-     * Initialize SQLite database
+     * Open the storage adapter and create or migrate the schema
      */
     async initializeDatabase() {
         try {
-            this.db = await open({
-                filename: './data/talabat_pos.db',
-                driver: sqlite3.Database
-            });
+            this.db = await this.storage.open();
+            
+            // Refuse a schema newer than this code, then apply pending migrations
+            this.migrator.setDatabase(this.db);
+            const migration = await this.migrator.migrate();
+            if (migration.applied.length > 0) {
+                console.log(`🗄️  Applied ${migration.applied.length} migrations (schema version ${migration.to})`);
+            }
+            
+            // Persist order transitions and resume SLA timers of open orders
+            this.orderLifecycle.setDatabase(this.db);
+            await this.orderLifecycle.restoreTimers();
+            
+            this.webhookInbox.setDatabase(this.db);
+            this.catalogVersions.setDatabase(this.db);
+            this.reportGenerator.setDatabase(this.db);
+            this.reportScheduler.setDatabase(this.db);
+            this.reportDelivery.setDatabase(this.db);
+            this.monitoringStream.setDatabase(this.db);
+            this.metricsAggregator.setDatabase(this.db);
+            this.alertEngine.setDatabase(this.db);
+            this.accessControl.setDatabase(this.db);
+            if (this.bootstrap) {
+                await this.accessControl.bootstrap();
+            }
+            
+            // Values still sealed with a key from ENCRYPTION_KEY_PREVIOUS move to the current key
+            this.credentialVault.setDatabase(this.db);
+            const rotation = await this.credentialVault.rotate();
+            if (rotation.rotated > 0 || rotation.failed.length > 0) {
+                console.log(`🔐 Re-encrypted ${rotation.rotated} credentials with the current key (${rotation.failed.length} failed)`);
+            }
+            
+            this.configurationHistory.setDatabase(this.db);
+            await this.configurationHistory.recordBaselines();
             
-            // Create tables
-            await this.createTables();
+            // Jobs that were running when the server stopped cannot be resumed
+            this.testJobs.setDatabase(this.db);
+            const interrupted = await this.testJobs.recover();
+            if (interrupted > 0) {
+                console.log(`⏹️  Marked ${interrupted} unfinished test jobs as interrupted`);
+            }
             console.log('✅ Database initialized successfully');
         } catch (error) {
             console.error('Database initialization failed:', error);
@@ -89,122 +274,6 @@ class TalabatPOSServer {
         }
     }
     
-    /**
-     * Create database tables
-     */
-    async createTables() {
-        const tables = [
-            // Configurations table
-            `CREATE TABLE IF NOT EXISTS configurations (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                integration_name TEXT NOT NULL,
-                integration_code TEXT UNIQUE NOT NULL,
-                base_url TEXT NOT NULL,
-                plugin_username TEXT NOT NULL,
-                plugin_password_hash TEXT NOT NULL,
-                environment TEXT DEFAULT 'staging',
-                country TEXT DEFAULT 'AE',
-                region TEXT DEFAULT 'me',
-                vendor_code TEXT,
-                remote_id TEXT,
-                callback_url TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                is_active BOOLEAN DEFAULT 1
-            )`,
-            
-            // Test results table
-            `CREATE TABLE IF NOT EXISTS test_results (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                configuration_id INTEGER,
-                test_type TEXT NOT NULL,
-                test_name TEXT NOT NULL,
-                status TEXT NOT NULL,
-                results JSON,
-                error_message TEXT,
-                execution_time_ms INTEGER,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (configuration_id) REFERENCES configurations (id)
-            )`,
-            
-            // Logs table
-            `CREATE TABLE IF NOT EXISTS logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                configuration_id INTEGER,
-                level TEXT NOT NULL,
-                message TEXT NOT NULL,
-                module TEXT,
-                details JSON,
-                ip_address TEXT,
-                user_agent TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (configuration_id) REFERENCES configurations (id)
-            )`,
-            
-            // API metrics table
-            `CREATE TABLE IF NOT EXISTS api_metrics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                configuration_id INTEGER,
-                endpoint TEXT NOT NULL,
-                method TEXT NOT NULL,
-                status_code INTEGER,
-                response_time_ms INTEGER,
-                request_size INTEGER,
-                response_size INTEGER,
-                success BOOLEAN,
-                error_message TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (configuration_id) REFERENCES configurations (id)
-            )`,
-            
-            // Reports table
-            `CREATE TABLE IF NOT EXISTS reports (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                configuration_id INTEGER,
-                report_type TEXT NOT NULL,
-                report_format TEXT NOT NULL,
-                date_range_from DATE,
-                date_range_to DATE,
-                record_count INTEGER,
-                file_path TEXT,
-                file_size INTEGER,
-                generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (configuration_id) REFERENCES configurations (id)
-            )`,
-            
-            // Scheduled reports table
-            `CREATE TABLE IF NOT EXISTS scheduled_reports (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                configuration_id INTEGER,
-                report_type TEXT NOT NULL,
-                report_format TEXT NOT NULL,
-                frequency TEXT NOT NULL,
-                next_run DATETIME NOT NULL,
-                email_recipients TEXT,
-                is_active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (configuration_id) REFERENCES configurations (id)
-            )`
-        ];
-        
-        for (const table of tables) {
-            await this.db.exec(table);
-        }
-        
-        // Create indexes for better performance
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_test_results_config ON test_results(configuration_id)',
-            'CREATE INDEX IF NOT EXISTS idx_logs_config ON logs(configuration_id)',
-            'CREATE INDEX IF NOT EXISTS idx_logs_created ON logs(created_at)',
-            'CREATE INDEX IF NOT EXISTS idx_api_metrics_config ON api_metrics(configuration_id)',
-            'CREATE INDEX IF NOT EXISTS idx_api_metrics_created ON api_metrics(created_at)'
-        ];
-        
-        for (const index of indexes) {
-            await this.db.exec(index);
-        }
-    }
-    
     /**
      * Setup Express middleware
      */
@@ -213,13 +282,36 @@ class TalabatPOSServer {
         this.app.use(helmet());
         
         // Rate limiting
+        const isTestJobRead = (req) => req.method === 'GET' && /^\/api\/test\/jobs\/[^/?]+(\?|$)/.test(req.originalUrl);
         const limiter = rateLimit({
             windowMs: 15 * 60 * 1000, // 15 minutes
             max: 100, // limit each IP to 100 requests per windowMs
-            message: 'Too many requests from this IP, please try again later.'
+            message: 'Too many requests from this IP, please try again later.',
+            // Partner callbacks must not be dropped while a POS is being tested, and the
+            // frontend polls running test jobs under their own limit
+            skip: (req) => req.path.startsWith('/hooks/') || isTestJobRead(req)
         });
         this.app.use('/api/', limiter);
         
+        // A suite left open in a browser tab polls its job at most once a second
+        const jobLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 1000,
+            message: 'Too many requests from this IP, please try again later.',
+            skip: (req) => !isTestJobRead(req)
+        });
+        this.app.use('/api/test/jobs/', jobLimiter);
+        
+        // Callbacks to a configured integration are never limited; requests the receiver
+        // refuses (unknown or inactive integration codes) count against the caller
+        const hookLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 100,
+            message: 'Too many requests from this IP, please try again later.',
+            skipSuccessfulRequests: true
+        });
+        this.app.use('/api/hooks/', hookLimiter);
+        
         // CORS configuration
         this.app.use(cors({
             origin: process.env.NODE_ENV === 'production' 
@@ -232,14 +324,20 @@ class TalabatPOSServer {
         this.app.use(compression());
         
         // Logging
-        this.app.use(morgan('combined'));
+        if (this.logRequests) {
+            this.app.use(morgan('combined'));
+        }
         
-        // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+        // Body parsing (the raw body is kept for webhook capture)
+        const keepRawBody = (req, res, buffer) => {
+            req.rawBody = buffer;
+        };
+        this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+        this.app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
         
-        // Static file serving
-        this.app.use(express.static('.', {
+        // Only the frontend in public/ is served; the repository root holds data/ (the
+        // database, the generated admin password) and the server's own source
+        this.app.use(express.static(path.join(__dirname, 'public'), {
             index: 'index.html',
             setHeaders: (res, path) => {
                 // Set security headers for static files
@@ -257,943 +355,3361 @@ class TalabatPOSServer {
     setupRoutes() {
         const router = express.Router();
         
+        // Every route except login, health and partner callbacks needs a platform session
+        router.use(this.accessControl.authenticate([
+            { method: 'POST', pattern: /^\/session$/ },
+            { method: 'GET', pattern: /^\/health$/ },
+            { method: '*', pattern: /^\/hooks\// }
+        ]));
+        const can = (permission, options) => this.accessControl.authorize(permission, options);
+        
+        // Platform session, user and audit routes
+        router.post('/session', this.login.bind(this));
+        router.get('/session', this.getSession.bind(this));
+        router.delete('/session', this.logout.bind(this));
+        router.get('/users', can('users:manage'), this.listUsers.bind(this));
+        router.post('/users', can('users:manage'), this.createUser.bind(this));
+        router.put('/users/:id', can('users:manage'), this.updateUser.bind(this));
+        router.delete('/users/:id', can('users:manage'), this.deleteUser.bind(this));
+        router.get('/audit', can('audit:read'), this.getAuditLog.bind(this));
+        router.get('/vault/status', can('vault:manage'), this.getVaultStatus.bind(this));
+        router.post('/vault/rotate', can('vault:manage'), this.rotateVault.bind(this));
+        
         // Configuration routes
-        router.post('/config', this.createConfiguration.bind(this));
-        router.get('/config/:id', this.getConfiguration.bind(this));
-        router.put('/config/:id', this.updateConfiguration.bind(this));
-        router.delete('/config/:id', this.deleteConfiguration.bind(this));
-        router.get('/configs', this.listConfigurations.bind(this));
+        const configuration = { resources: [{ table: 'configurations', param: 'id' }] };
+        router.post('/config', can('config:create'), this.createConfiguration.bind(this));
+        router.get('/config/:id', can('config:read', configuration), this.getConfiguration.bind(this));
+        router.put('/config/:id', can('config:write', configuration), this.updateConfiguration.bind(this));
+        router.delete('/config/:id', can('config:delete', configuration), this.deleteConfiguration.bind(this));
+        router.get('/configs', can('config:read'), this.listConfigurations.bind(this));
+        router.post('/config/:id/webhook-secret', can('config:write', configuration), this.rotateWebhookSecret.bind(this));
+        router.get('/config/:id/revisions', can('config:read', configuration), this.listConfigurationRevisions.bind(this));
+        router.get('/config/:id/revisions/:revision', can('config:read', configuration), this.getConfigurationRevision.bind(this));
+        router.post('/config/:id/revisions/:revision/restore', can('config:write', configuration), this.restoreConfigurationRevision.bind(this));
         
         // Authentication routes (proxy to Talabat API)
-        router.post('/auth/login', this.authenticateUser.bind(this));
-        router.post('/auth/refresh', this.refreshToken.bind(this));
-        router.post('/auth/logout', this.logoutUser.bind(this));
+        router.post('/auth/login', can('tests:run'), this.authenticateUser.bind(this));
+        router.post('/auth/refresh', can('tests:run'), this.refreshToken.bind(this));
+        router.post('/auth/logout', can('tests:run'), this.logoutUser.bind(this));
         
         // Testing routes
-        router.post('/test/authentication', this.testAuthentication.bind(this));
-        router.post('/test/orders', this.testOrderManagement.bind(this));
-        router.post('/test/catalog', this.testCatalogManagement.bind(this));
-        router.post('/test/webhooks', this.testWebhooks.bind(this));
-        router.post('/test/ssl', this.testSSL.bind(this));
-        router.post('/test/ip-connectivity', this.testIPConnectivity.bind(this));
-        router.post('/test/full-suite', this.runFullTestSuite.bind(this));
+        router.post('/test/authentication', can('tests:run'), this.testAuthentication.bind(this));
+        router.post('/test/orders', can('tests:run'), this.testOrderManagement.bind(this));
+        router.post('/test/catalog', can('tests:run'), this.testCatalogManagement.bind(this));
+        router.post('/test/webhooks', can('tests:run'), this.testWebhooks.bind(this));
+        router.post('/test/ssl', can('tests:run'), this.testSSL.bind(this));
+        router.post('/test/ip-connectivity', can('tests:run'), this.testIPConnectivity.bind(this));
+        router.post('/test/full-suite', can('tests:run'), this.runFullTestSuite.bind(this));
+        const testJob = { resources: [{ table: 'test_jobs', param: 'id' }] };
+        router.get('/test/jobs', can('tests:read', { scope: 'required' }), this.listTestJobs.bind(this));
+        router.get('/test/jobs/:id', can('tests:read', testJob), this.getTestJob.bind(this));
+        router.post('/test/jobs/:id/cancel', can('tests:run', testJob), this.cancelTestJob.bind(this));
+        router.get('/test/results/export', can('tests:read', {
+            scope: 'required',
+            resources: [{ table: 'test_jobs', query: 'job_id' }, { table: 'test_results', query: 'id' }]
+        }), this.exportTestResults.bind(this));
+        
+        // Catalog routes
+        router.get('/catalog/schema', can('catalog:read'), this.getCatalogSchema.bind(this));
+        router.post('/catalog/validate', can('catalog:read'), this.validateCatalog.bind(this));
+        router.post('/catalog/versions', can('catalog:write', { scope: 'required' }), this.saveCatalogVersion.bind(this));
+        router.get('/catalog/versions', can('catalog:read', { scope: 'required' }), this.listCatalogVersions.bind(this));
+        router.get('/catalog/versions/:id', can('catalog:read', {
+            resources: [{ table: 'catalog_versions', param: 'id' }]
+        }), this.getCatalogVersion.bind(this));
+        router.get('/catalog/diff', can('catalog:read', {
+            resources: [{ table: 'catalog_versions', query: 'from' }, { table: 'catalog_versions', query: 'to' }]
+        }), this.diffCatalogVersions.bind(this));
+        
+        // Order lifecycle routes
+        router.get('/orders', can('orders:read', { scope: 'required' }), this.listOrders.bind(this));
+        router.get('/orders/:order_id', can('orders:read', {
+            resources: [{ table: 'orders', param: 'order_id', key: 'order_id' }]
+        }), this.getOrderLifecycle.bind(this));
+        
+        // Webhook receiver and inbox routes
+        const captureRawBody = express.raw({ type: () => true, limit: '10mb' });
+        router.all('/hooks/:integration_code', captureRawBody, this.receiveWebhook.bind(this));
+        router.all('/hooks/:integration_code/*', captureRawBody, this.receiveWebhook.bind(this));
+        router.get('/webhooks/inbox', can('webhooks:read', { scope: 'required' }), this.listWebhookInbox.bind(this));
+        router.get('/webhooks/inbox/:id', can('webhooks:read', {
+            resources: [{ table: 'webhook_inbox', param: 'id' }]
+        }), this.getWebhookInboxEntry.bind(this));
+        router.delete('/webhooks/inbox', can('webhooks:write', { scope: 'required' }), this.clearWebhookInbox.bind(this));
+        router.post('/webhooks/verify', can('webhooks:read', { resources: [{ table: 'webhook_inbox', body: 'inbox_id' }] }), this.verifyWebhookSignature.bind(this));
         
         // Monitoring routes
-        router.get('/monitoring/metrics', this.getMetrics.bind(this));
-        router.get('/monitoring/logs', this.getLogs.bind(this));
-        router.post('/monitoring/log', this.addLog.bind(this));
-        router.delete('/monitoring/logs', this.clearLogs.bind(this));
+        router.get('/monitoring/metrics', can('monitoring:read', { scope: 'required' }), this.getMetrics.bind(this));
+        router.get('/monitoring/metrics/history', can('monitoring:read', { scope: 'required' }), this.getMetricsHistory.bind(this));
+        router.get('/monitoring/logs', can('monitoring:read', { scope: 'required' }), this.getLogs.bind(this));
+        router.get('/monitoring/stream', can('monitoring:read', { scope: 'required' }), this.streamMonitoring.bind(this));
+        router.post('/monitoring/log', can('monitoring:write'), this.addLog.bind(this));
+        router.delete('/monitoring/logs', can('monitoring:clear'), this.clearLogs.bind(this));
         
         // Reports routes
-        router.post('/reports/generate', this.generateReport.bind(this));
-        router.get('/reports/history', this.getReportHistory.bind(this));
-        router.post('/reports/schedule', this.scheduleReport.bind(this));
-        router.get('/reports/scheduled', this.getScheduledReports.bind(this));
-        router.delete('/reports/scheduled/:id', this.cancelScheduledReport.bind(this));
+        const report = { resources: [{ table: 'reports', param: 'id' }] };
+        const schedule = { resources: [{ table: 'scheduled_reports', param: 'id' }] };
+        router.post('/reports/generate', can('reports:write', { scope: 'required' }), this.generateReport.bind(this));
+        router.get('/reports/history', can('reports:read', { scope: 'required' }), this.getReportHistory.bind(this));
+        router.get('/reports/:id/download', can('reports:read', report), this.downloadReport.bind(this));
+        router.post('/reports/schedule', can('reports:write', { scope: 'required' }), this.scheduleReport.bind(this));
+        router.get('/reports/scheduled', can('reports:read', { scope: 'required' }), this.getScheduledReports.bind(this));
+        router.get('/reports/scheduled/:id/runs', can('reports:read', schedule), this.getScheduledReportRuns.bind(this));
+        router.delete('/reports/scheduled/:id', can('reports:write', schedule), this.cancelScheduledReport.bind(this));
+        
+        // Alerting routes
+        const rule = { resources: [{ table: 'alert_rules', param: 'id' }] };
+        router.get('/alerts', can('alerts:read', { scope: 'required' }), this.getAlerts.bind(this));
+        router.post('/alerts/evaluate', can('alerts:write', { scope: 'required' }), this.evaluateAlerts.bind(this));
+        router.get('/alerts/rules', can('alerts:read', { scope: 'required' }), this.getAlertRules.bind(this));
+        router.post('/alerts/rules', can('alerts:write', { scope: 'required' }), this.createAlertRule.bind(this));
+        router.put('/alerts/rules/:id', can('alerts:write', rule), this.updateAlertRule.bind(this));
+        router.delete('/alerts/rules/:id', can('alerts:write', rule), this.deleteAlertRule.bind(this));
         
         // Health check
         router.get('/health', this.healthCheck.bind(this));
         
         // System info
-        router.get('/system/info', this.getSystemInfo.bind(this));
+        router.get('/system/info', can('system:read'), this.getSystemInfo.bind(this));
         
         this.app.use('/api', router);
         
+        // Talabat POS API emulator
+        this.app.use('/emulator/pos', this.emulator.router);
+        
         // Serve index.html for all other routes (SPA support)
         this.app.get('*', (req, res) => {
-            res.sendFile(path.join(__dirname, 'index.html'));
+            res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
     }
     
     /**
-     * Configuration management endpoints
+     * Platform session endpoints
      */
-    async createConfiguration(req, res) {
+    async login(req, res) {
         try {
-            const {
-                integration_name,
-                integration_code,
-                base_url,
-                plugin_username,
-                plugin_password,
-                environment = 'staging',
-                country = 'AE',
-                region = 'me',
-                vendor_code,
-                remote_id,
-                callback_url
-            } = req.body;
+            const { email, password } = req.body;
             
-            // Validate required fields
-            if (!integration_name || !integration_code || !base_url || !plugin_username || !plugin_password) {
+            if (!email || !password) {
                 return res.status(400).json({
-                    error: 'Missing required fields',
-                    required: ['integration_name', 'integration_code', 'base_url', 'plugin_username', 'plugin_password']
+                    error: 'Email and password are required'
                 });
             }
             
-            // Hash password
-            const password_hash = crypto.createHash('sha256').update(plugin_password).digest('hex');
+            const session = await this.accessControl.login(email, password, req);
+            if (!session) {
+                return res.status(401).json({
+                    error: 'Invalid email or password'
+                });
+            }
             
-            const result = await this.db.run(`
-                INSERT INTO configurations (
-                    integration_name, integration_code, base_url, plugin_username, 
-                    plugin_password_hash, environment, country, region, vendor_code, 
-                    remote_id, callback_url
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                integration_name, integration_code, base_url, plugin_username,
-                password_hash, environment, country, region, vendor_code,
-                remote_id, callback_url
-            ]);
+            res.setHeader('Set-Cookie', this.accessControl.sessionCookie(session.token, session.expires_at));
+            res.json({
+                success: true,
+                data: session
+            });
             
-            const configuration = await this.db.get(
-                'SELECT * FROM configurations WHERE id = ?',
-                [result.lastID]
-            );
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({
+                error: 'Login failed',
+                message: error.message
+            });
+        }
+    }
+    
+    async getSession(req, res) {
+        res.json({
+            success: true,
+            data: req.user
+        });
+    }
+    
+    async logout(req, res) {
+        try {
+            await this.accessControl.logout(req);
             
-            // Remove password hash from response
-            delete configuration.plugin_password_hash;
+            res.setHeader('Set-Cookie', this.accessControl.sessionCookie(null));
+            res.json({
+                success: true,
+                message: 'Logged out successfully'
+            });
             
-            await this.addLogEntry(result.lastID, 'info', 'Configuration created', 'ConfigurationAPI');
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({
+                error: 'Logout failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * User management endpoints
+     */
+    async listUsers(req, res) {
+        try {
+            res.json({
+                success: true,
+                data: await this.accessControl.listUsers(),
+                roles: AccessControl.ROLES
+            });
+            
+        } catch (error) {
+            console.error('List users error:', error);
+            res.status(500).json({
+                error: 'Failed to list users',
+                message: error.message
+            });
+        }
+    }
+    
+    async createUser(req, res) {
+        try {
+            const user = await this.accessControl.createUser(req.body);
+            
+            await this.accessControl.audit(req, {
+                action: 'user.create',
+                outcome: 'allowed',
+                details: { user_id: user.id, email: user.email, role: user.role, configuration_ids: user.configuration_ids }
+            });
             
             res.status(201).json({
                 success: true,
-                data: configuration
+                data: user
             });
             
         } catch (error) {
-            console.error('Create configuration error:', error);
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid user',
+                    message: error.message,
+                    allowed: error.allowed
+                });
+            }
+            console.error('Create user error:', error);
             res.status(500).json({
-                error: 'Failed to create configuration',
+                error: 'Failed to create user',
                 message: error.message
             });
         }
     }
     
-    async getConfiguration(req, res) {
+    async updateUser(req, res) {
         try {
             const { id } = req.params;
             
-            const configuration = await this.db.get(
-                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
-                [id]
-            );
+            // There must always be an admin left to manage users
+            if (req.body.role && req.body.role !== 'admin' && await this.accessControl.countAdmins(id) === 0) {
+                return res.status(400).json({
+                    error: 'Invalid user',
+                    message: 'The last admin cannot be given another role'
+                });
+            }
             
-            if (!configuration) {
+            const user = await this.accessControl.updateUser(id, req.body);
+            if (!user) {
                 return res.status(404).json({
-                    error: 'Configuration not found'
+                    error: 'User not found'
                 });
             }
             
-            // Remove password hash from response
-            delete configuration.plugin_password_hash;
+            const { password, ...changes } = req.body;
+            await this.accessControl.audit(req, {
+                action: 'user.update',
+                outcome: 'allowed',
+                details: { user_id: user.id, changes: changes, password_changed: Boolean(password) }
+            });
             
             res.json({
                 success: true,
-                data: configuration
+                data: user
             });
             
         } catch (error) {
-            console.error('Get configuration error:', error);
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid user',
+                    message: error.message,
+                    allowed: error.allowed
+                });
+            }
+            console.error('Update user error:', error);
             res.status(500).json({
-                error: 'Failed to get configuration',
+                error: 'Failed to update user',
                 message: error.message
             });
         }
     }
     
-    async updateConfiguration(req, res) {
+    async deleteUser(req, res) {
         try {
             const { id } = req.params;
-            const updateData = req.body;
             
-            // Remove sensitive fields that shouldn't be updated directly
-            delete updateData.id;
-            delete updateData.created_at;
-            
-            // Hash password if provided
-            if (updateData.plugin_password) {
-                updateData.plugin_password_hash = crypto.createHash('sha256')
-                    .update(updateData.plugin_password).digest('hex');
-                delete updateData.plugin_password;
+            if (await this.accessControl.countAdmins(id) === 0) {
+                return res.status(400).json({
+                    error: 'The last admin cannot be deleted'
+                });
             }
             
-            updateData.updated_at = new Date().toISOString();
-            
-            const updateFields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
-            const updateValues = Object.values(updateData);
-            updateValues.push(id);
-            
-            await this.db.run(
-                `UPDATE configurations SET ${updateFields} WHERE id = ?`,
-                updateValues
-            );
-            
-            const updated = await this.db.get(
-                'SELECT * FROM configurations WHERE id = ?',
-                [id]
-            );
+            const deleted = await this.accessControl.deleteUser(id);
+            if (!deleted) {
+                return res.status(404).json({
+                    error: 'User not found'
+                });
+            }
             
-            delete updated.plugin_password_hash;
+            await this.accessControl.audit(req, {
+                action: 'user.delete',
+                outcome: 'allowed',
+                details: { user_id: parseInt(id) }
+            });
             
             res.json({
                 success: true,
-                data: updated
+                message: 'User deleted successfully'
             });
             
         } catch (error) {
-            console.error('Update configuration error:', error);
+            console.error('Delete user error:', error);
             res.status(500).json({
-                error: 'Failed to update configuration',
+                error: 'Failed to delete user',
                 message: error.message
             });
         }
     }
     
-    async deleteConfiguration(req, res) {
+    async getAuditLog(req, res) {
         try {
-            const { id } = req.params;
+            const { outcome, user_id, limit = 100 } = req.query;
             
-            await this.db.run(
-                'UPDATE configurations SET is_active = 0 WHERE id = ?',
-                [id]
-            );
+            res.json({
+                success: true,
+                data: await this.accessControl.listAudit({ outcome: outcome, userId: user_id, limit: limit })
+            });
             
+        } catch (error) {
+            console.error('Get audit log error:', error);
+            res.status(500).json({
+                error: 'Failed to get audit log',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Credential vault endpoints
+     */
+    async getVaultStatus(req, res) {
+        try {
             res.json({
                 success: true,
-                message: 'Configuration deleted successfully'
+                data: await this.credentialVault.status()
             });
             
         } catch (error) {
-            console.error('Delete configuration error:', error);
+            console.error('Get vault status error:', error);
             res.status(500).json({
-                error: 'Failed to delete configuration',
+                error: 'Failed to get vault status',
                 message: error.message
             });
         }
     }
     
-    async listConfigurations(req, res) {
+    /**
+     * Re-encrypt credentials sealed with an ENCRYPTION_KEY_PREVIOUS key under ENCRYPTION_KEY
+     */
+    async rotateVault(req, res) {
         try {
-            const configurations = await this.db.all(
-                'SELECT id, integration_name, integration_code, environment, country, created_at, updated_at FROM configurations WHERE is_active = 1 ORDER BY created_at DESC'
-            );
+            const result = await this.credentialVault.rotate();
+            await this.accessControl.audit(req, {
+                action: 'vault.rotate',
+                outcome: 'allowed',
+                details: { rotated: result.rotated, failed: result.failed.length }
+            });
             
             res.json({
                 success: true,
-                data: configurations
+                data: result
             });
             
         } catch (error) {
-            console.error('List configurations error:', error);
+            console.error('Rotate vault error:', error);
             res.status(500).json({
-                error: 'Failed to list configurations',
+                error: 'Failed to rotate credentials',
                 message: error.message
             });
         }
     }
     
     /**
-     * Authentication proxy endpoints
+     * Configuration management endpoints
      */
-    async authenticateUser(req, res) {
+    async createConfiguration(req, res) {
         try {
-            const { username, password, environment = 'staging' } = req.body;
+            const {
+                integration_name,
+                integration_code,
+                base_url,
+                plugin_username,
+                plugin_password,
+                environment = 'staging',
+                country = 'AE',
+                region = 'me',
+                vendor_code,
+                remote_id,
+                callback_url
+            } = req.body;
             
-            if (!username || !password) {
+            // Validate required fields
+            if (!integration_name || !integration_code || !base_url || !plugin_username || !plugin_password) {
                 return res.status(400).json({
-                    error: 'Username and password are required'
-                });
+                    error: 'Missing required fields',
+                    required: ['integration_name', 'integration_code', 'base_url', 'plugin_username', 'plugin_password']
+                });
             }
             
-            const apiConfig = this.talabatAPI[environment];
-            const startTime = Date.now();
+            // plugin_password_hash is no longer used; the password goes to the credential vault
+            const result = await this.db.run(`
+                INSERT INTO configurations (
+                    integration_name, integration_code, base_url, plugin_username, 
+                    plugin_password_hash, environment, country, region, vendor_code, 
+                    remote_id, callback_url, webhook_secret
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                integration_name, integration_code, base_url, plugin_username,
+                '', environment, country, region, vendor_code,
+                remote_id, callback_url, this.webhookSignature.generateSecret()
+            ]);
+            await this.credentialVault.store(result.lastID, 'plugin_password', plugin_password);
             
-            try {
-                // In a real implementation, this would make an actual API call to Talabat
-                // For demonstration, we'll simulate the authentication
-                const mockResponse = {
-                    access_token: this.generateMockToken(username),
-                    refresh_token: this.generateMockToken(username + '_refresh'),
-                    token_type: 'Bearer',
-                    expires_in: 3600,
-                    scope: 'pos_integration'
-                };
-                
-                const responseTime = Date.now() - startTime;
-                
-                // Log API metrics
-                await this.logAPIMetrics(
-                    null, // configuration_id would be determined from username
-                    apiConfig.loginEndpoint,
-                    'POST',
-                    200,
-                    responseTime,
-                    JSON.stringify(req.body).length,
-                    JSON.stringify(mockResponse).length,
-                    true
-                );
-                
-                res.json({
-                    success: true,
-                    data: mockResponse
-                });
-                
-            } catch (apiError) {
-                const responseTime = Date.now() - startTime;
-                
-                await this.logAPIMetrics(
-                    null,
-                    apiConfig.loginEndpoint,
-                    'POST',
-                    500,
-                    responseTime,
-                    JSON.stringify(req.body).length,
-                    0,
-                    false,
-                    apiError.message
-                );
-                
-                throw apiError;
-            }
+            const configuration = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ?',
+                [result.lastID]
+            );
             
-        } catch (error) {
-            console.error('Authentication error:', error);
-            res.status(401).json({
-                error: 'Authentication failed',
-                message: error.message
+            await this.configurationHistory.record(result.lastID, {
+                action: 'create',
+                after: configuration,
+                secrets: ['plugin_password', 'webhook_secret'],
+                user: req.user
             });
-        }
-    }
-    
-    /**
-     * Testing endpoints
-     */
-    async testAuthentication(req, res) {
-        try {
-            const { configuration_id, username, password } = req.body;
-            const startTime = Date.now();
-            
-            // Simulate authentication test
-            const success = Math.random() > 0.1; // 90% success rate for demo
-            const executionTime = Date.now() - startTime;
             
-            const results = {
-                endpoint_accessible: true,
-                credentials_valid: success,
-                token_generated: success,
-                token_format_valid: success,
-                response_time_ms: executionTime
-            };
+            // The webhook secret is only shown on creation and rotation; the password never is
+            delete configuration.plugin_password_hash;
+            configuration.has_plugin_password = true;
             
-            // Save test results
-            await this.db.run(`
-                INSERT INTO test_results (
-                    configuration_id, test_type, test_name, status, results, 
-                    execution_time_ms
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                configuration_id,
-                'authentication',
-                'Login API Test',
-                success ? 'passed' : 'failed',
-                JSON.stringify(results),
-                executionTime
-            ]);
+            await this.addLogEntry(result.lastID, 'info', 'Configuration created', 'ConfigurationAPI');
             
-            res.json({
+            res.status(201).json({
                 success: true,
-                data: results
+                data: configuration
             });
             
         } catch (error) {
-            console.error('Test authentication error:', error);
+            if (this.isUniqueViolation(error)) {
+                return res.status(409).json({
+                    error: 'Integration code already exists',
+                    message: `A configuration with integration code "${req.body.integration_code}" already exists`
+                });
+            }
+            console.error('Create configuration error:', error);
             res.status(500).json({
-                error: 'Authentication test failed',
+                error: 'Failed to create configuration',
                 message: error.message
             });
         }
     }
     
-    async testOrderManagement(req, res) {
+    async getConfiguration(req, res) {
         try {
-            const { configuration_id, test_scenarios } = req.body;
-            const startTime = Date.now();
+            const { id } = req.params;
             
-            const results = {
-                scenarios_tested: test_scenarios || [],
-                results: {}
-            };
+            const configuration = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [id]
+            );
             
-            // Simulate testing each scenario
-            for (const scenario of test_scenarios || []) {
-                const scenarioSuccess = Math.random() > 0.15; // 85% success rate
-                results.results[scenario] = {
-                    status: scenarioSuccess ? 'passed' : 'failed',
-                    response_time_ms: Math.floor(Math.random() * 1000) + 100,
-                    details: scenarioSuccess ? 'Test passed successfully' : 'Simulated failure for testing'
-                };
+            if (!configuration) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
             }
             
-            const executionTime = Date.now() - startTime;
-            const allPassed = Object.values(results.results).every(r => r.status === 'passed');
-            
-            // Save test results
-            await this.db.run(`
-                INSERT INTO test_results (
-                    configuration_id, test_type, test_name, status, results, 
-                    execution_time_ms
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                configuration_id,
-                'order_management',
-                'Order Management Test Suite',
-                allPassed ? 'passed' : 'failed',
-                JSON.stringify(results),
-                executionTime
-            ]);
+            // Remove password and webhook secret from response
+            await this.maskCredentials(configuration);
+            this.maskWebhookSecret(configuration);
             
             res.json({
                 success: true,
-                data: results
+                data: configuration
             });
             
         } catch (error) {
-            console.error('Test order management error:', error);
+            console.error('Get configuration error:', error);
             res.status(500).json({
-                error: 'Order management test failed',
+                error: 'Failed to get configuration',
                 message: error.message
             });
         }
     }
     
     /**
-     * Monitoring endpoints
+     * Update a configuration. Sending the `updated_at` the client loaded makes the update
+     * conditional: if someone saved in between, nothing changes and a 409 carries the
+     * current version.
      */
-    async getMetrics(req, res) {
+    async updateConfiguration(req, res) {
         try {
-            const { configuration_id, from_date, to_date } = req.query;
+            const { id } = req.params;
+            const { updated_at: expectedVersion, plugin_password } = req.body;
             
-            let query = `
-                SELECT 
-                    COUNT(*) as total_calls,
-                    AVG(response_time_ms) as avg_response_time,
-                    COUNT(CASE WHEN success = 1 THEN 1 END) as successful_calls,
-                    COUNT(CASE WHEN success = 0 THEN 1 END) as failed_calls,
-                    endpoint,
-                    method
-                FROM api_metrics 
-                WHERE 1=1
-            `;
+            if (!expectedVersion) {
+                return res.status(400).json(this.missingVersionError());
+            }
             
-            const params = [];
+            const current = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [id]
+            );
             
-            if (configuration_id) {
-                query += ' AND configuration_id = ?';
-                params.push(configuration_id);
+            if (!current) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
             }
             
-            if (from_date) {
-                query += ' AND created_at >= ?';
-                params.push(from_date);
-            }
+            // Secrets, ids and timestamps are never updated directly
+            const updateData = {};
+            ConfigurationHistory.FIELDS.filter(field => req.body[field] !== undefined).forEach(field => {
+                updateData[field] = req.body[field];
+            });
+            updateData.updated_at = new Date().toISOString();
             
-            if (to_date) {
-                query += ' AND created_at <= ?';
-                params.push(to_date);
+            const updateFields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+            const updateValues = Object.values(updateData);
+            updateValues.push(id, expectedVersion);
+            
+            const result = await this.db.run(
+                `UPDATE configurations SET ${updateFields} WHERE id = ? AND updated_at = ?`,
+                updateValues
+            );
+            
+            if (result.changes === 0) {
+                return res.status(409).json(await this.versionConflict(id, expectedVersion));
             }
             
-            query += ' GROUP BY endpoint, method ORDER BY created_at DESC';
+            // A new password replaces the one in the credential vault
+            if (plugin_password) {
+                await this.credentialVault.store(id, 'plugin_password', plugin_password);
+            }
             
-            const metrics = await this.db.all(query, params);
+            const updated = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ?',
+                [id]
+            );
             
-            // Calculate overall metrics
-            const totalCalls = metrics.reduce((sum, m) => sum + m.total_calls, 0);
-            const totalSuccessful = metrics.reduce((sum, m) => sum + m.successful_calls, 0);
-            const avgResponseTime = metrics.reduce((sum, m) => sum + (m.avg_response_time || 0), 0) / metrics.length || 0;
+            await this.configurationHistory.record(current.id, {
+                action: 'update',
+                before: current,
+                after: updated,
+                secrets: plugin_password ? ['plugin_password'] : [],
+                user: req.user
+            });
             
-            const summary = {
-                total_api_calls: totalCalls,
-                success_rate: totalCalls > 0 ? (totalSuccessful / totalCalls) * 100 : 100,
-                average_response_time: Math.round(avgResponseTime),
-                endpoints: metrics
-            };
+            await this.maskCredentials(updated);
+            this.maskWebhookSecret(updated);
             
             res.json({
                 success: true,
-                data: summary
+                data: updated
             });
             
         } catch (error) {
-            console.error('Get metrics error:', error);
+            if (this.isUniqueViolation(error)) {
+                return res.status(409).json({
+                    error: 'Integration code already exists',
+                    message: `A configuration with integration code "${req.body.integration_code}" already exists`
+                });
+            }
+            console.error('Update configuration error:', error);
             res.status(500).json({
-                error: 'Failed to get metrics',
+                error: 'Failed to update configuration',
                 message: error.message
             });
         }
     }
     
-    async getLogs(req, res) {
+    /**
+     * Issue a new webhook secret; the old one stops verifying immediately
+     */
+    async rotateWebhookSecret(req, res) {
         try {
-            const { configuration_id, level, limit = 100, offset = 0 } = req.query;
-            
-            let query = 'SELECT * FROM logs WHERE 1=1';
-            const params = [];
-            
-            if (configuration_id) {
-                query += ' AND configuration_id = ?';
-                params.push(configuration_id);
-            }
-            
-            if (level) {
-                query += ' AND level = ?';
-                params.push(level);
-            }
-            
-            query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-            params.push(parseInt(limit), parseInt(offset));
-            
-            const logs = await this.db.all(query, params);
+            const { id } = req.params;
             
-            // Get total count
-            let countQuery = 'SELECT COUNT(*) as total FROM logs WHERE 1=1';
-            const countParams = [];
+            const configuration = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [id]
+            );
             
-            if (configuration_id) {
-                countQuery += ' AND configuration_id = ?';
-                countParams.push(configuration_id);
+            if (!configuration) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
             }
             
-            if (level) {
-                countQuery += ' AND level = ?';
-                countParams.push(level);
-            }
+            const webhookSecret = this.webhookSignature.generateSecret();
+            await this.db.run(
+                'UPDATE configurations SET webhook_secret = ?, updated_at = ? WHERE id = ?',
+                [webhookSecret, new Date().toISOString(), id]
+            );
+            await this.configurationHistory.record(configuration.id, {
+                action: 'rotate_webhook_secret',
+                before: configuration,
+                after: configuration,
+                secrets: ['webhook_secret'],
+                user: req.user
+            });
             
-            const countResult = await this.db.get(countQuery, countParams);
+            await this.addLogEntry(id, 'info', 'Webhook secret rotated', 'ConfigurationAPI');
             
             res.json({
                 success: true,
                 data: {
-                    logs: logs,
-                    total: countResult.total,
-                    limit: parseInt(limit),
-                    offset: parseInt(offset)
+                    configuration_id: configuration.id,
+                    webhook_secret: webhookSecret
                 }
             });
             
         } catch (error) {
-            console.error('Get logs error:', error);
+            console.error('Rotate webhook secret error:', error);
             res.status(500).json({
-                error: 'Failed to get logs',
+                error: 'Failed to rotate webhook secret',
                 message: error.message
             });
         }
     }
     
     /**
-     * Utility methods
+     * Revisions of a configuration, newest first, with how many tests passed and failed on each
      */
-    generateMockToken(username) {
-        const payload = {
-            username: username,
-            timestamp: Date.now(),
-            random: Math.random()
-        };
-        return Buffer.from(JSON.stringify(payload)).toString('base64');
-    }
-    
-    async logAPIMetrics(configId, endpoint, method, statusCode, responseTime, requestSize, responseSize, success, errorMessage = null) {
+    async listConfigurationRevisions(req, res) {
         try {
-            await this.db.run(`
-                INSERT INTO api_metrics (
-                    configuration_id, endpoint, method, status_code, response_time_ms,
-                    request_size, response_size, success, error_message
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                configId, endpoint, method, statusCode, responseTime,
-                requestSize, responseSize, success, errorMessage
-            ]);
+            const { id } = req.params;
+            
+            res.json({
+                success: true,
+                data: await this.configurationHistory.listRevisions(id, { limit: req.query.limit })
+            });
+            
         } catch (error) {
-            console.error('Failed to log API metrics:', error);
+            console.error('List configuration revisions error:', error);
+            res.status(500).json({
+                error: 'Failed to list configuration revisions',
+                message: error.message
+            });
         }
     }
     
-    async addLogEntry(configId, level, message, module, details = null) {
+    async getConfigurationRevision(req, res) {
         try {
-            await this.db.run(`
-                INSERT INTO logs (configuration_id, level, message, module, details)
+            const revision = await this.configurationHistory.getRevision(req.params.id, req.params.revision);
+            
+            if (!revision) {
+                return res.status(404).json({
+                    error: 'Revision not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: revision
+            });
+            
+        } catch (error) {
+            console.error('Get configuration revision error:', error);
+            res.status(500).json({
+                error: 'Failed to get configuration revision',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Put the fields of an earlier revision back; this is recorded as a new revision.
+     * Secrets are not versioned and stay as they are.
+     */
+    async restoreConfigurationRevision(req, res) {
+        try {
+            const { id } = req.params;
+            const { updated_at: expectedVersion } = req.body || {};
+            
+            if (!expectedVersion) {
+                return res.status(400).json(this.missingVersionError());
+            }
+            
+            const current = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [id]
+            );
+            const revision = current ? await this.configurationHistory.getRevision(id, req.params.revision) : null;
+            
+            if (!revision) {
+                return res.status(404).json({
+                    error: current ? 'Revision not found' : 'Configuration not found'
+                });
+            }
+            
+            const fields = ConfigurationHistory.FIELDS;
+            const result = await this.db.run(
+                `UPDATE configurations SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ? AND updated_at = ?`,
+                [...fields.map(field => revision.snapshot[field]), new Date().toISOString(), id, expectedVersion]
+            );
+            
+            if (result.changes === 0) {
+                return res.status(409).json(await this.versionConflict(id, expectedVersion));
+            }
+            
+            const restored = await this.db.get('SELECT * FROM configurations WHERE id = ?', [id]);
+            const recorded = await this.configurationHistory.record(current.id, {
+                action: 'restore',
+                before: current,
+                after: restored,
+                restoredFrom: revision.revision,
+                user: req.user
+            });
+            
+            await this.addLogEntry(current.id, 'info', `Configuration restored to revision ${revision.revision}`, 'ConfigurationAPI');
+            
+            await this.maskCredentials(restored);
+            this.maskWebhookSecret(restored);
+            
+            res.json({
+                success: true,
+                data: restored,
+                revision: recorded
+            });
+            
+        } catch (error) {
+            if (this.isUniqueViolation(error)) {
+                return res.status(409).json({
+                    error: 'Integration code already exists',
+                    message: 'The integration code of this revision is now used by another configuration'
+                });
+            }
+            console.error('Restore configuration revision error:', error);
+            res.status(500).json({
+                error: 'Failed to restore configuration revision',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Optimistic concurrency: writes to a configuration name the version they are based on
+     */
+    missingVersionError() {
+        return {
+            error: 'updated_at is required',
+            message: 'Send the updated_at of the configuration version being changed'
+        };
+    }
+    
+    /**
+     * 409 body for a write based on an outdated version, carrying the current one
+     */
+    async versionConflict(id, expectedVersion) {
+        const latest = await this.db.get('SELECT * FROM configurations WHERE id = ?', [id]);
+        await this.maskCredentials(latest);
+        this.maskWebhookSecret(latest);
+        
+        return {
+            error: 'Configuration was changed by someone else',
+            message: `The configuration was updated at ${latest.updated_at}, after the version being changed (${expectedVersion})`,
+            current: latest
+        };
+    }
+    
+    isUniqueViolation(error) {
+        return error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message);
+    }
+    
+    async maskCredentials(configuration) {
+        delete configuration.plugin_password_hash;
+        configuration.has_plugin_password = await this.credentialVault.has(configuration.id, 'plugin_password');
+        return configuration;
+    }
+    
+    maskWebhookSecret(configuration) {
+        configuration.has_webhook_secret = Boolean(configuration.webhook_secret);
+        delete configuration.webhook_secret;
+        return configuration;
+    }
+    
+    async deleteConfiguration(req, res) {
+        try {
+            const { id } = req.params;
+            
+            const configuration = await this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [id]
+            );
+            
+            await this.db.run(
+                'UPDATE configurations SET is_active = 0 WHERE id = ?',
+                [id]
+            );
+            await this.credentialVault.remove(id);
+            
+            if (configuration) {
+                await this.configurationHistory.record(configuration.id, {
+                    action: 'delete',
+                    before: configuration,
+                    after: configuration,
+                    user: req.user
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Configuration deleted successfully'
+            });
+            
+        } catch (error) {
+            console.error('Delete configuration error:', error);
+            res.status(500).json({
+                error: 'Failed to delete configuration',
+                message: error.message
+            });
+        }
+    }
+    
+    async listConfigurations(req, res) {
+        try {
+            // Users other than admins only see the configurations assigned to them
+            const scope = this.accessControl.configurationScope(req.user);
+            const configurations = await this.db.all(`
+                SELECT id, integration_name, integration_code, environment, country, created_at, updated_at
+                FROM configurations WHERE is_active = 1
+                ${scope ? `AND id IN (${scope.map(() => '?').join(', ') || 'NULL'})` : ''}
+                ORDER BY created_at DESC
+            `, scope || []);
+            
+            res.json({
+                success: true,
+                data: configurations
+            });
+            
+        } catch (error) {
+            console.error('List configurations error:', error);
+            res.status(500).json({
+                error: 'Failed to list configurations',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Authentication proxy endpoints
+     */
+    async authenticateUser(req, res) {
+        try {
+            const { username, password, environment = 'staging' } = req.body;
+            
+            if (!username || !password) {
+                return res.status(400).json({
+                    error: 'Username and password are required'
+                });
+            }
+            
+            const apiConfig = this.talabatAPI[environment];
+            if (!apiConfig) {
+                return res.status(400).json({
+                    error: 'Unknown environment',
+                    allowed: Object.keys(this.talabatAPI)
+                });
+            }
+            
+            const startTime = Date.now();
+            
+            try {
+                const authResponse = await this.requestAccessToken(environment, username, password);
+                
+                const responseTime = Date.now() - startTime;
+                
+                // Log API metrics
+                await this.logAPIMetrics(
+                    null, // configuration_id would be determined from username
+                    apiConfig.loginEndpoint,
+                    'POST',
+                    200,
+                    responseTime,
+                    JSON.stringify(req.body).length,
+                    JSON.stringify(authResponse).length,
+                    true
+                );
+                
+                res.json({
+                    success: true,
+                    data: authResponse
+                });
+                
+            } catch (apiError) {
+                const responseTime = Date.now() - startTime;
+                
+                await this.logAPIMetrics(
+                    null,
+                    apiConfig.loginEndpoint,
+                    'POST',
+                    apiError.statusCode || 500,
+                    responseTime,
+                    JSON.stringify(req.body).length,
+                    0,
+                    false,
+                    apiError.message
+                );
+                
+                throw apiError;
+            }
+            
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(401).json({
+                error: 'Authentication failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Log in to the POS API of an environment with a plugin username and password
+     */
+    async requestAccessToken(environment, username, password) {
+        if (environment === 'emulator') {
+            // The emulator is served by this process, so do a real round-trip
+            return this.callEmulator(this.talabatAPI.emulator.loginEndpoint, {
+                username: username,
+                password: password,
+                grant_type: 'password',
+                scope: 'pos_integration'
+            });
+        }
+        
+        // In a real implementation, this would make an actual API call to Talabat
+        // For demonstration, we'll simulate the authentication
+        return {
+            access_token: this.generateMockToken(username),
+            refresh_token: this.generateMockToken(username + '_refresh'),
+            token_type: 'Bearer',
+            expires_in: 3600,
+            scope: 'pos_integration'
+        };
+    }
+    
+    /**
+     * Log in to `environment` and check the token that comes back; the access token is
+     * returned with the results for checks that call the API next
+     */
+    async checkAuthentication(configurationId, environment, username, password) {
+        const apiConfig = this.talabatAPI[environment];
+        
+        const startTime = Date.now();
+        let authResponse = null;
+        let authError = null;
+        try {
+            authResponse = await this.requestAccessToken(environment, username, password);
+        } catch (error) {
+            authError = error;
+        }
+        const executionTime = Date.now() - startTime;
+        
+        const success = Boolean(authResponse && authResponse.access_token);
+        await this.logAPIMetrics(
+            configurationId,
+            apiConfig.loginEndpoint,
+            'POST',
+            authError ? authError.statusCode || 500 : 200,
+            executionTime,
+            0,
+            authResponse ? JSON.stringify(authResponse).length : 0,
+            success,
+            authError ? authError.message : null
+        );
+        
+        const results = {
+            environment: environment,
+            // Anything but a network failure means the login endpoint answered
+            endpoint_accessible: !authError || Boolean(authError.statusCode),
+            credentials_valid: success,
+            token_generated: success,
+            token_format_valid: success && typeof authResponse.access_token === 'string' &&
+                String(authResponse.token_type).toLowerCase() === 'bearer',
+            response_time_ms: executionTime,
+            error: authError ? authError.message : null
+        };
+        
+        return {
+            results: results,
+            accessToken: results.token_generated ? authResponse.access_token : null,
+            executionTime: executionTime
+        };
+    }
+    
+    /**
+     * Testing endpoints
+     */
+    async testAuthentication(req, res) {
+        try {
+            const { configuration_id } = req.body;
+            let { username, password, environment = 'staging' } = req.body;
+            
+            // Saved configurations log in with the password from the credential vault
+            if (configuration_id) {
+                const configuration = await this.loadTestConfiguration(req.body);
+                if (!configuration) {
+                    return res.status(404).json({
+                        error: 'Configuration not found'
+                    });
+                }
+                username = configuration.plugin_username;
+                password = await this.credentialVault.reveal(configuration.id, 'plugin_password');
+                environment = configuration.environment;
+            }
+            
+            if (!username || !password) {
+                return res.status(400).json({
+                    error: configuration_id
+                        ? 'No plugin password is stored for this configuration'
+                        : 'Username and password are required'
+                });
+            }
+            
+            const apiConfig = this.talabatAPI[environment];
+            if (!apiConfig) {
+                return res.status(400).json({
+                    error: 'Unknown environment',
+                    allowed: Object.keys(this.talabatAPI)
+                });
+            }
+            
+            const { results, executionTime } = await this.checkAuthentication(configuration_id || null, environment, username, password);
+            
+            // Save test results
+            await this.db.run(`
+                INSERT INTO test_results (
+                    configuration_id, configuration_revision, test_type, test_name, status, results, 
+                    execution_time_ms
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                configuration_id,
+                await this.configurationHistory.latestRevision(configuration_id),
+                'authentication',
+                'Login API Test',
+                results.token_format_valid ? 'passed' : 'failed',
+                JSON.stringify(results),
+                executionTime
+            ]);
+            this.monitoringStream.notify();
+            
+            res.json({
+                success: true,
+                data: results
+            });
+            
+        } catch (error) {
+            console.error('Test authentication error:', error);
+            res.status(500).json({
+                error: 'Authentication test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Why `test_scenarios` / `lifecycle_timeout_ms` cannot be used, as a 400 body, or null
+     */
+    orderTestOptionsError({ test_scenarios, lifecycle_timeout_ms }) {
+        if (test_scenarios !== undefined && test_scenarios !== null &&
+            (!Array.isArray(test_scenarios) || !test_scenarios.every(s => typeof s === 'string'))) {
+            return {
+                error: 'test_scenarios must be an array of scenario names',
+                allowed: Object.keys(this.orderDispatcher.scenarios)
+            };
+        }
+        
+        const unknownScenarios = (test_scenarios || []).filter(s => !this.orderDispatcher.scenarios[s]);
+        if (unknownScenarios.length > 0) {
+            return {
+                error: 'Unknown test scenarios',
+                unknown: unknownScenarios,
+                allowed: Object.keys(this.orderDispatcher.scenarios)
+            };
+        }
+        
+        if (lifecycle_timeout_ms !== undefined && lifecycle_timeout_ms !== null &&
+            (!Number.isInteger(lifecycle_timeout_ms) || lifecycle_timeout_ms < 0 || lifecycle_timeout_ms > MAX_LIFECYCLE_TIMEOUT_MS)) {
+            return {
+                error: 'Invalid lifecycle_timeout_ms',
+                message: `lifecycle_timeout_ms must be a whole number of milliseconds from 0 to ${MAX_LIFECYCLE_TIMEOUT_MS}`
+            };
+        }
+        
+        return null;
+    }
+    
+    async testOrderManagement(req, res) {
+        try {
+            const { lifecycle_timeout_ms = 0, access_token } = req.body;
+            const test_scenarios = req.body.test_scenarios || ['order_reception'];
+            
+            const configuration = await this.loadTestConfiguration(req.body);
+            if (!configuration) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
+            }
+            
+            if (!configuration.base_url || !configuration.vendor_code || !configuration.remote_id) {
+                return res.status(400).json({
+                    error: 'Configuration is incomplete',
+                    required: ['base_url', 'vendor_code', 'remote_id']
+                });
+            }
+            
+            const invalidOptions = this.orderTestOptionsError({ test_scenarios: req.body.test_scenarios, lifecycle_timeout_ms });
+            if (invalidOptions) {
+                return res.status(400).json(invalidOptions);
+            }
+            
+            const startTime = Date.now();
+            
+            const results = {
+                scenarios_tested: test_scenarios,
+                results: {}
+            };
+            
+            // Dispatch a real order for each scenario
+            for (const scenario of test_scenarios) {
+                results.results[scenario] = await this.dispatchTestOrder(configuration, scenario, access_token);
+            }
+            
+            // Optionally wait for the POS to act on the orders and assert it
+            // only made legal transitions
+            if (lifecycle_timeout_ms > 0) {
+                await Promise.all(Object.values(results.results)
+                    .filter(result => result.status === 'passed')
+                    .map(result => this.assertOrderLifecycle(result, lifecycle_timeout_ms)));
+            }
+            
+            const executionTime = Date.now() - startTime;
+            const allPassed = Object.values(results.results).every(r => r.status === 'passed');
+            
+            // Save test results
+            await this.db.run(`
+                INSERT INTO test_results (
+                    configuration_id, configuration_revision, test_type, test_name, status, results, 
+                    execution_time_ms
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                configuration.id,
+                await this.configurationHistory.latestRevision(configuration.id),
+                'order_management',
+                'Order Management Test Suite',
+                allPassed ? 'passed' : 'failed',
+                JSON.stringify(results),
+                executionTime
+            ]);
+            this.monitoringStream.notify();
+            
+            res.json({
+                success: true,
+                data: results
+            });
+            
+        } catch (error) {
+            console.error('Test order management error:', error);
+            res.status(500).json({
+                error: 'Order management test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Send a test order of `scenario` to the POS, with the access token of the login
+     * when there is one; delivered orders enter the lifecycle
+     */
+    async dispatchTestOrder(configuration, scenario, accessToken = null) {
+        const order = this.orderDispatcher.buildOrder(configuration, scenario);
+        const dispatch = await this.orderDispatcher.dispatch(configuration, order, { accessToken });
+        
+        await this.logAPIMetrics(
+            configuration.id,
+            dispatch.url,
+            dispatch.method,
+            dispatch.status_code,
+            dispatch.response_time_ms,
+            dispatch.request_size,
+            dispatch.response_size,
+            dispatch.passed,
+            dispatch.error
+        );
+        
+        // Orders the POS took delivery of enter the lifecycle as RECEIVED
+        if (dispatch.passed) {
+            await this.orderLifecycle.createOrder(order, {
+                configurationId: configuration.id,
+                actor: 'talabat'
+            });
+        }
+        
+        return {
+            status: dispatch.passed ? 'passed' : 'failed',
+            response_time_ms: dispatch.response_time_ms,
+            details: dispatch.passed
+                ? `Order ${order.order_id} delivered (HTTP ${dispatch.status_code})`
+                : dispatch.error,
+            order_id: order.order_id,
+            url: dispatch.url,
+            status_code: dispatch.status_code,
+            response_body: dispatch.response_body,
+            schema_errors: dispatch.schema_errors
+        };
+    }
+    
+    /**
+     * Wait for the POS to accept or reject a dispatched order, then fail the
+     * scenario on SLA breaches or illegal transitions
+     */
+    async assertOrderLifecycle(result, timeoutMs) {
+        const order = await this.orderLifecycle.waitForStatus(
+            result.order_id,
+            current => current.status !== 'RECEIVED',
+            timeoutMs
+        );
+        const events = await this.orderLifecycle.getEvents(result.order_id);
+        const violations = events.filter(event => event.event_type !== 'transition');
+        
+        result.lifecycle = {
+            status: order.status,
+            transitions: events
+                .filter(event => event.event_type === 'transition')
+                .map(event => event.to_status),
+            violations: violations.map(event => event.reason)
+        };
+        
+        if (order.status === 'RECEIVED') {
+            result.status = 'failed';
+            result.details = `Order ${result.order_id} was not accepted or rejected within ${timeoutMs}ms`;
+        } else if (violations.length > 0) {
+            result.status = 'failed';
+            result.details = `Order ${result.order_id} lifecycle violations: ${result.lifecycle.violations.join('; ')}`;
+        }
+    }
+    
+    async testCatalogManagement(req, res) {
+        try {
+            const { catalog_json, catalog, callback_url, access_token } = req.body;
+            
+            const configuration = await this.loadTestConfiguration(req.body);
+            if (!configuration) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
+            }
+            
+            if (typeof catalog_json !== 'string' && (catalog === undefined || catalog === null)) {
+                return res.status(400).json({
+                    error: 'Catalog is required',
+                    message: 'Send the raw JSON text as catalog_json or the parsed catalog as catalog'
+                });
+            }
+            
+            const environment = req.body.environment || configuration.environment || 'staging';
+            const apiConfig = this.talabatAPI[environment];
+            if (!apiConfig) {
+                return res.status(400).json({
+                    error: 'Unknown environment',
+                    allowed: Object.keys(this.talabatAPI)
+                });
+            }
+            
+            const { passed, results, errorMessage, executionTime } = await this.importTestCatalog(
+                configuration, environment, typeof catalog_json === 'string' ? catalog_json : catalog,
+                { callbackUrl: callback_url, accessToken: access_token }
+            );
+            
+            await this.db.run(`
+                INSERT INTO test_results (
+                    configuration_id, configuration_revision, test_type, test_name, status, results, 
+                    error_message, execution_time_ms
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                configuration.id,
+                await this.configurationHistory.latestRevision(configuration.id),
+                'catalog_management',
+                'Catalog Import Test',
+                passed ? 'passed' : 'failed',
+                JSON.stringify(results),
+                errorMessage,
+                executionTime
+            ]);
+            this.monitoringStream.notify();
+            
+            res.json({
+                success: true,
+                data: {
+                    status: passed ? 'passed' : 'failed',
+                    execution_time_ms: executionTime,
+                    ...results
+                }
+            });
+            
+        } catch (error) {
+            console.error('Test catalog management error:', error);
+            res.status(500).json({
+                error: 'Catalog management test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Validate a catalog (raw JSON text or parsed) and push it to `environment` when it is
+     * valid; catalogs pushed for a saved configuration are stored as a new catalog version
+     */
+    async importTestCatalog(configuration, environment, catalog, { callbackUrl = null, accessToken = null } = {}) {
+        const apiConfig = this.talabatAPI[environment];
+        
+        const startTime = Date.now();
+        const validation = this.catalogValidator.validate(catalog);
+        
+        const results = {
+            environment: environment,
+            validation: {
+                valid: validation.valid,
+                errors: validation.errors
+            },
+            push: null,
+            version: null
+        };
+        
+        // Only schema-valid catalogs are pushed
+        if (validation.valid) {
+            results.push = await this.pushCatalog(configuration, apiConfig, validation.catalog, {
+                callbackUrl: callbackUrl || configuration.callback_url,
+                accessToken: accessToken
+            });
+            
+            // An inline configuration's integration_code was never authorized, so it
+            // must not add versions to whichever integration happens to use that code
+            if (results.push.passed && configuration.id && configuration.integration_code) {
+                const saved = await this.catalogVersions.save(validation.catalog, {
+                    integrationCode: configuration.integration_code,
+                    source: 'import'
+                });
+                results.version = {
+                    id: saved.version.id,
+                    version: saved.version.version,
+                    unchanged: saved.unchanged
+                };
+            }
+        }
+        
+        const executionTime = Date.now() - startTime;
+        const passed = validation.valid && results.push.passed;
+        const errorMessage = !validation.valid
+            ? `Catalog has ${validation.errors.length} schema errors`
+            : (passed ? null : results.push.error);
+        
+        await this.addLogEntry(configuration.id, passed ? 'info' : 'error',
+            passed ? 'Catalog import test passed' : `Catalog import test failed: ${errorMessage}`,
+            'catalog', { environment, import_id: results.push?.import_id || null });
+        
+        return { passed, results, errorMessage, executionTime };
+    }
+    
+    /**
+     * POST a validated catalog to the Talabat catalog endpoint of `apiConfig`
+     */
+    async pushCatalog(configuration, apiConfig, catalog, { callbackUrl, accessToken }) {
+        const url = apiConfig.baseUrl + apiConfig.catalogEndpoint;
+        const payload = {
+            vendor_code: configuration.vendor_code || catalog.vendor_code,
+            remote_id: configuration.remote_id || catalog.remote_id,
+            catalog: catalog,
+            ...(callbackUrl && { callback_url: callbackUrl })
+        };
+        const body = JSON.stringify(payload);
+        const startTime = Date.now();
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (accessToken) {
+            headers.Authorization = `Bearer ${accessToken}`;
+        }
+        
+        let response = null;
+        let error = null;
+        try {
+            response = await axios.post(url, body, {
+                headers: headers,
+                timeout: parseInt(process.env.API_TIMEOUT) || 10000,
+                validateStatus: () => true
+            });
+        } catch (requestError) {
+            error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+        }
+        
+        const responseTime = Date.now() - startTime;
+        const passed = Boolean(response && response.status >= 200 && response.status < 300);
+        if (response && !passed) {
+            error = `HTTP ${response.status}: ${response.data?.message || response.statusText}`;
+        }
+        
+        await this.logAPIMetrics(
+            configuration.id,
+            url,
+            'POST',
+            response ? response.status : null,
+            responseTime,
+            Buffer.byteLength(body),
+            response ? JSON.stringify(response.data || '').length : 0,
+            passed,
+            error
+        );
+        
+        return {
+            passed: passed,
+            url: url,
+            status_code: response ? response.status : null,
+            response_time_ms: responseTime,
+            import_id: passed ? response.data?.import_id || null : null,
+            response_body: response ? response.data : null,
+            error: error
+        };
+    }
+    
+    /**
+     * Catalog endpoints
+     */
+    async getCatalogSchema(req, res) {
+        res.json({
+            success: true,
+            data: CatalogValidator.SCHEMA
+        });
+    }
+    
+    async validateCatalog(req, res) {
+        try {
+            const { catalog_json, catalog } = req.body;
+            
+            if (typeof catalog_json !== 'string' && (catalog === undefined || catalog === null)) {
+                return res.status(400).json({
+                    error: 'Catalog is required',
+                    message: 'Send the raw JSON text as catalog_json (for line/column positions) or the parsed catalog as catalog'
+                });
+            }
+            
+            const validation = this.catalogValidator.validate(typeof catalog_json === 'string' ? catalog_json : catalog);
+            const categories = validation.catalog?.menu?.categories;
+            
+            res.json({
+                success: true,
+                data: {
+                    valid: validation.valid,
+                    errors: validation.errors,
+                    summary: Array.isArray(categories) ? {
+                        categories: categories.length,
+                        items: categories.reduce((total, category) => total + (Array.isArray(category.items) ? category.items.length : 0), 0)
+                    } : null
+                }
+            });
+            
+        } catch (error) {
+            console.error('Catalog validation error:', error);
+            res.status(500).json({
+                error: 'Failed to validate catalog',
+                message: error.message
+            });
+        }
+    }
+    
+    async saveCatalogVersion(req, res) {
+        try {
+            const { integration_code, catalog_json, catalog, source = 'manual' } = req.body;
+            
+            if (!integration_code) {
+                return res.status(400).json({
+                    error: 'integration_code is required'
+                });
+            }
+            
+            const validation = this.catalogValidator.validate(typeof catalog_json === 'string' ? catalog_json : catalog);
+            if (!validation.valid) {
+                return res.status(422).json({
+                    error: 'Catalog does not match the catalog schema',
+                    errors: validation.errors
+                });
+            }
+            
+            const { version, previous, unchanged } = await this.catalogVersions.save(validation.catalog, {
+                integrationCode: integration_code,
+                source: source
+            });
+            
+            delete version.catalog;
+            
+            res.status(unchanged ? 200 : 201).json({
+                success: true,
+                data: {
+                    version: version,
+                    unchanged: unchanged,
+                    previous_version: previous ? previous.version : null,
+                    diff: previous ? this.catalogDiff.diff(previous.catalog, validation.catalog) : null
+                }
+            });
+            
+        } catch (error) {
+            console.error('Save catalog version error:', error);
+            res.status(500).json({
+                error: 'Failed to save catalog version',
+                message: error.message
+            });
+        }
+    }
+    
+    async listCatalogVersions(req, res) {
+        try {
+            const { integration_code, limit = 50 } = req.query;
+            
+            if (!integration_code) {
+                return res.status(400).json({
+                    error: 'integration_code is required'
+                });
+            }
+            
+            const versions = await this.catalogVersions.list(integration_code, limit);
+            
+            res.json({
+                success: true,
+                data: versions
+            });
+            
+        } catch (error) {
+            console.error('List catalog versions error:', error);
+            res.status(500).json({
+                error: 'Failed to list catalog versions',
+                message: error.message
+            });
+        }
+    }
+    
+    async getCatalogVersion(req, res) {
+        try {
+            const version = await this.catalogVersions.get(req.params.id);
+            
+            if (!version) {
+                return res.status(404).json({
+                    error: 'Catalog version not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: version
+            });
+            
+        } catch (error) {
+            console.error('Get catalog version error:', error);
+            res.status(500).json({
+                error: 'Failed to get catalog version',
+                message: error.message
+            });
+        }
+    }
+    
+    async diffCatalogVersions(req, res) {
+        try {
+            const { from, to } = req.query;
+            
+            if (!from || !to) {
+                return res.status(400).json({
+                    error: 'from and to version ids are required'
+                });
+            }
+            
+            const [before, after] = await Promise.all([
+                this.catalogVersions.get(from),
+                this.catalogVersions.get(to)
+            ]);
+            
+            if (!before || !after) {
+                return res.status(404).json({
+                    error: 'Catalog version not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    from: { id: before.id, version: before.version, created_at: before.created_at },
+                    to: { id: after.id, version: after.version, created_at: after.created_at },
+                    ...this.catalogDiff.diff(before.catalog, after.catalog)
+                }
+            });
+            
+        } catch (error) {
+            console.error('Catalog diff error:', error);
+            res.status(500).json({
+                error: 'Failed to diff catalog versions',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Order lifecycle endpoints
+     */
+    async listOrders(req, res) {
+        try {
+            const { configuration_id, status, limit = 50 } = req.query;
+            
+            const orders = await this.orderLifecycle.listOrders({
+                configurationId: configuration_id,
+                status: status,
+                limit: parseInt(limit)
+            });
+            
+            res.json({
+                success: true,
+                data: orders
+            });
+            
+        } catch (error) {
+            console.error('List orders error:', error);
+            res.status(500).json({
+                error: 'Failed to list orders',
+                message: error.message
+            });
+        }
+    }
+    
+    async getOrderLifecycle(req, res) {
+        try {
+            const { order_id } = req.params;
+            
+            const order = await this.orderLifecycle.getOrder(order_id);
+            if (!order) {
+                return res.status(404).json({
+                    error: 'Order not found'
+                });
+            }
+            
+            const events = await this.orderLifecycle.getEvents(order_id);
+            
+            res.json({
+                success: true,
+                data: {
+                    ...order,
+                    allowed_transitions: OrderLifecycle.TRANSITIONS[order.status] || [],
+                    events: events,
+                    violations: events.filter(event => event.event_type !== 'transition')
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get order lifecycle error:', error);
+            res.status(500).json({
+                error: 'Failed to get order',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Configuration id from `configuration_id` or, since the frontend only knows its
+     * integration code, from `integration_code`
+     */
+    async resolveConfigurationId(body) {
+        if (body.configuration_id) {
+            return body.configuration_id;
+        }
+        
+        if (body.integration_code) {
+            const configuration = await this.db.get(
+                'SELECT id FROM configurations WHERE integration_code = ? AND is_active = 1',
+                [body.integration_code]
+            );
+            return configuration ? configuration.id : null;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * A 403 body when `vendorCode` is not the vendor of the configuration a report is
+     * scoped to, or null. Reports without a configuration are only reachable by admins.
+     */
+    async vendorCodeMismatch(configurationId, vendorCode) {
+        if (!vendorCode || !configurationId) {
+            return null;
+        }
+        
+        const configuration = await this.db.get('SELECT vendor_code FROM configurations WHERE id = ?', [configurationId]);
+        if (configuration && configuration.vendor_code === vendorCode) {
+            return null;
+        }
+        
+        return {
+            error: 'Access denied',
+            message: `Vendor ${vendorCode} does not belong to configuration ${configurationId}`
+        };
+    }
+    
+    /**
+     * Resolve the configuration a test runs against: a saved configuration_id
+     * or an inline, unsaved configuration object (id null)
+     */
+    async loadTestConfiguration(body) {
+        if (body.configuration_id) {
+            return this.db.get(
+                'SELECT * FROM configurations WHERE id = ? AND is_active = 1',
+                [body.configuration_id]
+            );
+        }
+        
+        if (body.configuration && typeof body.configuration === 'object') {
+            return { ...body.configuration, id: null };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Monitoring endpoints
+     */
+    async getMetrics(req, res) {
+        try {
+            const { configuration_id, from_date, to_date } = req.query;
+            
+            const { summary, endpoints } = await this.metricsAggregator.endpointSummary({
+                configurationId: configuration_id,
+                from: from_date,
+                to: to_date
+            });
+            
+            res.json({
+                success: true,
+                data: {
+                    total_api_calls: summary.total_calls,
+                    success_rate: summary.total_calls > 0 ? 100 - summary.error_rate : 100,
+                    average_response_time: Math.round(summary.avg_response_time || 0),
+                    ...summary,
+                    endpoints: endpoints
+                }
+            });
+            
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid metrics query',
+                    message: error.message
+                });
+            }
+            console.error('Get metrics error:', error);
+            res.status(500).json({
+                error: 'Failed to get metrics',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Percentiles, error rate and throughput per time bucket, overall and per endpoint
+     */
+    async getMetricsHistory(req, res) {
+        try {
+            const { configuration_id, endpoint, bucket = '5m', from, to, percentile = 95 } = req.query;
+            
+            const history = await this.metricsAggregator.history({
+                configurationId: configuration_id,
+                endpoint: endpoint,
+                bucket: bucket,
+                from: from,
+                to: to,
+                percentile: percentile
+            });
+            
+            res.json({
+                success: true,
+                data: history
+            });
+            
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid metrics query',
+                    message: error.message,
+                    allowed: error.allowed
+                });
+            }
+            console.error('Get metrics history error:', error);
+            res.status(500).json({
+                error: 'Failed to get metrics history',
+                message: error.message
+            });
+        }
+    }
+    
+    async getLogs(req, res) {
+        try {
+            const { configuration_id, level, limit = 100, offset = 0 } = req.query;
+            
+            let query = 'SELECT * FROM logs WHERE 1=1';
+            const params = [];
+            
+            if (configuration_id) {
+                query += ' AND configuration_id = ?';
+                params.push(configuration_id);
+            }
+            
+            if (level) {
+                query += ' AND level = ?';
+                params.push(level);
+            }
+            
+            query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+            params.push(parseInt(limit), parseInt(offset));
+            
+            const logs = await this.db.all(query, params);
+            
+            // Get total count
+            let countQuery = 'SELECT COUNT(*) as total FROM logs WHERE 1=1';
+            const countParams = [];
+            
+            if (configuration_id) {
+                countQuery += ' AND configuration_id = ?';
+                countParams.push(configuration_id);
+            }
+            
+            if (level) {
+                countQuery += ' AND level = ?';
+                countParams.push(level);
+            }
+            
+            const countResult = await this.db.get(countQuery, countParams);
+            
+            res.json({
+                success: true,
+                data: {
+                    logs: logs,
+                    total: countResult.total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset)
+                }
+            });
+            
+        } catch (error) {
+            console.error('Get logs error:', error);
+            res.status(500).json({
+                error: 'Failed to get logs',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Utility methods
+     */
+    generateMockToken(username) {
+        const payload = {
+            username: username,
+            timestamp: Date.now(),
+            random: Math.random()
+        };
+        return Buffer.from(JSON.stringify(payload)).toString('base64');
+    }
+    
+    /**
+     * Emulator account of the active configuration with these plugin credentials, or null
+     */
+    async emulatorAccount(username, password) {
+        const configurations = await this.db.all(
+            'SELECT id, plugin_username, vendor_code FROM configurations WHERE plugin_username = ? AND is_active = 1',
+            [username]
+        );
+        
+        for (const configuration of configurations) {
+            const stored = await this.credentialVault.reveal(configuration.id, 'plugin_password');
+            if (stored && this.emulator.safeEqual(stored, password)) {
+                return {
+                    username: configuration.plugin_username,
+                    vendorCode: configuration.vendor_code,
+                    configurationId: configuration.id
+                };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * POST to the local emulator and return the response body, throwing on non-2xx
+     */
+    async callEmulator(endpoint, payload, accessToken = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (accessToken) {
+            headers.Authorization = `Bearer ${accessToken}`;
+        }
+        
+        const response = await axios.post(this.talabatAPI.emulator.baseUrl + endpoint, payload, {
+            headers: headers,
+            timeout: 10000,
+            validateStatus: () => true
+        });
+        
+        if (response.status < 200 || response.status >= 300) {
+            const error = new Error(response.data?.message || `HTTP ${response.status}`);
+            error.statusCode = response.status;
+            error.code = response.data?.code;
+            throw error;
+        }
+        
+        return response.data;
+    }
+    
+    async logAPIMetrics(configId, endpoint, method, statusCode, responseTime, requestSize, responseSize, success, errorMessage = null) {
+        try {
+            await this.db.run(`
+                INSERT INTO api_metrics (
+                    configuration_id, endpoint, method, status_code, response_time_ms,
+                    request_size, response_size, success, error_message
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                configId, endpoint, method, statusCode, responseTime,
+                requestSize, responseSize, success, errorMessage
+            ]);
+            this.monitoringStream.notify();
+        } catch (error) {
+            console.error('Failed to log API metrics:', error);
+        }
+    }
+    
+    async addLogEntry(configId, level, message, module, details = null) {
+        try {
+            await this.db.run(`
+                INSERT INTO logs (configuration_id, level, message, module, details)
                 VALUES (?, ?, ?, ?, ?)
             `, [configId, level, message, module, details ? JSON.stringify(details) : null]);
+            this.monitoringStream.notify();
+        } catch (error) {
+            console.error('Failed to add log entry:', error);
+        }
+    }
+    
+    /**
+     * Health check endpoint
+     */
+    async healthCheck(req, res) {
+        try {
+            // Check database connection
+            await this.db.get('SELECT 1');
+            
+            res.json({
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                version: '1.0.0',
+                database: 'connected',
+                storage: this.storage.driver
+            });
+        } catch (error) {
+            res.status(503).json({
+                status: 'unhealthy',
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    }
+    
+    /**
+     * Authentication proxy endpoints
+     */
+    async refreshToken(req, res) {
+        try {
+            const { refresh_token, environment = 'staging' } = req.body;
+            
+            if (!refresh_token) {
+                return res.status(400).json({
+                    error: 'Refresh token is required'
+                });
+            }
+            
+            let refreshResponse;
+            
+            if (environment === 'emulator') {
+                const apiConfig = this.talabatAPI.emulator;
+                refreshResponse = await this.callEmulator(apiConfig.refreshEndpoint, {
+                    refresh_token: refresh_token,
+                    grant_type: 'refresh_token'
+                });
+            } else {
+                // Mock refresh token logic
+                refreshResponse = {
+                    access_token: this.generateMockToken('refreshed_user'),
+                    refresh_token: this.generateMockToken('refreshed_user_refresh'),
+                    token_type: 'Bearer',
+                    expires_in: 3600
+                };
+            }
+            
+            res.json({
+                success: true,
+                data: refreshResponse
+            });
+            
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            res.status(401).json({
+                error: 'Token refresh failed',
+                message: error.message
+            });
+        }
+    }
+    
+    async logoutUser(req, res) {
+        try {
+            // In a real implementation, this would invalidate the token
+            res.json({
+                success: true,
+                message: 'Logged out successfully'
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({
+                error: 'Logout failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Additional testing endpoints
+     */
+    async testWebhooks(req, res) {
+        try {
+            const { webhook_url, event = 'webhook.test', payload } = req.body;
+            
+            if (!webhook_url) {
+                return res.status(400).json({
+                    error: 'Webhook URL is required'
+                });
+            }
+            
+            const configuration = await this.loadTestConfiguration(req.body);
+            const results = await this.deliverTestWebhook(configuration, webhook_url, { event, payload });
+            
+            res.json({
+                success: true,
+                data: results
+            });
+            
+        } catch (error) {
+            console.error('Webhook test error:', error);
+            res.status(500).json({
+                error: 'Webhook test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * POST a test event to `webhookUrl`, signed with the configuration's webhook secret
+     */
+    async deliverTestWebhook(configuration, webhookUrl, { event = 'webhook.test', payload = null } = {}) {
+        const secret = configuration?.webhook_secret || this.orderDispatcher.signingSecret;
+        
+        const body = JSON.stringify({
+            event: event,
+            delivery_attempt: 1,
+            created_at: new Date().toISOString(),
+            data: payload || {
+                vendor_code: configuration?.vendor_code || null,
+                remote_id: configuration?.remote_id || null,
+                message: 'Talabat POS integration test webhook'
+            }
+        });
+        const signatureHeaders = this.webhookSignature.sign(secret, body);
+        
+        const startTime = Date.now();
+        const results = {
+            url: webhookUrl,
+            ssl_valid: webhookUrl.startsWith('https://'),
+            signed_with: configuration?.webhook_secret ? 'configuration' : 'default',
+            delivery_id: signatureHeaders[WebhookSignature.HEADERS.delivery],
+            timestamp: signatureHeaders[WebhookSignature.HEADERS.timestamp],
+            tolerance_seconds: this.webhookSignature.toleranceSeconds,
+            endpoint_accessible: false,
+            status_code: null,
+            response_time_ms: 0,
+            content_type: null,
+            error: null
+        };
+        
+        try {
+            const response = await axios.post(webhookUrl, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': this.orderDispatcher.userAgent,
+                    ...signatureHeaders
+                },
+                timeout: this.orderDispatcher.timeout,
+                validateStatus: () => true,
+                transformResponse: [data => data],
+                maxRedirects: 0
+            });
+            
+            results.endpoint_accessible = true;
+            results.status_code = response.status;
+            results.content_type = response.headers['content-type'] || null;
+            if (response.status < 200 || response.status >= 300) {
+                results.error = `Webhook endpoint responded with HTTP ${response.status}`;
+            }
+        } catch (requestError) {
+            results.error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+        }
+        
+        results.response_time_ms = Date.now() - startTime;
+        results.passed = results.endpoint_accessible && !results.error;
+        
+        await this.logAPIMetrics(
+            configuration?.id || null, webhookUrl, 'POST', results.status_code || 500,
+            results.response_time_ms, Buffer.byteLength(body), 0, results.passed, results.error
+        );
+        
+        return results;
+    }
+    
+    /**
+     * Webhook receiver endpoints
+     */
+    async receiveWebhook(req, res) {
+        const receivedAt = Date.now();
+        
+        try {
+            const { integration_code } = req.params;
+            const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+            
+            const entry = await this.webhookInbox.capture(req, {
+                integrationCode: integration_code,
+                path: req.params[0],
+                receivedAt: receivedAt,
+                rawBody: rawBody
+            });
+            
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Unknown integration',
+                    message: `No active configuration has integration code ${integration_code}`
+                });
+            }
+            
+            res.json({
+                received: true,
+                id: entry.id
+            });
+            
+        } catch (error) {
+            console.error('Webhook capture error:', error);
+            res.status(500).json({
+                error: 'Failed to capture webhook',
+                message: error.message
+            });
+        }
+    }
+    
+    async listWebhookInbox(req, res) {
+        try {
+            const { integration_code, since, limit = 50 } = req.query;
+            
+            const entries = await this.webhookInbox.list({
+                integrationCode: integration_code,
+                since: since,
+                limit: parseInt(limit)
+            });
+            
+            res.json({
+                success: true,
+                data: entries
+            });
+            
+        } catch (error) {
+            console.error('List webhook inbox error:', error);
+            res.status(500).json({
+                error: 'Failed to list captured webhooks',
+                message: error.message
+            });
+        }
+    }
+    
+    async getWebhookInboxEntry(req, res) {
+        try {
+            const entry = await this.webhookInbox.get(req.params.id);
+            
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Captured webhook not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: entry
+            });
+            
+        } catch (error) {
+            console.error('Get webhook inbox entry error:', error);
+            res.status(500).json({
+                error: 'Failed to get captured webhook',
+                message: error.message
+            });
+        }
+    }
+    
+    async clearWebhookInbox(req, res) {
+        try {
+            const deleted = await this.webhookInbox.clear(req.query.integration_code);
+            
+            res.json({
+                success: true,
+                message: `${deleted} captured webhooks cleared`
+            });
+            
+        } catch (error) {
+            console.error('Clear webhook inbox error:', error);
+            res.status(500).json({
+                error: 'Failed to clear captured webhooks',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Verify a webhook signature and explain any failure. Verifies either a
+     * captured inbox entry (inbox_id) or an explicit body/timestamp/signature,
+     * against a configuration's secret or an explicit secret. Explicit deliveries are
+     * checked like a receiver would, so the same signature is refused as a replay the
+     * second time (unless check_replay is false); a captured entry is a replay when an
+     * earlier capture carried its signature.
+     */
+    async verifyWebhookSignature(req, res) {
+        try {
+            const { configuration_id, secret, inbox_id, check_replay } = req.body;
+            let { body, timestamp, signature } = req.body;
+            let integrationCode = null;
+            let entry = null;
+            
+            if (inbox_id) {
+                entry = await this.webhookInbox.get(inbox_id);
+                if (!entry) {
+                    return res.status(404).json({
+                        error: 'Captured webhook not found'
+                    });
+                }
+                
+                const headers = this.webhookSignature.extractHeaders(entry.headers);
+                body = entry.body;
+                timestamp = headers.timestamp;
+                signature = headers.signature;
+                integrationCode = entry.integration_code;
+            } else if (req.body.headers) {
+                const headers = this.webhookSignature.extractHeaders(req.body.headers);
+                timestamp = timestamp || headers.timestamp;
+                signature = signature || headers.signature;
+            }
+            
+            if (body !== undefined && typeof body !== 'string') {
+                return res.status(400).json({
+                    error: 'body must be the raw request body as a string'
+                });
+            }
+            
+            let verifySecret = secret;
+            if (!verifySecret) {
+                const configuration = configuration_id
+                    ? await this.db.get('SELECT webhook_secret FROM configurations WHERE id = ? AND is_active = 1', [configuration_id])
+                    : integrationCode
+                        ? await this.db.get('SELECT webhook_secret FROM configurations WHERE integration_code = ? AND is_active = 1', [integrationCode])
+                        : null;
+                verifySecret = configuration?.webhook_secret;
+            }
+            
+            let result = this.webhookSignature.verify({
+                secret: verifySecret,
+                body: body,
+                timestamp: timestamp,
+                signature: signature,
+                checkReplay: !entry && check_replay !== false
+            });
+            
+            if (result.valid && entry) {
+                const earlier = await this.webhookInbox.earlierCapture(entry, signature);
+                if (earlier) {
+                    result = {
+                        valid: false,
+                        code: 'REPLAYED',
+                        reason: `Captured webhook ${earlier.id} (${earlier.received_at}) carried the same signature`,
+                        hints: []
+                    };
+                }
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    tolerance_seconds: this.webhookSignature.toleranceSeconds
+                }
+            });
+            
+        } catch (error) {
+            console.error('Verify webhook signature error:', error);
+            res.status(500).json({
+                error: 'Failed to verify webhook signature',
+                message: error.message
+            });
+        }
+    }
+    
+    async testSSL(req, res) {
+        try {
+            const configuration = req.body.url ? null : await this.loadTestConfiguration(req.body);
+            const url = req.body.url || configuration?.base_url;
+            
+            if (!url) {
+                return res.status(400).json({
+                    error: 'URL is required'
+                });
+            }
+            
+            const results = await this.tlsInspector.inspect(url);
+            
+            await this.addLogEntry(
+                configuration?.id || null,
+                results.onboarding_ready ? 'info' : 'warning',
+                `SSL check for ${url}: grade ${results.grade}`,
+                'SSLInspector',
+                { findings: results.findings }
+            );
+            
+            res.json({
+                success: true,
+                data: results
+            });
+            
+        } catch (error) {
+            console.error('SSL test error:', error);
+            res.status(500).json({
+                error: 'SSL test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    async testIPConnectivity(req, res) {
+        try {
+            const { ip_addresses } = req.body;
+            
+            if (!ip_addresses || !Array.isArray(ip_addresses)) {
+                return res.status(400).json({
+                    error: 'IP addresses array is required'
+                });
+            }
+            
+            const results = ip_addresses.map(ip => ({
+                ip: ip,
+                accessible: true,
+                response_time_ms: Math.floor(Math.random() * 100) + 20
+            }));
+            
+            res.json({
+                success: true,
+                data: results
+            });
+            
+        } catch (error) {
+            console.error('IP connectivity test error:', error);
+            res.status(500).json({
+                error: 'IP connectivity test failed',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Queue the full integration suite for a saved configuration; poll the returned job
+     * at GET /api/test/jobs/:id
+     */
+    async runFullTestSuite(req, res) {
+        try {
+            const { configuration_id, steps, environment, test_scenarios, lifecycle_timeout_ms, catalog, webhook_url } = req.body;
+            
+            // The suite logs in with the password from the credential vault
+            if (!configuration_id) {
+                return res.status(400).json({
+                    error: 'configuration_id is required'
+                });
+            }
+            
+            const configuration = await this.loadTestConfiguration({ configuration_id });
+            if (!configuration) {
+                return res.status(404).json({
+                    error: 'Configuration not found'
+                });
+            }
+            
+            if (environment && !this.talabatAPI[environment]) {
+                return res.status(400).json({
+                    error: 'Unknown environment',
+                    allowed: Object.keys(this.talabatAPI)
+                });
+            }
+            
+            const invalidOptions = this.orderTestOptionsError({ test_scenarios, lifecycle_timeout_ms });
+            if (invalidOptions) {
+                return res.status(400).json(invalidOptions);
+            }
+            
+            const job = await this.testJobs.enqueue('full', configuration, {
+                only: steps,
+                options: { environment, test_scenarios, lifecycle_timeout_ms, catalog, webhook_url },
+                user: req.user
+            });
+            
+            res.status(202).json({
+                success: true,
+                data: job
+            });
+            
         } catch (error) {
-            console.error('Failed to add log entry:', error);
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid test suite',
+                    message: error.message
+                });
+            }
+            console.error('Full test suite error:', error);
+            res.status(500).json({
+                error: 'Failed to queue test suite',
+                message: error.message
+            });
+        }
+    }
+    
+    async listTestJobs(req, res) {
+        try {
+            const { configuration_id, limit = 20 } = req.query;
+            
+            const jobs = await this.testJobs.list({
+                configurationId: configuration_id,
+                limit: limit
+            });
+            
+            res.json({
+                success: true,
+                data: jobs
+            });
+            
+        } catch (error) {
+            console.error('List test jobs error:', error);
+            res.status(500).json({
+                error: 'Failed to list test jobs',
+                message: error.message
+            });
+        }
+    }
+    
+    async getTestJob(req, res) {
+        try {
+            const job = await this.testJobs.get(req.params.id);
+            
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Test job not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: job
+            });
+            
+        } catch (error) {
+            console.error('Get test job error:', error);
+            res.status(500).json({
+                error: 'Failed to get test job',
+                message: error.message
+            });
+        }
+    }
+    
+    async cancelTestJob(req, res) {
+        try {
+            const job = await this.testJobs.cancel(req.params.id);
+            
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Test job not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: job
+            });
+            
+        } catch (error) {
+            console.error('Cancel test job error:', error);
+            res.status(500).json({
+                error: 'Failed to cancel test job',
+                message: error.message
+            });
         }
     }
     
     /**
-     * Health check endpoint
+     * Download test results as JUnit XML, TAP or an HTML report: one job (job_id), one
+     * result (id), or the latest `limit` results matching the filters
      */
-    async healthCheck(req, res) {
+    async exportTestResults(req, res) {
         try {
-            // Check database connection
-            await this.db.get('SELECT 1');
+            const {
+                format = 'junit', job_id, id, configuration_id, test_type, status, from, to, limit = 1000
+            } = req.query;
+            
+            if (!TestResultExport.FORMATS.includes(format)) {
+                return res.status(400).json({
+                    error: 'Invalid format',
+                    allowed: TestResultExport.FORMATS
+                });
+            }
+            
+            const invalidDate = [from, to].find(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+            if (invalidDate !== undefined) {
+                return res.status(400).json({
+                    error: 'Invalid date',
+                    message: `Dates must be YYYY-MM-DD, got "${invalidDate}"`
+                });
+            }
+            
+            let query = 'SELECT * FROM test_results WHERE 1=1';
+            const params = [];
+            
+            if (job_id) {
+                query += ' AND job_id = ?';
+                params.push(job_id);
+            }
+            if (id) {
+                query += ' AND id = ?';
+                params.push(id);
+            }
+            if (configuration_id) {
+                query += ' AND configuration_id = ?';
+                params.push(configuration_id);
+            }
+            if (test_type) {
+                query += ' AND test_type = ?';
+                params.push(test_type);
+            }
+            if (status) {
+                query += ' AND status = ?';
+                params.push(status);
+            }
+            if (from) {
+                query += ' AND date(created_at) >= date(?)';
+                params.push(from);
+            }
+            if (to) {
+                query += ' AND date(created_at) <= date(?)';
+                params.push(to);
+            }
+            
+            // Latest results first for the limit, then back into the order they ran in
+            query += ' ORDER BY id DESC LIMIT ?';
+            params.push(Math.min(parseInt(limit) || 1000, 5000));
+            const rows = (await this.db.all(query, params)).reverse();
+            
+            if ((job_id || id) && rows.length === 0) {
+                return res.status(404).json({
+                    error: job_id ? 'Test job has no results' : 'Test result not found'
+                });
+            }
+            
+            // A job or a single result belongs to one configuration even when none was named
+            const configurationId = configuration_id || (job_id || id ? rows[0].configuration_id : null);
+            const configuration = configurationId
+                ? await this.db.get('SELECT integration_name, integration_code FROM configurations WHERE id = ?', [configurationId])
+                : null;
+            const name = configuration
+                ? `${configuration.integration_name} (${configuration.integration_code}) integration tests`
+                : undefined;
+            
+            const subject = job_id
+                ? `job-${job_id}`
+                : id ? `result-${id}` : [configuration ? configuration.integration_code : 'all', from, to].filter(Boolean).join('-');
+            const filename = `talabat-pos-tests-${subject.replace(/[^A-Za-z0-9_-]+/g, '_')}.${this.testResultExport.extension(format)}`;
+            
+            // attachment() sets a type from the extension, so the format's type goes last
+            res.attachment(filename);
+            res.type(this.testResultExport.contentType(format));
+            res.send(this.testResultExport.render(format, rows, { name }));
+            
+        } catch (error) {
+            console.error('Export test results error:', error);
+            res.status(500).json({
+                error: 'Failed to export test results',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Steps of the full integration suite, in the order the job runner runs them. Each
+     * resolves to { status, details, results }; later steps use the access token that
+     * the authentication step leaves in context.state.
+     */
+    fullSuiteSteps() {
+        return [
+            { name: 'authentication', title: 'Authentication', run: this.runAuthenticationStep.bind(this) },
+            { name: 'order_management', title: 'Order Management', run: this.runOrderStep.bind(this) },
+            { name: 'catalog_management', title: 'Catalog Management', run: this.runCatalogStep.bind(this) },
+            { name: 'store_management', title: 'Store Management', run: this.runStoreStep.bind(this) },
+            { name: 'webhooks', title: 'Webhooks', run: this.runWebhookStep.bind(this) },
+            { name: 'reporting', title: 'Reporting', run: this.runReportingStep.bind(this) }
+        ];
+    }
+    
+    suiteEnvironment({ configuration, options }) {
+        return options.environment || configuration.environment || 'staging';
+    }
+    
+    async runAuthenticationStep(context) {
+        const { configuration } = context;
+        const environment = this.suiteEnvironment(context);
+        
+        const password = await this.credentialVault.reveal(configuration.id, 'plugin_password');
+        if (!password) {
+            return { status: 'failed', details: 'No plugin password is stored for this configuration' };
+        }
+        
+        const { results, accessToken } = await this.checkAuthentication(
+            configuration.id, environment, configuration.plugin_username, password
+        );
+        context.state.accessToken = accessToken;
+        
+        return {
+            status: results.token_format_valid ? 'passed' : 'failed',
+            details: results.token_format_valid
+                ? `Logged in to ${environment} in ${results.response_time_ms}ms`
+                : `Login failed: ${results.error || 'no bearer token was returned'}`,
+            results: results
+        };
+    }
+    
+    async runOrderStep(context) {
+        const { configuration, options } = context;
+        
+        if (!configuration.base_url || !configuration.vendor_code || !configuration.remote_id) {
+            return { status: 'failed', details: 'Configuration is incomplete: base_url, vendor_code and remote_id are required' };
+        }
+        
+        const scenarios = options.test_scenarios && options.test_scenarios.length > 0
+            ? options.test_scenarios
+            : ['order_reception'];
+        const results = {};
+        for (const scenario of scenarios) {
+            results[scenario] = await this.dispatchTestOrder(configuration, scenario, context.state.accessToken);
+        }
+        
+        if (options.lifecycle_timeout_ms > 0) {
+            const timeout = Math.min(options.lifecycle_timeout_ms, MAX_LIFECYCLE_TIMEOUT_MS);
+            await Promise.all(Object.values(results)
+                .filter(result => result.status === 'passed')
+                .map(result => this.assertOrderLifecycle(result, timeout)));
+        }
+        
+        const failed = Object.entries(results).filter(([, result]) => result.status !== 'passed');
+        return {
+            status: failed.length === 0 ? 'passed' : 'failed',
+            details: failed.length === 0
+                ? `${scenarios.length} test orders delivered`
+                : failed.map(([scenario, result]) => `${scenario}: ${result.details}`).join('; '),
+            results: { scenarios_tested: scenarios, results: results }
+        };
+    }
+    
+    async runCatalogStep(context) {
+        const { configuration, options } = context;
+        
+        // Without a catalog in the request, the last version stored for the integration is pushed
+        let catalog = options.catalog || null;
+        if (!catalog && configuration.integration_code) {
+            const latest = await this.catalogVersions.latest(configuration.integration_code);
+            catalog = latest ? latest.catalog : null;
+        }
+        if (!catalog) {
+            return { status: 'skipped', details: 'No catalog was given and none is stored for this integration' };
+        }
+        
+        const { passed, results, errorMessage } = await this.importTestCatalog(
+            configuration, this.suiteEnvironment(context), catalog,
+            { accessToken: context.state.accessToken }
+        );
+        
+        return {
+            status: passed ? 'passed' : 'failed',
+            details: passed
+                ? `Catalog accepted${results.version ? ` and stored as version ${results.version.version}` : ''}`
+                : errorMessage,
+            results: results
+        };
+    }
+    
+    async runStoreStep(context) {
+        const { configuration } = context;
+        const environment = this.suiteEnvironment(context);
+        const apiConfig = this.talabatAPI[environment];
+        
+        if (!apiConfig.storeEndpoint) {
+            return { status: 'skipped', details: `The ${environment} API has no store status endpoint` };
+        }
+        if (!configuration.remote_id) {
+            return { status: 'failed', details: 'Configuration has no remote_id' };
+        }
+        if (!context.state.accessToken) {
+            return { status: 'skipped', details: 'No access token; run the authentication step first' };
+        }
+        
+        const url = `${apiConfig.baseUrl}${apiConfig.storeEndpoint}/status`;
+        const startTime = Date.now();
+        const results = { url: url, status_code: null, store_status: null, response_time_ms: 0, error: null };
+        
+        try {
+            const response = await axios.get(url, {
+                params: { remote_id: configuration.remote_id },
+                headers: { Authorization: `Bearer ${context.state.accessToken}` },
+                timeout: parseInt(process.env.API_TIMEOUT) || 10000,
+                validateStatus: () => true
+            });
+            results.status_code = response.status;
+            results.store_status = response.data?.status || null;
+            if (response.status < 200 || response.status >= 300) {
+                results.error = `HTTP ${response.status}: ${response.data?.message || response.statusText}`;
+            } else if (!results.store_status) {
+                results.error = 'Store status response has no status';
+            }
+        } catch (requestError) {
+            results.error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+        }
+        
+        results.response_time_ms = Date.now() - startTime;
+        await this.logAPIMetrics(
+            configuration.id, url, 'GET', results.status_code, results.response_time_ms,
+            0, 0, !results.error, results.error
+        );
+        
+        return {
+            status: results.error ? 'failed' : 'passed',
+            details: results.error || `Store ${configuration.remote_id} is ${results.store_status}`,
+            results: results
+        };
+    }
+    
+    async runWebhookStep(context) {
+        const { configuration, options } = context;
+        
+        const webhookUrl = options.webhook_url || configuration.callback_url;
+        if (!webhookUrl) {
+            return { status: 'skipped', details: 'No webhook URL was given and the configuration has no callback URL' };
+        }
+        
+        const results = await this.deliverTestWebhook(configuration, webhookUrl);
+        return {
+            status: results.passed ? 'passed' : 'failed',
+            details: results.passed
+                ? `Webhook delivered to ${webhookUrl} (HTTP ${results.status_code})`
+                : results.error,
+            results: results
+        };
+    }
+    
+    /**
+     * Build the test and performance reports of today for the configuration; the test
+     * report must include the steps this job has already run
+     */
+    async runReportingStep(context) {
+        const today = new Date().toISOString().split('T')[0];
+        const reports = {};
+        for (const type of ['tests', 'performance']) {
+            const report = await this.reportGenerator.build({
+                configurationId: context.configuration.id,
+                type: type,
+                from: today,
+                to: today
+            });
+            reports[type] = { checksum: report.report_info.checksum, summary: report.summary };
+        }
+        
+        const tests = reports.tests.summary;
+        return {
+            status: tests.tests_run > 0 ? 'passed' : 'failed',
+            details: tests.tests_run > 0
+                ? `Reports built: ${tests.tests_run} test results today, ${tests.pass_rate}% passed`
+                : 'Test report does not include the results of this run',
+            results: reports
+        };
+    }
+    
+    /**
+     * Monitoring endpoints
+     */
+    /**
+     * Server-Sent Events stream of new logs, API metrics and test results
+     */
+    async streamMonitoring(req, res) {
+        try {
+            await this.monitoringStream.subscribe(req, res);
+        } catch (error) {
+            console.error('Monitoring stream error:', error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({
+                error: 'Failed to open monitoring stream',
+                message: error.message
+            });
+        }
+    }
+    
+    async addLog(req, res) {
+        try {
+            const { configuration_id, level, message, module, details } = req.body;
+            
+            await this.addLogEntry(configuration_id, level, message, module, details);
             
             res.json({
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                version: '1.0.0',
-                database: 'connected'
+                success: true,
+                message: 'Log entry added successfully'
+            });
+            
+        } catch (error) {
+            console.error('Add log error:', error);
+            res.status(500).json({
+                error: 'Failed to add log entry',
+                message: error.message
+            });
+        }
+    }
+    
+    async clearLogs(req, res) {
+        try {
+            await this.db.run('DELETE FROM logs');
+            
+            res.json({
+                success: true,
+                message: 'All logs cleared successfully'
+            });
+            
+        } catch (error) {
+            console.error('Clear logs error:', error);
+            res.status(500).json({
+                error: 'Failed to clear logs',
+                message: error.message
+            });
+        }
+    }
+    
+    /**
+     * Reports endpoints
+     */
+    async generateReport(req, res) {
+        try {
+            const { vendor_code, report_type = 'all', report_format = 'json', from_date, to_date } = req.body;
+            
+            if (!ReportGenerator.TYPES.includes(report_type)) {
+                return res.status(400).json({
+                    error: 'Unknown report type',
+                    allowed: ReportGenerator.TYPES
+                });
+            }
+            
+            if (!ReportGenerator.FORMATS.includes(report_format)) {
+                return res.status(400).json({
+                    error: 'Unsupported report format',
+                    allowed: ReportGenerator.FORMATS
+                });
+            }
+            
+            const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+            if (!datePattern.test(from_date || '') || !datePattern.test(to_date || '') || isNaN(Date.parse(from_date)) || isNaN(Date.parse(to_date))) {
+                return res.status(400).json({
+                    error: 'from_date and to_date are required as YYYY-MM-DD'
+                });
+            }
+            
+            if (from_date > to_date) {
+                return res.status(400).json({
+                    error: 'from_date cannot be later than to_date'
+                });
+            }
+            
+            const configurationId = await this.resolveConfigurationId(req.body);
+            const vendorMismatch = await this.vendorCodeMismatch(configurationId, vendor_code);
+            if (vendorMismatch) {
+                return res.status(403).json(vendorMismatch);
+            }
+            
+            const { record, report } = await this.reportGenerator.generate({
+                configurationId: configurationId,
+                vendorCode: vendor_code || null,
+                type: report_type,
+                format: report_format,
+                from: from_date,
+                to: to_date
+            });
+            
+            res.status(201).json({
+                success: true,
+                data: {
+                    report: record,
+                    content: report
+                }
             });
+            
         } catch (error) {
-            res.status(503).json({
-                status: 'unhealthy',
-                timestamp: new Date().toISOString(),
-                error: error.message
+            console.error('Generate report error:', error);
+            res.status(500).json({
+                error: 'Failed to generate report',
+                message: error.message
             });
         }
     }
     
-    /**
-     * Authentication proxy endpoints
-     */
-    async refreshToken(req, res) {
+    async downloadReport(req, res) {
         try {
-            const { refresh_token } = req.body;
+            const report = await this.db.get('SELECT * FROM reports WHERE id = ?', [req.params.id]);
             
-            if (!refresh_token) {
-                return res.status(400).json({
-                    error: 'Refresh token is required'
+            if (!report || !report.file_path) {
+                return res.status(404).json({
+                    error: 'Report not found'
                 });
             }
             
-            // Mock refresh token logic
-            const mockResponse = {
-                access_token: this.generateMockToken('refreshed_user'),
-                refresh_token: this.generateMockToken('refreshed_user_refresh'),
-                token_type: 'Bearer',
-                expires_in: 3600
-            };
-            
-            res.json({
-                success: true,
-                data: mockResponse
+            res.type(this.reportGenerator.contentType(report.report_format));
+            res.download(path.resolve(report.file_path), path.basename(report.file_path), error => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({
+                        error: 'Report file is no longer available',
+                        message: error.message
+                    });
+                }
             });
             
         } catch (error) {
-            console.error('Token refresh error:', error);
-            res.status(401).json({
-                error: 'Token refresh failed',
+            console.error('Download report error:', error);
+            res.status(500).json({
+                error: 'Failed to download report',
                 message: error.message
             });
         }
     }
     
-    async logoutUser(req, res) {
+    async getReportHistory(req, res) {
         try {
-            // In a real implementation, this would invalidate the token
+            const { configuration_id, limit = 50 } = req.query;
+            
+            let query = 'SELECT * FROM reports WHERE 1=1';
+            const params = [];
+            
+            if (configuration_id) {
+                query += ' AND configuration_id = ?';
+                params.push(configuration_id);
+            }
+            
+            query += ' ORDER BY generated_at DESC LIMIT ?';
+            params.push(parseInt(limit));
+            
+            const reports = await this.db.all(query, params);
+            
             res.json({
                 success: true,
-                message: 'Logged out successfully'
+                data: reports
             });
+            
         } catch (error) {
-            console.error('Logout error:', error);
+            console.error('Get report history error:', error);
             res.status(500).json({
-                error: 'Logout failed',
+                error: 'Failed to get report history',
                 message: error.message
             });
         }
     }
     
-    /**
-     * Additional testing endpoints
-     */
-    async testWebhooks(req, res) {
+    async scheduleReport(req, res) {
         try {
-            const { webhook_url } = req.body;
+            const { vendor_code, report_type = 'all', report_format = 'json', frequency, cron_expression, first_run, email_recipients } = req.body;
             
-            if (!webhook_url) {
+            if (!ReportGenerator.TYPES.includes(report_type)) {
                 return res.status(400).json({
-                    error: 'Webhook URL is required'
+                    error: 'Unknown report type',
+                    allowed: ReportGenerator.TYPES
                 });
             }
             
-            // Mock webhook testing
-            const results = {
-                endpoint_accessible: true,
-                ssl_valid: webhook_url.startsWith('https://'),
-                response_time_ms: Math.floor(Math.random() * 500) + 100,
-                status_code: 200,
-                content_type: 'application/json'
-            };
+            if (!ReportGenerator.FORMATS.includes(report_format)) {
+                return res.status(400).json({
+                    error: 'Unsupported report format',
+                    allowed: ReportGenerator.FORMATS
+                });
+            }
+            
+            if (!ReportScheduler.FREQUENCIES.includes(frequency)) {
+                return res.status(400).json({
+                    error: 'Unknown frequency',
+                    allowed: ReportScheduler.FREQUENCIES
+                });
+            }
+            
+            const recipients = ReportDelivery.parseRecipients(email_recipients);
+            const invalidRecipients = recipients.filter(address => !Mailer.isValidAddress(address));
+            if (invalidRecipients.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid email recipients',
+                    invalid: invalidRecipients
+                });
+            }
+            
+            let nextRun;
+            try {
+                nextRun = this.firstScheduledRun(frequency, cron_expression, first_run);
+            } catch (scheduleError) {
+                return res.status(400).json({
+                    error: 'Invalid schedule',
+                    message: scheduleError.message
+                });
+            }
+            
+            const configurationId = await this.resolveConfigurationId(req.body);
+            const vendorMismatch = await this.vendorCodeMismatch(configurationId, vendor_code);
+            if (vendorMismatch) {
+                return res.status(403).json(vendorMismatch);
+            }
+            
+            const result = await this.db.run(`
+                INSERT INTO scheduled_reports (
+                    configuration_id, vendor_code, report_type, report_format, frequency, 
+                    cron_expression, next_run, first_run_at, email_recipients
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                configurationId, vendor_code || null, report_type, report_format, frequency,
+                frequency === 'cron' ? cron_expression.trim() : null, nextRun.toISOString(), nextRun.toISOString(),
+                recipients.length > 0 ? recipients.join(',') : null
+            ]);
             
             res.json({
                 success: true,
-                data: results
+                data: await this.db.get('SELECT * FROM scheduled_reports WHERE id = ?', [result.lastID])
             });
             
         } catch (error) {
-            console.error('Webhook test error:', error);
+            console.error('Schedule report error:', error);
             res.status(500).json({
-                error: 'Webhook test failed',
+                error: 'Failed to schedule report',
                 message: error.message
             });
         }
     }
     
-    async testSSL(req, res) {
+    /**
+     * First run of a new schedule: `first_run` when given, otherwise the next cron match,
+     * midnight UTC (daily), Monday midnight UTC (weekly) or the 1st of next month (monthly)
+     */
+    firstScheduledRun(frequency, cronExpression, firstRun) {
+        const now = new Date();
+        
+        if (frequency === 'cron') {
+            return this.reportScheduler.nextCronTime(cronExpression, firstRun ? new Date(new Date(firstRun).getTime() - 60000) : now);
+        }
+        
+        if (firstRun) {
+            const start = new Date(firstRun);
+            if (isNaN(start.getTime())) {
+                throw new Error('first_run must be an ISO 8601 date');
+            }
+            return start;
+        }
+        
+        if (frequency === 'monthly') {
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+        }
+        
+        const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+        if (frequency === 'weekly') {
+            next.setUTCDate(next.getUTCDate() + (8 - next.getUTCDay()) % 7);
+        }
+        return next;
+    }
+    
+    async getScheduledReports(req, res) {
         try {
-            const { url } = req.body;
+            const { configuration_id } = req.query;
             
-            if (!url) {
-                return res.status(400).json({
-                    error: 'URL is required'
-                });
+            let query = `
+                SELECT scheduled_reports.*,
+                       last_run.status AS last_run_status,
+                       last_run.report_id AS last_report_id,
+                       last_run.error_message AS last_run_error
+                FROM scheduled_reports
+                LEFT JOIN scheduled_report_runs last_run ON last_run.id = (
+                    SELECT id FROM scheduled_report_runs
+                    WHERE scheduled_report_id = scheduled_reports.id
+                    ORDER BY scheduled_for DESC, id DESC LIMIT 1
+                )
+                WHERE is_active = 1
+            `;
+            const params = [];
+            
+            if (configuration_id) {
+                query += ' AND configuration_id = ?';
+                params.push(configuration_id);
             }
             
-            const results = {
-                url: url,
-                ssl_valid: url.startsWith('https://'),
-                certificate_valid: true,
-                expires_in_days: 365,
-                issuer: 'Mock CA'
-            };
+            query += ' ORDER BY next_run ASC';
+            
+            const reports = await this.db.all(query, params);
+            
+            // Delivery status of the latest email to each recipient
+            const deliveries = await this.reportDelivery.getLatest(reports.map(report => report.id));
+            reports.forEach(report => {
+                report.deliveries = deliveries.filter(delivery => delivery.scheduled_report_id === report.id);
+            });
             
             res.json({
                 success: true,
-                data: results
+                data: reports
             });
             
         } catch (error) {
-            console.error('SSL test error:', error);
+            console.error('Get scheduled reports error:', error);
             res.status(500).json({
-                error: 'SSL test failed',
+                error: 'Failed to get scheduled reports',
                 message: error.message
             });
         }
     }
     
-    async testIPConnectivity(req, res) {
+    async getScheduledReportRuns(req, res) {
         try {
-            const { ip_addresses } = req.body;
-            
-            if (!ip_addresses || !Array.isArray(ip_addresses)) {
-                return res.status(400).json({
-                    error: 'IP addresses array is required'
+            const schedule = await this.db.get('SELECT id FROM scheduled_reports WHERE id = ?', [req.params.id]);
+            if (!schedule) {
+                return res.status(404).json({
+                    error: 'Scheduled report not found'
                 });
             }
             
-            const results = ip_addresses.map(ip => ({
-                ip: ip,
-                accessible: true,
-                response_time_ms: Math.floor(Math.random() * 100) + 20
-            }));
+            const runs = await this.reportScheduler.getRuns(schedule.id, req.query.limit);
             
             res.json({
                 success: true,
-                data: results
+                data: runs
             });
             
         } catch (error) {
-            console.error('IP connectivity test error:', error);
+            console.error('Get scheduled report runs error:', error);
             res.status(500).json({
-                error: 'IP connectivity test failed',
+                error: 'Failed to get scheduled report runs',
                 message: error.message
             });
         }
     }
     
-    async runFullTestSuite(req, res) {
+    async cancelScheduledReport(req, res) {
         try {
-            const { configuration_id } = req.body;
+            const { id } = req.params;
             
-            // Mock full test suite results
-            const testResults = {
-                overall_status: 'passed',
-                tests_run: 6,
-                tests_passed: 5,
-                tests_failed: 1,
-                execution_time_ms: 15000,
-                results: {
-                    authentication: { status: 'passed', details: 'All authentication tests passed' },
-                    order_management: { status: 'passed', details: 'Order flow tests successful' },
-                    catalog_management: { status: 'passed', details: 'Catalog validation passed' },
-                    store_management: { status: 'passed', details: 'Store management working' },
-                    webhooks: { status: 'failed', details: 'One webhook endpoint timeout' },
-                    reporting: { status: 'passed', details: 'Report generation successful' }
-                }
-            };
+            await this.db.run(
+                'UPDATE scheduled_reports SET is_active = 0 WHERE id = ?',
+                [id]
+            );
             
             res.json({
                 success: true,
-                data: testResults
+                message: 'Scheduled report cancelled successfully'
             });
             
         } catch (error) {
-            console.error('Full test suite error:', error);
+            console.error('Cancel scheduled report error:', error);
             res.status(500).json({
-                error: 'Full test suite failed',
+                error: 'Failed to cancel scheduled report',
                 message: error.message
             });
         }
     }
     
     /**
-     * Monitoring endpoints
+     * Alerting
      */
-    async addLog(req, res) {
+    async getAlertRules(req, res) {
         try {
-            const { configuration_id, level, message, module, details } = req.body;
-            
-            await this.addLogEntry(configuration_id, level, message, module, details);
+            const rules = await this.alertEngine.listRules(req.query.configuration_id);
             
             res.json({
                 success: true,
-                message: 'Log entry added successfully'
+                data: rules.map(rule => this.alertEngine.presentRule(rule)),
+                metrics: AlertEngine.METRICS,
+                comparators: AlertEngine.COMPARATORS
             });
             
         } catch (error) {
-            console.error('Add log error:', error);
+            console.error('Get alert rules error:', error);
             res.status(500).json({
-                error: 'Failed to add log entry',
+                error: 'Failed to get alert rules',
                 message: error.message
             });
         }
     }
     
-    async clearLogs(req, res) {
+    async createAlertRule(req, res) {
         try {
-            await this.db.run('DELETE FROM logs');
+            const rule = await this.alertEngine.createRule({
+                ...req.body,
+                configuration_id: await this.resolveConfigurationId(req.body)
+            });
             
             res.json({
                 success: true,
-                message: 'All logs cleared successfully'
+                data: this.alertEngine.presentRule(rule)
             });
             
         } catch (error) {
-            console.error('Clear logs error:', error);
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid alert rule',
+                    message: error.message,
+                    allowed: error.allowed
+                });
+            }
+            console.error('Create alert rule error:', error);
             res.status(500).json({
-                error: 'Failed to clear logs',
+                error: 'Failed to create alert rule',
                 message: error.message
             });
         }
     }
     
-    /**
-     * Reports endpoints
-     */
-    async getReportHistory(req, res) {
+    async updateAlertRule(req, res) {
         try {
-            const { configuration_id, limit = 50 } = req.query;
-            
-            let query = 'SELECT * FROM reports WHERE 1=1';
-            const params = [];
-            
-            if (configuration_id) {
-                query += ' AND configuration_id = ?';
-                params.push(configuration_id);
+            const changes = { ...req.body };
+            if (req.body.configuration_id !== undefined || req.body.integration_code !== undefined) {
+                changes.configuration_id = await this.resolveConfigurationId(req.body);
             }
             
-            query += ' ORDER BY generated_at DESC LIMIT ?';
-            params.push(parseInt(limit));
-            
-            const reports = await this.db.all(query, params);
+            const rule = await this.alertEngine.updateRule(req.params.id, changes);
+            if (!rule) {
+                return res.status(404).json({
+                    error: 'Alert rule not found'
+                });
+            }
             
             res.json({
                 success: true,
-                data: reports
+                data: this.alertEngine.presentRule(rule)
             });
             
         } catch (error) {
-            console.error('Get report history error:', error);
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    error: 'Invalid alert rule',
+                    message: error.message,
+                    allowed: error.allowed
+                });
+            }
+            console.error('Update alert rule error:', error);
             res.status(500).json({
-                error: 'Failed to get report history',
+                error: 'Failed to update alert rule',
                 message: error.message
             });
         }
     }
     
-    async scheduleReport(req, res) {
+    async deleteAlertRule(req, res) {
         try {
-            const { configuration_id, report_type, report_format, frequency, email_recipients } = req.body;
-            
-            const nextRun = new Date();
-            nextRun.setDate(nextRun.getDate() + 1); // Tomorrow
-            
-            const result = await this.db.run(`
-                INSERT INTO scheduled_reports (
-                    configuration_id, report_type, report_format, frequency, 
-                    next_run, email_recipients
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                configuration_id, report_type, report_format, frequency,
-                nextRun.toISOString(), email_recipients
-            ]);
+            const deleted = await this.alertEngine.deleteRule(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({
+                    error: 'Alert rule not found'
+                });
+            }
             
             res.json({
                 success: true,
-                data: {
-                    id: result.lastID,
-                    next_run: nextRun.toISOString()
-                }
+                message: 'Alert rule deleted successfully'
             });
             
         } catch (error) {
-            console.error('Schedule report error:', error);
+            console.error('Delete alert rule error:', error);
             res.status(500).json({
-                error: 'Failed to schedule report',
+                error: 'Failed to delete alert rule',
                 message: error.message
             });
         }
     }
     
-    async getScheduledReports(req, res) {
+    async getAlerts(req, res) {
         try {
-            const { configuration_id } = req.query;
-            
-            let query = 'SELECT * FROM scheduled_reports WHERE is_active = 1';
-            const params = [];
-            
-            if (configuration_id) {
-                query += ' AND configuration_id = ?';
-                params.push(configuration_id);
-            }
+            const { status, configuration_id, limit = 50 } = req.query;
             
-            query += ' ORDER BY next_run ASC';
-            
-            const reports = await this.db.all(query, params);
+            const alerts = await this.alertEngine.listAlerts({
+                status: status,
+                configurationId: configuration_id,
+                limit: limit
+            });
             
             res.json({
                 success: true,
-                data: reports
+                data: alerts
             });
             
         } catch (error) {
-            console.error('Get scheduled reports error:', error);
+            console.error('Get alerts error:', error);
             res.status(500).json({
-                error: 'Failed to get scheduled reports',
+                error: 'Failed to get alerts',
                 message: error.message
             });
         }
     }
     
-    async cancelScheduledReport(req, res) {
+    /**
+     * Evaluate every rule now instead of waiting for the next interval
+     */
+    async evaluateAlerts(req, res) {
         try {
-            const { id } = req.params;
-            
-            await this.db.run(
-                'UPDATE scheduled_reports SET is_active = 0 WHERE id = ?',
-                [id]
-            );
+            // Non-admins always name a configuration (scope: 'required'); only admins
+            // evaluate every rule at once
+            const configurationId = await this.resolveConfigurationId(req.body);
+            const changes = await this.alertEngine.evaluate(new Date(), { configurationId });
             
             res.json({
                 success: true,
-                message: 'Scheduled report cancelled successfully'
+                data: {
+                    changed: changes,
+                    firing: await this.alertEngine.listAlerts({ status: 'firing', configurationId: configurationId })
+                }
             });
             
         } catch (error) {
-            console.error('Cancel scheduled report error:', error);
+            console.error('Evaluate alerts error:', error);
             res.status(500).json({
-                error: 'Failed to cancel scheduled report',
+                error: 'Failed to evaluate alerts',
                 message: error.message
             });
         }
@@ -1210,6 +3726,8 @@ class TalabatPOSServer {
                 platform: os.platform(),
                 architecture: os.arch(),
                 node_version: process.version,
+                storage: this.storage.describe(),
+                schema_version: (await this.migrator.status()).current_version,
                 uptime: process.uptime(),
                 memory: {
                     total: os.totalmem(),
@@ -1266,14 +3784,28 @@ class TalabatPOSServer {
      * Start the server
      */
     async startServer() {
-        // Ensure data directory exists
-        await fs.mkdir('./data', { recursive: true });
-        
-        this.app.listen(this.port, () => {
-            console.log(`🚀 Talabat POS Integration Platform server running on port ${this.port}`);
-            console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`🗄️  Database: SQLite (./data/talabat_pos.db)`);
-            console.log(`🌐 Access: http://localhost:${this.port}`);
+        if (this.listen) {
+            this.app.listen(this.port, () => {
+                console.log(`🚀 Talabat POS Integration Platform server running on port ${this.port}`);
+                console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+                console.log(`🗄️  Storage: ${this.storage.describe()}`);
+                console.log(`🌐 Access: http://localhost:${this.port}`);
+            });
+        }
+        
+        if (!this.background) {
+            return;
+        }
+        
+        // Runs missed while the server was down are caught up on the first tick
+        this.reportScheduler.start().catch(error => {
+            console.error('Report scheduler failed to start:', error);
+        });
+        this.reportDelivery.start().catch(error => {
+            console.error('Report delivery failed to start:', error);
+        });
+        this.alertEngine.start().catch(error => {
+            console.error('Alert engine failed to start:', error);
         });
         
         // Graceful shutdown
@@ -1288,15 +3820,29 @@ class TalabatPOSServer {
         });
     }
     
+    /**
+     * Stop timers and background services and close the database
+     */
+    async close() {
+        this.orderLifecycle.stop();
+        this.reportScheduler.stop();
+        this.reportDelivery.stop();
+        this.alertEngine.stop();
+        this.monitoringStream.close();
+        
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
+    
     /**
      * Graceful shutdown
      */
     async shutdown() {
         try {
-            if (this.db) {
-                await this.db.close();
-                console.log('Database connection closed.');
-            }
+            await this.close();
+            console.log('Database connection closed.');
             process.exit(0);
         } catch (error) {
             console.error('Error during shutdown:', error);
@@ -1305,7 +3851,9 @@ class TalabatPOSServer {
     }
 }
 
-// Initialize and start server
-const server = new TalabatPOSServer();
+// Start the server when run directly; vercel-server.js and api/index.js build it themselves
+if (require.main === module) {
+    new TalabatPOSServer();
+}
 
 module.exports = TalabatPOSServer;
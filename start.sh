@@ -6,14 +6,14 @@ echo "🚀 Starting Talabat POS Integration Platform..."
 
 # Check if Node.js is installed
 if ! command -v node &> /dev/null; then
-    echo "❌ Node.js is not installed. Please install Node.js 14.0.0 or higher."
+    echo "❌ Node.js is not installed. Please install Node.js 18.0.0 or higher."
     exit 1
 fi
 
 # Check Node.js version
 NODE_VERSION=$(node -v | cut -d'v' -f2 | cut -d'.' -f1)
-if [ "$NODE_VERSION" -lt 14 ]; then
-    echo "❌ Node.js version 14.0.0 or higher is required. Current version: $(node -v)"
+if [ "$NODE_VERSION" -lt 18 ]; then
+    echo "❌ Node.js version 18.0.0 or higher is required. Current version: $(node -v)"
     exit 1
 fi
 
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let integratorToken;
+let own;
+let other;
+
+async function createRule(token, configuration) {
+    const response = await platform.request('POST', '/alerts/rules', {
+        token,
+        body: {
+            configuration_id: configuration.id,
+            name: `${configuration.integration_code} error logs`,
+            metric: 'error_logs',
+            comparator: '>=',
+            threshold: 0,
+            window_minutes: 5,
+            channels: []
+        }
+    });
+    assert.strictEqual(response.status, 200, response.text);
+    return response.body.data;
+}
+
+before(async () => {
+    platform = await startServer();
+    const adminToken = await platform.login();
+
+    own = await createConfiguration(platform, adminToken, { integration_code: 'own-pos', vendor_code: 'OWN' });
+    other = await createConfiguration(platform, adminToken, { integration_code: 'other-pos', vendor_code: 'OTHER' });
+    await createRule(adminToken, own);
+    await createRule(adminToken, other);
+
+    const response = await platform.request('POST', '/users', {
+        token: adminToken,
+        body: { email: 'integrator@example.com', name: 'Integrator', password: 'integrator-password', role: 'integrator', configuration_ids: [own.id] }
+    });
+    assert.strictEqual(response.status, 201, response.text);
+    integratorToken = await platform.login('integrator@example.com', 'integrator-password');
+});
+
+after(async () => {
+    await platform.close();
+});
+
+test('evaluating alerts only evaluates the rules of the caller\'s configuration', async () => {
+    const response = await platform.request('POST', '/alerts/evaluate', {
+        token: integratorToken,
+        body: { configuration_id: own.id }
+    });
+
+    assert.strictEqual(response.status, 200, response.text);
+    assert.deepStrictEqual(response.body.data.changed.map(alert => alert.configuration_id), [own.id]);
+
+    const rules = await platform.server.db.all('SELECT configuration_id, last_evaluated_at FROM alert_rules ORDER BY id');
+    assert.ok(rules.find(rule => rule.configuration_id === own.id).last_evaluated_at);
+    assert.strictEqual(rules.find(rule => rule.configuration_id === other.id).last_evaluated_at, null);
+    assert.strictEqual((await platform.server.alertEngine.listAlerts({ configurationId: other.id })).length, 0);
+});
+
+test('a run of every rule covers a scoped evaluation requested meanwhile', async () => {
+    const [all, scoped] = await Promise.all([
+        platform.server.alertEngine.evaluate(),
+        platform.server.alertEngine.evaluate(new Date(), { configurationId: other.id })
+    ]);
+
+    assert.deepStrictEqual(all.map(alert => alert.configuration_id), [other.id]);
+    assert.deepStrictEqual(scoped.map(alert => alert.configuration_id), [other.id]);
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CatalogDiff = require('../js/catalog-diff');
+
+const differ = new CatalogDiff();
+
+function catalog(items) {
+    return { menu: { categories: [{ id: 'cat1', name: 'Burgers', items }] } };
+}
+
+function burger(overrides = {}) {
+    return {
+        id: 'item1',
+        name: 'Classic Burger',
+        price: 25,
+        available: true,
+        modifiers: [{ id: 'cheese', name: 'Cheese', price: 3 }],
+        ...overrides
+    };
+}
+
+test('identical catalogs have no changes', () => {
+    const result = differ.diff(catalog([burger()]), catalog([burger()]));
+
+    assert.strictEqual(result.identical, true);
+    assert.deepStrictEqual(result.changes, []);
+    assert.deepStrictEqual(result.summary, { added: 0, removed: 0, price_changed: 0, availability_toggled: 0, renamed: 0, updated: 0 });
+});
+
+test('each difference of an item is classified separately', () => {
+    const result = differ.diff(
+        catalog([burger()]),
+        catalog([burger({ name: 'Double Burger', price: 32, available: false, allergens: ['gluten'] })])
+    );
+
+    assert.deepStrictEqual(result.changes.map(change => [change.type, change.before, change.after]), [
+        ['renamed', 'Classic Burger', 'Double Burger'],
+        ['price_changed', 25, 32],
+        ['availability_toggled', true, false],
+        ['updated', { allergens: undefined }, { allergens: ['gluten'] }]
+    ]);
+    assert.strictEqual(result.changes[0].path, 'Burgers › Double Burger');
+    assert.deepStrictEqual(result.changes[3].fields, ['allergens']);
+});
+
+test('a missing available flag counts as available', () => {
+    const { available, ...withoutFlag } = burger();
+
+    assert.strictEqual(available, true);
+    assert.strictEqual(differ.diff(catalog([burger()]), catalog([withoutFlag])).identical, true);
+});
+
+test('added and removed entities are reported with their paths', () => {
+    const result = differ.diff(
+        catalog([burger()]),
+        catalog([burger({ modifiers: [{ id: 'bacon', name: 'Bacon', price: 5 }] }), { id: 'item2', name: 'Fries', price: 9 }])
+    );
+
+    assert.deepStrictEqual(result.changes.map(change => [change.type, change.entity, change.path]), [
+        ['added', 'item', 'Burgers › Fries'],
+        ['removed', 'modifier', 'Burgers › Classic Burger › Cheese'],
+        ['added', 'modifier', 'Burgers › Classic Burger › Bacon']
+    ]);
+    assert.strictEqual(result.summary.added, 2);
+    assert.strictEqual(result.summary.removed, 1);
+});
+
+test('modifiers are matched within their item and moves are updates', () => {
+    const before = {
+        menu: {
+            categories: [
+                { id: 'cat1', name: 'Burgers', items: [burger()] },
+                { id: 'cat2', name: 'Wraps', items: [{ id: 'item2', name: 'Wrap', price: 20, modifiers: [{ id: 'cheese', name: 'Cheese', price: 3 }] }] }
+            ]
+        }
+    };
+    const after = JSON.parse(JSON.stringify(before));
+    after.menu.categories[1].items[0].modifiers[0].price = 4;
+    after.menu.categories[0].items.push(after.menu.categories[1].items.pop());
+
+    const result = differ.diff(before, after);
+
+    // Only the wrap's cheese changed price, and the wrap moved to another category
+    assert.deepStrictEqual(result.changes.map(change => [change.type, change.entity, change.id]), [
+        ['updated', 'item', 'item2'],
+        ['price_changed', 'modifier', 'cheese']
+    ]);
+    assert.deepStrictEqual(result.changes[0].before, { parent: 'cat2' });
+    assert.deepStrictEqual(result.changes[0].after, { parent: 'cat1' });
+    assert.strictEqual(result.changes[1].path, 'Burgers › Wrap › Cheese');
+});
+
+test('topping options are diffed within their group', () => {
+    const withToppings = price => catalog([burger({
+        modifiers: [],
+        toppings: [{ id: 'sauces', name: 'Sauces', options: [{ id: 'mayo', name: 'Mayo', price }] }]
+    })]);
+
+    const [change] = differ.diff(withToppings(1), withToppings(2)).changes;
+    assert.strictEqual(change.type, 'price_changed');
+    assert.strictEqual(change.path, 'Burgers › Classic Burger › Sauces › Mayo');
+});
+
+test('a missing catalog diffs as empty', () => {
+    const result = differ.diff(null, catalog([burger()]));
+
+    assert.strictEqual(result.summary.added, 3);
+    assert.deepStrictEqual(result.changes.map(change => change.entity), ['category', 'item', 'modifier']);
+});
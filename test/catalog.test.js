@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let integratorToken;
+let own;
+
+const catalog = {
+    vendor_code: 'OTHER',
+    remote_id: 'R1',
+    country: 'AE',
+    currency: 'AED',
+    menu: {
+        categories: [
+            { id: 'c1', name: 'Mains', items: [{ id: 'i1', name: 'Burger', price: 10, currency: 'AED', available: true }] }
+        ]
+    }
+};
+
+before(async () => {
+    platform = await startServer();
+    const adminToken = await platform.login();
+
+    own = await createConfiguration(platform, adminToken, { integration_code: 'own-pos', vendor_code: 'OWN' });
+    await createConfiguration(platform, adminToken, { integration_code: 'other-pos', vendor_code: 'OTHER' });
+
+    const response = await platform.request('POST', '/users', {
+        token: adminToken,
+        body: { email: 'integrator@example.com', name: 'Integrator', password: 'integrator-password', role: 'integrator', configuration_ids: [own.id] }
+    });
+    assert.strictEqual(response.status, 201, response.text);
+    integratorToken = await platform.login('integrator@example.com', 'integrator-password');
+
+    // Every push is accepted, as if the partner endpoint were up
+    platform.server.pushCatalog = async () => ({ passed: true, status_code: 200, import_id: 'IMPORT_1', error: null });
+});
+
+after(async () => {
+    await platform.close();
+});
+
+test('catalogs tested with an inline configuration are not stored as versions', async () => {
+    const response = await platform.request('POST', '/test/catalog', {
+        token: integratorToken,
+        body: {
+            configuration: { integration_code: 'other-pos', vendor_code: 'OTHER', environment: 'emulator' },
+            catalog
+        }
+    });
+
+    assert.strictEqual(response.status, 200, response.text);
+    assert.strictEqual(response.body.data.status, 'passed');
+    assert.strictEqual(response.body.data.version, null);
+    assert.deepStrictEqual(await platform.server.catalogVersions.list('other-pos'), []);
+});
+
+test('catalogs tested with a saved configuration are stored as versions', async () => {
+    const response = await platform.request('POST', '/test/catalog', {
+        token: integratorToken,
+        body: { configuration_id: own.id, catalog: { ...catalog, vendor_code: 'OWN' } }
+    });
+
+    assert.strictEqual(response.status, 200, response.text);
+    assert.strictEqual(response.body.data.version.version, 1);
+    assert.strictEqual((await platform.server.catalogVersions.list('own-pos')).length, 1);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let token;
+let configuration;
+
+before(async () => {
+    platform = await startServer();
+    token = await platform.login();
+    configuration = await createConfiguration(platform, token);
+});
+
+after(async () => {
+    await platform.close();
+});
+
+async function current() {
+    const response = await platform.request('GET', `/config/${configuration.id}`, { token });
+    return response.body.data;
+}
+
+test('updates without updated_at are refused', async () => {
+    const response = await platform.request('PUT', `/config/${configuration.id}`, {
+        token,
+        body: { integration_name: 'Renamed' }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await current()).integration_name, 'Test Integration');
+});
+
+test('updates based on an outdated version conflict', async () => {
+    const loaded = await current();
+
+    const first = await platform.request('PUT', `/config/${configuration.id}`, {
+        token,
+        body: { integration_name: 'First edit', updated_at: loaded.updated_at }
+    });
+    assert.strictEqual(first.status, 200, first.text);
+
+    const second = await platform.request('PUT', `/config/${configuration.id}`, {
+        token,
+        body: { integration_name: 'Second edit', updated_at: loaded.updated_at }
+    });
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.body.current.integration_name, 'First edit');
+    assert.strictEqual((await current()).integration_name, 'First edit');
+});
+
+test('restores without updated_at are refused', async () => {
+    const response = await platform.request('POST', `/config/${configuration.id}/revisions/1/restore`, { token, body: {} });
+
+    assert.strictEqual(response.status, 400);
+});
+
+test('restoring over an outdated version conflicts', async () => {
+    const stale = await current();
+
+    const edit = await platform.request('PUT', `/config/${configuration.id}`, {
+        token,
+        body: { integration_name: 'Concurrent edit', updated_at: stale.updated_at }
+    });
+    assert.strictEqual(edit.status, 200, edit.text);
+
+    const restore = await platform.request('POST', `/config/${configuration.id}/revisions/1/restore`, {
+        token,
+        body: { updated_at: stale.updated_at }
+    });
+    assert.strictEqual(restore.status, 409);
+    assert.strictEqual(restore.body.current.integration_name, 'Concurrent edit');
+    assert.strictEqual((await current()).integration_name, 'Concurrent edit');
+});
+
+test('restoring over the current version applies the revision', async () => {
+    const latest = await current();
+
+    const restore = await platform.request('POST', `/config/${configuration.id}/revisions/1/restore`, {
+        token,
+        body: { updated_at: latest.updated_at }
+    });
+    assert.strictEqual(restore.status, 200, restore.text);
+    assert.strictEqual((await current()).integration_name, 'Test Integration');
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const TalabatAPIEmulator = require('../lib/talabat-emulator');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let adminToken;
+let ownConfiguration;
+
+function order(orderId, vendorCode) {
+    return {
+        order_id: orderId,
+        vendor_code: vendorCode,
+        remote_id: 'R1',
+        items: [{ id: 'item1', quantity: 1, unit_price: 10 }]
+    };
+}
+
+async function emulatorLogin(username, password) {
+    return platform.request('POST', '/emulator/pos/v1/login', { raw: true, body: { username, password } });
+}
+
+before(async () => {
+    platform = await startServer();
+    adminToken = await platform.login();
+
+    // Test orders of this configuration go to the emulator
+    ownConfiguration = await createConfiguration(platform, adminToken, {
+        integration_code: 'own-pos', vendor_code: 'OWN', plugin_username: 'own-plugin', plugin_password: 'own-password',
+        base_url: `${platform.origin}/emulator/pos`
+    });
+    await createConfiguration(platform, adminToken, {
+        integration_code: 'other-pos', vendor_code: 'OTHER', plugin_username: 'other-plugin', plugin_password: 'other-password'
+    });
+});
+
+after(async () => {
+    platform.server.orderLifecycle.stop();
+    await platform.close();
+});
+
+test('the emulator only accepts the plugin credentials of saved configurations', async () => {
+    assert.strictEqual((await emulatorLogin('anyone', 'anything')).status, 401);
+    assert.strictEqual((await emulatorLogin('own-plugin', 'other-password')).status, 401);
+
+    const login = await emulatorLogin('own-plugin', 'own-password');
+    assert.strictEqual(login.status, 200, login.text);
+    assert.ok(login.body.access_token);
+});
+
+test('emulator tokens only act for their configuration\'s vendor', async () => {
+    const own = (await emulatorLogin('own-plugin', 'own-password')).body.access_token;
+    const other = (await emulatorLogin('other-plugin', 'other-password')).body.access_token;
+
+    const foreign = await platform.request('POST', '/emulator/pos/v1/orders/receive', {
+        raw: true, token: own, body: order('EMU_FOREIGN', 'OTHER')
+    });
+    assert.strictEqual(foreign.status, 403);
+    assert.strictEqual(foreign.body.code, 'VENDOR_MISMATCH');
+
+    const received = await platform.request('POST', '/emulator/pos/v1/orders/receive', {
+        raw: true, token: own, body: order('EMU_OWN', 'OWN')
+    });
+    assert.strictEqual(received.status, 201, received.text);
+
+    const peek = await platform.request('GET', '/emulator/pos/v1/orders/EMU_OWN', { raw: true, token: other });
+    assert.strictEqual(peek.status, 404);
+
+    const reject = await platform.request('POST', '/emulator/pos/v1/orders/EMU_OWN/reject', {
+        raw: true, token: other, body: { reason_code: 'CLOSED' }
+    });
+    assert.strictEqual(reject.status, 404);
+    assert.strictEqual((await platform.server.orderLifecycle.getOrder('EMU_OWN')).status, 'RECEIVED');
+});
+
+test('test orders are dispatched to the emulator with the login\'s access token', async () => {
+    const unauthenticated = await platform.request('POST', '/test/orders', {
+        token: adminToken,
+        body: { configuration_id: ownConfiguration.id }
+    });
+    assert.strictEqual(unauthenticated.status, 200, unauthenticated.text);
+    assert.strictEqual(unauthenticated.body.data.results.order_reception.status_code, 401);
+
+    const accessToken = (await emulatorLogin('own-plugin', 'own-password')).body.access_token;
+    const response = await platform.request('POST', '/test/orders', {
+        token: adminToken,
+        body: { configuration_id: ownConfiguration.id, access_token: accessToken }
+    });
+    assert.strictEqual(response.status, 200, response.text);
+
+    const result = response.body.data.results.order_reception;
+    assert.strictEqual(result.status, 'passed', result.details);
+    const stored = await platform.server.orderLifecycle.getOrder(result.order_id);
+    assert.strictEqual(stored.configuration_id, ownConfiguration.id);
+});
+
+test('emulator tokens expire and are capped', () => {
+    const emulator = new TalabatAPIEmulator({ credentials: {}, maxEntries: 3 });
+    const account = { username: 'plugin', vendorCode: 'V1', configurationId: null };
+
+    const first = emulator.issueTokens(account);
+    for (let i = 0; i < 4; i++) {
+        emulator.issueTokens(account);
+    }
+    assert.strictEqual(emulator.accessTokens.size, 3);
+    assert.strictEqual(emulator.refreshTokens.size, 3);
+    assert.ok(!emulator.accessTokens.has(first.access_token));
+
+    for (const session of emulator.accessTokens.values()) {
+        session.expiresAt = Date.now() - 1;
+    }
+    emulator.pruneTokens();
+    assert.strictEqual(emulator.accessTokens.size, 0);
+});
@@ -0,0 +1,110 @@
+/**
+ * Test helpers: a platform on in-memory storage listening on a free port, and a small
+ * client for its /api routes
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { email: 'admin@localhost', password: 'admin-test-password' };
+
+async function startServer() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'talabat-pos-test-'));
+    process.env.ADMIN_EMAIL = ADMIN.email;
+    process.env.ADMIN_PASSWORD = ADMIN.password;
+    process.env.REPORT_STORAGE_PATH = path.join(directory, 'reports');
+    process.env.EMAIL_FILE_PATH = path.join(directory, 'mail');
+
+    const TalabatPOSServer = require('../server');
+    const { MemoryStorage } = require('../lib/storage');
+
+    const server = new TalabatPOSServer({
+        storage: new MemoryStorage(),
+        listen: false,
+        background: false,
+        logRequests: false
+    });
+    await server.ready;
+
+    const httpServer = http.createServer(server.app);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${httpServer.address().port}`;
+
+    /**
+     * Call `route` under /api (or any path with `raw: true`); resolves to
+     * { status, headers, body (parsed JSON or null), text }
+     */
+    function request(method, route, { token = null, body, raw = false, headers = {} } = {}) {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        return new Promise((resolve, reject) => {
+            const req = http.request(`${origin}${raw ? '' : '/api'}${route}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...headers
+                }
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let json = null;
+                    try {
+                        json = JSON.parse(text);
+                    } catch (error) {
+                        // Exports, downloads and static files are not JSON
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, body: json, text });
+                });
+            });
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+
+    async function login(email = ADMIN.email, password = ADMIN.password) {
+        const response = await request('POST', '/session', { body: { email, password } });
+        if (response.status !== 200) {
+            throw new Error(`Login as ${email} failed: ${response.text}`);
+        }
+        return response.body.data.token;
+    }
+
+    async function close() {
+        await new Promise(resolve => httpServer.close(resolve));
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return { server, origin, request, login, close };
+}
+
+/**
+ * Save a configuration as the admin; returns the stored row
+ */
+async function createConfiguration(platform, token, overrides = {}) {
+    const response = await platform.request('POST', '/config', {
+        token,
+        body: {
+            integration_name: 'Test Integration',
+            integration_code: 'test-pos',
+            base_url: 'http://127.0.0.1:9',
+            plugin_username: 'plugin',
+            plugin_password: 'plugin-password',
+            environment: 'emulator',
+            vendor_code: 'V1',
+            remote_id: 'R1',
+            ...overrides
+        }
+    });
+    if (response.status >= 300) {
+        throw new Error(`Creating configuration failed: ${response.text}`);
+    }
+    return platform.server.db.get('SELECT * FROM configurations WHERE integration_code = ?', [overrides.integration_code || 'test-pos']);
+}
+
+module.exports = { ADMIN, startServer, createConfiguration };
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MetricsAggregator = require('../lib/metrics-aggregator');
+const Migrator = require('../lib/migrator');
+const { MemoryStorage } = require('../lib/storage');
+
+const aggregator = new MetricsAggregator();
+
+test('percentiles interpolate between the closest ranks', () => {
+    assert.strictEqual(aggregator.percentile([], 95), null);
+    assert.strictEqual(aggregator.percentile([42], 99), 42);
+
+    const times = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    assert.strictEqual(aggregator.percentile(times, 50), 55);
+    assert.strictEqual(aggregator.percentile(times, 90), 91);
+    assert.strictEqual(aggregator.percentile(times, 95), 95.5);
+    assert.strictEqual(aggregator.percentile(times, 99), 99.1);
+});
+
+test('summaries sort response times and count failures', () => {
+    const rows = [300, 100, null, 200].map((time, index) => ({ response_time_ms: time, success: index !== 0 }));
+    const summary = aggregator.summarize(rows, 120000);
+
+    assert.deepStrictEqual(summary, {
+        total_calls: 4,
+        successful_calls: 3,
+        failed_calls: 1,
+        error_rate: 25,
+        throughput_per_minute: 2,
+        avg_response_time: 150,
+        max_response_time: 300,
+        p50: 150,
+        p90: 270,
+        p95: 285,
+        p99: 297
+    });
+});
+
+async function aggregatorWithCalls(calls) {
+    const db = await new MemoryStorage().open();
+    await new Migrator({ db }).migrate();
+
+    for (const call of calls) {
+        await db.run(
+            'INSERT INTO api_metrics (configuration_id, endpoint, method, response_time_ms, success, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [call.configurationId || 1, call.endpoint || '/orders', call.method || 'POST', call.time, call.success === false ? 0 : 1, call.at]
+        );
+    }
+    return { db, aggregator: new MetricsAggregator({ db }) };
+}
+
+test('history computes percentiles per bucket and per endpoint', async () => {
+    const { db, aggregator } = await aggregatorWithCalls([
+        { at: '2024-01-01 10:00:10', time: 100 },
+        { at: '2024-01-01 10:00:20', time: 200 },
+        { at: '2024-01-01 10:00:30', time: 300, success: false },
+        { at: '2024-01-01 10:02:00', time: 50, endpoint: '/menu', method: 'GET' },
+        { at: '2024-01-01 10:03:00', time: 999, configurationId: 2 }
+    ]);
+
+    const history = await aggregator.history({
+        configurationId: 1, bucket: '1m', from: '2024-01-01T10:00:00Z', to: '2024-01-01T10:05:00Z', percentile: 50
+    });
+
+    assert.strictEqual(history.series.length, 5);
+    assert.deepStrictEqual(history.series.map(point => point.count), [3, 0, 1, 0, 0]);
+    assert.deepStrictEqual(
+        [history.series[0].p50, history.series[0].p90, history.series[0].p99, history.series[0].error_rate],
+        [200, 280, 298, 33.33]
+    );
+    assert.strictEqual(history.series[1].p50, null);
+    assert.strictEqual(history.summary.p50, 150);
+
+    // Empty buckets are left out of the charts
+    assert.deepStrictEqual(history.charts.response_time, [
+        { timestamp: Date.parse('2024-01-01T10:00:00Z'), value: 200 },
+        { timestamp: Date.parse('2024-01-01T10:02:00Z'), value: 50 }
+    ]);
+    assert.deepStrictEqual(history.charts.success_rate.map(point => point.value), [66.67, 100]);
+
+    assert.deepStrictEqual(history.endpoints.map(group => [group.method, group.endpoint, group.summary.p95]), [
+        ['POST', '/orders', 290],
+        ['GET', '/menu', 50]
+    ]);
+    await db.close();
+});
+
+test('history refuses unknown buckets, percentiles and oversized ranges', async () => {
+    const { db, aggregator } = await aggregatorWithCalls([]);
+
+    await assert.rejects(aggregator.history({ bucket: '2m' }), error => error.statusCode === 400 && /Unknown bucket/.test(error.message));
+    await assert.rejects(aggregator.history({ percentile: 75 }), /Unsupported percentile "75"/);
+    await assert.rejects(
+        aggregator.history({ bucket: '1m', from: '2024-01-01', to: '2024-01-02' }),
+        /Range covers 2880 buckets of 1m/
+    );
+    await db.close();
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../lib/migrator');
+const { MemoryStorage } = require('../lib/storage');
+
+let directory;
+
+// Each migration records its direction in the journal table
+function writeMigration(into, file, { fail = false } = {}) {
+    const version = parseInt(file);
+    fs.writeFileSync(path.join(into, file), `
+module.exports = {
+    async up(db) {
+        await db.run("INSERT INTO journal (step) VALUES ('up ${version}')");
+        ${fail ? "throw new Error('broken');" : ''}
+    },
+    async down(db) {
+        await db.run("INSERT INTO journal (step) VALUES ('down ${version}')");
+    }
+};
+`);
+}
+
+async function openDatabase() {
+    const db = await new MemoryStorage().open();
+    await db.exec('CREATE TABLE journal (id INTEGER PRIMARY KEY AUTOINCREMENT, step TEXT)');
+    return db;
+}
+
+async function journal(db) {
+    return (await db.all('SELECT step FROM journal ORDER BY id')).map(row => row.step);
+}
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'talabat-pos-migrations-'));
+    writeMigration(directory, '1_first.js');
+    writeMigration(directory, '2_second.js');
+    writeMigration(directory, '10_tenth.js');
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('migrations apply in version order and revert in reverse', async () => {
+    const db = await openDatabase();
+    const migrator = new Migrator({ db, directory });
+
+    const up = await migrator.migrate();
+    assert.deepStrictEqual(up.applied, ['1_first.js', '2_second.js', '10_tenth.js']);
+    assert.strictEqual((await migrator.status()).current_version, 10);
+
+    const down = await migrator.migrate({ to: 1 });
+    assert.deepStrictEqual(down.reverted, ['10_tenth.js', '2_second.js']);
+    assert.strictEqual((await migrator.status()).current_version, 1);
+
+    await migrator.migrate({ to: 2 });
+    assert.deepStrictEqual(await journal(db), ['up 1', 'up 2', 'up 10', 'down 10', 'down 2', 'up 2']);
+    await db.close();
+});
+
+test('a failing migration leaves the database at the previous version', async () => {
+    const failing = fs.mkdtempSync(path.join(os.tmpdir(), 'talabat-pos-migrations-'));
+    writeMigration(failing, '1_first.js');
+    writeMigration(failing, '2_broken.js', { fail: true });
+
+    const db = await openDatabase();
+    const migrator = new Migrator({ db, directory: failing });
+
+    await assert.rejects(migrator.migrate(), /Migration 2_broken.js \(up\) failed: broken/);
+    assert.strictEqual((await migrator.status()).current_version, 1);
+    assert.deepStrictEqual(await journal(db), ['up 1']);
+
+    await db.close();
+    fs.rmSync(failing, { recursive: true, force: true });
+});
+
+test('reverting the initial schema keeps its tables and data', async () => {
+    const db = await new MemoryStorage().open();
+    const migrator = new Migrator({ db });
+    await migrator.migrate({ to: 1 });
+
+    await db.run(
+        "INSERT INTO configurations (integration_name, integration_code, base_url, plugin_username, plugin_password_hash) VALUES ('Kept', 'kept', 'https://pos.example.com', 'plugin', '')"
+    );
+    await migrator.migrate({ to: 0 });
+
+    assert.strictEqual((await migrator.status()).current_version, 0);
+    assert.deepStrictEqual(await db.all('SELECT integration_code FROM configurations'), [{ integration_code: 'kept' }]);
+
+    await migrator.migrate({ to: 1 });
+    assert.strictEqual((await migrator.status()).current_version, 1);
+    await db.close();
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OrderLifecycle = require('../lib/order-lifecycle');
+const Migrator = require('../lib/migrator');
+const { MemoryStorage } = require('../lib/storage');
+
+async function lifecycleWithDatabase(options = {}) {
+    const db = await new MemoryStorage().open();
+    await new Migrator({ db }).migrate();
+    return { db, lifecycle: new OrderLifecycle({ db, ...options }) };
+}
+
+test('illegal transitions leave the order unchanged and are recorded', async () => {
+    const lifecycle = new OrderLifecycle();
+    await lifecycle.createOrder({ order_id: 'ORDER_1' });
+
+    const result = await lifecycle.transition('ORDER_1', 'READY');
+    assert.strictEqual(result.legal, false);
+    assert.strictEqual((await lifecycle.getOrder('ORDER_1')).status, 'RECEIVED');
+    assert.strictEqual(result.event.reason, 'Illegal transition RECEIVED → READY');
+    lifecycle.stop();
+});
+
+for (const storage of ['database', 'memory']) {
+    test(`concurrent transitions from the same state apply only once (${storage})`, async () => {
+        const { db, lifecycle } = storage === 'database' ? await lifecycleWithDatabase() : { lifecycle: new OrderLifecycle() };
+        await lifecycle.createOrder({ order_id: 'RACE_1' });
+
+        const [accepted, rejected] = await Promise.all([
+            lifecycle.transition('RACE_1', 'ACCEPTED'),
+            lifecycle.transition('RACE_1', 'REJECTED', { actor: 'system', reason: 'ACCEPT_TIMEOUT' })
+        ]);
+
+        assert.strictEqual(accepted.legal, true);
+        assert.strictEqual(rejected.legal, false);
+        assert.strictEqual(rejected.conflict, true);
+        assert.strictEqual(rejected.order.status, 'ACCEPTED');
+        assert.strictEqual((await lifecycle.getOrder('RACE_1')).status, 'ACCEPTED');
+
+        const events = await lifecycle.getEvents('RACE_1');
+        assert.deepStrictEqual(events.map(event => [event.event_type, event.from_status, event.to_status]), [
+            ['transition', null, 'RECEIVED'],
+            ['transition', 'RECEIVED', 'ACCEPTED'],
+            ['violation', 'ACCEPTED', 'REJECTED']
+        ]);
+        assert.match(events[2].reason, /^Concurrent transition: order left RECEIVED before REJECTED was applied$/);
+
+        lifecycle.stop();
+        if (db) await db.close();
+    });
+}
+
+test('an SLA auto-reject does not override an order accepted meanwhile', async () => {
+    const { db, lifecycle } = await lifecycleWithDatabase({
+        slaRules: [{ name: 'accept_timeout', state: 'RECEIVED', seconds: 60, transitionTo: 'REJECTED', reason: 'ACCEPT_TIMEOUT' }]
+    });
+    const order = await lifecycle.createOrder({ order_id: 'RACE_2' });
+    const [rule] = lifecycle.slaRules;
+
+    // The timer fires while the POS accept is in flight
+    await Promise.all([
+        lifecycle.transition('RACE_2', 'ACCEPTED'),
+        lifecycle.handleSLATimeout(order.order_id, rule)
+    ]);
+
+    assert.strictEqual((await lifecycle.getOrder('RACE_2')).status, 'ACCEPTED');
+    const transitions = (await lifecycle.getEvents('RACE_2')).filter(event => event.event_type === 'transition');
+    assert.deepStrictEqual(transitions.map(event => event.to_status), ['RECEIVED', 'ACCEPTED']);
+
+    lifecycle.stop();
+    await db.close();
+});
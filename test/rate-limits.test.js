@@ -0,0 +1,25 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let platform;
+let token;
+
+before(async () => {
+    platform = await startServer();
+    token = await platform.login();
+});
+
+after(async () => {
+    await platform.close();
+});
+
+test('polling a test job does not use up the API rate limit', async () => {
+    for (let i = 0; i < 110; i++) {
+        const poll = await platform.request('GET', '/test/jobs/unknown-job', { token });
+        assert.notStrictEqual(poll.status, 429, `poll ${i + 1} was rate limited`);
+    }
+
+    const response = await platform.request('GET', '/config', { token });
+    assert.strictEqual(response.status, 200, response.text);
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ReportScheduler = require('../lib/report-scheduler');
+const Migrator = require('../lib/migrator');
+const { MemoryStorage } = require('../lib/storage');
+
+const scheduler = new ReportScheduler();
+
+function next(expression, after) {
+    return scheduler.nextCronTime(expression, new Date(after)).toISOString();
+}
+
+test('cron expressions with lists, ranges and steps are parsed', () => {
+    const cron = scheduler.parseCron('*/20 9-17/4 1,15 * 7');
+
+    assert.deepStrictEqual([...cron.minutes], [0, 20, 40]);
+    assert.deepStrictEqual([...cron.hours], [9, 13, 17]);
+    assert.deepStrictEqual([...cron.days], [1, 15]);
+    assert.strictEqual(cron.months.size, 12);
+    assert.deepStrictEqual([...cron.weekdays], [0]);
+    assert.strictEqual(cron.anyDay, false);
+});
+
+test('invalid cron expressions are refused with the offending field', () => {
+    assert.throws(() => scheduler.parseCron('0 9 * *'), /must have 5 fields/);
+    assert.throws(() => scheduler.parseCron('60 * * * *'), /minute "60" is outside 0-59/);
+    assert.throws(() => scheduler.parseCron('0 17-9 * * *'), /hour "17-9" is outside 0-23/);
+    assert.throws(() => scheduler.parseCron('0 9 * JAN *'), /Invalid month "JAN"/);
+    assert.throws(() => scheduler.parseCron('*/0 * * * *'), /minute "\*\/0"/);
+});
+
+test('the next cron time is strictly after the given time', () => {
+    assert.strictEqual(next('*/15 * * * *', '2024-01-01T10:07:30Z'), '2024-01-01T10:15:00.000Z');
+    assert.strictEqual(next('*/15 * * * *', '2024-01-01T10:15:00Z'), '2024-01-01T10:30:00.000Z');
+    assert.strictEqual(next('30 23 * * *', '2024-12-31T23:30:00Z'), '2025-01-01T23:30:00.000Z');
+});
+
+test('weekday and day-of-month restrictions follow cron semantics', () => {
+    // Friday 2024-01-05 after 09:00: the next weekday run is Monday
+    assert.strictEqual(next('0 9 * * 1-5', '2024-01-05T09:00:00Z'), '2024-01-08T09:00:00.000Z');
+
+    // Both restricted: either the 15th or a Monday, whichever comes first
+    assert.strictEqual(next('0 0 15 * 1', '2024-01-09T00:00:00Z'), '2024-01-15T00:00:00.000Z');
+    assert.strictEqual(next('0 0 20 * 1', '2024-01-09T00:00:00Z'), '2024-01-15T00:00:00.000Z');
+
+    // Leap days are found years ahead; impossible dates are reported
+    assert.strictEqual(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.throws(() => next('0 0 31 2 *', '2024-01-01T00:00:00Z'), /never matches/);
+});
+
+async function schedulerWithSchedule(schedule, { catchUpLimit, fail = false } = {}) {
+    const db = await new MemoryStorage().open();
+    await new Migrator({ db }).migrate();
+
+    const generated = [];
+    const reportGenerator = {
+        async generate(options) {
+            if (fail) throw new Error('generation failed');
+            generated.push(options);
+            return { record: { id: generated.length } };
+        }
+    };
+    const runner = new ReportScheduler({ db, reportGenerator, catchUpLimit });
+
+    const result = await db.run(
+        `INSERT INTO scheduled_reports (report_type, report_format, frequency, next_run, first_run_at, created_at)
+         VALUES ('all', 'json', ?, ?, ?, ?)`,
+        [schedule.frequency, schedule.next_run, schedule.next_run, schedule.created_at]
+    );
+    return { db, runner, generated, id: result.lastID };
+}
+
+async function runs(db, id) {
+    return db.all(
+        'SELECT scheduled_for, status, catch_up, error_message FROM scheduled_report_runs WHERE scheduled_report_id = ? ORDER BY id',
+        [id]
+    );
+}
+
+test('missed runs are caught up oldest first, each covering the days since the previous one', async () => {
+    const { db, runner, generated, id } = await schedulerWithSchedule({
+        frequency: 'daily', next_run: '2024-01-01T00:00:00.000Z', created_at: '2023-12-31T00:00:00.000Z'
+    });
+
+    await runner.tick(new Date('2024-01-03T01:00:00Z'));
+
+    assert.deepStrictEqual((await runs(db, id)).map(run => [run.scheduled_for, run.status, run.catch_up]), [
+        ['2024-01-01T00:00:00.000Z', 'success', 1],
+        ['2024-01-02T00:00:00.000Z', 'success', 1],
+        ['2024-01-03T00:00:00.000Z', 'success', 0]
+    ]);
+    assert.deepStrictEqual(generated.map(options => [options.from, options.to]), [
+        ['2023-12-31', '2023-12-31'],
+        ['2024-01-01', '2024-01-01'],
+        ['2024-01-02', '2024-01-02']
+    ]);
+
+    const schedule = await db.get('SELECT next_run, last_run_at FROM scheduled_reports WHERE id = ?', [id]);
+    assert.strictEqual(schedule.next_run, '2024-01-04T00:00:00.000Z');
+    assert.strictEqual(schedule.last_run_at, '2024-01-03T00:00:00.000Z');
+    await db.close();
+});
+
+test('missed runs beyond the catch-up limit are recorded as one skipped run', async () => {
+    const { db, runner, generated, id } = await schedulerWithSchedule({
+        frequency: 'daily', next_run: '2024-01-01T00:00:00.000Z', created_at: '2023-12-31T00:00:00.000Z'
+    }, { catchUpLimit: 2 });
+
+    await runner.tick(new Date('2024-01-05T01:00:00Z'));
+
+    const recorded = await runs(db, id);
+    assert.deepStrictEqual(recorded.map(run => [run.scheduled_for, run.status]), [
+        ['2024-01-03T00:00:00.000Z', 'skipped'],
+        ['2024-01-04T00:00:00.000Z', 'success'],
+        ['2024-01-05T00:00:00.000Z', 'success']
+    ]);
+    assert.match(recorded[0].error_message, /^3 missed runs from 2024-01-01T00:00:00.000Z exceeded the catch-up limit of 2$/);
+
+    // The first executed run picks up where the skipped ones ended
+    assert.deepStrictEqual([generated[0].from, generated[0].to], ['2024-01-03', '2024-01-03']);
+    await db.close();
+});
+
+test('failed runs are recorded and the schedule still advances', async () => {
+    const { db, runner, id } = await schedulerWithSchedule({
+        frequency: 'weekly', next_run: '2024-01-01T00:00:00.000Z', created_at: '2023-12-25T00:00:00.000Z'
+    }, { fail: true });
+
+    await runner.tick(new Date('2024-01-01T00:00:00Z'));
+
+    const [run] = await runs(db, id);
+    assert.strictEqual(run.status, 'failed');
+    assert.strictEqual(run.error_message, 'generation failed');
+    assert.strictEqual((await db.get('SELECT next_run FROM scheduled_reports WHERE id = ?', [id])).next_run, '2024-01-08T00:00:00.000Z');
+    await db.close();
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let own;
+let other;
+let integratorToken;
+
+const today = new Date().toISOString().slice(0, 10);
+
+before(async () => {
+    platform = await startServer();
+    const adminToken = await platform.login();
+
+    own = await createConfiguration(platform, adminToken, { integration_code: 'own-pos', vendor_code: 'OWN' });
+    other = await createConfiguration(platform, adminToken, { integration_code: 'other-pos', vendor_code: 'OTHER' });
+
+    await platform.server.orderLifecycle.createOrder({ order_id: 'OWN_ORDER', vendor_code: 'OWN' }, { configurationId: own.id });
+    await platform.server.orderLifecycle.createOrder({ order_id: 'OTHER_ORDER', vendor_code: 'OTHER' }, { configurationId: other.id });
+
+    const response = await platform.request('POST', '/users', {
+        token: adminToken,
+        body: { email: 'integrator@example.com', name: 'Integrator', password: 'integrator-password', role: 'integrator', configuration_ids: [own.id] }
+    });
+    assert.strictEqual(response.status, 201, response.text);
+    integratorToken = await platform.login('integrator@example.com', 'integrator-password');
+});
+
+after(async () => {
+    platform.server.orderLifecycle.stop();
+    await platform.close();
+});
+
+test('an integrator cannot pull another tenant\'s orders with its vendor code', async () => {
+    const response = await platform.request('POST', '/reports/generate', {
+        token: integratorToken,
+        body: { configuration_id: own.id, vendor_code: 'OTHER', report_type: 'all', from_date: today, to_date: today }
+    });
+
+    assert.strictEqual(response.status, 403);
+    assert.doesNotMatch(response.text, /OTHER_ORDER/);
+});
+
+test('an integrator cannot schedule a report on another tenant\'s vendor code', async () => {
+    const response = await platform.request('POST', '/reports/schedule', {
+        token: integratorToken,
+        body: { configuration_id: own.id, vendor_code: 'OTHER', report_type: 'all', frequency: 'daily' }
+    });
+
+    assert.strictEqual(response.status, 403);
+});
+
+test('reports of a configuration only contain its own orders', async () => {
+    const response = await platform.request('POST', '/reports/generate', {
+        token: integratorToken,
+        body: { configuration_id: own.id, vendor_code: 'OWN', report_type: 'all', from_date: today, to_date: today }
+    });
+
+    assert.strictEqual(response.status, 201, response.text);
+    assert.deepStrictEqual(response.body.data.content.sections.orders.map(order => order.order_id), ['OWN_ORDER']);
+});
+
+test('a vendor code narrows the configuration instead of widening it', async () => {
+    const report = await platform.server.reportGenerator.build({
+        configurationId: own.id, vendorCode: 'OTHER', type: 'all', from: today, to: today
+    });
+
+    assert.deepStrictEqual(report.sections.orders, []);
+});
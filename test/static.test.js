@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let platform;
+
+const index = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+before(async () => {
+    platform = await startServer();
+});
+
+after(async () => {
+    await platform.close();
+});
+
+test('the frontend is served from public/', async () => {
+    const page = await platform.request('GET', '/', { raw: true });
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.text, index);
+
+    const script = await platform.request('GET', '/js/api.js', { raw: true });
+    assert.strictEqual(script.status, 200);
+    assert.match(script.headers['content-type'], /javascript/);
+});
+
+test('files outside public/ are not served', async () => {
+    for (const file of ['/data/admin-password', '/data/talabat_pos.db', '/server.js', '/package.json', '/.env']) {
+        const response = await platform.request('GET', file, { raw: true });
+        assert.strictEqual(response.text, index, `${file} should fall back to the frontend`);
+    }
+});
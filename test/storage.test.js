@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage } = require('../lib/storage');
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'talabat-pos-storage-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('the json driver restores rows and ids from its snapshot', async () => {
+    const filename = path.join(directory, 'roundtrip.json');
+
+    const first = await new JsonFileStorage({ filename }).open();
+    await first.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT)');
+    await first.run('INSERT INTO notes (text) VALUES (?)', ['kept']);
+    await first.run('INSERT INTO notes (text) VALUES (?)', ['deleted']);
+    await first.run('DELETE FROM notes WHERE text = ?', ['deleted']);
+    await first.close();
+
+    const second = await new JsonFileStorage({ filename }).open();
+    assert.deepStrictEqual(await second.all('SELECT text FROM notes'), [{ text: 'kept' }]);
+    const { lastID } = await second.run('INSERT INTO notes (text) VALUES (?)', ['new']);
+    assert.strictEqual(lastID, 3);
+    await second.close();
+});
+
+test('the json driver batches writes and skips statements that changed nothing', async () => {
+    const storage = await new JsonFileStorage({ filename: path.join(directory, 'batched.json'), saveDelay: 60000 }).open();
+    await storage.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT)');
+    await storage.save();
+    clearTimeout(storage.saveTimer);
+    storage.saveTimer = null;
+
+    await storage.run('UPDATE notes SET text = ? WHERE id = ?', ['nothing', 1]);
+    assert.strictEqual(storage.saveTimer, null);
+
+    await storage.run('INSERT INTO notes (text) VALUES (?)', ['one']);
+    const timer = storage.saveTimer;
+    await storage.run('INSERT INTO notes (text) VALUES (?)', ['two']);
+    assert.notStrictEqual(timer, null);
+    assert.strictEqual(storage.saveTimer, timer);
+
+    await storage.close();
+});
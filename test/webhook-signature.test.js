@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const WebhookSignature = require('../lib/webhook-signature');
+
+const secret = 'whsec_test';
+const body = '{"order_id":"ORDER_1","status":"ACCEPTED"}';
+const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+const nowSeconds = now / 1000;
+
+function signed(signer, timestamp = nowSeconds, content = body) {
+    const headers = signer.sign(secret, content, timestamp);
+    return {
+        secret,
+        body,
+        timestamp: headers[WebhookSignature.HEADERS.timestamp],
+        signature: headers[WebhookSignature.HEADERS.signature],
+        now
+    };
+}
+
+test('signatures inside the tolerance are valid on either side of now', () => {
+    const signer = new WebhookSignature({ toleranceSeconds: 300 });
+
+    assert.strictEqual(signer.verify(signed(signer, nowSeconds - 300)).valid, true);
+    assert.strictEqual(signer.verify(signed(signer, nowSeconds + 300)).valid, true);
+});
+
+test('timestamps outside the tolerance are refused with a hint', () => {
+    const signer = new WebhookSignature({ toleranceSeconds: 300 });
+
+    const stale = signer.verify(signed(signer, nowSeconds - 301));
+    assert.strictEqual(stale.code, 'TIMESTAMP_OUTSIDE_TOLERANCE');
+    assert.strictEqual(stale.age_seconds, 301);
+
+    const future = signer.verify(signed(signer, nowSeconds + 301));
+    assert.strictEqual(future.code, 'TIMESTAMP_OUTSIDE_TOLERANCE');
+    assert.match(future.reason, /in the future/);
+
+    const milliseconds = signer.verify({ ...signed(signer), timestamp: String(now) });
+    assert.strictEqual(milliseconds.code, 'TIMESTAMP_OUTSIDE_TOLERANCE');
+    assert.deepStrictEqual(milliseconds.hints, ['The timestamp looks like milliseconds; divide by 1000']);
+});
+
+test('mismatched signatures explain the likely cause without echoing the body', () => {
+    const signer = new WebhookSignature();
+
+    const reserialized = signer.verify({ ...signed(signer, nowSeconds, JSON.stringify(JSON.parse(body), null, 2)), body });
+    assert.strictEqual(reserialized.code, 'SIGNATURE_MISMATCH');
+    assert.ok(reserialized.hints.some(hint => /re-serialized/.test(hint)), reserialized.hints.join('; '));
+
+    const withoutTimestamp = signer.verify({
+        ...signed(signer),
+        signature: `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+    });
+    assert.strictEqual(withoutTimestamp.code, 'SIGNATURE_MISMATCH');
+    assert.deepStrictEqual(withoutTimestamp.hints, ['The body was signed without the timestamp; sign "<timestamp>.<body>"']);
+
+    const wrongSecret = signer.verify({ ...signed(signer), secret: 'whsec_other' });
+    assert.strictEqual(wrongSecret.code, 'SIGNATURE_MISMATCH');
+    assert.ok(!JSON.stringify(wrongSecret).includes('ORDER_1'));
+});
+
+test('malformed signatures are told apart from mismatches', () => {
+    const signer = new WebhookSignature();
+    const { signature } = signed(signer);
+
+    assert.strictEqual(signer.verify({ ...signed(signer), signature: signature.replace('sha256=', '') }).code, 'MALFORMED_SIGNATURE');
+    assert.strictEqual(signer.verify({ ...signed(signer), signature: signature.replace('sha256', 'sha1') }).code, 'UNSUPPORTED_ALGORITHM');
+    assert.strictEqual(signer.verify({ ...signed(signer), signature: 'sha256=abc' }).code, 'MALFORMED_SIGNATURE');
+});
+
+test('replay checks refuse a signature accepted inside the window', () => {
+    const signer = new WebhookSignature({ toleranceSeconds: 300 });
+    const delivery = signed(signer);
+
+    assert.strictEqual(signer.verify({ ...delivery, checkReplay: true }).valid, true);
+    assert.strictEqual(signer.verify({ ...delivery, checkReplay: true }).code, 'REPLAYED');
+    assert.strictEqual(signer.verify(delivery).valid, true);
+});
+
+test('accepted signatures are forgotten once their timestamp leaves the window', () => {
+    const signer = new WebhookSignature({ toleranceSeconds: 300, maxSeen: 2 });
+
+    signer.verify({ ...signed(signer, nowSeconds - 200), checkReplay: true });
+    assert.strictEqual(signer.seenSignatures.size, 1);
+
+    // 150s later the first signature is 350s old and pruned before the next is recorded
+    signer.verify({ ...signed(signer), now: now + 150 * 1000, checkReplay: true });
+    assert.strictEqual(signer.seenSignatures.size, 1);
+
+    // Past maxSeen the oldest entry makes room
+    signer.verify({ ...signed(signer, nowSeconds + 1), checkReplay: true });
+    signer.verify({ ...signed(signer, nowSeconds + 2), checkReplay: true });
+    assert.strictEqual(signer.seenSignatures.size, 2);
+});
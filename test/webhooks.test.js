@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebhookSignature = require('../lib/webhook-signature');
+const { startServer, createConfiguration } = require('./helpers');
+
+let platform;
+let adminToken;
+let integratorToken;
+let own;
+let otherEntry;
+
+before(async () => {
+    platform = await startServer();
+    adminToken = await platform.login();
+
+    own = await createConfiguration(platform, adminToken, { integration_code: 'own-pos', vendor_code: 'OWN' });
+    await createConfiguration(platform, adminToken, { integration_code: 'other-pos', vendor_code: 'OTHER' });
+
+    const captured = await platform.request('POST', '/hooks/other-pos/orders', {
+        body: { order_id: 'OTHER_SECRET_ORDER' }
+    });
+    assert.strictEqual(captured.status, 200, captured.text);
+    otherEntry = captured.body.id;
+
+    const response = await platform.request('POST', '/users', {
+        token: adminToken,
+        body: { email: 'integrator@example.com', name: 'Integrator', password: 'integrator-password', role: 'integrator', configuration_ids: [own.id] }
+    });
+    assert.strictEqual(response.status, 201, response.text);
+    integratorToken = await platform.login('integrator@example.com', 'integrator-password');
+});
+
+after(async () => {
+    await platform.close();
+});
+
+test('an integrator cannot verify another tenant\'s captured webhook', async () => {
+    const response = await platform.request('POST', '/webhooks/verify', {
+        token: integratorToken,
+        body: { inbox_id: otherEntry, secret: 'guessed-secret' }
+    });
+
+    assert.strictEqual(response.status, 403);
+    assert.doesNotMatch(response.text, /OTHER_SECRET_ORDER/);
+});
+
+test('an explicit delivery verifies once and is refused as a replay after that', async () => {
+    const body = '{"order_id":"REPLAYED_ORDER"}';
+    const headers = new WebhookSignature().sign(own.webhook_secret, body);
+    const delivery = {
+        configuration_id: own.id,
+        body,
+        timestamp: headers[WebhookSignature.HEADERS.timestamp],
+        signature: headers[WebhookSignature.HEADERS.signature]
+    };
+
+    const first = await platform.request('POST', '/webhooks/verify', { token: integratorToken, body: delivery });
+    assert.strictEqual(first.body.data.valid, true, first.text);
+
+    const replay = await platform.request('POST', '/webhooks/verify', { token: integratorToken, body: delivery });
+    assert.strictEqual(replay.body.data.code, 'REPLAYED');
+
+    const diagnosis = await platform.request('POST', '/webhooks/verify', {
+        token: integratorToken,
+        body: { ...delivery, check_replay: false }
+    });
+    assert.strictEqual(diagnosis.body.data.valid, true);
+});
+
+test('a captured webhook is a replay when an earlier capture carried its signature', async () => {
+    const body = { order_id: 'CAPTURED_ORDER' };
+    const headers = new WebhookSignature().sign(own.webhook_secret, JSON.stringify(body));
+
+    const original = await platform.request('POST', '/hooks/own-pos/orders', { body, headers });
+    const replayed = await platform.request('POST', '/hooks/own-pos/orders', { body, headers });
+
+    const first = await platform.request('POST', '/webhooks/verify', { token: integratorToken, body: { inbox_id: original.body.id } });
+    assert.strictEqual(first.body.data.valid, true, first.text);
+
+    // Verifying a capture again gives the same answer
+    const again = await platform.request('POST', '/webhooks/verify', { token: integratorToken, body: { inbox_id: original.body.id } });
+    assert.strictEqual(again.body.data.valid, true);
+
+    const second = await platform.request('POST', '/webhooks/verify', { token: integratorToken, body: { inbox_id: replayed.body.id } });
+    assert.strictEqual(second.body.data.code, 'REPLAYED');
+    assert.match(second.body.data.reason, new RegExp(`Captured webhook ${original.body.id} `));
+});
+
+test('signature mismatches do not echo the signed body', async () => {
+    const response = await platform.request('POST', '/webhooks/verify', {
+        token: adminToken,
+        body: {
+            body: '{"order_id":"SIGNED_ORDER"}',
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            signature: `sha256=${'0'.repeat(64)}`,
+            secret: 'secret'
+        }
+    });
+
+    assert.strictEqual(response.status, 200, response.text);
+    assert.strictEqual(response.body.data.code, 'SIGNATURE_MISMATCH');
+    assert.doesNotMatch(response.text, /SIGNED_ORDER/);
+});